@@ -245,6 +245,324 @@ class ZoomManager {
     }
 }
 
+class BgaHelpButton {
+}
+class BgaHelpPopinButton extends BgaHelpButton {
+    constructor(settings) {
+        super();
+        this.settings = settings;
+    }
+    add(toElement) {
+        const button = document.createElement('button');
+        button.classList.add('bga-help_button', 'bga-help_popin-button', ...(this.settings.buttonExtraClasses ? this.settings.buttonExtraClasses.split(/\s+/g) : []));
+        button.innerHTML = `?`;
+        if (this.settings.buttonBackground) {
+            button.style.setProperty('--background', this.settings.buttonBackground);
+        }
+        if (this.settings.buttonColor) {
+            button.style.setProperty('--color', this.settings.buttonColor);
+        }
+        toElement.appendChild(button);
+        button.addEventListener('click', () => this.showHelp());
+    }
+    showHelp() {
+        const popinDialog = new window.ebg.popindialog();
+        popinDialog.create('bgaHelpDialog');
+        popinDialog.setTitle(this.settings.title);
+        popinDialog.setContent(`<div id="help-dialog-content">${this.settings.html ?? ''}</div>`);
+        this.settings.onPopinCreated?.(document.getElementById('help-dialog-content'));
+        popinDialog.show();
+    }
+}
+class BgaHelpExpandableButton extends BgaHelpButton {
+    constructor(settings) {
+        super();
+        this.settings = settings;
+    }
+    add(toElement) {
+        let folded = this.settings.defaultFolded ?? true;
+        if (this.settings.localStorageFoldedKey) {
+            const localStorageValue = localStorage.getItem(this.settings.localStorageFoldedKey);
+            if (localStorageValue) {
+                folded = localStorageValue == 'true';
+            }
+        }
+        const button = document.createElement('button');
+        button.dataset.folded = folded.toString();
+        button.classList.add('bga-help_button', 'bga-help_expandable-button', ...(this.settings.buttonExtraClasses ? this.settings.buttonExtraClasses.split(/\s+/g) : []));
+        button.innerHTML = `
+            <div class="bga-help_folded-content ${(this.settings.foldedContentExtraClasses ?? '').split(/\s+/g)}">${this.settings.foldedHtml ?? ''}</div>
+            <div class="bga-help_unfolded-content  ${(this.settings.unfoldedContentExtraClasses ?? '').split(/\s+/g)}">${this.settings.unfoldedHtml ?? ''}</div>
+        `;
+        button.style.setProperty('--expanded-width', this.settings.expandedWidth ?? 'auto');
+        button.style.setProperty('--expanded-height', this.settings.expandedHeight ?? 'auto');
+        button.style.setProperty('--expanded-radius', this.settings.expandedRadius ?? '10px');
+        toElement.appendChild(button);
+        button.addEventListener('click', () => {
+            button.dataset.folded = button.dataset.folded == 'true' ? 'false' : 'true';
+            if (this.settings.localStorageFoldedKey) {
+                localStorage.setItem(this.settings.localStorageFoldedKey, button.dataset.folded);
+            }
+        });
+    }
+}
+class HelpManager {
+    constructor(game, settings) {
+        this.game = game;
+        if (!settings?.buttons) {
+            throw new Error('HelpManager need a `buttons` list in the settings.');
+        }
+        const leftSide = document.getElementById('left-side');
+        const buttons = document.createElement('div');
+        buttons.id = `bga-help_buttons`;
+        leftSide.appendChild(buttons);
+        settings.buttons.forEach(button => button.add(buttons));
+    }
+}
+
+/**
+ * Keyboard shortcut layer for the current player
+ *
+ * State handlers register the elements the arrow keys cycle through and the
+ * keys they handle while the state is active. Everything registered is cleared
+ * when leaving the state.
+ *
+ * Default bindings:
+ *  - Arrow keys: Move the focus between the active targets of the state
+ *  - Enter: Click the focused target, or confirm when nothing is focused
+ *  - Backspace: Undo (registered with the undo buttons)
+ *  - Escape: Clear the focus
+ *  - ?: Show the list of the bindings
+ *
+ * Responsibilities:
+ *  - Listening to key presses outside of text inputs
+ *  - Tracking and displaying the focused target
+ *  - Dispatching the keys registered by the state handlers
+ *  - Providing the help popin listing the bindings
+ */
+class KeyboardShortcuts {
+    // ========== Constructor ==========
+    /**
+     * Initialize the keyboard shortcut layer and start listening to key presses
+     * @param game - Main game instance
+     */
+    constructor(game) {
+        /** Parent elements and child names of the targets the arrow keys cycle through */
+        this.targets = [];
+        /** Callbacks of the keys registered by the current state */
+        this.keys = {};
+        this.game = game;
+        document.addEventListener('keydown', (e) => this.onKeyDown(e));
+    }
+    // ========== Public Methods ==========
+    /**
+     * Add the button showing the bindings next to the other help buttons
+     */
+    setupHelp() {
+        const buttons = document.getElementById('bga-help_buttons');
+        if (!buttons)
+            return;
+        new BgaHelpPopinButton({
+            title: _("Keyboard shortcuts"),
+            html: this.getHelpHtml(),
+            buttonExtraClasses: 'keyboard_shortcuts_help',
+        }).add(buttons);
+        this.help_button = buttons.querySelector('.keyboard_shortcuts_help');
+        this.help_button.innerHTML = '⌨';
+    }
+    /**
+     * Add elements the arrow keys cycle through
+     *
+     * Targets are collected when a key is pressed, so only the descendants
+     * that are active at that time are used.
+     *
+     * @param root - Element whose descendants are the targets
+     * @param names - Names of the target elements (e.g. "region", "campsite")
+     */
+    addTargets(root, ...names) {
+        this.targets.push({ root, names });
+    }
+    /**
+     * Register a key for the current state
+     * @param key - Key value (lowercase for letters, e.g. "m", "Enter")
+     * @param callback - Function called when the key is pressed
+     */
+    addKey(key, callback) {
+        this.keys[key] = callback;
+    }
+    /**
+     * Remove the targets, the registered keys and the focus
+     */
+    clear() {
+        this.setFocus(undefined);
+        this.targets = [];
+        this.keys = {};
+    }
+    /**
+     * Collect the active descendants of an element in document order
+     * @param root - Element to search in
+     * @param names - Names of the elements to collect
+     * @returns Active elements ordered by their position in the page
+     */
+    static collect(root, names) {
+        const res = [];
+        const search = (element) => {
+            for (const name in element.c) {
+                for (const i in element.c[name]) {
+                    const child = element.c[name][i];
+                    if (names.includes(name) && (child.args.active === true || child.args.active === "selected")) {
+                        res.push(child);
+                    }
+                    search(child);
+                }
+            }
+        };
+        search(root);
+        return KeyboardShortcuts.sortByPosition(res);
+    }
+    /**
+     * Sort elements by their position in the page
+     * @param elements - Elements to sort
+     * @returns The same elements in document order
+     */
+    static sortByPosition(elements) {
+        return elements.sort((a, b) => a.html.compareDocumentPosition(b.html) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+    }
+    // ========== Private Helper Methods ==========
+    /**
+     * Handle a key press
+     *
+     * Ignored while typing in a text field, when used with Ctrl, Alt or Meta,
+     * and for Enter on a focused button.
+     *
+     * @param e - Keyboard event
+     * @private
+     */
+    onKeyDown(e) {
+        const target = e.target;
+        if (e.ctrlKey || e.altKey || e.metaKey)
+            return;
+        if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable))
+            return;
+        if (target?.tagName === 'BUTTON' && e.key === 'Enter')
+            return;
+        if (e.key === '?') {
+            this.help_button?.click();
+            e.preventDefault();
+            return;
+        }
+        if (!this.game.bga.players.isCurrentPlayerActive())
+            return;
+        const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+        switch (key) {
+            case 'ArrowRight':
+            case 'ArrowDown':
+                if (this.moveFocus(1))
+                    e.preventDefault();
+                return;
+            case 'ArrowLeft':
+            case 'ArrowUp':
+                if (this.moveFocus(-1))
+                    e.preventDefault();
+                return;
+            case 'Escape':
+                this.setFocus(undefined);
+                return;
+            case 'Enter':
+                if (this.focused !== undefined && this.isTarget(this.focused)) {
+                    this.focused.html.click();
+                    e.preventDefault();
+                    return;
+                }
+                break;
+        }
+        const callback = this.keys[e.shiftKey && key.length === 1 ? `shift+${key}` : key];
+        if (callback !== undefined) {
+            callback();
+            e.preventDefault();
+        }
+    }
+    /**
+     * Move the focus to the next or previous active target
+     * @param direction - 1 for the next target, -1 for the previous one
+     * @returns True if there was a target to focus
+     * @private
+     */
+    moveFocus(direction) {
+        const targets = this.getTargets();
+        if (targets.length === 0)
+            return false;
+        const index = this.focused === undefined ? -1 : targets.indexOf(this.focused);
+        if (index === -1) {
+            this.setFocus(direction > 0 ? targets[0] : targets[targets.length - 1]);
+        }
+        else {
+            this.setFocus(targets[(index + direction + targets.length) % targets.length]);
+        }
+        return true;
+    }
+    /**
+     * Move the focus ring to a target
+     * @param element - Target to focus, or undefined to clear the focus
+     * @private
+     */
+    setFocus(element) {
+        if (this.focused !== undefined && this.focused.html) {
+            this.focused.setArg("focus", false);
+        }
+        this.focused = element;
+        if (element !== undefined) {
+            element.setArg("focus", true);
+            element.html.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        }
+    }
+    /**
+     * Get all the currently active targets
+     * @returns Active targets in document order
+     * @private
+     */
+    getTargets() {
+        const res = [];
+        for (const t of this.targets) {
+            res.push(...KeyboardShortcuts.collect(t.root, t.names));
+        }
+        return res;
+    }
+    /**
+     * Check whether an element is still an active target
+     * @param element - Element to check
+     * @returns True if the element can be clicked with Enter
+     * @private
+     */
+    isTarget(element) {
+        return this.getTargets().includes(element);
+    }
+    /**
+     * Build the content of the help popin
+     * @returns HTML table listing the bindings
+     * @private
+     */
+    getHelpHtml() {
+        const bindings = [
+            ["1 - 9", _("Select a Travel card in your hand")],
+            ["M / P / C", _("Movement, Postcard or Camp action of the selected Travel card(s)")],
+            ["S", _("Place a Stamp with the selected Travel card(s)")],
+            ["Shift + M / P / C / S", _("Use a Bonus action")],
+            ["← → ↑ ↓", _("Cycle through the Regions, campsites, Postcards, Stamp and Souvenir spaces you can select")],
+            ["Enter", _("Select the highlighted element, or Confirm")],
+            ["Backspace", _("Undo")],
+            ["Esc", _("Clear the highlight")],
+            ["?", _("Show this list")],
+        ];
+        return `<keyboard_shortcuts_help>
+			<table>
+				${bindings.map(([key, description]) => `<tr><td><kbd>${key}</kbd></td><td>${description}</td></tr>`).join('')}
+			</table>
+			<p>${_("In the Star state, M, P and S choose the Movement, Postcard and Stamp effects.")}</p>
+		</keyboard_shortcuts_help>`;
+    }
+}
+
 /**
  * Handles the "Action" game state
  *
@@ -255,6 +573,7 @@ class ZoomManager {
  *  - Setting the dynamic status bar title based on available actions
  *  - Cleaning up UI when leaving the state
  *  - Managing bonus actions, travel cards, postcards, and gifts
+ *  - Registering the keyboard shortcuts of the hand and the action options
  *
  * Available actions during this phase:
  *  - Play a Travel card (Movement, Postcard, or Camp action)
@@ -262,6 +581,7 @@ class ZoomManager {
  *  - Send a Postcard (if conditions are met)
  *  - Play a Gift card (if available)
  *  - Skip (if 3 or more travel cards have been played)
+ *  - Plan the rest of the turn (if travel cards can still be played)
  */
 class sAction {
     // ========== Constructor ==========
@@ -283,7 +603,9 @@ class sAction {
      *  - Activates playable Travel cards and Bonus actions
      *  - Activates sendable Postcards and playable Gift cards
      *  - Adds Skip button if 3 cards have been played
+     *  - Adds Plan turn button if Travel cards can still be played
      *  - Adds undo/reset buttons if available
+     *  - Registers the keyboard shortcuts
      *
      * @param args - State arguments containing possible actions and playable cards
      * @param isCurrentPlayerActive - Whether this is the current active player
@@ -317,7 +639,12 @@ class sAction {
         if (args.used_travels.length >= 3) {
             this.bga.statusBar.addActionButton(_("Skip"), () => this.bga.actions.performAction("actSkip"));
         }
-        this.game.addUndoButtons(args.undo);
+        // Add Plan turn button if travel cards can still be played
+        if (args.used_travels.length < args.max_travels && !this.game.planner.isExecuting()) {
+            this.bga.statusBar.addActionButton(_("Plan turn"), () => this.game.planner.start(args.used_travels, args.max_travels), { color: "secondary" });
+        }
+        this.game.addUndoButtons(args.undo, args.undo_steps);
+        this.setupKeyboard(hand, bonusActions, postcardPlayer, giftPlayer);
     }
     /**
      * Called when leaving the Action state
@@ -355,6 +682,55 @@ class sAction {
         }
     }
     // ========== Private Helper Methods ==========
+    /**
+     * Registers the keyboard shortcuts of the Action state
+     *
+     * Bindings:
+     *  - 1-9: Select the n-th Travel card of the hand
+     *  - M / P / C / S: Movement, Postcard, Camp or Stamp option of the selected card(s)
+     *  - Shift + M / P / C / S: Bonus action of the same type
+     *  - Arrows: Cycle through the hand, the sendable Postcards and the playable Gift cards
+     *
+     * @param hand - Current player's hand
+     * @param bonusActions - Current player's bonus actions
+     * @param postcardPlayer - Current player's postcards
+     * @param giftPlayer - Current player's gift cards
+     * @private
+     */
+    setupKeyboard(hand, bonusActions, postcardPlayer, giftPlayer) {
+        const keyboard = this.game.keyboard;
+        keyboard.addTargets(hand, "travel");
+        keyboard.addTargets(postcardPlayer, "postcard");
+        keyboard.addTargets(giftPlayer, "gift");
+        const travels = KeyboardShortcuts.sortByPosition(Object.values(hand.c.travel ?? {}));
+        travels.slice(0, 9).forEach((travel, i) => keyboard.addKey(String(i + 1), () => travel.html.click()));
+        const options = { m: [1], p: [2], c: [3], s: [4, 5, 6, 7, 8] };
+        for (const key in options) {
+            keyboard.addKey(key, () => this.pickTravelOption(hand, options[key]));
+            keyboard.addKey(`shift+${key}`, () => this.pickBonusAction(bonusActions, options[key]));
+        }
+    }
+    /**
+     * Clicks an option of the selected Travel card, or of the double action when two cards are selected
+     * @param hand - Current player's hand
+     * @param types - Accepted option types
+     * @private
+     */
+    pickTravelOption(hand, types) {
+        const parent = hand.args.double === true ? hand.c.double_actions?.[0] : hand.selection.get()[0];
+        const option = Object.values(parent?.c.travel_option ?? {}).find((o) => types.includes(o.args.type) && o.args.active !== false);
+        option?.html.click();
+    }
+    /**
+     * Clicks an active bonus action
+     * @param bonusActions - Current player's bonus actions
+     * @param types - Accepted option types
+     * @private
+     */
+    pickBonusAction(bonusActions, types) {
+        const option = Object.values(bonusActions.c.travel_option ?? {}).find((o) => types.includes(o.args.type) && o.args.active === true);
+        option?.html.click();
+    }
     /**
      * Computes and sets the dynamic title shown in the status bar
      *
@@ -495,6 +871,7 @@ class sAction {
  *  - Activating available campsites in the player's current region
  *  - Setting the dynamic status bar title
  *  - Adding skip button if this is a bonus camp action
+ *  - Registering the campsites as keyboard targets
  *  - Cleaning up campsite UI on exit
  *  - Managing undo buttons
  */
@@ -529,12 +906,13 @@ class sCamp {
         const board = this.game.c.board?.[0];
         // Activate campsites available in the current region
         board.activateCampsites(args.region, args.campsites);
+        this.game.keyboard.addTargets(board, "campsite");
         // Add Skip button if this is a bonus camp action (gift-related)
         if (args.gift_bonus) {
             this.bga.statusBar.addActionButton(_("Skip"), () => this.bga.actions.performAction("actSkip"));
         }
         // Add undo buttons
-        this.game.addUndoButtons(args.undo);
+        this.game.addUndoButtons(args.undo, args.undo_steps);
     }
     /**
      * Called when leaving the Camp state
@@ -581,6 +959,7 @@ class sCamp {
  * Responsibilities:
  *  - Displaying confirmation UI to the player
  *  - Adding the Confirm action button
+ *  - Binding Enter to Confirm
  *  - Managing undo buttons
  *
  * The Confirm state is typically used after a player completes an action sequence
@@ -622,8 +1001,9 @@ class sConfirm {
         else {
             this.bga.statusBar.addActionButton(_("Confirm"), () => this.bga.actions.performAction("actConfirm"));
         }
+        this.game.keyboard.addKey("Enter", () => this.bga.actions.performAction("actConfirm"));
         // Add undo/reset buttons if available
-        this.game.addUndoButtons(args.undo);
+        this.game.addUndoButtons(args.undo, args.undo_steps);
     }
 }
 
@@ -634,6 +1014,7 @@ class sConfirm {
  *
  * Responsibilities:
  *  - Activating all available gift cards on the board
+ *  - Registering the gift cards as keyboard targets
  *  - Displaying a warning that this action cannot be undone
  *  - Adding undo buttons if available
  *  - Cleaning up gift UI when exiting the state
@@ -668,9 +1049,10 @@ class sGift {
         const board = this.game.c.board?.[0];
         // Activate all gift cards for selection
         board.activateAllGifts();
+        this.game.keyboard.addTargets(board, "gift");
         // Show warning that this action cannot be undone
         this.game.undo_bar = this.game.createBar("warning", _("You won't be able to undo this action!"));
-        this.game.addUndoButtons(args.undo);
+        this.game.addUndoButtons(args.undo, args.undo_steps);
     }
     /**
      * Called when leaving the Gift state
@@ -707,6 +1089,7 @@ class sGift {
  *  - Activating selectable regions for movement
  *  - Adding optional discard postcards button
  *  - Adding undo buttons if available
+ *  - Registering the regions as keyboard targets
  *  - Cleaning up region UI on exit
  */
 class sMove {
@@ -741,17 +1124,19 @@ class sMove {
         board.setBikerRegion(args.biker);
         // Activate selectable regions
         board.activateRegions(args.regions);
+        this.game.keyboard.addTargets(board, "region");
         // Add optional discard button
         if (args.discard) {
             this.bga.statusBar.addActionButton(_("Discard Postcards from supply"), () => this.bga.actions.performAction("actDiscardPostcards"));
         }
-        this.game.addUndoButtons(args.undo);
+        this.game.addUndoButtons(args.undo, args.undo_steps);
     }
     /**
      * Called when leaving the Move state
      *
      * Cleans up:
      *  - Deactivates all regions on the board
+     *  - Clears the movement destination preview
      *
      * @param args - State arguments (unused)
      * @param isCurrentPlayerActive - Whether this is the current active player
@@ -761,6 +1146,7 @@ class sMove {
             return;
         const board = this.game.c.board?.[0];
         board.inactivateAllRegions();
+        board.clearRegionPreview();
     }
 }
 
@@ -774,6 +1160,7 @@ class sMove {
  *  - Activating postcard selection UI in the guide display
  *  - Adding the "Take selected Postcards" button with initial disabled state
  *  - Managing button state based on selection count
+ *  - Registering the postcards as keyboard targets and Enter as the take button
  *  - Adding undo buttons if available
  *  - Cleaning up button reference on exit
  */
@@ -807,20 +1194,28 @@ class sGuide {
         const guide = this.game.c.postcard_guide?.[0];
         // Activate all postcards for selection
         guide.activatePostcards();
+        this.game.keyboard.addTargets(guide, "postcard");
         // Add the "Take selected Postcards" button with initial disabled state
         this.game.takeButton = this.bga.statusBar.addActionButton(_("Take selected Postcards"), () => {
+            const [postcard_1, postcard_2] = guide.selection.get();
             this.bga.actions.performAction("actGuide", {
-                postcard_1: guide.selected_1?.child_id,
-                postcard_2: guide.selected_2?.child_id
+                postcard_1: postcard_1?.child_id,
+                postcard_2: postcard_2?.child_id
             });
         }, { classes: "disabled" });
+        guide.selection.setButton(this.game.takeButton);
+        this.game.keyboard.addKey("Enter", () => {
+            if (!this.game.takeButton?.classList.contains("disabled"))
+                this.game.takeButton?.click();
+        });
         // Add undo buttons
-        this.game.addUndoButtons(args.undo);
+        this.game.addUndoButtons(args.undo, args.undo_steps);
     }
     /**
      * Called when leaving the Guide state
      *
      * Cleans up:
+     *  - Releases the Take button from the postcard selection
      *  - Removes reference to the Take button
      *
      * @param args - State arguments (unused)
@@ -829,6 +1224,7 @@ class sGuide {
     onLeavingState(args, isCurrentPlayerActive) {
         if (!isCurrentPlayerActive)
             return;
+        this.game.c.postcard_guide?.[0]?.selection.setButton(undefined);
         delete this.game.takeButton;
     }
 }
@@ -841,6 +1237,7 @@ class sGuide {
  *
  * Responsibilities:
  *  - Activating postcards in the supply for selection
+ *  - Registering the postcards as keyboard targets
  *  - Displaying a warning that this action cannot be undone
  *  - Adding optional discard postcards button
  *  - Setting the dynamic status bar title
@@ -879,13 +1276,14 @@ class sPostcard {
         const supply = this.game.c.postcard_supply?.[0];
         // Activate all postcards for selection
         supply.activatePostcards();
+        this.game.keyboard.addTargets(supply, "postcard");
         // Show warning that this action cannot be undone
         this.game.undo_bar = this.game.createBar("warning", _("You won't be able to undo this action!"));
         // Add optional discard button
         if (args.discard) {
             this.bga.statusBar.addActionButton(_("Discard Postcards from supply"), () => this.bga.actions.performAction("actDiscardPostcards"));
         }
-        this.game.addUndoButtons(args.undo);
+        this.game.addUndoButtons(args.undo, args.undo_steps);
     }
     /**
      * Called when leaving the Postcard state
@@ -941,6 +1339,7 @@ class sPostcard {
  *
  * Responsibilities:
  *  - Activating available souvenir placement spaces
+ *  - Registering the souvenir spaces as keyboard targets
  *  - Adding the Skip button for optional souvenir placement
  *  - Adding undo buttons if available
  *  - Cleaning up souvenir UI on exit
@@ -975,9 +1374,10 @@ class sSouvenir {
         const area = this.game.c.player_area?.[this.bga.gameui.player_id];
         // Activate souvenir spaces available for placement
         area.activateSouvenirSpaces(args.spaces);
+        this.game.keyboard.addTargets(area, "souvenir_space");
         // Add Skip button (placement is optional)
         this.bga.statusBar.addActionButton(_("Skip"), () => this.bga.actions.performAction("actSkip"));
-        this.game.addUndoButtons(args.undo);
+        this.game.addUndoButtons(args.undo, args.undo_steps);
     }
     /**
      * Called when leaving the Souvenir state
@@ -1006,7 +1406,9 @@ class sSouvenir {
  * Players must place stamps on available spaces to complete the postcard action.
  *
  * Responsibilities:
- *  - Activating available stamp placement spaces
+ *  - Activating available stamp placement spaces, ranked by value
+ *  - Placing the stamp automatically when there is only one sensible choice (user preference)
+ *  - Registering the stamp spaces as keyboard targets
  *  - Adding undo buttons if available
  *  - Cleaning up stamp UI on exit
  *  - Deactivating all stamp spaces
@@ -1027,20 +1429,37 @@ class sStamp {
      * Called when entering the Stamp state
      *
      * Actions:
+     *  - Keeps the colors of the available stamp spaces
      *  - Activates available stamp placement spaces on postcards
      *  - Adds undo/reset buttons if available
+     *  - Places the stamp if auto-placement is enabled and all spaces are equivalent
      *
      * @param args - State arguments containing available stamp spaces and undo level
      * @param isCurrentPlayerActive - Whether this is the current active player
      */
     onEnteringState(args, isCurrentPlayerActive) {
+        var _a;
         if (!isCurrentPlayerActive)
             return;
         const area = this.game.c.player_area?.[this.bga.gameui.player_id];
+        // Keep the colors of the available stamp spaces
+        const colors = (_a = this.bga.gameui.gamedatas).stamp_colors ?? (_a.stamp_colors = {});
+        for (const postcard in args.colors) {
+            colors[postcard] = { ...colors[postcard], ...args.colors[postcard] };
+        }
         // Activate stamp spaces available for placement
         area.activateStampSpaces(args.spaces);
+        this.game.keyboard.addTargets(area, "stamp_space");
         // Add undo buttons for the current action
-        this.game.addUndoButtons(args.undo);
+        this.game.addUndoButtons(args.undo, args.undo_steps);
+        // Place the stamp when there is only one sensible choice
+        if (this.bga.userPreferences.get(sStamp.AUTO_PLACE_PREFERENCE) === 2) {
+            const stamp_space = area.c.postcard_player[0].getOnlyStampSpace(args.spaces);
+            if (stamp_space !== undefined) {
+                // Wait for a dropped Travel card to place its stamp first
+                setTimeout(() => this.autoPlace(stamp_space.parent, stamp_space.args.space), 0);
+            }
+        }
     }
     /**
      * Called when leaving the Stamp state
@@ -1058,7 +1477,28 @@ class sStamp {
         // Deactivate all stamp spaces
         area.inactivateAllStampSpaces();
     }
+    // ========== Private Helper Methods ==========
+    /**
+     * Place the stamp on the only sensible space
+     *
+     * Skipped if the state changed meanwhile, or a dropped Travel card or the turn plan already placed it.
+     *
+     * @param postcard - Postcard of the space
+     * @param space - Space location on the postcard
+     * @private
+     */
+    autoPlace(postcard, space) {
+        if (this.bga.gameui.gamedatas.gamestate.name !== 'Stamp' || !this.bga.players.isCurrentPlayerActive())
+            return;
+        const hand = this.game.c.player_area?.[this.bga.gameui.player_id]?.c.hand?.[0];
+        if (hand?.travel_drag.hasResumed('Stamp') || this.game.planner.hasResumed('Stamp'))
+            return;
+        this.bga.actions.performAction('actStamp', { postcard: postcard.child_id, space });
+    }
 }
+// ========== Static Properties ==========
+/** User preference ID of the stamp auto-placement (1 Disabled, 2 Enabled) */
+sStamp.AUTO_PLACE_PREFERENCE = 105;
 
 /**
  * Handles the "Star" game state
@@ -1068,6 +1508,7 @@ class sStamp {
  *
  * Responsibilities:
  *  - Adding three selectable star effect buttons (Movement, Postcard, Stamp)
+ *  - Binding the M, P and S keys to the star effects
  *  - Adding undo buttons if available
  */
 class sStar {
@@ -1102,7 +1543,11 @@ class sStar {
         this.bga.statusBar.addActionButton(_("Movement"), () => this.bga.actions.performAction("actStar", { effect: 1 }));
         this.bga.statusBar.addActionButton(_("Postcard"), () => this.bga.actions.performAction("actStar", { effect: 2 }));
         this.bga.statusBar.addActionButton(_("Stamp"), () => this.bga.actions.performAction("actStar", { effect: 3 }));
-        this.game.addUndoButtons(args.undo);
+        // Bind the effects to their initials
+        this.game.keyboard.addKey("m", () => this.bga.actions.performAction("actStar", { effect: 1 }));
+        this.game.keyboard.addKey("p", () => this.bga.actions.performAction("actStar", { effect: 2 }));
+        this.game.keyboard.addKey("s", () => this.bga.actions.performAction("actStar", { effect: 3 }));
+        this.game.addUndoButtons(args.undo, args.undo_steps);
     }
 }
 
@@ -1115,6 +1560,7 @@ class sStar {
  * Responsibilities:
  *  - Activating the travel deck for card selection
  *  - Activating all travel cards in the supply for selection
+ *  - Registering the travel deck and cards as keyboard targets
  *  - Adding undo buttons if available
  *  - Cleaning up travel UI on exit
  *  - Deactivating travel deck and cards
@@ -1149,7 +1595,8 @@ class sTravel {
         // Activate travel deck and all travel cards
         board.activateTravelDeck();
         board.activateAllTravels();
-        this.game.addUndoButtons(args.undo);
+        this.game.keyboard.addTargets(board, "travel", "travel_deck");
+        this.game.addUndoButtons(args.undo, args.undo_steps);
     }
     /**
      * Called when leaving the Travel state
@@ -1177,6 +1624,7 @@ class sTravel {
  *  - Managing parent/child relationships
  *  - Creating and attaching HTML elements
  *  - Storing element arguments and attributes
+ *  - Exposing interactive elements to assistive technologies
  */
 class GameElement {
     constructor(parent, child_id, name, args = {}) {
@@ -1241,75 +1689,268 @@ class GameElement {
     setArg(name, value) {
         this.html.setAttribute(name, String(value));
         this.args[name] = value;
+        if (name === "active") {
+            this.updateAria();
+        }
+    }
+    /**
+     * Sets the ARIA role and label of the element.
+     * Its focusability and aria-disabled state then follow the active argument,
+     * and Enter or Space activate it when focused.
+     */
+    setupAria(role, label) {
+        this.html.setAttribute("role", role);
+        this.setAriaLabel(label);
+        this.html.addEventListener('keydown', (e) => {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target === this.html) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.html.click();
+            }
+        });
+        this.updateAria();
+    }
+    /**
+     * Updates the ARIA label of the element.
+     */
+    setAriaLabel(label) {
+        this.html.setAttribute("aria-label", label);
+    }
+    /**
+     * Whether the element can currently be interacted with.
+     */
+    isEnabled() {
+        return this.args.active === true || this.args.active === "selected";
+    }
+    /**
+     * Updates the focusability and aria-disabled state from the active argument.
+     */
+    updateAria() {
+        if (!this.html.hasAttribute("role"))
+            return;
+        const enabled = this.isEnabled();
+        this.html.tabIndex = enabled ? 0 : -1;
+        this.html.setAttribute("aria-disabled", String(!enabled));
     }
 }
 GameElement.ID_GEN = 0;
 
 /**
- * Manages the postcard guide display and selection interface
+ * Ordered selection of N elements among the children of a game element
  *
- * The guide appears during the guide phase and allows players to select
- * exactly 2 postcards from a revealed set. Used in the early game round.
+ * Clicking an unselected element adds it (dropping the oldest one when the
+ * selection is full), clicking a selected element removes it. Selected
+ * elements get the "selected" active state and, when more than one element
+ * can be selected, a badge showing their position in the selection.
+ *
+ * The selection stores child IDs and looks the elements up in the parent's
+ * registry, so it is kept when elements are re-created.
  *
  * Responsibilities:
- *  - Displaying postcards available for selection
- *  - Managing postcard selection state (selected_1 and selected_2)
- *  - Activating/deactivating postcards for player interaction
- *  - Animating postcard reveal and slide-in effects
+ *  - Tracking the selected elements in selection order
+ *  - Enforcing the maximum size and the constraint callback
+ *  - Displaying the selection order badges
+ *  - Enabling or disabling the confirm button
  */
-class PostcardGuide extends GameElement {
+class Selection {
     // ========== Constructor ==========
     /**
-     * Initialize the postcard guide with initial postcard data
-     * @param parent - Parent Game instance
-     * @param child_id - Element ID
-     * @param data - Initial array of postcard IDs to display (empty if none yet)
+     * Initialize an empty selection
+     * @param root - Element whose children are selected
+     * @param name - Name of the selectable children
+     * @param options - Selection options
      */
-    constructor(parent, child_id, data = []) {
-        super(parent, child_id, "postcard_guide");
-        let supply = 1;
-        // Add initial postcards if provided
-        for (let i in data) {
-            new Postcard(this, data[i], false, null, supply++);
-        }
+    constructor(root, name, options) {
+        /** Child IDs of the selected elements in selection order */
+        this.ids = [];
+        this.root = root;
+        this.name = name;
+        this.options = options;
     }
     // ========== Public Methods ==========
     /**
-     * Activate or deactivate all postcards in the guide for selection
-     * @param b - True to activate (default), false to deactivate
+     * Get the selected elements
+     *
+     * Elements no longer in the registry are dropped from the selection.
+     *
+     * @returns Selected elements in selection order
      */
-    activatePostcards(b = true) {
-        for (const i in this.c.postcard) {
-            this.c.postcard[i].activate(b);
+    get() {
+        const children = this.root.c[this.name] ?? {};
+        this.ids = this.ids.filter((id) => children[id] !== undefined);
+        return this.ids.map((id) => children[id]);
+    }
+    /**
+     * Add an element to the selection, or remove it if already selected
+     * @param element - Clicked element
+     */
+    toggle(element) {
+        const previous = this.get();
+        if (this.ids.includes(element.child_id)) {
+            this.ids = this.ids.filter((id) => id !== element.child_id);
+            element.setArg("active", true);
         }
+        else {
+            if (this.options.constraint !== undefined && !this.options.constraint(element, previous))
+                return;
+            this.ids.push(element.child_id);
+            element.setArg("active", "selected");
+            while (this.ids.length > this.getMax()) {
+                this.root.c[this.name]?.[this.ids.shift()]?.setArg("active", true);
+            }
+        }
+        this.update(previous);
     }
     /**
-     * Animate sliding in postcards from the deck reveal
-     *
-     * Creates new postcard elements and animates them sliding in from the deck.
-     * The top card is positioned last. Properly assigns supply positions for layout.
-     *
-     * Actions:
-     *  - Creates new Postcard elements for each revealed card
-     *  - Animates each card sliding in with 1000ms duration
-     *  - Handles top card positioning separately
-     *  - Waits for animations to complete
-     *
-     * @param postcards - Array of postcard IDs to slide in
-     * @param top - ID of the top card from deck
-     * @param d - Optional reference postcard to animate from
-     * @returns Promise resolving when all animations complete
+     * Replace the selection
+     * @param elements - Elements to select in selection order
      */
-    async slideInPostcards(postcards, top, d) {
-        let supply = 1;
+    set(elements) {
+        const previous = this.get();
+        for (const e of previous) {
+            e.setArg("active", true);
+        }
+        this.ids = elements.map((e) => e.child_id);
+        for (const e of elements) {
+            e.setArg("active", "selected");
+        }
+        this.update(previous);
+    }
+    /**
+     * Empty the selection without changing the active state of the elements
+     */
+    clear() {
+        const previous = this.get();
+        this.ids = [];
+        this.update(previous);
+    }
+    /**
+     * Set the button confirming the selection
+     * @param button - Button to enable or disable, or undefined to release it
+     */
+    setButton(button) {
+        this.button = button;
+        this.refresh();
+    }
+    /**
+     * Whether the selection has enough elements to be confirmed
+     * @returns True if the selection size is between the minimum and the maximum
+     */
+    isComplete() {
+        const size = this.get().length;
+        return size >= (this.options.min ?? this.getMax()) && size <= this.getMax();
+    }
+    /**
+     * Reapply the selected state, the order badges and the button state to the current elements
+     */
+    refresh() {
+        const selected = this.get();
+        const children = this.root.c[this.name] ?? {};
+        for (const i in children) {
+            const index = selected.indexOf(children[i]);
+            let badge = children[i].html.querySelector(':scope > selection_order');
+            if (index !== -1 && children[i].args.active !== "selected") {
+                children[i].setArg("active", "selected");
+            }
+            if (index === -1 || this.getMax() < 2) {
+                badge?.remove();
+                continue;
+            }
+            if (badge === null) {
+                badge = document.createElement('selection_order');
+                badge.setAttribute("overlay", "true");
+                children[i].html.appendChild(badge);
+            }
+            badge.textContent = String(index + 1);
+        }
+        this.button?.classList.toggle("disabled", !this.isComplete());
+    }
+    // ========== Private Helper Methods ==========
+    /**
+     * Get the current maximum size of the selection
+     * @returns Maximum number of selected elements
+     * @private
+     */
+    getMax() {
+        return typeof this.options.max === 'function' ? this.options.max() : this.options.max;
+    }
+    /**
+     * Refresh the display and notify the change
+     * @param previous - Selected elements before the change
+     * @private
+     */
+    update(previous) {
+        this.refresh();
+        this.options.onChange?.(this.get(), previous);
+    }
+}
+
+/**
+ * Manages the postcard guide display and selection interface
+ *
+ * The guide appears during the guide phase and allows players to select
+ * exactly 2 postcards from a revealed set. Used in the early game round.
+ *
+ * Responsibilities:
+ *  - Displaying postcards available for selection
+ *  - Managing postcard selection state (2 postcards)
+ *  - Activating/deactivating postcards for player interaction
+ *  - Animating postcard reveal and slide-in effects
+ */
+class PostcardGuide extends GameElement {
+    // ========== Constructor ==========
+    /**
+     * Initialize the postcard guide with initial postcard data
+     * @param parent - Parent Game instance
+     * @param child_id - Element ID
+     * @param data - Initial array of postcard IDs to display (empty if none yet)
+     */
+    constructor(parent, child_id, data = []) {
+        super(parent, child_id, "postcard_guide");
+        this.selection = new Selection(this, "postcard", { max: 2 });
+        let supply = 1;
+        // Add initial postcards if provided
+        for (let i in data) {
+            new Postcard(this, data[i], false, null, supply++);
+        }
+    }
+    // ========== Public Methods ==========
+    /**
+     * Activate or deactivate all postcards in the guide for selection
+     * @param b - True to activate (default), false to deactivate
+     */
+    activatePostcards(b = true) {
+        for (const i in this.c.postcard) {
+            this.c.postcard[i].activate(b);
+        }
+    }
+    /**
+     * Animate sliding in postcards from the deck reveal
+     *
+     * Creates new postcard elements and animates them sliding in from the deck.
+     * The top card is positioned last. Properly assigns supply positions for layout.
+     *
+     * Actions:
+     *  - Creates new Postcard elements for each revealed card
+     *  - Animates each card sliding in with 1000ms duration
+     *  - Handles top card positioning separately
+     *  - Waits for animations to complete
+     *
+     * @param postcards - Array of postcard IDs to slide in
+     * @param top - ID of the top card from deck
+     * @param d - Optional reference postcard to animate from
+     * @returns Promise resolving when all animations complete
+     */
+    async slideInPostcards(postcards, top, d) {
+        let supply = 1;
         let supply_save = null;
         // Slide in all postcards except the top card
         for (const i in postcards) {
             if (postcards[i] !== top) {
                 const e = new Postcard(this, postcards[i], false, null, supply++);
-                this.game.animationManager.slideIn(e.html, d === null ? null : d.html, {
+                this.game.animationManager.slideIn(e.html, d === null ? null : d.html, this.game.animationProfile.settings({
                     duration: 800,
-                });
+                }));
             }
             else {
                 supply_save = supply++;
@@ -1317,12 +1958,108 @@ class PostcardGuide extends GameElement {
         }
         // Slide in the top card last
         const e = new Postcard(this, top, false, null, Number(supply_save));
-        this.game.animationManager.slideIn(e.html, d === null ? null : d.html, {
+        this.game.animationManager.slideIn(e.html, d === null ? null : d.html, this.game.animationProfile.settings({
             duration: 800,
-        });
-        await new Promise((resolve) => setTimeout(resolve, 800));
+        }));
+        await this.game.animationProfile.wait(800);
+    }
+}
+
+/**
+ * Region adjacency graph of the game board
+ *
+ * Mirrors the server side region adjacency (Regions::getNeighbouringRegions)
+ * and provides shortest path calculations between regions.
+ *
+ * Responsibilities:
+ *  - Storing the neighbouring regions of every region
+ *  - Calculating movement distances between regions
+ *  - Calculating shortest paths between regions
+ */
+class RegionGraph {
+    // ========== Public Methods ==========
+    /**
+     * Get the neighbouring regions of a region
+     * @param region - Region number (1-13)
+     * @returns Array of neighbouring region numbers
+     */
+    static getNeighbours(region) {
+        return RegionGraph.NEIGHBOURS[region] ?? [];
+    }
+    /**
+     * Calculate the number of moves from a region to every region (breadth-first search)
+     * @param from - Starting region number
+     * @returns Distance by region number
+     */
+    static getDistances(from) {
+        return RegionGraph.search(from).distances;
+    }
+    /**
+     * Calculate the number of moves between two regions
+     * @param from - Starting region number
+     * @param to - Destination region number
+     * @returns Number of moves, or Infinity if unreachable
+     */
+    static getDistance(from, to) {
+        return RegionGraph.getDistances(from)[to] ?? Infinity;
+    }
+    /**
+     * Calculate a shortest path between two regions
+     * @param from - Starting region number
+     * @param to - Destination region number
+     * @returns Regions of the path, excluding the start and including the destination (empty if unreachable or identical)
+     */
+    static getShortestPath(from, to) {
+        const previous = RegionGraph.search(from).previous;
+        const path = [];
+        if (from === to || previous[to] === undefined)
+            return path;
+        for (let r = to; r !== from; r = previous[r]) {
+            path.unshift(r);
+        }
+        return path;
+    }
+    // ========== Private Helper Methods ==========
+    /**
+     * Run a breadth-first search from a region
+     * @param from - Starting region number
+     * @returns Distances and predecessors by region number
+     * @private
+     */
+    static search(from) {
+        const distances = { [from]: 0 };
+        const previous = {};
+        const queue = [from];
+        while (queue.length > 0) {
+            const region = queue.shift();
+            for (const n of RegionGraph.getNeighbours(region)) {
+                if (distances[n] === undefined) {
+                    distances[n] = distances[region] + 1;
+                    previous[n] = region;
+                    queue.push(n);
+                }
+            }
+        }
+        return { distances, previous };
     }
 }
+// ========== Static Properties ==========
+/** Neighbouring regions of each region (1-13) */
+RegionGraph.NEIGHBOURS = {
+    1: [2, 3, 4, 10, 13],
+    2: [1, 3, 13],
+    3: [1, 2, 4],
+    4: [1, 3, 5, 10],
+    5: [4, 6, 8, 9, 10],
+    6: [5, 7, 8],
+    7: [6, 8],
+    8: [5, 6, 7, 9],
+    9: [5, 8, 10, 11],
+    10: [1, 4, 5, 9, 11, 13],
+    11: [9, 10, 12, 13],
+    12: [11, 13],
+    13: [1, 2, 10, 11, 12],
+};
 
 /**
  * Manages a player's postcard collection and placement spaces
@@ -1334,6 +2071,8 @@ class PostcardGuide extends GameElement {
  *  - Storing and displaying player's postcard collection
  *  - Activating/deactivating souvenir placement spaces
  *  - Activating/deactivating stamp placement spaces
+ *  - Ranking the available stamp spaces by value
+ *  - Previewing sendable postcards and matching souvenir spaces of a movement
  *  - Managing postcard animations (adding, sending)
  *  - Managing undo operations for sent postcards
  */
@@ -1378,20 +2117,77 @@ class PostcardPlayer extends GameElement {
             }
         }
     }
+    // ========== Preview Methods ==========
+    /**
+     * Preview what a movement to a region would make possible
+     *
+     * Highlights the postcards that could be sent in the region and the empty
+     * souvenir spaces matching one of the given campsite types.
+     *
+     * @param region - Region the biker would move to
+     * @param types - Campsite types of the free campsites in the region
+     */
+    previewRegion(region, types) {
+        for (const p in this.c.postcard) {
+            const postcard = this.c.postcard[p];
+            postcard.preview(postcard.getRegion() === region && postcard.hasAllStamps());
+            for (const s in postcard.c.souvenir_space) {
+                const souvenir_space = postcard.c.souvenir_space[s];
+                souvenir_space.preview(postcard.c.souvenir?.[s] === undefined && types.includes(souvenir_space.getType()));
+            }
+        }
+    }
+    /**
+     * Clear the movement preview from all postcards and souvenir spaces
+     */
+    clearPreview() {
+        for (const p in this.c.postcard) {
+            const postcard = this.c.postcard[p];
+            postcard.preview(false);
+            for (const s in postcard.c.souvenir_space) {
+                postcard.c.souvenir_space[s].preview(false);
+            }
+        }
+    }
     // ========== Stamp Space Methods ==========
     /**
      * Activate stamp placement spaces on specific postcards
      *
-     * Enables stamp spaces where players can place stamps on their postcards.
+     * Enables stamp spaces where players can place stamps on their postcards,
+     * and marks each of them with the rank of its postcard.
      *
      * @param spaces - Object mapping postcard IDs to arrays of stamp space indices
      */
     activateStampSpaces(spaces) {
+        for (const p in spaces) {
+            const rank = this.getStampRank(this.c.postcard[p]);
+            for (const s in spaces[p]) {
+                const stamp_space = this.c.postcard[p].c.stamp_space[spaces[p][s]];
+                stamp_space.activate();
+                stamp_space.setRank(rank);
+            }
+        }
+    }
+    /**
+     * Get the stamp space to use when there is only one sensible choice
+     *
+     * The choice is sensible when every available space is on the same
+     * postcard and has the same color, as they then lead to the same result.
+     *
+     * @param spaces - Object mapping postcard IDs to arrays of stamp space indices
+     * @returns The first available space, or undefined if the spaces differ
+     */
+    getOnlyStampSpace(spaces) {
+        const available = [];
         for (const p in spaces) {
             for (const s in spaces[p]) {
-                this.c.postcard[p].c.stamp_space[spaces[p][s]].activate();
+                available.push(this.c.postcard[p].c.stamp_space[spaces[p][s]]);
             }
         }
+        if (available.length === 0)
+            return undefined;
+        const first = available[0];
+        return available.every((s) => s.parent === first.parent && s.getColor() === first.getColor()) ? first : undefined;
     }
     /**
      * Deactivate all stamp placement spaces across all postcards
@@ -1421,7 +2217,7 @@ class PostcardPlayer extends GameElement {
         postcard.setArg("face", true);
         postcard.addToParent(this);
         postcard.setupFace();
-        return await this.game.animationManager.slideAndAttach(postcard.html, this.html, {
+        return await this.game.animationManager.slideAndAttach(postcard.html, this.html, this.game.animationProfile.settings({
             duration: 800,
             parallelAnimations: [
                 {
@@ -1431,7 +2227,7 @@ class PostcardPlayer extends GameElement {
                     ],
                 },
             ],
-        });
+        }));
     }
     /**
      * Activate or deactivate all postcards in the collection for interaction
@@ -1455,6 +2251,32 @@ class PostcardPlayer extends GameElement {
     undoSend(postcard, stamps, souvenirs) {
         new Postcard(this, postcard, true, { stamps, souvenirs });
     }
+    // ========== Private Helper Methods ==========
+    /**
+     * Rank the value of placing a stamp on a postcard
+     *
+     * Ranks, best first:
+     *  - 3: The stamp completes the postcard
+     *  - 2: The postcard is in or next to the region of the Biker
+     *  - 1: The postcard would advance the itinerary
+     *  - 0: Other postcards
+     *
+     * @param postcard - Postcard receiving the stamp
+     * @returns Rank 0-3
+     * @private
+     */
+    getStampRank(postcard) {
+        const area = this.parent;
+        const missing = Object.keys(postcard.c.stamp_space ?? {}).length - Object.keys(postcard.c.stamp ?? {}).length;
+        if (missing === 1)
+            return 3;
+        const biker = Number(this.game.c.board[0].c.biker[area.player_id].args.location);
+        if (RegionGraph.getDistance(biker, postcard.getRegion()) <= 1)
+            return 2;
+        if (area.c.itinerary[0].getMatchingCircle(postcard.getRegion()) !== undefined)
+            return 1;
+        return 0;
+    }
 }
 
 /**
@@ -1493,6 +2315,7 @@ class Souvenir extends GameElement {
  *  - Tracking space location for souvenir placement
  *  - Managing activation state for player selection
  *  - Providing tooltip with souvenir type and effect information
+ *  - Providing the ARIA role and label
  */
 class SouvenirSpace extends GameElement {
     // ========== Constructor ==========
@@ -1508,6 +2331,8 @@ class SouvenirSpace extends GameElement {
         $(`postcards_${this.id}`).addEventListener('click', () => this.onClick());
         // Setup tooltip
         this.setupTooltip();
+        // Setup accessibility
+        this.setupAria("button", this.game.bga.gameui.format_string(_("Souvenir space: ${t}"), { t: this.getSpaceTypeName() }));
     }
     // ========== Public Methods ==========
     /**
@@ -1522,6 +2347,54 @@ class SouvenirSpace extends GameElement {
     inactivate() {
         this.setArg("active", false);
     }
+    /**
+     * Highlight or clear this souvenir space in a movement preview
+     * @param b - True to highlight (default), false to clear
+     */
+    preview(b = true) {
+        this.setArg("preview", b);
+    }
+    /**
+     * Get the campsite type matching this souvenir space
+     * @returns Campsite type (1-8), or 0 if unknown
+     */
+    getType() {
+        return SouvenirSpace.getSpaceTypes(this.parent.child_id)[this.args.space - 1] ?? 0;
+    }
+    /**
+     * Get the campsite types of the 3 souvenir spaces of a postcard
+     * @param postcard - Postcard ID
+     * @returns Campsite types (1-8) in space order, empty if unknown
+     */
+    static getSpaceTypes(postcard) {
+        return SouvenirSpace.SPACE_TYPES[postcard] ?? [];
+    }
+    /**
+     * Get the name of a souvenir space type
+     * @param type - Campsite type (1-8)
+     * @returns Localized type name (e.g., "Gastronomy", "Shore", "Culture")
+     */
+    static getTypeName(type) {
+        switch (type) {
+            case 1:
+                return _("Sight");
+            case 2:
+                return _("History");
+            case 3:
+                return _("Culture");
+            case 4:
+                return _("Gastronomy");
+            case 5:
+                return _("Forest");
+            case 6:
+                return _("Mountain");
+            case 7:
+                return _("Shore");
+            case 8:
+                return _("Beach");
+        }
+        return '';
+    }
     // ========== Private Helper Methods ==========
     /**
      * Handle souvenir space click - places souvenir when clicked
@@ -1535,6 +2408,8 @@ class SouvenirSpace extends GameElement {
         if (this.game.bga.players.isCurrentPlayerActive() && this.args.active === true) {
             switch (this.game.bga.gameui.gamedatas.gamestate.name) {
                 case 'Souvenir':
+                    if (!this.game.touch.confirm(this))
+                        break;
                     this.game.bga.actions.performAction('actSouvenir', {
                         postcard: this.parent.child_id,
                         space: this.args.space,
@@ -1572,75 +2447,7 @@ class SouvenirSpace extends GameElement {
      * @private
      */
     getSpaceTypeName() {
-        const p = this.parent.child_id;
-        const i = this.args.space - 1;
-        const GASTRONOMY = _('Gastronomy');
-        const SHORE = _('Shore');
-        const CULTURE = _('Culture');
-        const FOREST = _('Forest');
-        const HISTORY = _('History');
-        const SIGHT = _('Sight');
-        const MOUNTAIN = _('Mountain');
-        const BEACH = _('Beach');
-        const spaceTypeMap = {
-            1: [GASTRONOMY, SHORE, CULTURE],
-            2: [FOREST, HISTORY, SIGHT],
-            3: [MOUNTAIN, GASTRONOMY, BEACH],
-            4: [SHORE, SIGHT, HISTORY],
-            5: [BEACH, SIGHT, MOUNTAIN],
-            6: [FOREST, CULTURE, GASTRONOMY],
-            7: [SHORE, GASTRONOMY, CULTURE],
-            8: [MOUNTAIN, GASTRONOMY, FOREST],
-            9: [MOUNTAIN, CULTURE, BEACH],
-            10: [BEACH, GASTRONOMY, CULTURE],
-            11: [SHORE, HISTORY, CULTURE],
-            12: [FOREST, SIGHT, MOUNTAIN],
-            13: [MOUNTAIN, SIGHT, GASTRONOMY],
-            14: [BEACH, HISTORY, SIGHT],
-            15: [SHORE, CULTURE, BEACH],
-            16: [FOREST, GASTRONOMY, SHORE],
-            17: [FOREST, HISTORY, SIGHT],
-            18: [MOUNTAIN, GASTRONOMY, SHORE],
-            19: [BEACH, CULTURE, MOUNTAIN],
-            20: [SHORE, SIGHT, HISTORY],
-            21: [BEACH, SIGHT, SHORE],
-            22: [MOUNTAIN, HISTORY, FOREST],
-            23: [FOREST, CULTURE, GASTRONOMY],
-            24: [SHORE, GASTRONOMY, HISTORY],
-            25: [MOUNTAIN, CULTURE, FOREST],
-            26: [SHORE, HISTORY, GASTRONOMY],
-            27: [BEACH, GASTRONOMY, MOUNTAIN],
-            28: [FOREST, SIGHT, CULTURE],
-            29: [BEACH, HISTORY, FOREST],
-            30: [SHORE, CULTURE, HISTORY],
-            31: [MOUNTAIN, SIGHT, BEACH],
-            32: [FOREST, GASTRONOMY, SIGHT],
-            33: [SHORE, SIGHT, HISTORY],
-            34: [FOREST, HISTORY, CULTURE],
-            35: [MOUNTAIN, GASTRONOMY, SHORE],
-            36: [BEACH, CULTURE, FOREST],
-            37: [SHORE, GASTRONOMY, HISTORY],
-            38: [BEACH, SIGHT, MOUNTAIN],
-            39: [MOUNTAIN, HISTORY, BEACH],
-            40: [FOREST, CULTURE, SIGHT],
-            41: [FOREST, SIGHT, CULTURE],
-            42: [MOUNTAIN, CULTURE, SHORE],
-            43: [SHORE, HISTORY, GASTRONOMY],
-            44: [BEACH, GASTRONOMY, FOREST],
-            45: [BEACH, HISTORY, MOUNTAIN],
-            46: [SHORE, CULTURE, GASTRONOMY],
-            47: [FOREST, GASTRONOMY, SIGHT],
-            48: [MOUNTAIN, SIGHT, FOREST],
-            49: [HISTORY, BEACH, SIGHT],
-            50: [GASTRONOMY, SHORE, CULTURE],
-            51: [FOREST, CULTURE, BEACH],
-            52: [BEACH, SIGHT, MOUNTAIN],
-        };
-        const types = spaceTypeMap[p];
-        if (!types || i < 0 || i >= types.length)
-            return '';
-        else
-            return types[i];
+        return SouvenirSpace.getTypeName(this.getType());
     }
     /**
      * Get the effect tooltip text for this souvenir based on postcard and space location
@@ -1725,6 +2532,65 @@ class SouvenirSpace extends GameElement {
         return effects[i];
     }
 }
+// ========== Static Properties ==========
+/** Campsite types of the 3 souvenir spaces of each postcard */
+SouvenirSpace.SPACE_TYPES = (() => {
+    const SIGHT = 1, HISTORY = 2, CULTURE = 3, GASTRONOMY = 4, FOREST = 5, MOUNTAIN = 6, SHORE = 7, BEACH = 8;
+    return {
+        1: [GASTRONOMY, SHORE, CULTURE],
+        2: [FOREST, HISTORY, SIGHT],
+        3: [MOUNTAIN, GASTRONOMY, BEACH],
+        4: [SHORE, SIGHT, HISTORY],
+        5: [BEACH, SIGHT, MOUNTAIN],
+        6: [FOREST, CULTURE, GASTRONOMY],
+        7: [SHORE, GASTRONOMY, CULTURE],
+        8: [MOUNTAIN, GASTRONOMY, FOREST],
+        9: [MOUNTAIN, CULTURE, BEACH],
+        10: [BEACH, GASTRONOMY, CULTURE],
+        11: [SHORE, HISTORY, CULTURE],
+        12: [FOREST, SIGHT, MOUNTAIN],
+        13: [MOUNTAIN, SIGHT, GASTRONOMY],
+        14: [BEACH, HISTORY, SIGHT],
+        15: [SHORE, CULTURE, BEACH],
+        16: [FOREST, GASTRONOMY, SHORE],
+        17: [FOREST, HISTORY, SIGHT],
+        18: [MOUNTAIN, GASTRONOMY, SHORE],
+        19: [BEACH, CULTURE, MOUNTAIN],
+        20: [SHORE, SIGHT, HISTORY],
+        21: [BEACH, SIGHT, SHORE],
+        22: [MOUNTAIN, HISTORY, FOREST],
+        23: [FOREST, CULTURE, GASTRONOMY],
+        24: [SHORE, GASTRONOMY, HISTORY],
+        25: [MOUNTAIN, CULTURE, FOREST],
+        26: [SHORE, HISTORY, GASTRONOMY],
+        27: [BEACH, GASTRONOMY, MOUNTAIN],
+        28: [FOREST, SIGHT, CULTURE],
+        29: [BEACH, HISTORY, FOREST],
+        30: [SHORE, CULTURE, HISTORY],
+        31: [MOUNTAIN, SIGHT, BEACH],
+        32: [FOREST, GASTRONOMY, SIGHT],
+        33: [SHORE, SIGHT, HISTORY],
+        34: [FOREST, HISTORY, CULTURE],
+        35: [MOUNTAIN, GASTRONOMY, SHORE],
+        36: [BEACH, CULTURE, FOREST],
+        37: [SHORE, GASTRONOMY, HISTORY],
+        38: [BEACH, SIGHT, MOUNTAIN],
+        39: [MOUNTAIN, HISTORY, BEACH],
+        40: [FOREST, CULTURE, SIGHT],
+        41: [FOREST, SIGHT, CULTURE],
+        42: [MOUNTAIN, CULTURE, SHORE],
+        43: [SHORE, HISTORY, GASTRONOMY],
+        44: [BEACH, GASTRONOMY, FOREST],
+        45: [BEACH, HISTORY, MOUNTAIN],
+        46: [SHORE, CULTURE, GASTRONOMY],
+        47: [FOREST, GASTRONOMY, SIGHT],
+        48: [MOUNTAIN, SIGHT, FOREST],
+        49: [HISTORY, BEACH, SIGHT],
+        50: [GASTRONOMY, SHORE, CULTURE],
+        51: [FOREST, CULTURE, BEACH],
+        52: [BEACH, SIGHT, MOUNTAIN],
+    };
+})();
 
 /**
  * Represents a single stamp token placed on a postcard
@@ -1751,1000 +2617,1217 @@ class Stamp extends GameElement {
 }
 
 /**
- * Represents a single stamp placement space on a postcard
+ * Manages the bonus actions interface for the current player
  *
- * Each postcard has multiple stamp spaces where players can place stamp tokens.
- * Stamps are required to send postcards and have colors matching travel cards.
+ * Displays four travel option buttons representing bonus actions that can be
+ * performed during the game: Movement, Postcard, Camp, and Stamp.
  *
  * Responsibilities:
- *  - Displaying stamp placement space on postcard
- *  - Handling click interactions for stamp placement
- *  - Tracking space location for stamp placement
- *  - Managing activation state for player selection
+ *  - Creating and displaying bonus action travel option buttons
+ *  - Activating/deactivating available bonus actions
+ *  - Managing bonus action counter display
  */
-class StampSpace extends GameElement {
+class BonusActions extends GameElement {
     // ========== Constructor ==========
     /**
-     * Initialize a stamp space on a postcard
-     * @param parent - Parent Postcard instance
+     * Initialize the bonus actions interface with four travel options
+     * @param parent - Parent PlayerArea instance
      * @param child_id - Element ID
-     * @param space - Space location number on the postcard
+     * @param bonus_actions - Optional bonus actions data containing counter values
      */
-    constructor(parent, child_id, space) {
-        super(parent, child_id, "stamp_space", { space });
-        // Register click handler
-        $(`postcards_${this.id}`).addEventListener('click', () => this.onClick());
+    constructor(parent, child_id, bonus_actions = null) {
+        super(parent, child_id, "bonus_actions");
+        if (bonus_actions !== null) {
+            // Create travel options with counter data
+            new TravelOption(this, 1, 1, 'move_bonus_counter', bonus_actions.move_bonus_counter);
+            new TravelOption(this, 2, 2, 'postcard_bonus_counter', bonus_actions.postcard_bonus_counter);
+            new TravelOption(this, 3, 3, 'camp_bonus_counter', bonus_actions.camp_bonus_counter);
+            new TravelOption(this, 4, 4, 'stamp_bonus_counter', bonus_actions.stamp_bonus_counter);
+        }
+        else {
+            // Create travel options without counter data
+            new TravelOption(this, 1, 1, 'move_bonus_counter');
+            new TravelOption(this, 2, 2, 'postcard_bonus_counter');
+            new TravelOption(this, 3, 3, 'camp_bonus_counter');
+            new TravelOption(this, 4, 4, 'stamp_bonus_counter');
+        }
     }
     // ========== Public Methods ==========
     /**
-     * Activate this stamp space for stamp placement
+     * Activate available bonus actions based on game state
+     *
+     * Only activates bonus actions that are currently available:
+     *  - Position 1: Movement bonus (if available)
+     *  - Position 2: Postcard bonus (if available)
+     *  - Position 3: Camp bonus (if available)
+     *  - Position 4: Stamp bonus (not checked, always available if conditions met)
      */
-    activate() {
-        this.setArg("active", true);
+    activateBonusActions() {
+        if (this.game.possible_actions?.bonus.move) {
+            this.c.travel_option[1].activate();
+        }
+        if (this.game.possible_actions?.bonus.postcard) {
+            this.c.travel_option[2].activate();
+        }
+        if (this.game.possible_actions?.bonus.camp) {
+            this.c.travel_option[3].activate();
+        }
     }
     /**
-     * Deactivate this stamp space
+     * Deactivate all bonus actions
+     *
+     * Disables all three bonus action buttons (Move, Postcard, Camp).
+     * Note: Stamp bonus (position 4) is not deactivated here.
      */
-    inactivate() {
-        this.setArg("active", false);
+    inactivateBonusActions() {
+        this.c.travel_option[1].activate(false);
+        this.c.travel_option[2].activate(false);
+        this.c.travel_option[3].activate(false);
+    }
+}
+
+/**
+ * Represents an action option button for Travel cards
+ *
+ * Displayed when a Travel card is selected, showing available actions:
+ * - Specific action type (Movement, Postcard, Camp) or stamp color
+ * - Used for bonus actions, double actions, and action selection
+ *
+ * Responsibilities:
+ *  - Displaying action option buttons
+ *  - Handling click interactions for action selection
+ *  - Managing optional counter display
+ *  - Tracking action availability
+ *  - Providing the ARIA role and label
+ */
+class TravelOption extends GameElement {
+    // ========== Constructor ==========
+    /**
+     * Initialize a travel option button
+     * @param parent - Parent element (Travel, DoubleActions, or BonusActions)
+     * @param child_id - Element ID
+     * @param type - Option type (1-4 for actions, 5-8 for colors)
+     * @param counter - Optional counter name for tracking
+     * @param n - Optional initial counter value
+     */
+    constructor(parent, child_id, type, counter = null, n = 0) {
+        super(parent, child_id, "travel_option", { type });
+        // ========== Properties ==========
+        /** Optional counter for tracking remaining uses (bonus actions, etc.) */
+        this.counter = null;
+        // Register click handler
+        $(`postcards_${this.id}`).addEventListener("click", () => this.onClick());
+        // Setup counter if provided
+        if (counter !== null) {
+            this.setupCounter(counter, n ?? 0);
+        }
+        // Setup accessibility
+        this.setupAria("button", this.getLabel());
+    }
+    // ========== Public Methods ==========
+    /**
+     * Setup counter display for this option
+     *
+     * Creates a counter element showing remaining uses of this action.
+     * Automatically sets count display based on counter value.
+     *
+     * @param counter - Counter table name to track
+     * @param n - Initial counter value
+     */
+    setupCounter(counter, n) {
+        const c = document.createElement("counter");
+        this.html.appendChild(c);
+        this.counter = new ebg.counter();
+        this.counter.create(c, {
+            value: n,
+            tableCounter: counter,
+        });
+        // Set count display based on counter value
+        if (this.game.bga.players.isCurrentPlayerActive()) {
+            if (n >= 2) {
+                this.setArg("count", 2);
+            }
+            else if (n === 1) {
+                this.setArg("count", 1);
+            }
+            else {
+                this.setArg("count", 0);
+            }
+        }
+        else {
+            this.setArg("count", 0);
+        }
+    }
+    /**
+     * Activate or deactivate this option for interaction
+     * @param b - True to activate (default), false to deactivate
+     */
+    activate(b = true) {
+        this.setArg("active", b);
+    }
+    // ========== Protected Methods ==========
+    /**
+     * Options of a selected Travel card and of the double action have no
+     * active argument until they are explicitly deactivated
+     * @returns True if the option can be clicked
+     */
+    isEnabled() {
+        if (this.parent instanceof BonusActions)
+            return this.args.active === true;
+        return this.args.active !== false;
     }
     // ========== Private Helper Methods ==========
     /**
-     * Handle stamp space click - places stamp when clicked
+     * Get the accessible label of this option
+     * @returns Localized label (e.g., "Movement", "Stamp: Blue")
+     * @private
+     */
+    getLabel() {
+        const type = this.args.type;
+        const label = type <= 4
+            ? Travel.getActionName(type)
+            : this.game.bga.gameui.format_string(_("Stamp: ${color}"), { color: Travel.getColorName(type - 4) });
+        return this.parent instanceof BonusActions
+            ? this.game.bga.gameui.format_string(_("Bonus action: ${action}"), { action: label })
+            : label;
+    }
+    /**
+     * Handle option click - performs appropriate action based on parent context
      *
-     * During Stamp phase:
-     *  - Click: Place stamp on this space
+     * Actions vary by parent type:
+     *  - Travel: Perform action using travel card (by type or color)
+     *  - BonusActions: Perform bonus action
+     *  - DoubleActions: Perform double action with two travel cards
      *
      * @private
      */
     async onClick() {
-        if (this.game.bga.players.isCurrentPlayerActive() && this.args.active === true) {
-            switch (this.game.bga.gameui.gamedatas.gamestate.name) {
-                case 'Stamp':
-                    this.game.bga.actions.performAction('actStamp', {
-                        postcard: this.parent.child_id,
-                        space: this.args.space,
+        switch (this.game.bga.gameui.gamedatas.gamestate.name) {
+            case "Action":
+                if (this.parent instanceof Travel) {
+                    // Travel card action: check if specific action (1-3) or stamp color (4+)
+                    if (this.args.type <= 3) {
+                        this.game.bga.actions.performAction("actActionTravel", {
+                            travel: this.parent.child_id,
+                        });
+                    }
+                    else {
+                        this.game.bga.actions.performAction("actActionTravelColor", {
+                            travel: this.parent.child_id,
+                        });
+                    }
+                    break;
+                }
+                else if (this.parent instanceof BonusActions && this.args.active) {
+                    // Bonus action
+                    this.game.bga.actions.performAction("actActionBonus", {
+                        type: this.args.type,
                     });
                     break;
-            }
+                }
+                else if (this.parent instanceof DoubleActions) {
+                    // Double action: two travel cards
+                    const [travel_1, travel_2] = this.parent.parent.selection.get();
+                    this.game.bga.actions.performAction("actActionDouble", {
+                        travel_1: travel_1?.child_id,
+                        travel_2: travel_2?.child_id,
+                        type: this.args.type,
+                    });
+                    break;
+                }
         }
     }
 }
 
 /**
- * Represents a single postcard in the game
+ * Manages the double action selection interface
  *
- * Postcards are collected during the game and sent for points. Each postcard
- * shows a region, stamp requirement, and scoring value. Players can add stamps
- * and souvenirs to postcards.
+ * Provides four travel option buttons that allow the player to select
+ * two travel cards to play as a double action combination.
  *
  * Responsibilities:
- *  - Displaying postcard with region and stamp information
- *  - Managing stamp and souvenir placement spaces
- *  - Handling postcard selection and interaction
- *  - Managing postcard animations (adding stamps, souvenirs)
- *  - Providing tooltip with detailed card information
+ *  - Creating and displaying travel option buttons
+ *  - Allowing selection of dual actions from hand
  */
-class Postcard extends GameElement {
+class DoubleActions extends GameElement {
     // ========== Constructor ==========
     /**
-     * Initialize a postcard
-     * @param parent - Parent container (PostcardSupply, PostcardGuide, or PostcardPlayer)
-     * @param child_id - Postcard ID
-     * @param face - Whether postcard is face-up (true) or face-down (false)
-     * @param data - Optional postcard data (stamps and souvenirs)
-     * @param supply - Optional supply position for layout (1 = top/deck, 2+ = row)
+     * Initialize the double actions interface with four travel options
+     * @param parent - Parent Hand instance
+     * @param child_id - Element ID
      */
-    constructor(parent, child_id, face, data = null, supply = null) {
-        if (supply === null) {
-            super(parent, child_id, "postcard", { type: child_id, face });
-        }
-        else {
-            super(parent, child_id, "postcard", { type: child_id, face, supply });
-        }
+    constructor(parent, child_id) {
+        super(parent, child_id, "double_actions");
+        // Create four travel option buttons (1-4)
+        new TravelOption(this, 1, 1);
+        new TravelOption(this, 2, 2);
+        new TravelOption(this, 3, 3);
+        new TravelOption(this, 4, 4);
+    }
+    // ========== Methods ==========
+    activate(postcard, camp, stamp) {
+        (this.c.travel_option?.[2]).activate(postcard);
+        (this.c.travel_option?.[3]).activate(camp);
+        (this.c.travel_option?.[4]).activate(stamp);
+    }
+}
+
+/**
+ * Represents a single region on the game board
+ *
+ * Regions are locations where players move their bikers and place camps.
+ * Each region can be activated for selection during movement or camp placement.
+ *
+ * Responsibilities:
+ *  - Displaying region on the board
+ *  - Managing biker presence indicator
+ *  - Handling click interactions for region selection
+ *  - Selecting the destination of the route planner
+ *  - Previewing the movement destination on hover
+ *  - Tracking region activation state
+ *  - Providing the ARIA role and label
+ */
+class Region extends GameElement {
+    // ========== Constructor ==========
+    /**
+     * Initialize a region on the board
+     * @param parent - Parent Board instance
+     * @param child_id - Element ID
+     * @param type - Region type/number (1-13)
+     */
+    constructor(parent, child_id, type) {
+        super(parent, child_id, "region", { type, active: false });
         // Register click handler
         this.html.addEventListener('click', () => this.onClick());
-        // Setup face-up display or tooltip for face-down
-        if (face) {
-            this.setupFace(data?.stamps, data?.souvenirs);
-        }
-        else {
-            this.setupTooltip();
+        // Setup accessibility (region 0 is not a playable region)
+        if (child_id !== 0) {
+            this.setupAria("button", this.game.bga.gameui.format_string(_("Region ${n}"), { n: String(type) }));
         }
+        // Register movement preview handlers
+        this.html.addEventListener('mouseenter', () => this.onMouseEnter());
+        this.html.addEventListener('mouseleave', () => this.onMouseLeave());
     }
     // ========== Public Methods ==========
     /**
-     * Activate or deactivate this postcard for interaction
+     * Mark this region as containing the biker
+     */
+    setBiker() {
+        this.setArg("active", "biker");
+    }
+    /**
+     * Activate or deactivate this region for selection
      * @param b - True to activate (default), false to deactivate
      */
     activate(b = true) {
         this.setArg("active", b);
     }
+    // ========== Private Helper Methods ==========
     /**
-     * Setup face-up display with stamps, souvenirs, and spaces
+     * Handle region click - moves biker to region when clicked
      *
-     * Actions:
-     *  - Creates souvenir tokens from initial data
-     *  - Creates souvenir space indicators
-     *  - Creates stamp tokens from initial data
-     *  - Creates stamp space indicators based on postcard type
-     *  - Sets up tooltip
+     * During Move phase:
+     *  - Click: Move biker to this region
      *
-     * @param stamps - Array of initial stamp locations
-     * @param souvenirs - Array of initial souvenir locations
+     * Otherwise (not a spectator):
+     *  - Click: Plan a route to this region (click again to clear it)
+     *
+     * @private
      */
-    setupFace(stamps = [], souvenirs = []) {
-        // Create initial souvenirs
-        for (const i in souvenirs) {
-            new Souvenir(this, souvenirs[i], souvenirs[i]);
-        }
-        // Create souvenir spaces (always 3)
-        for (let i = 1; i <= 3; i++) {
-            new SouvenirSpace(this, i, i);
+    async onClick() {
+        if (this.args.active === true) {
+            switch (this.game.bga.gameui.gamedatas.gamestate.name) {
+                case 'Move':
+                    if (!this.game.touch.confirm(this))
+                        break;
+                    this.game.bga.actions.performAction('actMove', { region: this.args.type });
+                    break;
+            }
         }
-        // Create initial stamps
-        for (const i in stamps) {
-            new Stamp(this, stamps[i], stamps[i]);
+        else if (this.child_id !== 0 && !this.game.bga.players.isCurrentPlayerSpectator()) {
+            this.parent.route_planner.plan(this.child_id);
         }
-        // Create stamp spaces based on postcard type
-        this.setupStampSpaces();
-        // Setup tooltip
-        this.setupTooltip();
     }
     /**
-     * Animate adding a souvenir to the postcard
+     * Handle region hover - previews the movement destination
      *
-     * Creates souvenir token and animates it spinning in from the supply.
+     * During Move phase:
+     *  - Hover: Highlight the free campsites of this region, the postcards
+     *    that could be sent here and the souvenir spaces they would match
      *
-     * @param location - Souvenir space location to add to
-     * @returns Promise resolving when animation completes
+     * @private
      */
-    async addSouvenir(location) {
-        new Souvenir(this, location, location);
-        return await this.game.animationManager.slideIn(this.c.souvenir[location].html, this.game.c.board[0].c.stamp_supply[0].html, {
-            duration: 800,
-            fromPlaceholder: "off",
-            toPlaceholder: "off",
-            ignoreRotation: false,
-            parallelAnimations: [
-                {
-                    keyframes: [
-                        { transform: 'rotate(630deg)', opacity: 0 },
-                        { transform: 'rotate(270deg)', opacity: 1 },
-                        { transform: 'rotate(-90deg)', opacity: 1 },
-                    ],
-                },
-            ],
-        });
+    onMouseEnter() {
+        if (this.args.active === true && this.game.bga.gameui.gamedatas.gamestate.name === 'Move') {
+            this.parent.previewRegion(this.args.type);
+        }
     }
     /**
-     * Animate removing a souvenir from the postcard
-     *
-     * Animates souvenir spinning out to the supply and removes it.
-     *
-     * @param space - Souvenir space location to remove from
-     * @returns Promise resolving when animation completes
+     * Handle region hover end - clears the movement preview
+     * @private
      */
-    async removeSouvenir(space) {
-        return await this.game.animationManager
-            .fadeOutAndDestroy(this.c.souvenir[space].html, this.game.c.board[0].c.stamp_supply[0].html, {
-            duration: 800,
-            ignoreRotation: false,
-            parallelAnimations: [
-                {
-                    keyframes: [
-                        { transform: 'rotate(-90deg)' },
-                        { transform: 'rotate(270deg)' },
-                        { transform: 'rotate(630deg)' },
-                    ],
-                },
-            ],
-        })
-            .then(() => {
-            delete this.c.souvenir[space];
-        });
+    onMouseLeave() {
+        if (this.args.active === true) {
+            this.parent.clearRegionPreview();
+        }
     }
+}
+
+/**
+ * Represents a single campsite on the game board
+ *
+ * Campsites are locations where players place camp tokens. Each campsite has a type
+ * matching souvenir types, and only one camp token can be placed per site.
+ * Completing all campsites in a region grants bonus points.
+ *
+ * Responsibilities:
+ *  - Displaying campsite with type information
+ *  - Handling click interactions for camp placement
+ *  - Tracking campsite location and region
+ *  - Highlighting the campsite in movement previews
+ *  - Providing tooltip with campsite rules and scoring
+ *  - Providing the ARIA role and label
+ */
+class Campsite extends GameElement {
+    // ========== Constructor ==========
     /**
-     * Animate adding a stamp to the postcard
-     *
-     * Creates stamp token and animates it spinning in from the supply.
-     *
-     * @param location - Stamp space location to add to
-     * @returns Promise resolving when animation completes
+     * Initialize a campsite on the board
+     * @param parent - Parent Board instance
+     * @param child_id - Element ID
+     * @param type - Campsite type (1-8, matching souvenir types)
+     * @param region - Region number containing this campsite
+     * @param location - Campsite location within the region
      */
-    async addStamp(location) {
-        new Stamp(this, location, location);
-        return await this.game.animationManager.slideIn(this.c.stamp[location].html, this.game.c.board[0].c.stamp_supply[0].html, {
-            duration: 800,
-            ignoreRotation: false,
-            parallelAnimations: [
-                {
-                    keyframes: [
-                        { transform: 'rotate(720deg)', opacity: 0 },
-                        { transform: 'rotate(360deg)', opacity: 1 },
-                        { transform: 'rotate(0deg)', opacity: 1 },
-                    ],
-                },
-            ],
-        });
+    constructor(parent, child_id, type, region, location) {
+        super(parent, child_id, "campsite", { type, region, location, active: false });
+        // Register click handler
+        this.html.addEventListener('click', () => this.onClick());
+        // Setup tooltip
+        this.setupTooltip();
+        // Setup accessibility
+        this.setupAria("button", this.game.bga.gameui.format_string(_("Campsite: ${t}, region ${r}"), {
+            t: this.getCampsiteTypeName(),
+            r: String(region),
+        }));
+    }
+    // ========== Public Methods ==========
+    /**
+     * Activate or deactivate this campsite for camp placement
+     * @param b - True to activate (default), false to deactivate
+     */
+    activate(b = true) {
+        this.setArg("active", b);
     }
     /**
-     * Animate removing a stamp from the postcard
-     *
-     * Animates stamp spinning out to the supply and removes it.
-     *
-     * @param space - Stamp space location to remove from
-     * @returns Promise resolving when animation completes
+     * Highlight or clear this campsite in a movement preview
+     * @param b - True to highlight (default), false to clear
      */
-    async removeStamp(space) {
-        return await this.game.animationManager
-            .fadeOutAndDestroy(this.c.stamp[space].html, this.game.c.board[0].c.stamp_supply[0].html, {
-            duration: 800,
-            ignoreRotation: false,
-            parallelAnimations: [
-                {
-                    keyframes: [
-                        { transform: 'rotate(0deg)' },
-                        { transform: 'rotate(360deg)' },
-                        { transform: 'rotate(720deg)' },
-                    ],
-                },
-            ],
-        })
-            .then(() => {
-            delete this.c.stamp[space];
-        });
+    preview(b = true) {
+        this.setArg("preview", b);
     }
     // ========== Private Helper Methods ==========
     /**
-     * Handle postcard click - manages interaction based on context
+     * Handle campsite click - places camp when clicked
      *
-     * During Action phase: Send postcard from player area
-     * During Postcard phase: Take postcard from supply
-     * During Guide phase: Select postcard with guide selection logic
+     * During Camp phase:
+     *  - Click: Place camp on this campsite
      *
      * @private
      */
-    onClick() {
-        if (this.game.bga.players.isCurrentPlayerActive() &&
-            (this.args.active === true || this.args.active === "selected")) {
+    async onClick() {
+        if (this.args.active === true) {
             switch (this.game.bga.gameui.gamedatas.gamestate.name) {
-                case 'Action':
-                    if (this.parent instanceof PostcardPlayer) {
-                        this.game.bga.actions.performAction('actSend', {
-                            postcard: this.args.type,
-                        });
-                    }
-                    break;
-                case 'Postcard':
-                    if (this.parent instanceof PostcardSupply) {
-                        this.game.bga.actions.performAction('actPostcard', {
-                            postcard: this.args.type,
-                        });
-                    }
-                    break;
-                case 'Guide':
-                    if (this.parent instanceof PostcardGuide) {
-                        if (this.parent.selected_1 === undefined) {
-                            this.setArg("active", "selected");
-                            this.parent.selected_1 = this;
-                        }
-                        else if (this.parent.selected_1 === this &&
-                            this.parent.selected_2 === undefined) {
-                            this.setArg("active", true);
-                            this.parent.selected_1 = undefined;
-                        }
-                        else if (this.parent.selected_1 === this) {
-                            this.game.takeButton.classList.add("disabled");
-                            this.setArg("active", true);
-                            this.parent.selected_1 = this.parent.selected_2;
-                            this.parent.selected_2 = undefined;
-                        }
-                        else if (this.parent.selected_2 === this) {
-                            this.game.takeButton.classList.add("disabled");
-                            this.setArg("active", true);
-                            this.parent.selected_2 = undefined;
-                        }
-                        else if (this.parent.selected_2 === undefined) {
-                            this.game.takeButton.classList.remove("disabled");
-                            this.setArg("active", "selected");
-                            this.parent.selected_2 = this;
-                        }
-                        else {
-                            this.parent.selected_1.setArg("active", true);
-                            this.parent.selected_1 = this.parent.selected_2;
-                            this.setArg("active", "selected");
-                            this.parent.selected_2 = this;
-                        }
-                    }
+                case 'Camp':
+                    if (!this.game.touch.confirm(this))
+                        break;
+                    this.game.bga.actions.performAction('actCamp', {
+                        campsite: this.args.location,
+                    });
                     break;
             }
         }
     }
     /**
-     * Create stamp spaces based on postcard type
+     * Setup tooltip with campsite information and rules
      *
-     * Different postcard types have different numbers of stamp spaces:
-     *  - Type 0 (mod 4): 3 spaces
-     *  - Type 1 (mod 4): 4 spaces
-     *  - Type 2 (mod 4): 5 spaces
-     *  - Type 3 (mod 4): 6 spaces
+     * Displays:
+     *  - Campsite type
+     *  - Rules about camp placement
+     *  - Best traveler bonus scoring
      *
      * @private
      */
-    setupStampSpaces() {
-        let stamp_space = [];
-        const n = (this.args.type - 1) % 4;
-        switch (n) {
-            case 0:
-                stamp_space = [1, 2, 3];
-                break;
-            case 1:
-                stamp_space = [2, 3, 5, 6];
-                break;
-            case 2:
-                stamp_space = [1, 2, 3, 5, 6];
-                break;
-            case 3:
-                stamp_space = [1, 2, 3, 4, 5, 6];
-                break;
-        }
-        for (const i in stamp_space) {
-            new StampSpace(this, stamp_space[i], stamp_space[i]);
-        }
+    setupTooltip() {
+        this.game.bga.gameui.addTooltipHtml(`postcards_${this.id}`, `<tooltip>
+				<h3>${_("Campsite")}</h3>
+				<p>${this.game.bga.gameui.format_string(_("<b>Type:</b> ${t}"), {
+            t: this.getCampsiteTypeName(),
+        })}</p>
+				<p>${_("There can only be 1 Camp token per campsite.")}</p>
+				<p>${_("You can place a Camp token on a campsite even if you don't have an available Souvenir space that matches it. However, when doing so, you don't place a Souvenir token.")}</p>
+				<h4>${_("Best Traveler In The Region")}</h4>
+				<p>${_("If a player manages to place their Camp tokens on ALL the campsites in a region, they become known as the best traveler in that region! That player immediately scores 1 point per Camp token they have placed there.")}</p>
+			</tooltip>`);
     }
     /**
-     * Setup tooltip with postcard information
+     * Get the campsite type name based on type number
      *
-     * Displays:
-     *  - Face-down: Region indicator and stamp requirement information
-     *  - Face-up: Sending rules, points, and gift selection
+     * Maps type numbers to localized souvenir/campsite type names.
      *
+     * @returns Localized campsite type name
      * @private
      */
-    setupTooltip() {
-        this.game.bga.gameui.addTooltipHtml(`postcards_${this.id}`, `<tooltip>
-				<h3>${_("Postcard")}</h3>
-				${!this.args.face
-            ? `<p>${_("The number in the upper-left corner of a Postcard indicates its region. The one in the upper-right corner indicates the amount of Stamps required to send that Postcard.")}</p>`
-            : `<p>${_("In addition to playing your 3 Travel cards, you can send a Postcard at any time during your turn if: all the Stamp spaces on that Postcard are filled AND you are in the region indicated on that Postcard.")}</p>
-						<p>${_("When sending a Postcard, return all tokens on it to the supply, then immediately score the points indicated in its bottom-right corner and choose 1 Gift card.")}</p>
-						<p><i>${_("<b>Note:</b> You can send multiple Postcards during your turn.")}</i></p>`}
-			</tooltip>`);
+    getCampsiteTypeName() {
+        switch (this.args.type) {
+            case 1:
+                return _("Sight");
+            case 2:
+                return _("History");
+            case 3:
+                return _("Culture");
+            case 4:
+                return _("Gastronomy");
+            case 5:
+                return _("Forest");
+            case 6:
+                return _("Mountain");
+            case 7:
+                return _("Shore");
+            case 8:
+                return _("Beach");
+        }
+        return '';
     }
 }
 
 /**
- * Manages the postcard supply display and interactions
+ * Lets the current player play Travel cards from their hand by drag and drop
+ *
+ * Dropping a card on a target plays its action with the same calls as the
+ * Travel option buttons, then performs the follow-up action on the target
+ * when the resulting state is entered:
+ *  - Matching color Stamp space: Stamp action, then place the Stamp there
+ *  - Region next to the Biker: Movement action, then move there
+ *  - Postcard in the supply: Postcard action, then take that Postcard
+ *  - Free campsite in the Biker's region: Camp action, then camp there
+ *  - Another Travel card of the hand: select both cards for a double action
  *
  * Responsibilities:
- *  - Displaying postcards available for taking from the supply
- *  - Activating/deactivating postcards for player selection
- *  - Rearranging supply row when postcards are taken
- *  - Handling supply discard operations
- *  - Managing postcard counters (optional based on user preferences)
- *  - Managing top card of the postcard deck
+ *  - Computing and highlighting the valid drop targets of a dragged card
+ *  - Playing the Travel card action on drop
+ *  - Performing the follow-up action when its state is entered
  */
-class PostcardSupply extends GameElement {
+class TravelDrag {
     // ========== Constructor ==========
     /**
-     * Initialize the postcard supply with initial data
-     * @param parent - Parent Game instance
-     * @param child_id - Element ID
-     * @param data - Initial supply data containing deck card and row postcards
+     * Initialize drag and drop for the cards of a hand
+     * @param hand - Current player's hand
+     */
+    constructor(hand) {
+        /** Valid drop targets of the dragged card */
+        this.targets = [];
+        this.hand = hand;
+        this.game = hand.game;
+        this.hand.html.addEventListener('dragstart', (e) => this.onDragStart(e));
+        this.hand.html.addEventListener('dragend', () => this.clearTargets());
+        this.game.html.addEventListener('dragover', (e) => {
+            if (this.getTarget(e) !== undefined)
+                e.preventDefault();
+        });
+        this.game.html.addEventListener('drop', (e) => this.onDrop(e));
+    }
+    // ========== Public Methods ==========
+    /**
+     * Perform the follow-up action of the last drop if the entered state is the expected one
+     *
+     * The pending action is dropped in any case, and skipped if the state
+     * arguments no longer allow it.
+     *
+     * @param stateName - Name of the entered state
+     * @param args - State arguments
      */
-    constructor(parent, child_id, data) {
-        super(parent, child_id, "postcard_supply", { count: 3 });
-        let supply = 1;
-        // Add deck card if present
-        if (data.deck !== null) {
-            new Postcard(this, data.deck, false, null, supply++);
+    resume(stateName, args) {
+        const pending = this.pending;
+        delete this.pending;
+        delete this.resumed;
+        if (pending === undefined || pending.state !== stateName || !this.game.bga.players.isCurrentPlayerActive())
+            return;
+        switch (stateName) {
+            case 'Move':
+                if (!args?.regions?.map(Number).includes(pending.args.region))
+                    return;
+                break;
+            case 'Camp':
+                if (!args?.campsites?.map(Number).includes(pending.args.campsite))
+                    return;
+                break;
+            case 'Stamp':
+                if (!args?.spaces?.[pending.args.postcard]?.map(Number).includes(pending.args.space))
+                    return;
+                break;
         }
-        else {
-            supply++;
+        this.resumed = stateName;
+        this.game.bga.actions.performAction(pending.action, pending.args);
+    }
+    /**
+     * Whether a follow-up action was performed when entering a state
+     * @param stateName - Name of the state
+     * @returns True if the last entered state is the given one and a drop action was performed in it
+     */
+    hasResumed(stateName) {
+        return this.resumed === stateName;
+    }
+    // ========== Private Helper Methods ==========
+    /**
+     * Handle the start of a drag - highlights the valid targets of the card
+     * @param e - Drag event
+     * @private
+     */
+    onDragStart(e) {
+        const travel = Object.values(this.hand.c.travel ?? {}).find((t) => t.html === e.target);
+        if (travel === undefined ||
+            this.game.bga.gameui.gamedatas.gamestate.name !== 'Action' ||
+            this.game.planner.isPlanning() ||
+            !this.game.bga.players.isCurrentPlayerActive() ||
+            (travel.args.active !== true && travel.args.active !== "selected")) {
+            e.preventDefault();
+            return;
         }
-        // Add supply row postcards
-        for (let i in data.row) {
-            new Postcard(this, data.row[i], false, null, supply++);
+        this.dragged = travel;
+        this.targets = this.getTargets(travel);
+        for (const t of this.targets) {
+            t.setArg("drop", true);
         }
-        // Create optional counters if user preference is enabled
-        if (this.game.bga.userPreferences.get(101) === 1) {
-            const postcards_counter_html = document.createElement("postcards_counter");
-            this.html.appendChild(postcards_counter_html);
-            this.postcards_counter = new ebg.counter();
-            this.postcards_counter.create(postcards_counter_html, {
-                value: data.postcards_counter,
-                tableCounter: 'postcards_counter'
-            });
-            const postcards_discard_counter_html = document.createElement("postcards_discard_counter");
-            this.html.appendChild(postcards_discard_counter_html);
-            this.postcards_discard_counter = new ebg.counter();
-            this.postcards_discard_counter.create(postcards_discard_counter_html, {
-                value: data.postcards_discard_counter,
-                tableCounter: 'postcards_discard_counter'
+        e.dataTransfer?.setData('text/plain', String(travel.child_id));
+    }
+    /**
+     * Handle a drop - plays the dragged card on the target
+     * @param e - Drag event
+     * @private
+     */
+    onDrop(e) {
+        const target = this.getTarget(e);
+        const travel = this.dragged;
+        this.clearTargets();
+        if (target === undefined || travel === undefined)
+            return;
+        e.preventDefault();
+        if (target instanceof Travel) {
+            this.hand.selectDouble(target, travel);
+        }
+        else if (target instanceof StampSpace) {
+            this.play('actActionTravelColor', travel, {
+                state: 'Stamp',
+                action: 'actStamp',
+                args: { postcard: target.parent.child_id, space: target.args.space },
             });
         }
-        // Set initial count display
-        if (data.postcards_counter === 2) {
-            this.setArg("count", 2);
+        else if (target instanceof Region) {
+            this.play('actActionTravel', travel, { state: 'Move', action: 'actMove', args: { region: target.args.type } });
         }
-        else if (data.postcards_counter === 1 || data.postcards_counter === 0) {
-            this.setArg("count", 1);
+        else if (target instanceof Postcard) {
+            this.play('actActionTravel', travel, { state: 'Postcard', action: 'actPostcard', args: { postcard: target.args.type } });
+        }
+        else if (target instanceof Campsite) {
+            this.play('actActionTravel', travel, { state: 'Camp', action: 'actCamp', args: { campsite: target.args.location } });
         }
     }
-    // ========== Public Methods ==========
     /**
-     * Animate adding a postcard to the supply
-     *
-     * Actions:
-     *  - Sets postcard to face-down
-     *  - Adds postcard as child of supply
-     *  - Rearranges supply row to accommodate new card
-     *  - Animates postcard flip and positioning
-     *
-     * @param postcard - Postcard to add
-     * @returns Promise resolving when animation completes
+     * Play a single Travel card and remember the follow-up action
+     * @param action - Travel card action (actActionTravel or actActionTravelColor)
+     * @param travel - Card to play
+     * @param pending - Follow-up action
+     * @private
      */
-    async addPostcard(postcard) {
-        postcard.setArg("face", false);
-        postcard.addToParent(this);
-        this.rearrangeSupplyRow();
-        return await this.game.animationManager.slideAndAttach(postcard.html, this.html, {
-            duration: 800,
-            parallelAnimations: [
-                {
-                    keyframes: [
-                        { transform: 'rotate(-90deg) rotateX(0deg)' },
-                        { transform: 'rotate(0deg) rotateX(180deg)' },
-                    ],
-                },
-            ],
-        });
+    play(action, travel, pending) {
+        this.pending = pending;
+        this.game.bga.actions.performAction(action, { travel: travel.child_id }).catch(() => delete this.pending);
     }
     /**
-     * Activate or deactivate all postcards in the supply for selection
-     * @param b - True to activate (default), false to deactivate
+     * Find the drop target under the pointer
+     * @param e - Drag event
+     * @returns The target containing the event target, or undefined
+     * @private
      */
-    activatePostcards(b = true) {
-        for (const i in this.c.postcard) {
-            this.c.postcard[i].activate(b);
+    getTarget(e) {
+        return this.targets.find((t) => t.html.contains(e.target));
+    }
+    /**
+     * Remove the highlight from the drop targets
+     * @private
+     */
+    clearTargets() {
+        for (const t of this.targets) {
+            t.setArg("drop", false);
         }
+        this.targets = [];
+        this.dragged = undefined;
     }
     /**
-     * Rearrange supply row after a postcard is taken
-     *
-     * Reorders postcards in the supply to fill gaps and maintain spacing.
-     * Optionally excludes a specific postcard from rearrangement.
-     *
-     * @param except - Optional postcard to exclude from rearrangement
+     * Compute the valid drop targets of a card
+     * @param travel - Dragged card
+     * @returns Elements the card can be dropped on
+     * @private
      */
-    rearrangeSupplyRow(except = null) {
-        this.activatePostcards(false);
-        let keys = Object.keys(this.c.postcard)
-            .map(Number)
-            .sort((a, b) => a - b);
-        let supply = 2;
-        for (const key of keys) {
-            if (this.c.postcard[key] !== undefined) {
-                const postcard = this.c.postcard[key];
-                if (postcard.args.supply !== 1 &&
-                    (except === null || except.args.type !== postcard.args.type)) {
-                    postcard.setArg("supply", supply++);
+    getTargets(travel) {
+        const res = [];
+        const possible_actions = this.game.possible_actions;
+        const board = this.game.c.board[0];
+        const player_id = this.game.bga.gameui.player_id;
+        const biker = Number(board.c.biker[player_id].args.location);
+        // Stamp spaces of the card color
+        const color = travel.getColorType();
+        if (possible_actions?.stamp[color]) {
+            const postcards = this.game.c.player_area[player_id].c.postcard_player[0].c.postcard ?? {};
+            for (const p in postcards) {
+                for (const s in postcards[p].c.stamp_space) {
+                    const stamp_space = postcards[p].c.stamp_space[s];
+                    if (postcards[p].c.stamp?.[s] === undefined && stamp_space.getColor() === color) {
+                        res.push(stamp_space);
+                    }
+                }
+            }
+        }
+        // Action targets
+        switch (travel.getOptionType()) {
+            case 1:
+                for (const r of RegionGraph.getNeighbours(biker)) {
+                    res.push(board.c.region[r]);
+                }
+                break;
+            case 2:
+                if (possible_actions?.postcard) {
+                    res.push(...Object.values(this.game.c.postcard_supply[0].c.postcard ?? {}));
+                }
+                break;
+            case 3:
+                if (possible_actions?.camp) {
+                    for (let l = 1; l <= board.campsites[biker - 1].length; l++) {
+                        if (board.c.camp?.[biker * 10 + l] === undefined) {
+                            res.push(board.c.campsite[biker * 10 + l]);
+                        }
+                    }
+                }
+                break;
+        }
+        // Other cards of the hand for a double action
+        if (possible_actions?.double) {
+            for (const t in this.hand.c.travel) {
+                const other = this.hand.c.travel[t];
+                if (other !== travel && (other.args.active === true || other.args.active === "selected")) {
+                    res.push(other);
                 }
             }
         }
+        return res;
+    }
+}
+
+/**
+ * Manages the current player's hand of Travel cards
+ *
+ * The hand contains Travel cards that can be played during the Action phase.
+ * Handles activation, discard, and selection of travel cards.
+ *
+ * Responsibilities:
+ *  - Storing and displaying player's Travel cards
+ *  - Managing card activation/deactivation for selection
+ *  - Tracking selected cards (one, or two for double actions)
+ *  - Handling card discard animations
+ *  - Managing used/unused card states
+ *  - Managing double action selection
+ *  - Playing Travel cards by drag and drop
+ */
+class Hand extends GameElement {
+    // ========== Constructor ==========
+    /**
+     * Initialize the hand with initial Travel cards
+     * @param parent - Parent PlayerArea instance
+     * @param child_id - Element ID
+     * @param data - Array of travel card data objects
+     */
+    constructor(parent, child_id, data) {
+        super(parent, child_id, "hand", { double: false });
+        // Create travel cards from initial data
+        for (const d in data) {
+            new Travel(this, data[d].type);
+        }
+        // Create double actions interface
+        new DoubleActions(this, 0);
+        this.selection = new Selection(this, "travel", {
+            max: () => (this.game.possible_actions?.double ? 2 : 1),
+            onChange: (selected, previous) => this.onSelectionChange(selected, previous),
+        });
+        this.travel_drag = new TravelDrag(this);
     }
+    // ========== Card Activation Methods ==========
     /**
-     * Discard all non-top postcards from the supply
+     * Activate Travel cards except those specified
      *
-     * Removes all postcards except the one at supply position 1 (top card).
-     * Animates cards fading out and scaling to zero.
+     * Allows player to select from available cards, excluding those already played.
      *
-     * @returns Promise resolving when all discard animations complete
+     * @param except - Array of travel card IDs to exclude from activation (default: empty)
      */
-    discardPostcardSupply() {
-        this.activatePostcards(false);
-        for (const i in this.c.postcard) {
-            const postcard = this.c.postcard[i];
-            if (postcard.args.supply !== 1) {
-                this.game.animationManager.fadeOutAndDestroy(postcard.html, null, {
-                    duration: 800,
-                    parallelAnimations: [
-                        {
-                            keyframes: [{ transform: 'rotateX(-180deg) rotate(-90deg) scale(1)' }, { transform: 'rotateX(-180deg) rotate(-90deg) scale(0)' }],
-                        },
-                    ],
-                });
-                delete this.c.postcard[i];
+    activateTravelsExcept(except = []) {
+        for (const i in this.c.travel) {
+            if (!except.includes(Number(i))) {
+                this.c.travel[i].activate();
+                this.c.travel[i].html.draggable = true;
             }
         }
-        return new Promise((resolve) => setTimeout(resolve, 800));
     }
     /**
-     * Refill the postcard supply with new card
+     * Deactivate all Travel cards
      *
-     * Actions:
-     *  - Removes top card indicator from current top card
-     *  - Adds new top card if provided
-     *  - Rearranges supply row
+     * Disables all cards and clears selection state.
+     * Optionally preserves "used" cards from deactivation.
      *
-     * @param top - Optional new top card ID
-     * @returns Promise resolving when refill animation completes
+     * @param not_used - If true, only deactivate cards not marked as "used"
      */
-    async refillPostcardSupply(top) {
-        for (const i in this.c.postcard) {
-            const postcard = this.c.postcard[i];
-            if (postcard.args.supply === 1) {
-                postcard.setArg("supply", 0);
+    inactivateAllTravels(not_used = false) {
+        for (const i in this.c.travel) {
+            if (!not_used || this.c.travel[i].args.active !== "used") {
+                this.c.travel[i].activate(false);
             }
+            this.c.travel[i].html.draggable = false;
         }
-        if (top !== undefined) {
-            this.addPostcardToTop(top);
-        }
-        this.rearrangeSupplyRow();
-        await new Promise((resolve) => setTimeout(resolve, 500));
+        // Clear selected cards and double action flag
+        this.selection.clear();
     }
     /**
-     * Add a postcard to the top position of the supply
+     * Select two Travel cards for a double action
      *
-     * Creates a new postcard at supply position 1 (top/deck position).
+     * Replaces the current selection and shows the double action options,
+     * as if the two cards had been clicked one after the other.
      *
-     * @param top - Postcard ID to place at top
-     * @returns The created Postcard element
+     * @param first - First selected travel card
+     * @param second - Second selected travel card
      */
-    addPostcardToTop(top) {
-        return new Postcard(this, top, false, null, 1);
+    selectDouble(first, second) {
+        this.selection.set([first, second]);
     }
     /**
-     * Remove and return the top postcard ID
+     * Update the options shown for the selected cards
      *
-     * Finds the postcard at supply position 1, removes it from DOM and registry,
-     * and returns its ID.
+     * A single card shows its own options, two cards show the double action options.
      *
-     * @returns The ID of the removed top postcard
+     * @param selected - Selected travel cards
+     * @param previous - Travel cards selected before the change
+     * @private
      */
-    removePostcardFromTop() {
-        for (const i in this.c.postcard) {
-            if (this.c.postcard[i].args.supply === 1) {
-                this.c.postcard[i].html.remove();
-                delete this.c.postcard[i];
-                return Number(i);
-            }
+    onSelectionChange(selected, previous) {
+        for (const t of previous) {
+            t.removeButtons();
         }
-        throw new Error('No postcard found at top position');
+        if (selected.length === 1) {
+            selected[0].addButtons();
+        }
+        this.setArg("double", selected.length === 2);
     }
-}
-
-/**
- * Represents the end game bonus token
- *
- * The end game bonus token is earned by the first player to send 4 postcards.
- * It grants 3 additional points at the end of the game and marks when the
- * final round of the game begins.
- *
- * Responsibilities:
- *  - Displaying the end game bonus token
- *  - Tracking which player has earned the bonus
- *  - Providing tooltip with bonus information
- */
-class EndGameBonus extends GameElement {
-    // ========== Constructor ==========
+    // ========== Card State Methods ==========
     /**
-     * Initialize the end game bonus token
-     * @param parent - Parent container (Board or PlayerArea)
-     * @param child_id - Element ID
+     * Mark Travel cards as "used" (played this turn)
+     *
+     * Updates visual state to show cards that have been played.
+     *
+     * @param data - Array of travel card IDs to mark as used
      */
-    constructor(parent, child_id) {
-        super(parent, child_id, "end_game_bonus");
-        // Setup tooltip
-        this.setupTooltip();
+    usedTravels(data) {
+        for (const i in data) {
+            this.c.travel[data[i]].used();
+        }
     }
-    // ========== Private Helper Methods ==========
     /**
-     * Setup tooltip with end game bonus information
+     * Mark all Travel cards as "unused"
      *
-     * Displays:
-     *  - How to earn the end game bonus (first to send 4 postcards)
-     *  - Game flow when bonus is earned
-     *  - End-game scoring value (3 points)
-     *
-     * @private
-     */
-    setupTooltip() {
-        this.game.bga.gameui.addTooltipHtml(`postcards_${this.id}`, `<tooltip>
-				<h3>${_("End Game Bonus Token")}</h3>
-				<p>${_("The player who first sends 4 postcards immediately receives the End Game Bonus token and the game continues until the last player has played their turn. When that round is complete, proceed to final scoring.")}</p>
-				<p>${_("<b>At the end of the game:</b> the player who received the End Game Bonus token scores 3 additional points.")}</p>
-			</tooltip>`);
-    }
-}
-
-/**
- * Represents a single region circle on the itinerary card
- *
- * Each circle corresponds to one of the four regions on the itinerary.
- * Circles can be activated to indicate that the player has sent a postcard
- * from that region, tracking progress toward the itinerary bonus.
- *
- * Responsibilities:
- *  - Displaying the circle for a specific region
- *  - Tracking activation state (whether region objective is met)
- *  - Updating visual state when activated
- */
-class Circle extends GameElement {
-    // ========== Constructor ==========
-    /**
-     * Initialize a circle for the itinerary
-     * @param parent - Parent Itinerary instance
-     * @param child_id - Circle index (0-3 representing regions 1-4)
-     * @param active - Whether this circle is initially active
+     * Resets the used state of all cards.
      */
-    constructor(parent, child_id, active) {
-        super(parent, child_id, "circle", { type: child_id, active });
+    unusedAllTravels() {
+        for (const i in this.c.travel) {
+            this.c.travel[i].used(false);
+        }
     }
-    // ========== Public Methods ==========
+    // ========== Card Discard/Management Methods ==========
     /**
-     * Activate this circle to indicate region objective is met
+     * Animate discarding Travel cards
      *
-     * Sets the active state to true, triggering visual updates to show
-     * that the player has sent a postcard from this region.
+     * Actions:
+     *  - Animates cards fading out and scaling to zero
+     *  - Removes cards from hand registry
+     *  - Animates to stamp supply destination
+     *
+     * @param travels - Array of travel card IDs to discard
+     * @returns Promise resolving when discard animation completes
      */
-    activate() {
-        this.setArg("active", true);
+    discardTravels(travels) {
+        for (const i in travels) {
+            const travel = this.c.travel[travels[i]];
+            this.game.animationManager.fadeOutAndDestroy(travel.html, this.game.c.board[0].c.stamp_supply[0].html, this.game.animationProfile.settings({
+                duration: 800,
+                parallelAnimations: [
+                    {
+                        keyframes: [{ transform: 'scale(1)' }, { transform: 'scale(0)' }],
+                    },
+                ],
+            }, 'out'));
+            delete this.c.travel[travels[i]];
+        }
+        return this.game.animationProfile.wait(800);
     }
-}
-
-/**
- * Manages a player's itinerary card and progress tracking
- *
- * The itinerary card shows which regions a player should send postcards from
- * to earn bonus end-game points. Tracks progress through numbered circles.
- *
- * Responsibilities:
- *  - Displaying the player's itinerary card with region objectives
- *  - Managing circle progress indicators (1/2/3/4 regions completed)
- *  - Providing information about scoring bonuses
- *  - Displaying tooltip with rules and scoring information
- */
-class Itinerary extends GameElement {
-    // ========== Constructor ==========
     /**
-     * Initialize the itinerary card with circles for progress tracking
-     * @param parent - Parent PlayerArea instance
-     * @param child_id - Element ID
-     * @param type - Itinerary card type/variant
-     * @param circles - Data for circles representing region progress (1-4)
+     * Restore discarded Travel cards (undo operation)
+     *
+     * Recreates travel cards that were previously discarded.
+     *
+     * @param travels - Array of travel card IDs to restore
+     * @returns Promise resolving when restoration completes
      */
-    constructor(parent, child_id, type, circles) {
-        super(parent, child_id, "itinerary", { type });
-        // Create circles for each region (0-3 representing 1-4 regions completed)
-        for (const c in circles) {
-            new Circle(this, Number(c), circles[c]);
+    undoDiscardTravels(travels) {
+        for (const i in travels) {
+            new Travel(this, travels[i]);
         }
-        // Setup tooltip with rules and scoring information
-        this.setupTooltip();
+        return this.game.animationProfile.wait(800);
     }
-    // ========== Private Helper Methods ==========
     /**
-     * Setup tooltip for the itinerary card
+     * Animate adding a Travel card to the hand
      *
-     * Displays:
-     *  - Itinerary card setup rules
-     *  - Biker starting position
-     *  - End-game scoring for region matches
-     *  - Scoring progression (2/4/7/11 points)
-     *  - Rules about multiple postcards from same region
-     *  - Explanation of maximum score requirement
+     * Actions:
+     *  - Adds card as child of hand
+     *  - Animates card sliding and attaching with slight rotation
      *
-     * @private
+     * @param travel - Travel card to add
+     * @returns Promise resolving when animation completes
      */
-    setupTooltip() {
-        this.game.bga.gameui.addTooltipHtml(`postcards_${this.id}`, `<tooltip>
-				<h3>${_("Itinerary Card")}</h3>
-				<p>${_("During setup give an Itinerary cards to each player randomly. Each player places their Biker on the region indicated in the top-left corner of their Itinerary card. The remaining Itinerary cards are removed from the game.")}</p>
-				<p>${_("At the end of the game, if you have sent 1/2/3/4 Postcards that match the regions shown at the bottom of the card, you score 2/4/7/11 points.")}</p>
-				<p>${_("It is not mandatory to complete your Itinerary card, but it can give you valuable extra points!")}</p>
-				<p>${_("You may send multiple Postcards from the same region, but each region on your Itinerary card only counts once towards the objective. To score the maximum amount of points, you must send Postcards from all 4 different regions!")}</p>
-			</tooltip>`);
+    addTravel(travel) {
+        travel.addToParent(this);
+        return this.game.animationManager.slideAndAttach(travel.html, this.html, this.game.animationProfile.settings({
+            duration: 800,
+            fromPlaceholder: "off",
+            parallelAnimations: [
+                {
+                    keyframes: [{ transform: 'rotate(0.5deg)' }, { transform: 'rotate(0deg)' }],
+                },
+            ],
+        }));
     }
-}
-
-/**
- * Represents a single camp token
- *
- * Camp tokens are placed by players on campsites in regions to earn points
- * and trigger souvenir placement opportunities. Each player has a limited
- * number of camps available on their player board.
- *
- * Responsibilities:
- *  - Displaying camp token with player color
- *  - Tracking camp location and placement
- *  - Managing region and campsite information
- */
-class Camp extends GameElement {
-    // ========== Constructor ==========
     /**
-     * Initialize a camp token
-     * @param parent - Parent container (PlayerBoard or Board)
-     * @param child_id - Camp ID
-     * @param color - Player color for camp styling
-     * @param location - Location identifier (camp order on player board)
-     * @param region - Region where camp is placed (0 if unplaced)
-     * @param campsite - Campsite number within region (0 if unplaced)
+     * Animate adding a Travel card from the deck
+     *
+     * Similar to addTravel but with a flip animation indicating card came from deck.
+     *
+     * Actions:
+     *  - Adds card as child of hand
+     *  - Animates card flipping (rotateY) and attaching with rotation
+     *
+     * @param travel - Travel card from deck to add
+     * @returns Promise resolving when animation completes
      */
-    constructor(parent, child_id, color, location, region = 0, campsite = 0) {
-        super(parent, child_id, "camp", { color, location, region, campsite });
+    addTravelFromDeck(travel) {
+        travel.addToParent(this);
+        return this.game.animationManager.slideAndAttach(travel.html, this.html, this.game.animationProfile.settings({
+            duration: 800,
+            fromPlaceholder: "off",
+            parallelAnimations: [
+                {
+                    keyframes: [
+                        { transform: 'rotateY(180deg) rotate(1deg)' },
+                        { transform: 'rotateY(0deg) rotate(0deg)' },
+                    ],
+                },
+            ],
+        }));
     }
 }
 
 /**
- * Manages a player's personal board display
+ * Represents a single Travel card
  *
- * Displays the player's camp token placement board and manages their available camps.
- * Handles camp placement animations and rotations based on position.
+ * Travel cards are played during the Action phase to perform one of three actions:
+ * Movement, Postcard taking, or Camp placement. Can also be used to place stamps.
+ * Two cards can be played together to act as any other card.
  *
  * Responsibilities:
- *  - Creating and displaying camp tokens
- *  - Managing camp placement on the board
- *  - Animating camp placement with appropriate rotations
- *  - Displaying player name and board information
- *  - Providing tooltips explaining board mechanics
+ *  - Managing card activation and selection state
+ *  - Handling click interactions for card selection
+ *  - Managing action buttons for double actions and stamp placement
+ *  - Displaying card type and color information
+ *  - Providing tooltip with detailed rules
+ *  - Providing the ARIA role and label
  */
-class PlayerBoard extends GameElement {
+class Travel extends GameElement {
     // ========== Constructor ==========
     /**
-     * Initialize the player board with camps and player information
-     * @param parent - Parent PlayerArea instance
-     * @param child_id - Element ID
-     * @param color - Player color for camp styling
-     * @param name - Player name to display
-     * @param side - Whether using side A (true) or side B (false) of the board
-     * @param camps - Array of already placed camps
+     * Initialize a Travel card
+     * @param parent - Parent GameElement (Board or Hand)
+     * @param child_id - Card ID
+     * @param location - Optional location on board (null if in hand)
      */
-    constructor(parent, child_id, color, name, side, camps) {
-        super(parent, child_id, "player_board", { color, side });
-        // Create available camps (starting from camps.length + 1 up to 13)
-        for (let i = camps.length + 1; i <= 13; i++) {
-            new Camp(this, i, color, i);
-        }
-        // Setup tooltips for the board
+    constructor(parent, child_id, location = null) {
+        if (location !== null)
+            super(parent, child_id, "travel", { location: location, active: false });
+        else
+            super(parent, child_id, "travel", { active: false });
+        // Calculate card type from child_id (determines action: Movement, Postcard, or Camp)
+        this.setArg("type", (this.getOptionType() - 1) * 4 + this.getColorType());
+        // Register click handler
+        $(`postcards_${this.id}`).addEventListener('click', () => this.onClick());
+        // Setup tooltip
         this.setupTooltip();
-        // Add player name label
-        this.html.innerHTML += `<name_label>${name}<name_label>`;
+        // Setup accessibility
+        this.setupAria("button", this.game.bga.gameui.format_string(_("Travel card: ${action}, ${color}"), {
+            action: Travel.getActionName(this.getOptionType()),
+            color: Travel.getColorName(this.getColorType()),
+        }));
     }
     // ========== Public Methods ==========
     /**
-     * Animate adding a camp to the player board
-     *
-     * Actions:
-     *  - Sets camp location on the board
-     *  - Calculates appropriate rotation based on position
-     *  - Adds camp as child of this board at specified location
-     *  - Animates camp sliding and attaching with rotation
-     *
-     * Rotation angles by position:
-     *  - Positions 1, 2: 90 degrees
-     *  - Position 3: 45 degrees
-     *  - Position 10: -45 degrees
-     *  - Positions 11, 12, 13: -90 degrees
-     *  - Other positions: 0 degrees
-     *
-     * @param camp - Camp token to place
-     * @param location - Board location (1-13) where camp should be placed
-     * @returns Promise resolving when animation completes
+     * Activate or deactivate this travel card for selection
+     * @param b - True to activate (default), false to deactivate
      */
-    async addCamp(camp, location) {
-        camp.setArg("location", location);
-        // Determine rotation based on location
-        let rotate = 0;
-        switch (camp.args.location) {
-            case 1:
-            case 2:
-                rotate = 90;
-                break;
-            case 3:
-                rotate = 45;
-                break;
-            case 10:
-                rotate = -45;
-                break;
-            case 11:
-            case 12:
-            case 13:
-                rotate = -90;
-                break;
-        }
-        // Add camp to board and animate
-        camp.addToParent(this, location);
-        return this.game.animationManager.slideAndAttach(camp.html, this.html, {
-            duration: 800,
-            parallelAnimations: [
-                {
-                    keyframes: [{ transform: 'rotate(0deg)' }, { transform: `rotate(${rotate}deg)` }],
-                },
-            ],
-        });
+    activate(b = true) {
+        this.setArg("active", b);
     }
-    // ========== Private Helper Methods ==========
     /**
-     * Setup tooltips for the player board
-     *
-     * Displays information about:
-     *  - When camps grant immediate effects (5th, 7th, 9th)
-     *  - When camps grant immediate scoring (11th, 12th, 13th)
-     *  - Side B special rules (if applicable)
+     * Mark card as used/unused during current turn
+     * @param b - True to mark as used (default), false to mark as unused
+     */
+    used(b = true) {
+        const s = b ? "used" : false;
+        this.setArg("active", s);
+    }
+    /**
+     * Add action buttons when card is selected
      *
-     * @private
+     * Creates buttons for:
+     *  - Action button (if available based on card type)
+     *  - Stamp button (if stamp is available in card color)
      */
-    setupTooltip() {
-        this.game.bga.gameui.addTooltipHtml(`postcards_${this.id}`, `<tooltip>
-				<h3>${_("Player Board")}</h3>
-				<p>${_("The 5th, 7th and 9th Camp tokens on your player board will grant you an immediate effect when you place them.")}</p>
-				<p>${_("The 11th, 12th and 13th Camp tokens on your player board will immediately score points when you place them.")}</p>
-				${this.args.side
-            ? ""
-            : `<h4>${_("Side B")}</h4>
-					<p>${_("When using side B of the player board, each time you benefit from a Star effect, you can choose between: a Movement effect, a Postcard effect, or placing 1 Stamp.")}</p>`}
-			</tooltip>`);
+    addButtons() {
+        const type = this.getOptionType();
+        if (type === 1 ||
+            (type === 2 && this.game.possible_actions?.postcard) ||
+            (type === 3 && this.game.possible_actions?.camp)) {
+            new TravelOption(this, 0, this.getOptionType());
+        }
+        const color = this.getColorType();
+        if (this.game.possible_actions?.stamp[color]) {
+            new TravelOption(this, 1, this.getColorType() + 4);
+        }
     }
-}
-
-/**
- * Represents a deck stack indicator on the board
- *
- * Displays remaining cards in either the travel deck or gift deck.
- * Shows visual count indicator (1-3 cards) based on deck fullness.
- *
- * Responsibilities:
- *  - Displaying deck stack with type indicator
- *  - Tracking remaining cards in the deck
- *  - Providing visual feedback on deck status
- */
-class DeckStack extends GameElement {
-    // ========== Constructor ==========
     /**
-     * Initialize a deck stack indicator
-     * @param parent - Parent Board instance
-     * @param child_id - Element ID
-     * @param type - Deck type (0 = Travel, 1 = Gift)
+     * Remove action buttons (called when deselecting)
      */
-    constructor(parent, child_id, type) {
-        super(parent, child_id, "deck_stack", { type, count: 3 });
+    removeButtons() {
+        if (this.c.travel_option !== undefined) {
+            if (this.c.travel_option[0] !== undefined)
+                this.c.travel_option[0].html.remove();
+            if (this.c.travel_option[1] !== undefined)
+                this.c.travel_option[1].html.remove();
+            delete this.c.travel_option;
+        }
     }
-}
-
-/**
- * Represents a player's biker token on the board
- *
- * Each player has a biker that moves between regions during the game.
- * The biker's position determines which region the player can place camps in
- * and is used for various game mechanics.
- *
- * Responsibilities:
- *  - Displaying biker token with player color
- *  - Managing biker position on the board
- *  - Tracking whether this is the current player's biker
- *  - Providing tooltip with player information
- */
-class Biker extends GameElement {
-    // ========== Constructor ==========
     /**
-     * Initialize a biker token
-     * @param parent - Parent Board instance
-     * @param child_id - Biker ID (player ID)
-     * @param color - Player color hex code
-     * @param location - Starting region location
-     * @param own - Whether this is the current player's biker
+     * Get the localized name of a Travel card action
+     * @param type - Option type 1-4 (Movement, Postcard, Camp, Stamp)
+     * @returns Localized action name
      */
-    constructor(parent, child_id, color, location, own) {
-        super(parent, child_id, "biker", { color, location, own });
-        // Setup tooltip
-        this.setupTooltip();
+    static getActionName(type) {
+        switch (type) {
+            case 1:
+                return _("Movement");
+            case 2:
+                return _("Postcard");
+            case 3:
+                return _("Camp");
+            case 4:
+                return _("Stamp");
+        }
+        return '';
     }
-    // ========== Public Methods ==========
     /**
-     * Move biker to a new region
-     * @param region - Destination region number
+     * Get the localized name of a Travel card or stamp color
+     * @param color - Color type 1-4
+     * @returns Localized color name
      */
-    move(region) {
-        this.setArg("location", region);
+    static getColorName(color) {
+        switch (color) {
+            case 1:
+                return _("Blue");
+            case 2:
+                return _("Red");
+            case 3:
+                return _("Green");
+            case 4:
+                return _("Yellow");
+        }
+        return '';
+    }
+    /**
+     * Get the color type of this card (determines stamp color)
+     * @returns Color type 1-4
+     */
+    getColorType() {
+        return (Math.floor((this.child_id - 1) / 6) % 4) + 1;
+    }
+    /**
+     * Get the option type of this card (determines action type)
+     * @returns Option type 1-3 (Movement, Postcard, Camp)
+     */
+    getOptionType() {
+        return Math.floor((this.child_id - 1) / 24) + 1;
     }
     // ========== Private Helper Methods ==========
     /**
-     * Setup tooltip with biker player information
+     * Handle card click - manages selection and double action logic
+     *
+     * During Action phase:
+     *  - Click: Select or deselect the card in the hand selection
+     *  - Selecting a second card selects both for a double action
+     *
+     * During Travel phase:
+     *  - Click: Play card from supply
+     *
+     * @private
+     */
+    async onClick() {
+        if (this.game.bga.players.isCurrentPlayerActive() &&
+            (this.args.active === true || this.args.active === "selected")) {
+            switch (this.game.bga.gameui.gamedatas.gamestate.name) {
+                case 'Action':
+                    if (this.parent instanceof Hand) {
+                        this.parent.selection.toggle(this);
+                    }
+                    break;
+                case 'Travel':
+                    this.game.bga.actions.performAction('actTravel', { travel: this.child_id });
+                    break;
+            }
+        }
+    }
+    /**
+     * Setup tooltip with detailed card rules and actions
      *
      * Displays:
-     *  - Player color name
-     *  - Indicator if this is the current player's biker
+     *  - General travel card rules
+     *  - Action-specific information (Movement, Postcard, Camp)
+     *  - Stamp placement rules
+     *  - Double action rules
      *
      * @private
      */
     setupTooltip() {
         this.game.bga.gameui.addTooltipHtml(`postcards_${this.id}`, `<tooltip>
-				<h3>${this.game.bga.gameui.format_string(_("${color} Biker"), {
-            color: this.getColor(),
-        })}</h3>
-				${this.args.own
-            ? `<p><span style="color: #FF39A5">⬤</span> ${_("This is your Biker")}</p>`
-            : ''}
+				<h3>${_("Travel Card")}</h3>
+				<p>${_("During your turn, you must play 3 Travel cards from your hand. For each card played, you must choose between Taking an Action or Sticking a Stamp. Play each card one at a time in front of you to keep track of how many you have played. At the end of your turn, discard all your played Travel cards.")}</p>
+				<h4>${_("Taking An Action")}</h4>
+				<p>${_("The action of a Travel card is defined by its symbol. There are 3 types: Movement, Postcard, and Camp. When taking an action, the color of the card is ignored.")}</p>
+				${this.getSpecificTooltip()}
+				<h4>${_("Sticking A Stamp")}</h4>
+				<p>${_("Any Travel card can be used to place a stamp. When sticking a stamp, the symbol on the card is ignored.")}</p>
+				<p>${_("Take a Stamp token from the supply and place it on an available Stamp space, on any of your postcards, that matches the color of the Travel card you played.")}</p>
+				<h4>${_("Play Two Travel Cards")}</h4>
+				<p>${_("You can play 2 Travel cards of your choice to act as any other Travel card. This counts as 2 Travel cards towards your total of 3 Travel cards played.")}</p>
 			</tooltip>`);
     }
     /**
-     * Get localized player color name from hex code
-     *
-     * Maps color hex codes to localized color names.
+     * Get action-specific tooltip text based on card type
      *
-     * @returns Localized color name
+     * @returns HTML string with action-specific rules
      * @private
      */
-    getColor() {
-        switch (this.args.color) {
-            case "174D62":
-                return _("Blue");
-            case "A4C877":
-                return _("Green");
-            case "EE7628":
-                return _("Orange");
-            case "FCC922":
-                return _("Yellow");
+    getSpecificTooltip() {
+        switch (this.getOptionType()) {
+            case 1:
+                return `<h4>${_("Movement Action")}</h4>
+					<p>${_("Move your Biker to a region adjacent to the one you are in.")}</p>`;
+            case 2:
+                return `<h4>${_("Postcard Action")}</h4>
+					<p>${_("Take an available postcard. You may choose the top postcard from the deck or 1 of the 3 postcards next to it. Before taking a postcard, you may discard the 3 next to the deck and draw 3 new ones to replace them. When you take a postcard next to the deck, immediately fill the empty space with the top postcard from the deck.")}</p>`;
+            case 3:
+                return `<h4>${_("Camp action")}</h4>
+					<p>${_("Take the leftmost available Camp token from your player board and place it on an available campsite in the region you are in. If its type matches an available Souvenir space on one of your postcards, you may take a Souvenir token from the supply and place it on that Souvenir space. This immediately grants you an effect.")}</p>`;
         }
-        return '';
+        return ``;
     }
 }
 
 /**
- * Represents a single region on the game board
+ * Represents a single stamp placement space on a postcard
  *
- * Regions are locations where players move their bikers and place camps.
- * Each region can be activated for selection during movement or camp placement.
+ * Each postcard has multiple stamp spaces where players can place stamp tokens.
+ * Stamps are required to send postcards and have colors matching travel cards.
  *
  * Responsibilities:
- *  - Displaying region on the board
- *  - Managing biker presence indicator
- *  - Handling click interactions for region selection
- *  - Tracking region activation state
+ *  - Displaying stamp placement space on postcard
+ *  - Handling click interactions for stamp placement
+ *  - Tracking space location for stamp placement
+ *  - Managing activation state for player selection
+ *  - Displaying the rank of the space among the available ones
+ *  - Providing the ARIA role and label
  */
-class Region extends GameElement {
+class StampSpace extends GameElement {
     // ========== Constructor ==========
     /**
-     * Initialize a region on the board
-     * @param parent - Parent Board instance
+     * Initialize a stamp space on a postcard
+     * @param parent - Parent Postcard instance
      * @param child_id - Element ID
-     * @param type - Region type/number (1-13)
+     * @param space - Space location number on the postcard
      */
-    constructor(parent, child_id, type) {
-        super(parent, child_id, "region", { type, active: false });
+    constructor(parent, child_id, space) {
+        super(parent, child_id, "stamp_space", { space });
         // Register click handler
-        this.html.addEventListener('click', () => this.onClick());
+        $(`postcards_${this.id}`).addEventListener('click', () => this.onClick());
+        // Setup accessibility
+        this.setupAria("button", this.game.bga.gameui.format_string(_("Stamp space: ${color}"), {
+            color: Travel.getColorName(this.getColor()),
+        }));
     }
     // ========== Public Methods ==========
     /**
-     * Mark this region as containing the biker
+     * Activate this stamp space for stamp placement
      */
-    setBiker() {
-        this.setArg("active", "biker");
+    activate() {
+        this.setArg("active", true);
     }
     /**
-     * Activate or deactivate this region for selection
-     * @param b - True to activate (default), false to deactivate
+     * Mark the value of placing a stamp on this space
+     * @param rank - 3 completes the postcard, 2 postcard in or next to the Biker's region,
+     *               1 postcard advancing the itinerary, 0 other
      */
-    activate(b = true) {
-        this.setArg("active", b);
+    setRank(rank) {
+        this.setArg("rank", rank);
+    }
+    /**
+     * Deactivate this stamp space
+     */
+    inactivate() {
+        this.setArg("active", false);
+    }
+    /**
+     * Get the color of this stamp space, matching the Travel card colors (sent with the game data)
+     * @returns Color (1-4), or 0 if unknown
+     */
+    getColor() {
+        return this.game.bga.gameui.gamedatas.stamp_colors?.[this.parent.child_id]?.[this.args.space] ?? 0;
     }
     // ========== Private Helper Methods ==========
     /**
-     * Handle region click - moves biker to region when clicked
+     * Handle stamp space click - places stamp when clicked
      *
-     * During Move phase:
-     *  - Click: Move biker to this region
+     * During Stamp phase:
+     *  - Click: Place stamp on this space
      *
      * @private
      */
     async onClick() {
-        if (this.args.active === true) {
+        if (this.game.bga.players.isCurrentPlayerActive() && this.args.active === true) {
             switch (this.game.bga.gameui.gamedatas.gamestate.name) {
-                case 'Move':
-                    this.game.bga.actions.performAction('actMove', { region: this.args.type });
+                case 'Stamp':
+                    if (!this.game.touch.confirm(this))
+                        break;
+                    this.game.bga.actions.performAction('actStamp', {
+                        postcard: this.parent.child_id,
+                        space: this.args.space,
+                    });
                     break;
             }
         }
@@ -2752,2197 +3835,5444 @@ class Region extends GameElement {
 }
 
 /**
- * Represents a single campsite on the game board
+ * Represents the itinerary match marker shown on a postcard
  *
- * Campsites are locations where players place camp tokens. Each campsite has a type
- * matching souvenir types, and only one camp token can be placed per site.
- * Completing all campsites in a region grants bonus points.
+ * Marks a postcard whose region is still missing from the current player's
+ * itinerary card, showing which circle it would fill and how many extra
+ * points sending it would add.
  *
  * Responsibilities:
- *  - Displaying campsite with type information
- *  - Handling click interactions for camp placement
- *  - Tracking campsite location and region
- *  - Providing tooltip with campsite rules and scoring
+ *  - Displaying the itinerary circle the postcard would fill
+ *  - Displaying the extra itinerary points
+ *  - Providing tooltip with the match explanation
  */
-class Campsite extends GameElement {
+class ItineraryMatch extends GameElement {
     // ========== Constructor ==========
     /**
-     * Initialize a campsite on the board
-     * @param parent - Parent Board instance
+     * Initialize an itinerary match marker on a postcard
+     * @param parent - Parent Postcard instance
      * @param child_id - Element ID
-     * @param type - Campsite type (1-8, matching souvenir types)
-     * @param region - Region number containing this campsite
-     * @param location - Campsite location within the region
+     * @param circle - Itinerary circle the postcard would fill (1-4)
+     * @param points - Extra itinerary points the postcard would add
      */
-    constructor(parent, child_id, type, region, location) {
-        super(parent, child_id, "campsite", { type, region, location, active: false });
-        // Register click handler
-        this.html.addEventListener('click', () => this.onClick());
+    constructor(parent, child_id, circle, points) {
+        super(parent, child_id, "itinerary_match", { circle, points });
+        this.html.innerHTML = `<itinerary_match_circle>${circle}</itinerary_match_circle>+${points}`;
         // Setup tooltip
         this.setupTooltip();
     }
-    // ========== Public Methods ==========
-    /**
-     * Activate or deactivate this campsite for camp placement
-     * @param b - True to activate (default), false to deactivate
-     */
-    activate(b = true) {
-        this.setArg("active", b);
-    }
     // ========== Private Helper Methods ==========
     /**
-     * Handle campsite click - places camp when clicked
-     *
-     * During Camp phase:
-     *  - Click: Place camp on this campsite
-     *
-     * @private
-     */
-    async onClick() {
-        if (this.args.active === true) {
-            switch (this.game.bga.gameui.gamedatas.gamestate.name) {
-                case 'Camp':
-                    this.game.bga.actions.performAction('actCamp', {
-                        campsite: this.args.location,
-                    });
-                    break;
-            }
-        }
-    }
-    /**
-     * Setup tooltip with campsite information and rules
-     *
-     * Displays:
-     *  - Campsite type
-     *  - Rules about camp placement
-     *  - Best traveler bonus scoring
-     *
+     * Setup tooltip with itinerary match information
      * @private
      */
     setupTooltip() {
         this.game.bga.gameui.addTooltipHtml(`postcards_${this.id}`, `<tooltip>
-				<h3>${_("Campsite")}</h3>
-				<p>${this.game.bga.gameui.format_string(_("<b>Type:</b> ${t}"), {
-            t: this.getCampsiteTypeName(),
+				<h3>${_("Itinerary Match")}</h3>
+				<p>${this.game.bga.gameui.format_string(_("Sending this Postcard would fill circle ${circle} of your Itinerary card and add ${points} points at the end of the game."), {
+            circle: String(this.args.circle),
+            points: String(this.args.points),
         })}</p>
-				<p>${_("There can only be 1 Camp token per campsite.")}</p>
-				<p>${_("You can place a Camp token on a campsite even if you don't have an available Souvenir space that matches it. However, when doing so, you don't place a Souvenir token.")}</p>
-				<h4>${_("Best Traveler In The Region")}</h4>
-				<p>${_("If a player manages to place their Camp tokens on ALL the campsites in a region, they become known as the best traveler in that region! That player immediately scores 1 point per Camp token they have placed there.")}</p>
 			</tooltip>`);
     }
-    /**
-     * Get the campsite type name based on type number
-     *
-     * Maps type numbers to localized souvenir/campsite type names.
-     *
-     * @returns Localized campsite type name
-     * @private
-     */
-    getCampsiteTypeName() {
-        switch (this.args.type) {
-            case 1:
-                return _("Sight");
-            case 2:
-                return _("History");
-            case 3:
-                return _("Culture");
-            case 4:
-                return _("Gastronomy");
-            case 5:
-                return _("Forest");
-            case 6:
-                return _("Mountain");
-            case 7:
-                return _("Shore");
-            case 8:
-                return _("Beach");
-        }
-        return '';
-    }
 }
 
 /**
- * Represents the travel card deck on the board
+ * Represents the biker distance marker shown on a postcard
  *
- * Players can draw from the travel deck as an alternative to selecting
- * from the travel supply. Drawing from the deck provides a random card.
+ * Shows how many moves the current player's Biker is from the region of the
+ * postcard, to help planning which postcards can be sent soon.
  *
  * Responsibilities:
- *  - Displaying the travel deck on the board
- *  - Handling click interactions for deck drawing
- *  - Tracking activation state for player interaction
+ *  - Displaying the number of moves to the postcard's region
+ *  - Providing tooltip with the distance explanation
  */
-class TravelDeck extends GameElement {
+class PostcardDistance extends GameElement {
     // ========== Constructor ==========
     /**
-     * Initialize the travel deck
-     * @param parent - Parent Board instance
+     * Initialize a distance marker on a postcard
+     * @param parent - Parent Postcard instance
      * @param child_id - Element ID
+     * @param distance - Number of moves from the biker to the postcard's region
      */
-    constructor(parent, child_id) {
-        super(parent, child_id, "travel_deck");
-        // Register click handler
-        $(`postcards_${this.id}`).addEventListener('click', () => this.onClick());
+    constructor(parent, child_id, distance) {
+        super(parent, child_id, "postcard_distance");
+        this.update(distance);
     }
     // ========== Public Methods ==========
     /**
-     * Activate or deactivate the travel deck for interaction
-     * @param b - True to activate (default), false to deactivate
-     */
-    activate(b = true) {
-        this.setArg("active", b);
-    }
-    // ========== Private Helper Methods ==========
-    /**
-     * Handle travel deck click - draws card from deck when clicked
-     *
-     * During Travel phase:
-     *  - Click: Draw card from travel deck
-     *
-     * @private
+     * Update the displayed distance
+     * @param distance - Number of moves from the biker to the postcard's region
      */
-    async onClick() {
-        if (this.game.bga.players.isCurrentPlayerActive() && this.args.active === true) {
-            switch (this.game.bga.gameui.gamedatas.gamestate.name) {
-                case 'Travel':
-                    this.game.bga.actions.performAction('actTravelDeck');
-                    break;
-            }
-        }
+    update(distance) {
+        this.setArg("distance", distance);
+        this.html.innerHTML = String(distance);
+        this.game.bga.gameui.addTooltipHtml(`postcards_${this.id}`, `<tooltip>
+				<h3>${_("Distance")}</h3>
+				<p>${distance === 0
+            ? _("Your Biker is in the region of this Postcard.")
+            : this.game.bga.gameui.format_string(_("Your Biker is ${n} move(s) away from the region of this Postcard."), {
+                n: String(distance),
+            })}</p>
+			</tooltip>`);
     }
 }
 
 /**
- * Represents the stamp supply on the board
+ * Represents a single postcard in the game
  *
- * The stamp supply contains all available stamp tokens that players can take
- * during gameplay. Stamps are placed on postcard spaces to fulfill sending requirements.
+ * Postcards are collected during the game and sent for points. Each postcard
+ * shows a region, stamp requirement, and scoring value. Players can add stamps
+ * and souvenirs to postcards.
  *
  * Responsibilities:
- *  - Displaying the stamp supply on the board
- *  - Serving as a visual reference for available stamps
+ *  - Displaying postcard with region and stamp information
+ *  - Managing stamp and souvenir placement spaces
+ *  - Handling postcard selection and interaction
+ *  - Marking postcards that would advance the current player's itinerary
+ *  - Displaying the distance of the current player's biker to the postcard's region
+ *  - Managing postcard animations (adding stamps, souvenirs)
+ *  - Providing tooltip with detailed card information
+ *  - Providing the ARIA role and label
  */
-class StampSupply extends GameElement {
+class Postcard extends GameElement {
     // ========== Constructor ==========
     /**
-     * Initialize the stamp supply
-     * @param parent - Parent Board instance
-     * @param child_id - Element ID
+     * Initialize a postcard
+     * @param parent - Parent container (PostcardSupply, PostcardGuide, or PostcardPlayer)
+     * @param child_id - Postcard ID
+     * @param face - Whether postcard is face-up (true) or face-down (false)
+     * @param data - Optional postcard data (stamps and souvenirs)
+     * @param supply - Optional supply position for layout (1 = top/deck, 2+ = row)
      */
-    constructor(parent, child_id) {
-        super(parent, child_id, "stamp_supply");
+    constructor(parent, child_id, face, data = null, supply = null) {
+        if (supply === null) {
+            super(parent, child_id, "postcard", { type: child_id, face });
+        }
+        else {
+            super(parent, child_id, "postcard", { type: child_id, face, supply });
+        }
+        // Register click handler
+        this.html.addEventListener('click', () => this.onClick());
+        // Setup accessibility
+        this.setupAria("button", _("Postcard (face down)"));
+        // Setup face-up display or tooltip for face-down
+        if (face) {
+            this.setupFace(data?.stamps, data?.souvenirs);
+        }
+        else {
+            this.setupTooltip();
+        }
     }
-}
-
-/**
- * Represents the gift card deck on the board
- *
- * The gift deck contains gift cards that are drawn to refill the gift supply.
- * When a player sends a postcard, they choose a gift card from the supply,
- * and the empty space is refilled from the deck.
- *
- * Responsibilities:
- *  - Displaying the gift deck on the board
- *  - Serving as a visual reference for available gift cards
- */
-class GiftDeck extends GameElement {
-    // ========== Constructor ==========
+    // ========== Public Methods ==========
     /**
-     * Initialize the gift deck
-     * @param parent - Parent Board instance
-     * @param child_id - Element ID
+     * Activate or deactivate this postcard for interaction
+     * @param b - True to activate (default), false to deactivate
      */
-    constructor(parent, child_id) {
-        super(parent, child_id, "gift_deck");
+    activate(b = true) {
+        this.setArg("active", b);
     }
-}
-
-/**
- * Manages the bonus actions interface for the current player
- *
- * Displays four travel option buttons representing bonus actions that can be
- * performed during the game: Movement, Postcard, Camp, and Stamp.
- *
- * Responsibilities:
- *  - Creating and displaying bonus action travel option buttons
- *  - Activating/deactivating available bonus actions
- *  - Managing bonus action counter display
- */
-class BonusActions extends GameElement {
-    // ========== Constructor ==========
     /**
-     * Initialize the bonus actions interface with four travel options
-     * @param parent - Parent PlayerArea instance
-     * @param child_id - Element ID
-     * @param bonus_actions - Optional bonus actions data containing counter values
+     * Highlight or clear this postcard in a movement preview
+     * @param b - True to highlight (default), false to clear
      */
-    constructor(parent, child_id, bonus_actions = null) {
-        super(parent, child_id, "bonus_actions");
-        if (bonus_actions !== null) {
-            // Create travel options with counter data
-            new TravelOption(this, 1, 1, 'move_bonus_counter', bonus_actions.move_bonus_counter);
-            new TravelOption(this, 2, 2, 'postcard_bonus_counter', bonus_actions.postcard_bonus_counter);
-            new TravelOption(this, 3, 3, 'camp_bonus_counter', bonus_actions.camp_bonus_counter);
-            new TravelOption(this, 4, 4, 'stamp_bonus_counter', bonus_actions.stamp_bonus_counter);
-        }
-        else {
-            // Create travel options without counter data
-            new TravelOption(this, 1, 1, 'move_bonus_counter');
-            new TravelOption(this, 2, 2, 'postcard_bonus_counter');
-            new TravelOption(this, 3, 3, 'camp_bonus_counter');
-            new TravelOption(this, 4, 4, 'stamp_bonus_counter');
-        }
-    }
-    // ========== Public Methods ==========
-    /**
-     * Activate available bonus actions based on game state
-     *
-     * Only activates bonus actions that are currently available:
-     *  - Position 1: Movement bonus (if available)
-     *  - Position 2: Postcard bonus (if available)
-     *  - Position 3: Camp bonus (if available)
-     *  - Position 4: Stamp bonus (not checked, always available if conditions met)
-     */
-    activateBonusActions() {
-        if (this.game.possible_actions?.bonus.move) {
-            this.c.travel_option[1].activate();
-        }
-        if (this.game.possible_actions?.bonus.postcard) {
-            this.c.travel_option[2].activate();
-        }
-        if (this.game.possible_actions?.bonus.camp) {
-            this.c.travel_option[3].activate();
-        }
+    preview(b = true) {
+        this.setArg("preview", b);
     }
     /**
-     * Deactivate all bonus actions
-     *
-     * Disables all three bonus action buttons (Move, Postcard, Camp).
-     * Note: Stamp bonus (position 4) is not deactivated here.
+     * Check whether all the stamp spaces of this postcard are filled
+     * @returns True if the postcard has all its stamps
      */
-    inactivateBonusActions() {
-        this.c.travel_option[1].activate(false);
-        this.c.travel_option[2].activate(false);
-        this.c.travel_option[3].activate(false);
+    hasAllStamps() {
+        return Object.keys(this.c.stamp ?? {}).length === Object.keys(this.c.stamp_space ?? {}).length;
     }
-}
-
-/**
- * Represents an action option button for Travel cards
- *
- * Displayed when a Travel card is selected, showing available actions:
- * - Specific action type (Movement, Postcard, Camp) or stamp color
- * - Used for bonus actions, double actions, and action selection
- *
- * Responsibilities:
- *  - Displaying action option buttons
- *  - Handling click interactions for action selection
- *  - Managing optional counter display
- *  - Tracking action availability
- */
-class TravelOption extends GameElement {
-    // ========== Constructor ==========
     /**
-     * Initialize a travel option button
-     * @param parent - Parent element (Travel, DoubleActions, or BonusActions)
-     * @param child_id - Element ID
-     * @param type - Option type (1-4 for actions, 5-8 for colors)
-     * @param counter - Optional counter name for tracking
-     * @param n - Optional initial counter value
+     * Get the region of this postcard
+     * @returns Region number (1-13)
      */
-    constructor(parent, child_id, type, counter = null, n = 0) {
-        super(parent, child_id, "travel_option", { type });
-        // ========== Properties ==========
-        /** Optional counter for tracking remaining uses (bonus actions, etc.) */
-        this.counter = null;
-        // Register click handler
-        $(`postcards_${this.id}`).addEventListener("click", () => this.onClick());
-        // Setup counter if provided
-        if (counter !== null) {
-            this.setupCounter(counter, n ?? 0);
-        }
+    getRegion() {
+        return Postcard.getPostcardRegion(this.args.type);
     }
-    // ========== Public Methods ==========
     /**
-     * Setup counter display for this option
-     *
-     * Creates a counter element showing remaining uses of this action.
-     * Automatically sets count display based on counter value.
-     *
-     * @param counter - Counter table name to track
-     * @param n - Initial counter value
+     * Get the region of a postcard
+     * @param postcard - Postcard ID
+     * @returns Region number (1-13)
      */
-    setupCounter(counter, n) {
-        const c = document.createElement("counter");
-        this.html.appendChild(c);
-        this.counter = new ebg.counter();
-        this.counter.create(c, {
-            value: n,
-            tableCounter: counter,
-        });
-        // Set count display based on counter value
-        if (this.game.bga.players.isCurrentPlayerActive()) {
-            if (n >= 2) {
-                this.setArg("count", 2);
-            }
-            else if (n === 1) {
-                this.setArg("count", 1);
-            }
-            else {
-                this.setArg("count", 0);
-            }
-        }
-        else {
-            this.setArg("count", 0);
-        }
+    static getPostcardRegion(postcard) {
+        return Math.floor((postcard - 1) / 4) + 1;
     }
     /**
-     * Activate or deactivate this option for interaction
-     * @param b - True to activate (default), false to deactivate
+     * Get the number of stamps required to send a postcard
+     * @param postcard - Postcard ID
+     * @returns Number of stamp spaces (3-6)
      */
-    activate(b = true) {
-        this.setArg("active", b);
+    static getStampCount(postcard) {
+        return Postcard.getStampSpaces(postcard).length;
     }
-    // ========== Private Helper Methods ==========
     /**
-     * Handle option click - performs appropriate action based on parent context
+     * Get the stamp spaces of a postcard
      *
-     * Actions vary by parent type:
-     *  - Travel: Perform action using travel card (by type or color)
-     *  - BonusActions: Perform bonus action
-     *  - DoubleActions: Perform double action with two travel cards
+     * Different postcard types have different stamp spaces:
+     *  - Type 0 (mod 4): 3 spaces
+     *  - Type 1 (mod 4): 4 spaces
+     *  - Type 2 (mod 4): 5 spaces
+     *  - Type 3 (mod 4): 6 spaces
      *
-     * @private
-     */
-    async onClick() {
-        switch (this.game.bga.gameui.gamedatas.gamestate.name) {
-            case "Action":
-                if (this.parent instanceof Travel) {
-                    // Travel card action: check if specific action (1-3) or stamp color (4+)
-                    if (this.args.type <= 3) {
-                        this.game.bga.actions.performAction("actActionTravel", {
-                            travel: this.parent.child_id,
-                        });
-                    }
-                    else {
-                        this.game.bga.actions.performAction("actActionTravelColor", {
-                            travel: this.parent.child_id,
-                        });
-                    }
-                    break;
-                }
-                else if (this.parent instanceof BonusActions && this.args.active) {
-                    // Bonus action
-                    this.game.bga.actions.performAction("actActionBonus", {
-                        type: this.args.type,
-                    });
-                    break;
-                }
-                else if (this.parent instanceof DoubleActions) {
-                    // Double action: two travel cards
-                    this.game.bga.actions.performAction("actActionDouble", {
-                        travel_1: this.parent.parent.selected_1?.child_id,
-                        travel_2: this.parent.parent.selected_2?.child_id,
-                        type: this.args.type,
-                    });
-                    break;
-                }
-        }
-    }
-}
-
-/**
- * Manages the double action selection interface
- *
- * Provides four travel option buttons that allow the player to select
- * two travel cards to play as a double action combination.
- *
- * Responsibilities:
- *  - Creating and displaying travel option buttons
- *  - Allowing selection of dual actions from hand
- */
-class DoubleActions extends GameElement {
-    // ========== Constructor ==========
-    /**
-     * Initialize the double actions interface with four travel options
-     * @param parent - Parent Hand instance
-     * @param child_id - Element ID
-     */
-    constructor(parent, child_id) {
-        super(parent, child_id, "double_actions");
-        // Create four travel option buttons (1-4)
-        new TravelOption(this, 1, 1);
-        new TravelOption(this, 2, 2);
-        new TravelOption(this, 3, 3);
-        new TravelOption(this, 4, 4);
-    }
-    // ========== Methods ==========
-    activate(postcard, camp, stamp) {
-        (this.c.travel_option?.[2]).activate(postcard);
-        (this.c.travel_option?.[3]).activate(camp);
-        (this.c.travel_option?.[4]).activate(stamp);
-    }
-}
-
-/**
- * Manages the current player's hand of Travel cards
- *
- * The hand contains Travel cards that can be played during the Action phase.
- * Handles activation, discard, and selection of travel cards.
- *
- * Responsibilities:
- *  - Storing and displaying player's Travel cards
- *  - Managing card activation/deactivation for selection
- *  - Tracking selected cards (selected_1 and selected_2 for double actions)
- *  - Handling card discard animations
- *  - Managing used/unused card states
- *  - Managing double action selection
- */
-class Hand extends GameElement {
-    // ========== Constructor ==========
-    /**
-     * Initialize the hand with initial Travel cards
-     * @param parent - Parent PlayerArea instance
-     * @param child_id - Element ID
-     * @param data - Array of travel card data objects
+     * @param postcard - Postcard ID
+     * @returns Stamp space locations (1-6)
      */
-    constructor(parent, child_id, data) {
-        super(parent, child_id, "hand", { double: false });
-        // Create travel cards from initial data
-        for (const d in data) {
-            new Travel(this, data[d].type);
+    static getStampSpaces(postcard) {
+        switch ((postcard - 1) % 4) {
+            case 0:
+                return [1, 2, 3];
+            case 1:
+                return [2, 3, 5, 6];
+            case 2:
+                return [1, 2, 3, 5, 6];
+            case 3:
+                return [1, 2, 3, 4, 5, 6];
         }
-        // Create double actions interface
-        new DoubleActions(this, 0);
+        return [];
     }
-    // ========== Card Activation Methods ==========
     /**
-     * Activate Travel cards except those specified
+     * Update the itinerary match marker of this postcard
      *
-     * Allows player to select from available cards, excluding those already played.
+     * Shows the circle this postcard would fill on the given itinerary and the
+     * extra points it would add, or removes the marker if it would add nothing.
      *
-     * @param except - Array of travel card IDs to exclude from activation (default: empty)
+     * @param itinerary - Itinerary card to match against
      */
-    activateTravelsExcept(except = []) {
-        for (const i in this.c.travel) {
-            if (!except.includes(Number(i))) {
-                this.c.travel[i].activate();
-            }
+    updateItineraryMatch(itinerary) {
+        const circle = itinerary.getMatchingCircle(this.getRegion());
+        const points = itinerary.getMatchPoints(this.getRegion());
+        const current = this.c.itinerary_match?.[0];
+        if (current !== undefined && (circle === undefined || current.args.circle !== circle.child_id || current.args.points !== points)) {
+            current.html.remove();
+            delete this.c.itinerary_match;
+        }
+        if (circle !== undefined && this.c.itinerary_match === undefined) {
+            new ItineraryMatch(this, 0, circle.child_id, points);
         }
     }
     /**
-     * Deactivate all Travel cards
-     *
-     * Disables all cards and clears selection state.
-     * Optionally preserves "used" cards from deactivation.
-     *
-     * @param not_used - If true, only deactivate cards not marked as "used"
+     * Update the biker distance marker of this postcard
+     * @param biker - Region of the current player's biker
      */
-    inactivateAllTravels(not_used = false) {
-        for (const i in this.c.travel) {
-            if (!not_used || this.c.travel[i].args.active !== "used") {
-                this.c.travel[i].activate(false);
-            }
+    updateDistance(biker) {
+        const distance = RegionGraph.getDistance(biker, this.getRegion());
+        if (this.c.postcard_distance?.[0] !== undefined) {
+            this.c.postcard_distance[0].update(distance);
         }
-        // Clear selected cards
-        if (this.selected_1 !== undefined) {
-            this.selected_1.removeButtons();
-            this.selected_1 = undefined;
-        }
-        if (this.selected_2 !== undefined) {
-            this.selected_2.removeButtons();
-            this.selected_2 = undefined;
+        else {
+            new PostcardDistance(this, 0, distance);
         }
-        // Clear double action flag
-        this.setArg("double", false);
     }
-    // ========== Card State Methods ==========
     /**
-     * Mark Travel cards as "used" (played this turn)
+     * Setup face-up display with stamps, souvenirs, and spaces
      *
-     * Updates visual state to show cards that have been played.
+     * Actions:
+     *  - Creates souvenir tokens from initial data
+     *  - Creates souvenir space indicators
+     *  - Creates stamp tokens from initial data
+     *  - Creates stamp space indicators based on postcard type
+     *  - Sets up tooltip and accessible label
      *
-     * @param data - Array of travel card IDs to mark as used
+     * @param stamps - Array of initial stamp locations
+     * @param souvenirs - Array of initial souvenir locations
      */
-    usedTravels(data) {
-        for (const i in data) {
-            this.c.travel[data[i]].used();
+    setupFace(stamps = [], souvenirs = []) {
+        // Create initial souvenirs
+        for (const i in souvenirs) {
+            new Souvenir(this, souvenirs[i], souvenirs[i]);
+        }
+        // Create souvenir spaces (always 3)
+        for (let i = 1; i <= 3; i++) {
+            new SouvenirSpace(this, i, i);
+        }
+        // Create initial stamps
+        for (const i in stamps) {
+            new Stamp(this, stamps[i], stamps[i]);
         }
+        // Create stamp spaces based on postcard type
+        this.setupStampSpaces();
+        // Setup tooltip
+        this.setupTooltip();
+        this.setAriaLabel(this.game.bga.gameui.format_string(_("Postcard: region ${r}, ${n} stamps"), {
+            r: String(this.getRegion()),
+            n: String(Postcard.getStampCount(this.args.type)),
+        }));
     }
     /**
-     * Mark all Travel cards as "unused"
+     * Animate adding a souvenir to the postcard
      *
-     * Resets the used state of all cards.
+     * Creates souvenir token and animates it spinning in from the supply.
+     *
+     * @param location - Souvenir space location to add to
+     * @returns Promise resolving when animation completes
      */
-    unusedAllTravels() {
-        for (const i in this.c.travel) {
-            this.c.travel[i].used(false);
-        }
+    async addSouvenir(location) {
+        new Souvenir(this, location, location);
+        return await this.game.animationManager.slideIn(this.c.souvenir[location].html, this.game.c.board[0].c.stamp_supply[0].html, this.game.animationProfile.settings({
+            duration: 800,
+            fromPlaceholder: "off",
+            toPlaceholder: "off",
+            ignoreRotation: false,
+            parallelAnimations: [
+                {
+                    keyframes: [
+                        { transform: 'rotate(630deg)', opacity: 0 },
+                        { transform: 'rotate(270deg)', opacity: 1 },
+                        { transform: 'rotate(-90deg)', opacity: 1 },
+                    ],
+                },
+            ],
+        }));
     }
-    // ========== Card Discard/Management Methods ==========
     /**
-     * Animate discarding Travel cards
+     * Animate removing a souvenir from the postcard
      *
-     * Actions:
-     *  - Animates cards fading out and scaling to zero
-     *  - Removes cards from hand registry
-     *  - Animates to stamp supply destination
+     * Animates souvenir spinning out to the supply and removes it.
      *
-     * @param travels - Array of travel card IDs to discard
-     * @returns Promise resolving when discard animation completes
+     * @param space - Souvenir space location to remove from
+     * @returns Promise resolving when animation completes
      */
-    discardTravels(travels) {
-        for (const i in travels) {
-            const travel = this.c.travel[travels[i]];
-            this.game.animationManager.fadeOutAndDestroy(travel.html, this.game.c.board[0].c.stamp_supply[0].html, {
-                duration: 800,
-                parallelAnimations: [
-                    {
-                        keyframes: [{ transform: 'scale(1)' }, { transform: 'scale(0)' }],
-                    },
-                ],
-            });
-            delete this.c.travel[travels[i]];
-        }
-        return new Promise((resolve) => setTimeout(resolve, 800));
+    async removeSouvenir(space) {
+        return await this.game.animationManager
+            .fadeOutAndDestroy(this.c.souvenir[space].html, this.game.c.board[0].c.stamp_supply[0].html, this.game.animationProfile.settings({
+            duration: 800,
+            ignoreRotation: false,
+            parallelAnimations: [
+                {
+                    keyframes: [
+                        { transform: 'rotate(-90deg)' },
+                        { transform: 'rotate(270deg)' },
+                        { transform: 'rotate(630deg)' },
+                    ],
+                },
+            ],
+        }, 'out'))
+            .then(() => {
+            delete this.c.souvenir[space];
+        });
     }
     /**
-     * Restore discarded Travel cards (undo operation)
+     * Animate adding a stamp to the postcard
      *
-     * Recreates travel cards that were previously discarded.
+     * Creates stamp token and animates it spinning in from the supply.
      *
-     * @param travels - Array of travel card IDs to restore
-     * @returns Promise resolving when restoration completes
+     * @param location - Stamp space location to add to
+     * @returns Promise resolving when animation completes
      */
-    undoDiscardTravels(travels) {
-        for (const i in travels) {
-            new Travel(this, travels[i]);
-        }
-        return new Promise((resolve) => setTimeout(resolve, 800));
+    async addStamp(location) {
+        new Stamp(this, location, location);
+        return await this.game.animationManager.slideIn(this.c.stamp[location].html, this.game.c.board[0].c.stamp_supply[0].html, this.game.animationProfile.settings({
+            duration: 800,
+            ignoreRotation: false,
+            parallelAnimations: [
+                {
+                    keyframes: [
+                        { transform: 'rotate(720deg)', opacity: 0 },
+                        { transform: 'rotate(360deg)', opacity: 1 },
+                        { transform: 'rotate(0deg)', opacity: 1 },
+                    ],
+                },
+            ],
+        }));
     }
     /**
-     * Animate adding a Travel card to the hand
+     * Animate removing a stamp from the postcard
      *
-     * Actions:
-     *  - Adds card as child of hand
-     *  - Animates card sliding and attaching with slight rotation
+     * Animates stamp spinning out to the supply and removes it.
      *
-     * @param travel - Travel card to add
+     * @param space - Stamp space location to remove from
      * @returns Promise resolving when animation completes
      */
-    addTravel(travel) {
-        travel.addToParent(this);
-        return this.game.animationManager.slideAndAttach(travel.html, this.html, {
+    async removeStamp(space) {
+        return await this.game.animationManager
+            .fadeOutAndDestroy(this.c.stamp[space].html, this.game.c.board[0].c.stamp_supply[0].html, this.game.animationProfile.settings({
             duration: 800,
-            fromPlaceholder: "off",
+            ignoreRotation: false,
             parallelAnimations: [
                 {
-                    keyframes: [{ transform: 'rotate(0.5deg)' }, { transform: 'rotate(0deg)' }],
+                    keyframes: [
+                        { transform: 'rotate(0deg)' },
+                        { transform: 'rotate(360deg)' },
+                        { transform: 'rotate(720deg)' },
+                    ],
                 },
             ],
+        }, 'out'))
+            .then(() => {
+            delete this.c.stamp[space];
         });
     }
+    // ========== Private Helper Methods ==========
     /**
-     * Animate adding a Travel card from the deck
+     * Handle postcard click - manages interaction based on context
      *
-     * Similar to addTravel but with a flip animation indicating card came from deck.
+     * During Action phase: Send postcard from player area
+     * During Postcard phase: Take postcard from supply
+     * During Guide phase: Select postcard with guide selection logic
      *
-     * Actions:
-     *  - Adds card as child of hand
-     *  - Animates card flipping (rotateY) and attaching with rotation
+     * @private
+     */
+    onClick() {
+        if (this.game.bga.players.isCurrentPlayerActive() &&
+            (this.args.active === true || this.args.active === "selected")) {
+            switch (this.game.bga.gameui.gamedatas.gamestate.name) {
+                case 'Action':
+                    if (this.parent instanceof PostcardPlayer) {
+                        this.game.bga.actions.performAction('actSend', {
+                            postcard: this.args.type,
+                        });
+                    }
+                    break;
+                case 'Postcard':
+                    if (this.parent instanceof PostcardSupply) {
+                        if (!this.game.touch.confirm(this))
+                            break;
+                        this.game.bga.actions.performAction('actPostcard', {
+                            postcard: this.args.type,
+                        });
+                    }
+                    break;
+                case 'Guide':
+                    if (this.parent instanceof PostcardGuide) {
+                        this.parent.selection.toggle(this);
+                    }
+                    break;
+            }
+        }
+    }
+    /**
+     * Create stamp spaces based on postcard type (see getStampSpaces)
      *
-     * @param travel - Travel card from deck to add
-     * @returns Promise resolving when animation completes
+     * @private
+     */
+    setupStampSpaces() {
+        for (const space of Postcard.getStampSpaces(this.args.type)) {
+            new StampSpace(this, space, space);
+        }
+    }
+    /**
+     * Setup tooltip with postcard information
+     *
+     * Displays:
+     *  - Face-down: Region indicator and stamp requirement information
+     *  - Face-up: Sending rules, points, and gift selection
+     *
+     * @private
+     */
+    setupTooltip() {
+        this.game.bga.gameui.addTooltipHtml(`postcards_${this.id}`, `<tooltip>
+				<h3>${_("Postcard")}</h3>
+				${!this.args.face
+            ? `<p>${_("The number in the upper-left corner of a Postcard indicates its region. The one in the upper-right corner indicates the amount of Stamps required to send that Postcard.")}</p>`
+            : `<p>${_("In addition to playing your 3 Travel cards, you can send a Postcard at any time during your turn if: all the Stamp spaces on that Postcard are filled AND you are in the region indicated on that Postcard.")}</p>
+						<p>${_("When sending a Postcard, return all tokens on it to the supply, then immediately score the points indicated in its bottom-right corner and choose 1 Gift card.")}</p>
+						<p><i>${_("<b>Note:</b> You can send multiple Postcards during your turn.")}</i></p>`}
+			</tooltip>`);
+    }
+}
+
+/**
+ * Manages the postcard supply display and interactions
+ *
+ * Responsibilities:
+ *  - Displaying postcards available for taking from the supply
+ *  - Activating/deactivating postcards for player selection
+ *  - Rearranging supply row when postcards are taken
+ *  - Handling supply discard operations
+ *  - Managing postcard counters (optional based on user preferences)
+ *  - Managing top card of the postcard deck
+ */
+class PostcardSupply extends GameElement {
+    // ========== Constructor ==========
+    /**
+     * Initialize the postcard supply with initial data
+     * @param parent - Parent Game instance
+     * @param child_id - Element ID
+     * @param data - Initial supply data containing deck card and row postcards
+     */
+    constructor(parent, child_id, data) {
+        super(parent, child_id, "postcard_supply", { count: 3 });
+        let supply = 1;
+        // Add deck card if present
+        if (data.deck !== null) {
+            new Postcard(this, data.deck, false, null, supply++);
+        }
+        else {
+            supply++;
+        }
+        // Add supply row postcards
+        for (let i in data.row) {
+            new Postcard(this, data.row[i], false, null, supply++);
+        }
+        // Create optional counters if user preference is enabled
+        if (this.game.bga.userPreferences.get(101) === 1) {
+            const postcards_counter_html = document.createElement("postcards_counter");
+            this.html.appendChild(postcards_counter_html);
+            this.postcards_counter = new ebg.counter();
+            this.postcards_counter.create(postcards_counter_html, {
+                value: data.postcards_counter,
+                tableCounter: 'postcards_counter'
+            });
+            const postcards_discard_counter_html = document.createElement("postcards_discard_counter");
+            this.html.appendChild(postcards_discard_counter_html);
+            this.postcards_discard_counter = new ebg.counter();
+            this.postcards_discard_counter.create(postcards_discard_counter_html, {
+                value: data.postcards_discard_counter,
+                tableCounter: 'postcards_discard_counter'
+            });
+        }
+        // Set initial count display
+        if (data.postcards_counter === 2) {
+            this.setArg("count", 2);
+        }
+        else if (data.postcards_counter === 1 || data.postcards_counter === 0) {
+            this.setArg("count", 1);
+        }
+    }
+    // ========== Public Methods ==========
+    /**
+     * Animate adding a postcard to the supply
+     *
+     * Actions:
+     *  - Sets postcard to face-down
+     *  - Adds postcard as child of supply
+     *  - Rearranges supply row to accommodate new card
+     *  - Animates postcard flip and positioning
+     *
+     * @param postcard - Postcard to add
+     * @returns Promise resolving when animation completes
+     */
+    async addPostcard(postcard) {
+        postcard.setArg("face", false);
+        postcard.addToParent(this);
+        this.rearrangeSupplyRow();
+        return await this.game.animationManager.slideAndAttach(postcard.html, this.html, this.game.animationProfile.settings({
+            duration: 800,
+            parallelAnimations: [
+                {
+                    keyframes: [
+                        { transform: 'rotate(-90deg) rotateX(0deg)' },
+                        { transform: 'rotate(0deg) rotateX(180deg)' },
+                    ],
+                },
+            ],
+        }));
+    }
+    /**
+     * Activate or deactivate all postcards in the supply for selection
+     * @param b - True to activate (default), false to deactivate
+     */
+    activatePostcards(b = true) {
+        for (const i in this.c.postcard) {
+            this.c.postcard[i].activate(b);
+        }
+    }
+    /**
+     * Rearrange supply row after a postcard is taken
+     *
+     * Reorders postcards in the supply to fill gaps and maintain spacing.
+     * Optionally excludes a specific postcard from rearrangement.
+     *
+     * @param except - Optional postcard to exclude from rearrangement
+     */
+    rearrangeSupplyRow(except = null) {
+        this.activatePostcards(false);
+        let keys = Object.keys(this.c.postcard)
+            .map(Number)
+            .sort((a, b) => a - b);
+        let supply = 2;
+        for (const key of keys) {
+            if (this.c.postcard[key] !== undefined) {
+                const postcard = this.c.postcard[key];
+                if (postcard.args.supply !== 1 &&
+                    (except === null || except.args.type !== postcard.args.type)) {
+                    postcard.setArg("supply", supply++);
+                }
+            }
+        }
+    }
+    /**
+     * Discard all non-top postcards from the supply
+     *
+     * Removes all postcards except the one at supply position 1 (top card).
+     * Animates cards fading out and scaling to zero, and records them as discarded.
+     *
+     * @returns Promise resolving when all discard animations complete
+     */
+    discardPostcardSupply() {
+        this.activatePostcards(false);
+        this.game.postcards.discard(Object.keys(this.c.postcard)
+            .filter((i) => this.c.postcard[Number(i)].args.supply !== 1)
+            .map(Number));
+        for (const i in this.c.postcard) {
+            const postcard = this.c.postcard[i];
+            if (postcard.args.supply !== 1) {
+                this.game.animationManager.fadeOutAndDestroy(postcard.html, null, this.game.animationProfile.settings({
+                    duration: 800,
+                    parallelAnimations: [
+                        {
+                            keyframes: [{ transform: 'rotateX(-180deg) rotate(-90deg) scale(1)' }, { transform: 'rotateX(-180deg) rotate(-90deg) scale(0)' }],
+                        },
+                    ],
+                }, 'out'));
+                delete this.c.postcard[i];
+            }
+        }
+        return this.game.animationProfile.wait(800);
+    }
+    /**
+     * Refill the postcard supply with new card
+     *
+     * Actions:
+     *  - Removes top card indicator from current top card
+     *  - Adds new top card if provided
+     *  - Rearranges supply row
+     *
+     * @param top - Optional new top card ID
+     * @returns Promise resolving when refill animation completes
+     */
+    async refillPostcardSupply(top) {
+        for (const i in this.c.postcard) {
+            const postcard = this.c.postcard[i];
+            if (postcard.args.supply === 1) {
+                postcard.setArg("supply", 0);
+            }
+        }
+        if (top !== undefined) {
+            this.addPostcardToTop(top);
+        }
+        this.rearrangeSupplyRow();
+        await this.game.animationProfile.wait(500);
+    }
+    /**
+     * Add a postcard to the top position of the supply
+     *
+     * Creates a new postcard at supply position 1 (top/deck position).
+     *
+     * @param top - Postcard ID to place at top
+     * @returns The created Postcard element
+     */
+    addPostcardToTop(top) {
+        return new Postcard(this, top, false, null, 1);
+    }
+    /**
+     * Remove and return the top postcard ID
+     *
+     * Finds the postcard at supply position 1, removes it from DOM and registry,
+     * and returns its ID.
+     *
+     * @returns The ID of the removed top postcard
+     */
+    removePostcardFromTop() {
+        for (const i in this.c.postcard) {
+            if (this.c.postcard[i].args.supply === 1) {
+                this.c.postcard[i].html.remove();
+                delete this.c.postcard[i];
+                return Number(i);
+            }
+        }
+        throw new Error('No postcard found at top position');
+    }
+}
+
+/**
+ * Represents the end game bonus token
+ *
+ * The end game bonus token is earned by the first player to send 4 postcards.
+ * It grants 3 additional points at the end of the game and marks when the
+ * final round of the game begins.
+ *
+ * Responsibilities:
+ *  - Displaying the end game bonus token
+ *  - Tracking which player has earned the bonus
+ *  - Providing tooltip with bonus information
+ */
+class EndGameBonus extends GameElement {
+    // ========== Constructor ==========
+    /**
+     * Initialize the end game bonus token
+     * @param parent - Parent container (Board or PlayerArea)
+     * @param child_id - Element ID
+     */
+    constructor(parent, child_id) {
+        super(parent, child_id, "end_game_bonus");
+        // Setup tooltip
+        this.setupTooltip();
+    }
+    // ========== Private Helper Methods ==========
+    /**
+     * Setup tooltip with end game bonus information
+     *
+     * Displays:
+     *  - How to earn the end game bonus (first to send 4 postcards)
+     *  - Game flow when bonus is earned
+     *  - End-game scoring value (3 points)
+     *
+     * @private
+     */
+    setupTooltip() {
+        this.game.bga.gameui.addTooltipHtml(`postcards_${this.id}`, `<tooltip>
+				<h3>${_("End Game Bonus Token")}</h3>
+				<p>${_("The player who first sends 4 postcards immediately receives the End Game Bonus token and the game continues until the last player has played their turn. When that round is complete, proceed to final scoring.")}</p>
+				<p>${_("<b>At the end of the game:</b> the player who received the End Game Bonus token scores 3 additional points.")}</p>
+			</tooltip>`);
+    }
+}
+
+/**
+ * Represents a single region circle on the itinerary card
+ *
+ * Each circle corresponds to one of the four regions on the itinerary.
+ * Circles can be activated to indicate that the player has sent a postcard
+ * from that region, tracking progress toward the itinerary bonus.
+ *
+ * Responsibilities:
+ *  - Displaying the circle for a specific region
+ *  - Storing the region the circle requires
+ *  - Tracking activation state (whether region objective is met)
+ *  - Updating visual state when activated
+ */
+class Circle extends GameElement {
+    // ========== Constructor ==========
+    /**
+     * Initialize a circle for the itinerary
+     * @param parent - Parent Itinerary instance
+     * @param child_id - Circle index (1-4, in the order shown on the card)
+     * @param active - Whether this circle is initially active
+     * @param region - Region a postcard must come from to activate this circle
+     */
+    constructor(parent, child_id, active, region) {
+        super(parent, child_id, "circle", { type: child_id, active, region });
+    }
+    // ========== Public Methods ==========
+    /**
+     * Activate this circle to indicate region objective is met
+     *
+     * Sets the active state to true, triggering visual updates to show
+     * that the player has sent a postcard from this region.
+     */
+    activate() {
+        this.setArg("active", true);
+    }
+}
+
+/**
+ * Manages a player's itinerary card and progress tracking
+ *
+ * The itinerary card shows which regions a player should send postcards from
+ * to earn bonus end-game points. Tracks progress through numbered circles.
+ *
+ * Responsibilities:
+ *  - Displaying the player's itinerary card with region objectives
+ *  - Managing circle progress indicators (1/2/3/4 regions completed)
+ *  - Linking each circle to the region it requires
+ *  - Calculating the extra points a postcard of a given region would add
+ *  - Providing information about scoring bonuses
+ *  - Displaying tooltip with rules and scoring information
+ */
+class Itinerary extends GameElement {
+    // ========== Constructor ==========
+    /**
+     * Initialize the itinerary card with circles for progress tracking
+     * @param parent - Parent PlayerArea instance
+     * @param child_id - Element ID
+     * @param type - Itinerary card type/variant
+     * @param circles - Data for circles representing region progress (1-4)
+     */
+    constructor(parent, child_id, type, circles) {
+        super(parent, child_id, "itinerary", { type });
+        // Create circles for each region (1-4, in the order shown on the card)
+        for (const c in circles) {
+            new Circle(this, Number(c), circles[c], Itinerary.REGIONS[type][Number(c) - 1]);
+        }
+        // Setup tooltip with rules and scoring information
+        this.setupTooltip();
+    }
+    // ========== Public Methods ==========
+    /**
+     * Get the number of circles already activated
+     * @returns Number of matched regions (0-4)
+     */
+    getActiveCount() {
+        return Object.values(this.c.circle ?? {}).filter((c) => c.args.active === true).length;
+    }
+    /**
+     * Get the circle a postcard of the given region would fill
+     * @param region - Postcard region
+     * @returns The matching inactive circle, or undefined if the region is not on the card or already covered
+     */
+    getMatchingCircle(region) {
+        for (const c in this.c.circle) {
+            const circle = this.c.circle[c];
+            if (circle.args.region === region && circle.args.active !== true)
+                return circle;
+        }
+        return undefined;
+    }
+    /**
+     * Get the extra points sending a postcard of the given region would add
+     * @param region - Postcard region
+     * @returns Extra itinerary points (0 if the region does not advance the card)
+     */
+    getMatchPoints(region) {
+        if (this.getMatchingCircle(region) === undefined)
+            return 0;
+        const count = this.getActiveCount();
+        return Itinerary.POINTS[count + 1] - Itinerary.POINTS[count];
+    }
+    // ========== Private Helper Methods ==========
+    /**
+     * Setup tooltip for the itinerary card
+     *
+     * Displays:
+     *  - Itinerary card setup rules
+     *  - Biker starting position
+     *  - End-game scoring for region matches
+     *  - Scoring progression (2/4/7/11 points)
+     *  - Rules about multiple postcards from same region
+     *  - Explanation of maximum score requirement
+     *
+     * @private
+     */
+    setupTooltip() {
+        this.game.bga.gameui.addTooltipHtml(`postcards_${this.id}`, `<tooltip>
+				<h3>${_("Itinerary Card")}</h3>
+				<p>${_("During setup give an Itinerary cards to each player randomly. Each player places their Biker on the region indicated in the top-left corner of their Itinerary card. The remaining Itinerary cards are removed from the game.")}</p>
+				<p>${_("At the end of the game, if you have sent 1/2/3/4 Postcards that match the regions shown at the bottom of the card, you score 2/4/7/11 points.")}</p>
+				<p>${_("It is not mandatory to complete your Itinerary card, but it can give you valuable extra points!")}</p>
+				<p>${_("You may send multiple Postcards from the same region, but each region on your Itinerary card only counts once towards the objective. To score the maximum amount of points, you must send Postcards from all 4 different regions!")}</p>
+			</tooltip>`);
+    }
+}
+// ========== Static Properties ==========
+/** Points scored by number of matched regions (0-4) */
+Itinerary.POINTS = [0, 2, 4, 7, 11];
+/** Regions shown at the bottom of each itinerary card, in circle order */
+Itinerary.REGIONS = {
+    1: [3, 5, 8, 11],
+    2: [4, 6, 9, 12],
+    3: [5, 7, 9, 13],
+    4: [2, 8, 10, 12],
+    5: [1, 7, 8, 13],
+    6: [2, 4, 8, 10],
+    7: [2, 4, 9, 11],
+    8: [1, 3, 10, 12],
+    9: [1, 3, 6, 13],
+    10: [2, 4, 6, 11],
+    11: [3, 5, 7, 8],
+    12: [2, 4, 6, 9],
+    13: [1, 3, 7, 11],
+};
+
+/**
+ * Represents a single camp token
+ *
+ * Camp tokens are placed by players on campsites in regions to earn points
+ * and trigger souvenir placement opportunities. Each player has a limited
+ * number of camps available on their player board.
+ *
+ * Responsibilities:
+ *  - Displaying camp token with player color
+ *  - Tracking camp location and placement
+ *  - Managing region and campsite information
+ */
+class Camp extends GameElement {
+    // ========== Constructor ==========
+    /**
+     * Initialize a camp token
+     * @param parent - Parent container (PlayerBoard or Board)
+     * @param child_id - Camp ID
+     * @param color - Player color for camp styling
+     * @param location - Location identifier (camp order on player board)
+     * @param region - Region where camp is placed (0 if unplaced)
+     * @param campsite - Campsite number within region (0 if unplaced)
+     */
+    constructor(parent, child_id, color, location, region = 0, campsite = 0) {
+        super(parent, child_id, "camp", { color, location, region, campsite });
+    }
+}
+
+/**
+ * Manages a player's personal board display
+ *
+ * Displays the player's camp token placement board and manages their available camps.
+ * Handles camp placement animations and rotations based on position.
+ *
+ * Responsibilities:
+ *  - Creating and displaying camp tokens
+ *  - Managing camp placement on the board
+ *  - Animating camp placement with appropriate rotations
+ *  - Displaying player name and board information
+ *  - Providing tooltips explaining board mechanics
+ */
+class PlayerBoard extends GameElement {
+    // ========== Constructor ==========
+    /**
+     * Initialize the player board with camps and player information
+     * @param parent - Parent PlayerArea instance
+     * @param child_id - Element ID
+     * @param color - Player color for camp styling
+     * @param name - Player name to display
+     * @param side - Whether using side A (true) or side B (false) of the board
+     * @param camps - Array of already placed camps
+     */
+    constructor(parent, child_id, color, name, side, camps) {
+        super(parent, child_id, "player_board", { color, side });
+        // Create available camps (starting from camps.length + 1 up to 13)
+        for (let i = camps.length + 1; i <= 13; i++) {
+            new Camp(this, i, color, i);
+        }
+        // Setup tooltips for the board
+        this.setupTooltip();
+        // Add player name label
+        this.html.innerHTML += `<name_label>${name}<name_label>`;
+    }
+    // ========== Public Methods ==========
+    /**
+     * Animate adding a camp to the player board
+     *
+     * Actions:
+     *  - Sets camp location on the board
+     *  - Calculates appropriate rotation based on position
+     *  - Adds camp as child of this board at specified location
+     *  - Animates camp sliding and attaching with rotation
+     *
+     * Rotation angles by position:
+     *  - Positions 1, 2: 90 degrees
+     *  - Position 3: 45 degrees
+     *  - Position 10: -45 degrees
+     *  - Positions 11, 12, 13: -90 degrees
+     *  - Other positions: 0 degrees
+     *
+     * @param camp - Camp token to place
+     * @param location - Board location (1-13) where camp should be placed
+     * @returns Promise resolving when animation completes
+     */
+    async addCamp(camp, location) {
+        camp.setArg("location", location);
+        // Determine rotation based on location
+        let rotate = 0;
+        switch (camp.args.location) {
+            case 1:
+            case 2:
+                rotate = 90;
+                break;
+            case 3:
+                rotate = 45;
+                break;
+            case 10:
+                rotate = -45;
+                break;
+            case 11:
+            case 12:
+            case 13:
+                rotate = -90;
+                break;
+        }
+        // Add camp to board and animate
+        camp.addToParent(this, location);
+        return this.game.animationManager.slideAndAttach(camp.html, this.html, this.game.animationProfile.settings({
+            duration: 800,
+            parallelAnimations: [
+                {
+                    keyframes: [{ transform: 'rotate(0deg)' }, { transform: `rotate(${rotate}deg)` }],
+                },
+            ],
+        }));
+    }
+    // ========== Private Helper Methods ==========
+    /**
+     * Setup tooltips for the player board
+     *
+     * Displays information about:
+     *  - When camps grant immediate effects (5th, 7th, 9th)
+     *  - When camps grant immediate scoring (11th, 12th, 13th)
+     *  - Side B special rules (if applicable)
+     *
+     * @private
+     */
+    setupTooltip() {
+        this.game.bga.gameui.addTooltipHtml(`postcards_${this.id}`, `<tooltip>
+				<h3>${_("Player Board")}</h3>
+				<p>${_("The 5th, 7th and 9th Camp tokens on your player board will grant you an immediate effect when you place them.")}</p>
+				<p>${_("The 11th, 12th and 13th Camp tokens on your player board will immediately score points when you place them.")}</p>
+				${this.args.side
+            ? ""
+            : `<h4>${_("Side B")}</h4>
+					<p>${_("When using side B of the player board, each time you benefit from a Star effect, you can choose between: a Movement effect, a Postcard effect, or placing 1 Stamp.")}</p>`}
+			</tooltip>`);
+    }
+}
+
+/**
+ * Represents a deck stack indicator on the board
+ *
+ * Displays remaining cards in either the travel deck or gift deck.
+ * Shows visual count indicator (1-3 cards) based on deck fullness.
+ *
+ * Responsibilities:
+ *  - Displaying deck stack with type indicator
+ *  - Tracking remaining cards in the deck
+ *  - Providing visual feedback on deck status
+ */
+class DeckStack extends GameElement {
+    // ========== Constructor ==========
+    /**
+     * Initialize a deck stack indicator
+     * @param parent - Parent Board instance
+     * @param child_id - Element ID
+     * @param type - Deck type (0 = Travel, 1 = Gift)
+     */
+    constructor(parent, child_id, type) {
+        super(parent, child_id, "deck_stack", { type, count: 3 });
+    }
+}
+
+/**
+ * Represents a player's biker token on the board
+ *
+ * Each player has a biker that moves between regions during the game.
+ * The biker's position determines which region the player can place camps in
+ * and is used for various game mechanics.
+ *
+ * Responsibilities:
+ *  - Displaying biker token with player color
+ *  - Managing biker position on the board
+ *  - Tracking whether this is the current player's biker
+ *  - Providing tooltip with player information
+ */
+class Biker extends GameElement {
+    // ========== Constructor ==========
+    /**
+     * Initialize a biker token
+     * @param parent - Parent Board instance
+     * @param child_id - Biker ID (player ID)
+     * @param color - Player color hex code
+     * @param location - Starting region location
+     * @param own - Whether this is the current player's biker
+     */
+    constructor(parent, child_id, color, location, own) {
+        super(parent, child_id, "biker", { color, location, own });
+        // Setup tooltip
+        this.setupTooltip();
+    }
+    // ========== Public Methods ==========
+    /**
+     * Move biker to a new region
+     * @param region - Destination region number
+     */
+    move(region) {
+        this.setArg("location", region);
+    }
+    // ========== Private Helper Methods ==========
+    /**
+     * Setup tooltip with biker player information
+     *
+     * Displays:
+     *  - Player color name
+     *  - Indicator if this is the current player's biker
+     *
+     * @private
+     */
+    setupTooltip() {
+        this.game.bga.gameui.addTooltipHtml(`postcards_${this.id}`, `<tooltip>
+				<h3>${this.game.bga.gameui.format_string(_("${color} Biker"), {
+            color: this.getColor(),
+        })}</h3>
+				${this.args.own
+            ? `<p><span style="color: #FF39A5">⬤</span> ${_("This is your Biker")}</p>`
+            : ''}
+			</tooltip>`);
+    }
+    /**
+     * Get localized player color name from hex code
+     *
+     * Maps color hex codes to localized color names.
+     *
+     * @returns Localized color name
+     * @private
+     */
+    getColor() {
+        switch (this.args.color) {
+            case "174D62":
+                return _("Blue");
+            case "A4C877":
+                return _("Green");
+            case "EE7628":
+                return _("Orange");
+            case "FCC922":
+                return _("Yellow");
+        }
+        return '';
+    }
+}
+
+/**
+ * Represents the travel card deck on the board
+ *
+ * Players can draw from the travel deck as an alternative to selecting
+ * from the travel supply. Drawing from the deck provides a random card.
+ *
+ * Responsibilities:
+ *  - Displaying the travel deck on the board
+ *  - Handling click interactions for deck drawing
+ *  - Tracking activation state for player interaction
+ *  - Providing the ARIA role and label
+ */
+class TravelDeck extends GameElement {
+    // ========== Constructor ==========
+    /**
+     * Initialize the travel deck
+     * @param parent - Parent Board instance
+     * @param child_id - Element ID
+     */
+    constructor(parent, child_id) {
+        super(parent, child_id, "travel_deck");
+        // Register click handler
+        $(`postcards_${this.id}`).addEventListener('click', () => this.onClick());
+        // Setup accessibility
+        this.setupAria("button", _("Travel deck"));
+    }
+    // ========== Public Methods ==========
+    /**
+     * Activate or deactivate the travel deck for interaction
+     * @param b - True to activate (default), false to deactivate
+     */
+    activate(b = true) {
+        this.setArg("active", b);
+    }
+    // ========== Private Helper Methods ==========
+    /**
+     * Handle travel deck click - draws card from deck when clicked
+     *
+     * During Travel phase:
+     *  - Click: Draw card from travel deck (second tap in touch mode)
+     *
+     * @private
+     */
+    async onClick() {
+        if (this.game.bga.players.isCurrentPlayerActive() && this.args.active === true) {
+            switch (this.game.bga.gameui.gamedatas.gamestate.name) {
+                case 'Travel':
+                    if (!this.game.touch.confirm(this))
+                        break;
+                    this.game.bga.actions.performAction('actTravelDeck');
+                    break;
+            }
+        }
+    }
+}
+
+/**
+ * Represents the stamp supply on the board
+ *
+ * The stamp supply contains all available stamp tokens that players can take
+ * during gameplay. Stamps are placed on postcard spaces to fulfill sending requirements.
+ *
+ * Responsibilities:
+ *  - Displaying the stamp supply on the board
+ *  - Serving as a visual reference for available stamps
+ */
+class StampSupply extends GameElement {
+    // ========== Constructor ==========
+    /**
+     * Initialize the stamp supply
+     * @param parent - Parent Board instance
+     * @param child_id - Element ID
+     */
+    constructor(parent, child_id) {
+        super(parent, child_id, "stamp_supply");
+    }
+}
+
+/**
+ * Represents the gift card deck on the board
+ *
+ * The gift deck contains gift cards that are drawn to refill the gift supply.
+ * When a player sends a postcard, they choose a gift card from the supply,
+ * and the empty space is refilled from the deck.
+ *
+ * Clicking the deck opens a reference of every gift kind: how many exist,
+ * how many are held by the players, face-up on the board or already used,
+ * and therefore how many are still in the deck.
+ *
+ * Responsibilities:
+ *  - Displaying the gift deck on the board
+ *  - Serving as a visual reference for available gift cards
+ *  - Tracking the gift cards used by the players
+ *  - Displaying the remaining gift reference
+ *  - Providing the ARIA role and label
+ */
+class GiftDeck extends GameElement {
+    // ========== Constructor ==========
+    /**
+     * Initialize the gift deck
+     * @param parent - Parent Board instance
+     * @param child_id - Element ID
+     * @param used - Gift card IDs already used
+     */
+    constructor(parent, child_id, used) {
+        super(parent, child_id, "gift_deck");
+        this.used = new Set(used.map(Number));
+        // Register click handler
+        $(`postcards_${this.id}`).addEventListener('click', () => this.showReference());
+        // Setup tooltip
+        this.game.bga.gameui.addTooltipHtml(`postcards_${this.id}`, `<h3>${_("Gift deck")}</h3><p>${_("Click to see the remaining gifts")}</p>`);
+        // Setup accessibility
+        this.setupAria("button", _("Gift deck"));
+    }
+    // ========== Public Methods ==========
+    /**
+     * Mark a gift card as used or restore it (undo)
+     * @param gift - Gift card ID
+     * @param b - True to mark as used (default), false to restore
+     */
+    use(gift, b = true) {
+        if (b)
+            this.used.add(gift);
+        else
+            this.used.delete(gift);
+    }
+    /**
+     * Open the reference of the remaining gifts
+     */
+    showReference() {
+        this.dialog?.destroy();
+        this.dialog = new ebg.popindialog();
+        this.dialog.create('gift_reference');
+        this.dialog.setTitle(_("Gift cards"));
+        this.dialog.setContent(this.getReferenceHtml());
+        this.dialog.replaceCloseCallback(() => {
+            this.dialog?.destroy();
+            delete this.dialog;
+        });
+        this.dialog.show();
+    }
+    // ========== Protected Methods ==========
+    /**
+     * The deck can always be clicked to open the reference
+     * @returns True
+     */
+    isEnabled() {
+        return true;
+    }
+    // ========== Private Helper Methods ==========
+    /**
+     * Build the reference table
+     *
+     * Gift kinds are listed in card ID order. The cards in the deck are the
+     * ones neither held, face-up nor used.
+     *
+     * @returns Reference HTML
+     * @private
+     */
+    getReferenceHtml() {
+        const held = new Set();
+        for (const p in this.game.c.player_area) {
+            for (const g in this.game.c.player_area[p].c.gift_player?.[0]?.c.gift ?? {})
+                held.add(Number(g));
+        }
+        const face_up = new Set(Object.keys(this.parent.c.gift ?? {}).map(Number));
+        const kinds = new Map();
+        for (let gift = 1; gift <= GiftDeck.GIFT_COUNT; gift++) {
+            const type = Gift.getGiftType(gift);
+            const kind = kinds.get(type) ?? { total: 0, held: 0, face_up: 0, used: 0 };
+            kind.total++;
+            if (held.has(gift))
+                kind.held++;
+            else if (face_up.has(gift))
+                kind.face_up++;
+            else if (this.used.has(gift))
+                kind.used++;
+            kinds.set(type, kind);
+        }
+        let rows = "";
+        kinds.forEach((kind, type) => {
+            const deck = kind.total - kind.held - kind.face_up - kind.used;
+            rows += `<tr deck="${deck}">
+				<th>${Gift.getGiftName(type)}</th>
+				<td>${kind.total}</td>
+				<td>${kind.held}</td>
+				<td>${kind.face_up}</td>
+				<td>${kind.used}</td>
+				<td>${deck}</td>
+			</tr>`;
+        });
+        return `
+			<gift_reference>
+				<table>
+					<tr>
+						<td></td>
+						<th>${_("Total")}</th>
+						<th>${_("Players")}</th>
+						<th>${_("Face-up")}</th>
+						<th>${_("Used")}</th>
+						<th>${_("Deck")}</th>
+					</tr>
+					${rows}
+				</table>
+			</gift_reference>
+		`;
+    }
+}
+// ========== Static Properties ==========
+/** Number of gift cards in the game */
+GiftDeck.GIFT_COUNT = 25;
+
+/**
+ * Represents the Best Traveler progress marker of a region
+ *
+ * Shown over a region when the Best Traveler overlay is enabled, it lists how
+ * many campsites of the region each player occupies. A region where a player
+ * is one camp away from becoming the Best Traveler is flagged, and a region
+ * already won keeps a badge in the winner's color even when the overlay is off.
+ *
+ * Responsibilities:
+ *  - Displaying camp counts per player compared with the region's campsites
+ *  - Flagging regions one camp away from Best Traveler
+ *  - Displaying the Best Traveler badge of won regions
+ */
+class RegionProgress extends GameElement {
+    // ========== Constructor ==========
+    /**
+     * Initialize the progress marker of a region
+     * @param parent - Parent Board instance
+     * @param child_id - Region number (1-13)
+     * @param total - Number of campsites in the region
+     */
+    constructor(parent, child_id, total) {
+        super(parent, child_id, "region_progress", { region: child_id, total, near: "", won: "" });
+    }
+    // ========== Public Methods ==========
+    /**
+     * Update the marker from the camps in the region
+     *
+     * A player is one camp away when they hold all but one campsite of the
+     * region and the last campsite is still free.
+     *
+     * @param camps - Number of camps in the region by player color
+     */
+    update(camps) {
+        const total = this.args.total;
+        const occupied = Object.values(camps).reduce((a, b) => a + b, 0);
+        let near = "";
+        let won = "";
+        let html = "";
+        for (const color in camps) {
+            if (camps[color] === total)
+                won = color;
+            else if (camps[color] === total - 1 && occupied === total - 1)
+                near = color;
+            html += `<region_progress_player color="${color}">${camps[color]}</region_progress_player>`;
+        }
+        html += `<region_progress_total>/${total}</region_progress_total>`;
+        this.html.innerHTML = html;
+        this.setArg("near", near);
+        this.setArg("won", won);
+        this.setupTooltip();
+    }
+    // ========== Private Helper Methods ==========
+    /**
+     * Setup tooltip with the region's Best Traveler status
+     * @private
+     */
+    setupTooltip() {
+        let status = "";
+        if (this.args.won !== "")
+            status = `<p>${_("This region already has its Best Traveler.")}</p>`;
+        else if (this.args.near !== "")
+            status = `<p>${_("A player is only one camp away from becoming the Best Traveler in this region!")}</p>`;
+        this.game.bga.gameui.addTooltipHtml(`postcards_${this.id}`, `<tooltip>
+				<h3>${_("Best Traveler In The Region")}</h3>
+				<p>${_("If a player manages to place their Camp tokens on ALL the campsites in a region, they become known as the best traveler in that region! That player immediately scores 1 point per Camp token they have placed there.")}</p>
+				${status}
+			</tooltip>`);
+    }
+}
+
+/**
+ * Represents the Travel deck composition tracker next to the travel deck
+ *
+ * The action type and stamp color of a Travel card come from its ID, so the
+ * makeup of the 72 cards (6 of each action and color pair) is known. The
+ * tracker lists how many cards of each action type and each color are still
+ * unseen: not in the current player's hand, not in the face-up supply, not
+ * played during the current turn and not in the discard pile.
+ *
+ * The discard pile is sent with the game data, then followed through the
+ * discard counter: the cards played during the turn are added when it goes
+ * up, removed again when a discard is undone and cleared on reshuffle.
+ *
+ * The odds of drawing each color from the deck are the unseen cards of that
+ * color over all unseen cards, as the cards in the other players' hands are
+ * unknown too.
+ *
+ * Responsibilities:
+ *  - Following the discard pile and the cards played during the turn
+ *  - Counting the unseen cards by action type and color
+ *  - Displaying the composition panel and its toggle
+ */
+class TravelTracker extends GameElement {
+    // ========== Constructor ==========
+    /**
+     * Initialize the tracker
+     * @param parent - Parent Board instance
+     * @param child_id - Element ID
+     * @param discard - Travel cards in the discard pile
+     */
+    constructor(parent, child_id, discard) {
+        super(parent, child_id, "travel_tracker", { open: false, overlay: true });
+        /** Travel cards played during the current turn */
+        this.played = [];
+        /** Travel cards added to the discard pile by the last discard (restored on undo) */
+        this.last_discard = [];
+        this.discarded = new Set(discard.map(Number));
+        this.html.innerHTML = `
+			<travel_tracker_toggle id="travel_tracker_toggle"></travel_tracker_toggle>
+			<travel_tracker_panel></travel_tracker_panel>
+		`;
+        this.html.querySelector('travel_tracker_toggle').addEventListener('click', () => this.show(this.args.open !== true));
+        this.game.bga.gameui.addTooltipHtml("travel_tracker_toggle", `<h3>${_("Show/hide unseen Travel cards")}</h3>`);
+        this.show(localStorage.getItem('postcards-travel-tracker') === 'true');
+    }
+    // ========== Public Methods ==========
+    /**
+     * Show or hide the composition panel
+     *
+     * Saves the choice in local storage to persist across page reloads.
+     *
+     * @param b - True to show, false to hide
+     */
+    show(b) {
+        this.setArg("open", b);
+        localStorage.setItem('postcards-travel-tracker', String(b));
+        this.update();
+    }
+    /**
+     * Set the Travel cards played during the current turn
+     * @param travels - Travel card IDs (empty between turns)
+     */
+    setPlayed(travels) {
+        this.played = travels.map(Number);
+        this.update();
+    }
+    /**
+     * Follow a change of the discard counter
+     *
+     * The counter goes up when the played cards are discarded at the end of
+     * the turn, down when that discard is undone, and to 0 when the discard
+     * pile is reshuffled into the deck.
+     *
+     * @param value - New discard counter value
+     * @param inc - Change of the counter
+     */
+    setDiscardCount(value, inc) {
+        if (value === 0) {
+            this.discarded.clear();
+            this.last_discard = [];
+        }
+        else if (inc > 0) {
+            this.last_discard = this.played.filter((t) => !this.discarded.has(t));
+            this.last_discard.forEach((t) => this.discarded.add(t));
+        }
+        else if (inc < 0) {
+            this.last_discard.forEach((t) => this.discarded.delete(t));
+            this.last_discard = [];
+        }
+        this.update();
+    }
+    /**
+     * Refresh the composition panel (while shown)
+     */
+    update() {
+        if (this.args.open !== true)
+            return;
+        const unseen = this.getUnseen();
+        const total = unseen.length;
+        const count = (action, color) => unseen.filter((t) => (action === null || Math.floor((t - 1) / 24) + 1 === action) &&
+            (color === null || (Math.floor((t - 1) / 6) % 4) + 1 === color)).length;
+        let rows = `<tr><td></td>`;
+        for (let color = 1; color <= 4; color++) {
+            rows += `<th><travel_tracker_color color="${color}" title="${Travel.getColorName(color)}"></travel_tracker_color></th>`;
+        }
+        rows += `<th>${_("Total")}</th></tr>`;
+        for (let action = 1; action <= 3; action++) {
+            rows += `<tr><th>${Travel.getActionName(action)}</th>`;
+            for (let color = 1; color <= 4; color++) {
+                rows += `<td>${count(action, color)}<small>/${TravelTracker.CARDS_PER_TYPE}</small></td>`;
+            }
+            rows += `<td>${count(action, null)}</td></tr>`;
+        }
+        rows += `<tr total="true"><th>${_("Total")}</th>`;
+        for (let color = 1; color <= 4; color++) {
+            rows += `<td>${count(null, color)}</td>`;
+        }
+        rows += `<td>${total}</td></tr>`;
+        rows += `<tr odds="true"><th>${_("Draw odds")}</th>`;
+        for (let color = 1; color <= 4; color++) {
+            rows += `<td>${total === 0 ? "-" : Math.round((count(null, color) / total) * 100) + "%"}</td>`;
+        }
+        rows += `<td></td></tr>`;
+        this.html.querySelector('travel_tracker_panel').innerHTML = `
+			<h3>${_("Unseen Travel cards")}</h3>
+			<table>${rows}</table>
+			<p>${_("Cards not in your hand, in the supply, played this turn or seen discarded.")}</p>
+		`;
+    }
+    // ========== Private Helper Methods ==========
+    /**
+     * Get the Travel cards the current player has not seen
+     * @returns Unseen Travel card IDs
+     * @private
+     */
+    getUnseen() {
+        const seen = new Set([...this.discarded, ...this.played]);
+        for (const t in this.parent.c.travel)
+            seen.add(Number(t));
+        const hand = this.game.c.player_area?.[this.game.bga.gameui.player_id]?.c.hand?.[0];
+        for (const t in hand?.c.travel ?? {})
+            seen.add(Number(t));
+        const res = [];
+        for (let t = 1; t <= 12 * TravelTracker.CARDS_PER_TYPE; t++) {
+            if (!seen.has(t))
+                res.push(t);
+        }
+        return res;
+    }
+}
+// ========== Static Properties ==========
+/** Number of cards of each action type and color pair */
+TravelTracker.CARDS_PER_TYPE = 6;
+
+/**
+ * Represents one step of the planned route on the board
+ *
+ * Displayed over a region of the planned route, showing the step number and
+ * the movement resource (Travel card, Bonus action, Car...) it would use.
+ *
+ * Responsibilities:
+ *  - Displaying the step number and the movement resource of a route step
+ */
+class RouteStep extends GameElement {
+    // ========== Constructor ==========
+    /**
+     * Initialize a route step marker
+     * @param parent - Parent Board instance
+     * @param child_id - Region number of the step
+     * @param step - Step number (1 = first move)
+     * @param resource - Movement resource used by the step
+     * @param label - Localized label of the movement resource
+     */
+    constructor(parent, child_id, step, resource, label) {
+        super(parent, child_id, "route_step", { region: child_id, step, resource, overlay: true });
+        this.html.innerHTML = `<route_step_number>${step}</route_step_number><span>${label}</span>`;
+    }
+}
+
+/**
+ * Plans the current player's route to a destination region
+ *
+ * The player picks a destination by clicking a region; the shortest path from
+ * their Biker is highlighted and every step is annotated with the movement
+ * resource it would use. The plan is kept across successive Move states and
+ * recalculated after every move until the destination is reached.
+ *
+ * Responsibilities:
+ *  - Storing the planned destination
+ *  - Highlighting the shortest path on the board
+ *  - Assigning available movement resources to the steps of the path
+ */
+class RoutePlanner {
+    // ========== Constructor ==========
+    /**
+     * Initialize the route planner
+     * @param board - Board the route is displayed on
+     */
+    constructor(board) {
+        /** Planned destination region (null if no plan) */
+        this.destination = null;
+        this.board = board;
+        this.game = board.game;
+    }
+    // ========== Public Methods ==========
+    /**
+     * Plan a route to a region, or clear the plan when the region is already the destination
+     * @param region - Destination region number
+     */
+    plan(region) {
+        this.destination = region === this.destination ? null : region;
+        this.update();
+    }
+    /**
+     * Clear the planned route
+     */
+    clear() {
+        this.destination = null;
+        this.update();
+    }
+    /**
+     * Recalculate and redisplay the planned route from the current Biker position
+     *
+     * The plan is cleared once the Biker reaches the destination.
+     */
+    update() {
+        this.removeRoute();
+        if (this.destination === null)
+            return;
+        const biker = Number(this.board.c.biker[this.game.bga.gameui.player_id].args.location);
+        if (biker === this.destination) {
+            this.destination = null;
+            return;
+        }
+        const path = RegionGraph.getShortestPath(biker, this.destination);
+        const resources = this.getMoveResources();
+        path.forEach((region, i) => {
+            const resource = resources[i] ?? "next_turn";
+            new RouteStep(this.board, region, i + 1, resource, this.getResourceLabel(resource));
+            this.board.c.region[region].setArg("route", region === this.destination ? "destination" : "path");
+        });
+    }
+    // ========== Private Helper Methods ==========
+    /**
+     * Remove the displayed route from the board
+     * @private
+     */
+    removeRoute() {
+        for (const r in this.board.c.route_step) {
+            this.board.c.route_step[r].html.remove();
+        }
+        delete this.board.c.route_step;
+        for (const r in this.board.c.region) {
+            this.board.c.region[r].setArg("route", false);
+        }
+    }
+    /**
+     * List the movement resources available to the current player, in the order they would be used
+     *
+     * Order:
+     *  - The movement being performed (during a Move state)
+     *  - Unused Movement Travel cards in hand
+     *  - Movement bonus actions (move_bonus_counter)
+     *  - Car gift cards (3 moves each)
+     *  - Road Map gift cards (1 move each)
+     *
+     * @returns Array of resource names, one per move
+     * @private
+     */
+    getMoveResources() {
+        const res = [];
+        const playerArea = this.game.c.player_area[this.game.bga.gameui.player_id];
+        const active = this.game.bga.players.isCurrentPlayerActive();
+        if (active && this.game.bga.gameui.gamedatas.gamestate.name === 'Move') {
+            res.push("current");
+        }
+        for (const t in playerArea.c.hand?.[0]?.c.travel) {
+            const travel = playerArea.c.hand[0].c.travel[t];
+            if (travel.getOptionType() === 1 && !this.game.used_travels.includes(travel.child_id)) {
+                res.push("travel");
+            }
+        }
+        const bonus = playerArea.c.bonus_actions?.[0]?.c.travel_option[1]?.counter?.getValue() ?? 0;
+        for (let i = 0; i < bonus; i++)
+            res.push("bonus");
+        for (const g in playerArea.c.gift_player[0].c.gift) {
+            if (Gift.getGiftType(Number(g)) === Gift.CAR)
+                res.push("car", "car", "car");
+        }
+        for (const g in playerArea.c.gift_player[0].c.gift) {
+            if (Gift.getGiftType(Number(g)) === Gift.ROAD_MAP)
+                res.push("road_map");
+        }
+        return res;
+    }
+    /**
+     * Get the localized label of a movement resource
+     * @param resource - Resource name
+     * @returns Localized label
+     * @private
+     */
+    getResourceLabel(resource) {
+        switch (resource) {
+            case "current":
+                return _("This move");
+            case "travel":
+                return _("Travel card");
+            case "bonus":
+                return _("Bonus action");
+            case "car":
+                return _("Car");
+            case "road_map":
+                return _("Road Map");
+        }
+        return _("Next turn");
+    }
+}
+
+/**
+ * Manages the main game board
+ *
+ * Contains all board elements including regions, campsites, bikers, travel supply,
+ * gift supply, stamp supply, and various UI helpers.
+ *
+ * Responsibilities:
+ *  - Creating and managing board layout (regions, campsites)
+ *  - Managing biker positions and movement
+ *  - Managing travel card supply and deck
+ *  - Managing gift card supply and deck
+ *  - Managing stamp supply
+ *  - Activating/deactivating regions and campsites
+ *  - Previewing the campsites and postcards of a movement destination
+ *  - Managing camp placement and tracking
+ *  - Providing help interface for camp tracking
+ *  - Displaying the toggleable Best Traveler progress overlay
+ *  - Displaying the toggleable Travel deck composition tracker
+ *  - Planning the current player's route to a destination region
+ */
+class Board extends GameElement {
+    // ========== Constructor ==========
+    /**
+     * Initialize the board with all elements
+     * @param parent - Parent Game instance
+     * @param child_id - Element ID
+     * @param data - Board data containing players, travels, gifts, and initial state
+     */
+    constructor(parent, child_id, data) {
+        super(parent, child_id, "board");
+        /** Camp counters for tracking camps by player and type */
+        this.camp_counters = {};
+        // Setup Regions
+        for (let i = 0; i <= 13; i++) {
+            new Region(this, i, i);
+        }
+        // Setup campsites with type mappings
+        this.campsites = [
+            [1, 3, 3],
+            [8, 4, 7, 2, 5],
+            [2, 1, 4, 6],
+            [5, 6, 4, 3],
+            [2, 6, 6, 4, 3],
+            [5, 3, 7, 8],
+            [8, 4, 6, 7],
+            [2, 1, 8, 6, 3, 6],
+            [2, 4, 5, 7, 8],
+            [1, 1, 5],
+            [4, 1, 2, 3, 7],
+            [7, 1, 8, 5],
+            [8, 7, 5, 2],
+        ];
+        for (let r = 1; r <= this.campsites.length; r++) {
+            const region = this.campsites[r - 1];
+            for (let l = 1; l <= region.length; l++) {
+                const t = region[l - 1];
+                const id = r * 10 + l;
+                new Campsite(this, id, t, r, l);
+            }
+        }
+        // Setup Bikers and Camps
+        this.setupCampHelp(data);
+        for (const p in data.players) {
+            new Biker(this, data.players[p].id, data.players[p].color, data.players[p].biker, data.players[p].id === this.game.bga.gameui.player_id);
+            for (const c in data.players[p].camps) {
+                const region = data.players[p].camps[c].region;
+                const campsite = data.players[p].camps[c].location;
+                new Camp(this, region * 10 + campsite, data.players[p].color, 0, region, campsite);
+                this.camp_counters[data.players[p].id][this.campsites[region - 1][campsite - 1]].innerHTML = String(Number(this.camp_counters[data.players[p].id][this.campsites[region - 1][campsite - 1]].innerHTML) + 1);
+            }
+        }
+        // Setup Best Traveler progress overlay
+        for (let r = 1; r <= this.campsites.length; r++) {
+            new RegionProgress(this, r, this.campsites[r - 1].length);
+        }
+        this.setupBestTravelerToggle();
+        this.updateRegionProgress();
+        // Setup route planner
+        this.route_planner = new RoutePlanner(this);
+        // Setup travel supply
+        for (const t in data.travels.travels) {
+            new Travel(this, data.travels.travels[t].type, data.travels.travels[t].location);
+        }
+        if (this.game.bga.userPreferences.get(101) === 1) {
+            const travels_counter_html = document.createElement("travels_counter");
+            this.html.appendChild(travels_counter_html);
+            this.travels_counter = new ebg.counter();
+            this.travels_counter.create(travels_counter_html, {
+                value: data.travels.travels_counter,
+                tableCounter: 'travels_counter'
+            });
+            const travels_discard_counter_html = document.createElement("travels_discard_counter");
+            this.html.appendChild(travels_discard_counter_html);
+            this.travels_discard_counter = new ebg.counter();
+            this.travels_discard_counter.create(travels_discard_counter_html, {
+                value: data.travels.travels_discard_counter,
+                tableCounter: 'travels_discard_counter'
+            });
+        }
+        if (data.travels.travels_counter === 2) {
+            this.setArg("travels_count", 2);
+        }
+        else if (data.travels.travels_counter === 1) {
+            this.setArg("travels_count", 1);
+        }
+        new DeckStack(this, 0, 0);
+        if (data.travels.travels_counter === 2) {
+            this.game.c.board[0].c.deck_stack[0].setArg("count", 2);
+        }
+        else if (data.travels.travels_counter === 1) {
+            this.game.c.board[0].c.deck_stack[0].setArg("count", 1);
+        }
+        new TravelDeck(this, 0);
+        new TravelTracker(this, 0, data.travels.discard ?? []);
+        // Setup gift supply
+        for (const g in data.gifts.gifts) {
+            new Gift(this, data.gifts.gifts[g].type, data.gifts.gifts[g].location);
+        }
+        if (this.game.bga.userPreferences.get(101) === 1) {
+            const gifts_counter_html = document.createElement("gifts_counter");
+            this.html.appendChild(gifts_counter_html);
+            this.gifts_counter = new ebg.counter();
+            this.gifts_counter.create(gifts_counter_html, {
+                value: data.gifts.gifts_counter,
+                tableCounter: 'gifts_counter'
+            });
+        }
+        if (data.gifts.gifts_counter === 2) {
+            this.setArg("gifts_count", 2);
+        }
+        else if (data.gifts.gifts_counter === 1) {
+            this.setArg("gifts_count", 1);
+        }
+        new DeckStack(this, 1, 1);
+        new GiftDeck(this, 0, data.gifts.used ?? []);
+        // Setup stamp supply
+        new StampSupply(this, 0);
+        if (data.end_bonus) {
+            new EndGameBonus(this, 0);
+        }
+    }
+    // ========== Region Management Methods ==========
+    /**
+     * Set biker position to a specific region
+     * @param region - Region number to move biker to
+     */
+    setBikerRegion(region) {
+        this.c.region[region].setBiker();
+    }
+    /**
+     * Activate specific regions for player interaction
+     * @param regions - Array of region numbers to activate
+     */
+    activateRegions(regions) {
+        for (const r of regions) {
+            this.c.region[r].activate();
+        }
+    }
+    /**
+     * Deactivate all regions
+     */
+    inactivateAllRegions() {
+        for (const r in this.c.region) {
+            this.c.region[r].activate(false);
+        }
+    }
+    /**
+     * Preview what moving the current player's biker to a region would make possible
+     *
+     * Highlights the free campsites of the region, and on the player's postcards
+     * the ones that could be sent there and the souvenir spaces those campsites match.
+     *
+     * @param region - Region number to preview
+     */
+    previewRegion(region) {
+        this.clearRegionPreview();
+        const types = [];
+        for (let l = 1; l <= this.campsites[region - 1].length; l++) {
+            if (this.c.camp?.[region * 10 + l] === undefined) {
+                this.c.campsite[region * 10 + l].preview();
+                types.push(this.campsites[region - 1][l - 1]);
+            }
+        }
+        this.game.c.player_area[this.game.bga.gameui.player_id].c.postcard_player[0].previewRegion(region, types);
+    }
+    /**
+     * Clear the movement preview from the board and the current player's postcards
+     */
+    clearRegionPreview() {
+        for (const i in this.c.campsite) {
+            this.c.campsite[i].preview(false);
+        }
+        this.game.c.player_area[this.game.bga.gameui.player_id]?.c.postcard_player[0]?.clearPreview();
+    }
+    /**
+     * Animate biker movement to a new region
+     * @param player_id - Player whose biker is moving
+     * @param region - Destination region
+     * @returns Promise resolving when animation completes
+     */
+    async moveBiker(player_id, region) {
+        this.c.biker[player_id].move(region);
+        return await this.game.animationProfile.wait(800);
+    }
+    // ========== Campsite Management Methods ==========
+    /**
+     * Activate specific campsites for camp placement
+     * @param region - Region containing campsites
+     * @param campsites - Array of campsite numbers to activate
+     */
+    activateCampsites(region, campsites) {
+        for (const i in campsites) {
+            this.c.campsite[region * 10 + campsites[i]].activate();
+        }
+    }
+    /**
+     * Deactivate all campsites
+     */
+    inactivateAllCampsites() {
+        for (const i in this.c.campsite) {
+            this.c.campsite[i].activate(false);
+        }
+    }
+    /**
+     * Animate adding a camp to a campsite
+     *
+     * Updates camp counter and animates camp placement with rotation based on location.
+     *
+     * @param camp - Camp token to place
+     * @param player_id - Player placing the camp
+     * @param region - Target region
+     * @param campsite - Target campsite within region
+     * @returns Promise resolving when animation completes
+     */
+    async addCamp(camp, player_id, region, campsite) {
+        this.camp_counters[player_id][this.campsites[region - 1][campsite - 1]].innerHTML = String(Number(this.camp_counters[player_id][this.campsites[region - 1][campsite - 1]].innerHTML) + 1);
+        camp.addToParent(this, region * 10 + campsite);
+        camp.setArg("region", region);
+        camp.setArg("campsite", campsite);
+        let rotate = 0;
+        switch (camp.args.location) {
+            case 1:
+            case 2:
+                rotate = 90;
+                break;
+            case 3:
+                rotate = 45;
+                break;
+            case 10:
+                rotate = -45;
+                break;
+            case 11:
+            case 12:
+            case 13:
+                rotate = -90;
+                break;
+        }
+        await this.game.animationManager.slideAndAttach(camp.html, this.html, this.game.animationProfile.settings({
+            duration: 800,
+            fromPlaceholder: "off",
+            toPlaceholder: "off",
+            parallelAnimations: [
+                {
+                    keyframes: [{ rotate: `${rotate}deg` }, { rotate: '0deg' }],
+                },
+            ],
+        }));
+    }
+    /**
+     * Get the number of camps a player has on a campsite type
+     * @param player_id - Player ID
+     * @param type - Campsite type (1-8)
+     * @returns Number of camps
+     */
+    getCampCount(player_id, type) {
+        return Number(this.camp_counters[player_id][type].innerHTML);
+    }
+    /**
+     * Count the camps of a player on the board, grouped by region
+     * @param player_id - Player ID
+     * @returns Number of camps by region
+     */
+    getCampsByRegion(player_id) {
+        const res = {};
+        const color = this.game.bga.gameui.gamedatas.players[player_id].color;
+        for (const c in this.c.camp) {
+            const camp = this.c.camp[c];
+            if (camp.args.color === color) {
+                const region = Number(camp.args.region);
+                res[region] = (res[region] ?? 0) + 1;
+            }
+        }
+        return res;
+    }
+    /**
+     * Update the Best Traveler progress marker of every region from the camps on the board
+     */
+    updateRegionProgress() {
+        const camps = {};
+        for (const c in this.c.camp) {
+            const camp = this.c.camp[c];
+            const region = Number(camp.args.region);
+            const color = String(camp.args.color);
+            if (camps[region] === undefined)
+                camps[region] = {};
+            camps[region][color] = (camps[region][color] ?? 0) + 1;
+        }
+        for (const r in this.c.region_progress) {
+            this.c.region_progress[r].update(camps[Number(r)] ?? {});
+        }
+    }
+    /**
+     * Show or hide the Best Traveler progress overlay
+     *
+     * The choice is remembered in the local storage. Badges of won regions stay visible either way.
+     *
+     * @param b - True to show, false to hide
+     */
+    showBestTraveler(b) {
+        this.setArg("best_traveler", b);
+        localStorage.setItem('postcards-best-traveler', String(b));
+    }
+    // ========== Travel Supply Methods ==========
+    /**
+     * Activate or deactivate the travel deck
+     * @param b - True to activate (default), false to deactivate
+     */
+    activateTravelDeck(b = true) {
+        this.c.travel_deck[0].activate(b);
+    }
+    /**
+     * Activate or deactivate all travel cards in supply
+     * @param b - True to activate (default), false to deactivate
+     */
+    activateAllTravels(b = true) {
+        for (const i in this.c.travel) {
+            this.c.travel[i].activate(b);
+        }
+    }
+    /**
+     * Refill travel card to board supply from deck
+     *
+     * Creates travel card and animates it flipping in from the deck.
+     *
+     * @param travel - Travel card ID
+     * @param location - Supply location
+     * @returns Promise resolving when animation completes
+     */
+    async refillTravel(travel, location) {
+        new Travel(this, travel, location);
+        this.c.travel[travel].setArg("deck", true);
+        await this.game.animationManager.slideIn(this.c.travel[travel].html, this.game.c.board[0].c.travel_deck[0].html, this.game.animationProfile.settings({
+            duration: 800,
+            fromPlaceholder: "off",
+            toPlaceholder: "off",
+            ignoreRotation: false,
+            parallelAnimations: [
+                {
+                    keyframes: [
+                        { transform: 'rotateY(180deg)', rotate: '1deg' },
+                        { transform: 'rotateY(0deg)', rotate: '0.5deg' },
+                    ],
+                },
+            ],
+        })).then(() => {
+            this.c.travel[travel].setArg("deck", false);
+        });
+    }
+    /**
+     * Add travel card from deck with animation
+     *
+     * @param travel - Travel card to add
+     * @param location - Supply location
+     * @returns Promise resolving when animation completes
+     */
+    async addTravel(travel, location) {
+        travel.addToParent(this);
+        travel.setArg("location", location);
+        await this.game.animationManager.slideAndAttach(travel.html, this.html, this.game.animationProfile.settings({
+            duration: 800,
+            toPlaceholder: "off",
+            parallelAnimations: [
+                {
+                    keyframes: [{ rotate: '0deg' }, { rotate: '0.5deg' }],
+                },
+            ],
+        }));
+    }
+    /**
+     * Create a new travel card for the deck
+     * @param travel - Travel card ID
+     * @returns Created Travel element
+     */
+    createTravelToDeck(travel) {
+        return new Travel(this, travel);
+    }
+    // ========== Gift Supply Methods ==========
+    /**
+     * Activate or deactivate all gift cards in supply
+     * @param b - True to activate (default), false to deactivate
+     */
+    activateAllGifts(b = true) {
+        for (const i in this.c.gift) {
+            this.c.gift[i].activate(b);
+        }
+    }
+    /**
+     * Refill gift card to board supply from deck
+     *
+     * Creates gift card and animates it flipping in from the deck with rotation.
+     *
+     * @param gift - Gift card ID
+     * @param location - Supply location
+     * @returns Promise resolving when animation completes
+     */
+    async refillGift(gift, location) {
+        new Gift(this, gift, location);
+        this.c.gift[gift].setArg("deck", true);
+        let rotate = "0";
+        if (location === 1)
+            rotate = "-5.5";
+        else if (location === 2)
+            rotate = "-4.5";
+        else if (location === 3)
+            rotate = "-4";
+        await this.game.animationManager.slideIn(this.c.gift[gift].html, this.game.c.board[0].c.gift_deck[0].html, this.game.animationProfile.settings({
+            duration: 800,
+            fromPlaceholder: "off",
+            toPlaceholder: "off",
+            ignoreRotation: false,
+            parallelAnimations: [
+                {
+                    keyframes: [
+                        { transform: 'rotateY(180deg) rotate(-4deg)' },
+                        { transform: `rotateY(0deg) rotate(${rotate}deg)` },
+                    ],
+                },
+            ],
+        }));
+    }
+    /**
+     * Add gift card from deck with animation
+     *
+     * @param gift - Gift card to add
+     * @param location - Supply location
+     * @returns Promise resolving when animation completes
+     */
+    addGiftFromDeck(gift, location) {
+        return this.game.animationManager.slideAndAttach(gift.html, this.html, this.game.animationProfile.settings({
+            duration: 800,
+            fromPlaceholder: "off",
+            parallelAnimations: [
+                {
+                    keyframes: [
+                        { transform: 'rotateY(180deg)', rotate: '-4.5deg' },
+                        { transform: 'rotateY(0deg)', rotate: '-5deg' },
+                    ],
+                },
+            ],
+        }));
+    }
+    /**
+     * Create a new gift card for the deck
+     * @param gift - Gift card ID
+     * @returns Created Gift element
+     */
+    createGiftToDeck(gift) {
+        return new Gift(this, gift);
+    }
+    // ========== Private Helper Methods ==========
+    /**
+     * Setup camp help interface with camp counter tracking
+     *
+     * Creates expandable help button showing camp counts by player and type.
+     * Initializes camp counter element references for tracking.
+     *
+     * @param data - Player data for counter setup
+     * @private
+     */
+    setupCampHelp(data) {
+        this.game.helpManager = new HelpManager(this.game, {
+            buttons: [
+                new BgaHelpExpandableButton({
+                    foldedContentExtraClasses: 'camp-help-folded-content',
+                    unfoldedContentExtraClasses: 'camp-help-unfolded-content',
+                    expandedWidth: '200px',
+                    expandedHeight: '410px',
+                    unfoldedHtml: `
+						<h3>${_("Number of Camps")}</h3>
+						<table>
+							${this.getCampHelpTable(data.players)}
+						</table>`,
+                }),
+            ],
+        });
+        this.camp_counters = [];
+        for (let i in data.players) {
+            this.camp_counters[data.players[i].id] = [];
+            for (let j = 1; j <= 8; j++) {
+                this.camp_counters[data.players[i].id][j] = document.getElementById(`camp_counter_${data.players[i].id}_${j}`);
+            }
+        }
+    }
+    /**
+     * Setup the button toggling the Best Traveler progress overlay
+     * @private
+     */
+    setupBestTravelerToggle() {
+        const toggle = document.createElement("best_traveler_toggle");
+        toggle.id = "best_traveler_toggle";
+        toggle.setAttribute("overlay", "true");
+        this.html.appendChild(toggle);
+        toggle.addEventListener('click', () => this.showBestTraveler(this.args.best_traveler !== true));
+        this.game.bga.gameui.addTooltipHtml("best_traveler_toggle", `<h3>${_("Show/hide Best Traveler progress")}</h3>`);
+        this.showBestTraveler(localStorage.getItem('postcards-best-traveler') === 'true');
+    }
+    /**
+     * Generate HTML table for camp help display
+     *
+     * Creates table with rows for each camp type and columns for each player,
+     * showing camp counts by type.
+     *
+     * @param players - Player data
+     * @returns HTML string for camp counter table
+     * @private
+     */
+    getCampHelpTable(players) {
+        let res = "<tr><td></td>";
+        for (let i in players) {
+            res += `<td><camp_icon color="${players[i].color}"></camp_icon></td>`;
+        }
+        res += `</tr>`;
+        for (let i = 1; i <= 8; i++) {
+            res += `<tr><td><campsite_icon type="${i}"></campsite_icon></td>`;
+            for (let j in players) {
+                res += `<td id="camp_counter_${players[j].id}_${i}" ${this.game.bga.players.getCurrentPlayerId() === players[j].id ? `own=true` : ``}>0</td>`;
+            }
+            res += `</tr>`;
+        }
+        return res;
+    }
+}
+
+/**
+ * Represents the scoring progress badge shown on a gift card
+ *
+ * Displayed on end-game scoring gifts (Keychain, Snow Globe, Caravan) held by
+ * a player, summarizing how many points the gift is currently worth.
+ *
+ * Responsibilities:
+ *  - Displaying the current scoring progress of the gift
+ *  - Updating its content when the progress changes
+ */
+class GiftBadge extends GameElement {
+    // ========== Constructor ==========
+    /**
+     * Initialize a gift badge
+     * @param parent - Parent Gift instance
+     * @param child_id - Element ID
+     * @param kind - Badge kind for styling ("keychain", "snow_globe" or "caravan")
+     * @param content - HTML content of the badge
+     */
+    constructor(parent, child_id, kind, content) {
+        super(parent, child_id, "gift_badge", { kind });
+        this.update(content);
+    }
+    // ========== Public Methods ==========
+    /**
+     * Update the content of the badge
+     * @param content - HTML content of the badge
+     */
+    update(content) {
+        this.html.innerHTML = content;
+    }
+}
+
+/**
+ * Represents a single gift card in the game
+ *
+ * Gift cards are earned when players send postcards and provide various end-game
+ * scoring bonuses or immediate actions. Each gift has a specific type and effect.
+ *
+ * Responsibilities:
+ *  - Displaying gift card on board or in player area
+ *  - Handling click interactions for gift selection and usage
+ *  - Managing gift type and location tracking
+ *  - Providing tooltip with gift effects and scoring rules
+ *  - Displaying scoring progress of end-game gifts held by a player
+ *  - Providing the ARIA role and label
+ */
+class Gift extends GameElement {
+    // ========== Constructor ==========
+    /**
+     * Initialize a gift card
+     * @param parent - Parent container (Board or GiftPlayer)
+     * @param child_id - Gift card ID
+     * @param location - Optional location on board (null if in hand)
+     */
+    constructor(parent, child_id, location = null) {
+        if (location !== null) {
+            super(parent, child_id, "gift", { location });
+        }
+        else {
+            super(parent, child_id, "gift");
+        }
+        // Register click handler
+        $(`postcards_${this.id}`).addEventListener('click', () => this.onClick());
+        // Set gift type based on ID
+        this.setArg("type", Gift.getGiftType(this.child_id));
+        // Setup tooltip
+        this.setupTooltip();
+        // Setup accessibility
+        this.setupAria("button", this.game.bga.gameui.format_string(_("Gift card: ${name}"), { name: Gift.getGiftName(this.args.type) }));
+    }
+    // ========== Public Methods ==========
+    /**
+     * Activate or deactivate this gift card for interaction
+     * @param b - True to activate (default), false to deactivate
+     */
+    activate(b = true) {
+        this.setArg("active", b);
+    }
+    /**
+     * Update the scoring progress badge of this gift
+     *
+     * Only end-game scoring gifts held by a player get a badge:
+     *  - Keychain: camps on the matching campsite type, current points and the value of the next camp
+     *  - Snow Globe: number of Snow Globes held and their value
+     *  - Caravan: number of regions with at least 2 camps and their value
+     */
+    updateBadge() {
+        if (!(this.parent instanceof GiftPlayer))
+            return;
+        const player_id = this.parent.parent.player_id;
+        const board = this.game.c.board[0];
+        let kind;
+        let content;
+        const gift_type = Gift.getGiftType(this.child_id);
+        const type = Gift.KEYCHAIN_CAMPSITE_TYPES[gift_type];
+        if (type !== undefined) {
+            const count = Math.min(board.getCampCount(player_id, type), 6);
+            const points = Gift.KEYCHAIN_POINTS[count];
+            kind = "keychain";
+            content = `<span>${this.game.bga.gameui.format_string(_("${n} camps: ${points} pts"), {
+                n: String(count),
+                points: String(points),
+            })}</span><span>${count < 6
+                ? this.game.bga.gameui.format_string(_("Next camp: +${points}"), {
+                    points: String(Gift.KEYCHAIN_POINTS[count + 1] - points),
+                })
+                : _("Maximum reached")}</span>`;
+        }
+        else if (gift_type === Gift.SNOW_GLOBE) {
+            const count = Math.min(Object.keys(this.parent.c.gift).filter((g) => Gift.getGiftType(Number(g)) === Gift.SNOW_GLOBE).length, 4);
+            kind = "snow_globe";
+            content = `<span>${this.game.bga.gameui.format_string(_("${n} Snow Globes: ${points} pts"), {
+                n: String(count),
+                points: String(Gift.SNOW_GLOBE_POINTS[count]),
+            })}</span>`;
+        }
+        else if (gift_type === Gift.CARAVAN) {
+            const count = Object.values(board.getCampsByRegion(player_id)).filter((n) => n >= 2).length;
+            kind = "caravan";
+            content = `<span>${this.game.bga.gameui.format_string(_("${n} regions: ${points} pts"), {
+                n: String(count),
+                points: String(count * 2),
+            })}</span>`;
+        }
+        else {
+            return;
+        }
+        if (this.c.gift_badge?.[0] !== undefined) {
+            this.c.gift_badge[0].update(content);
+        }
+        else {
+            new GiftBadge(this, 0, kind, content);
+        }
+    }
+    /**
+     * Get the gift type based on card ID
+     *
+     * Maps card IDs to gift types:
+     *  - 1-4, 5-8: Keychain types (Beach, Gastronomy, Shore, Sight, History, Culture, Mountain, Forest)
+     *  - 9-16: Snow Globe
+     *  - 17: Caravan
+     *  - 18-19: Road Map
+     *  - 20-21: Car
+     *  - 22-23: Hiking Guide
+     *  - 24-25: Stamp Collection
+     *
+     * @param gift - Gift card ID
+     * @returns Gift type number
+     */
+    static getGiftType(gift) {
+        switch (gift) {
+            case 1:
+                return 1;
+            case 2:
+                return 2;
+            case 3:
+                return 3;
+            case 4:
+                return 4;
+            case 5:
+                return 6;
+            case 6:
+                return 7;
+            case 7:
+                return 8;
+            case 8:
+                return 9;
+            case 9:
+            case 10:
+            case 11:
+            case 12:
+            case 13:
+            case 14:
+            case 15:
+            case 16:
+                return 5;
+            case 17:
+                return 10;
+            case 18:
+            case 19:
+                return 11;
+            case 20:
+            case 21:
+                return 12;
+            case 22:
+            case 23:
+                return 13;
+            case 24:
+            case 25:
+                return 14;
+        }
+        return 0;
+    }
+    /**
+     * Get the name of a gift type
+     * @param type - Gift type (see getGiftType)
+     * @returns Localized gift name (with the campsite type for Keychains)
+     */
+    static getGiftName(type) {
+        switch (type) {
+            case 5:
+                return _("Snow Globe");
+            case 10:
+                return _("Caravan");
+            case 11:
+                return _("Road Map");
+            case 12:
+                return _("Car");
+            case 13:
+                return _("Hiking Guide");
+            case 14:
+                return _("Stamp Collection");
+        }
+        return `${_("Keychain")} (${Gift.getKeyType(type)})`;
+    }
+    // ========== Private Helper Methods ==========
+    /**
+     * Handle gift card click - manages interaction based on context
+     *
+     * During Gift phase: Select gift card from board supply
+     * During Action phase: Use gift card action from player area
+     *
+     * @private
+     */
+    async onClick() {
+        if (this.game.bga.players.isCurrentPlayerActive() && this.args.active === true) {
+            switch (this.game.bga.gameui.gamedatas.gamestate.name) {
+                case 'Gift':
+                    if (this.parent instanceof Board) {
+                        if (!this.game.touch.confirm(this))
+                            break;
+                        this.game.bga.actions.performAction('actGift', { gift: this.child_id });
+                    }
+                    break;
+                case 'Action':
+                    if (this.parent instanceof GiftPlayer) {
+                        this.game.bga.actions.performAction('actActionGift', {
+                            gift: this.child_id,
+                        });
+                    }
+            }
+        }
+    }
+    /**
+     * Setup tooltip with gift information and effects
+     *
+     * Displays:
+     *  - General gift card rules
+     *  - Gift-specific type and effects
+     *  - Scoring information or action descriptions
+     *
+     * @private
+     */
+    setupTooltip() {
+        this.game.bga.gameui.addTooltipHtml(`postcards_${this.id}`, `<tooltip>
+				<h3>${_("Gift Card")}</h3>
+				<p>${_("When you send a postcard, choose a face‑up Gift card and place it in front of you. Then fill the empty space with a new card from the deck.")}</p>
+				${this.getSpecificTooltip()}
+			</tooltip>`);
+    }
+    /**
+     * Get gift-specific tooltip text based on gift type
+     *
+     * Includes:
+     *  - Keychain: Camp-based end-game scoring
+     *  - Snow Globe: Collection-based end-game scoring
+     *  - Caravan: Regional camp-based end-game scoring
+     *  - Road Map: Movement + Camp action
+     *  - Car: Extra movement actions
+     *  - Hiking Guide: Postcard selection action
+     *  - Stamp Collection: Stamp placement action
+     *
+     * @returns HTML string with gift-specific rules
+     * @private
+     */
+    getSpecificTooltip() {
+        switch (this.args.type) {
+            case 1:
+            case 2:
+            case 3:
+            case 4:
+            case 6:
+            case 7:
+            case 8:
+            case 9:
+                return `<h4>${_("Keychain")}</h4>
+					<p>${this.game.bga.gameui.format_string(_("<b>At the end of the game:</b> if you have 1/2/3/4/5/6 camps on ${t} type of campsite, score 1/3/6/10/14/20 points."), {
+                    t: Gift.getKeyType(this.args.type),
+                })}</p>
+					<p>${_("<b>BGA tip:</b> you can see the number of Camps by clicking on the small Book icon in the bottom-left corner of the screen.")}</p>`;
+            case 5:
+                return `<h4>${_("Snow Globe")}</h4>
+					<p>${_("<b>At the end of the game:</b> if you have 1/2/3/4 Snow Globe cards, score 3/6/12/18 points.")}</p>`;
+            case 10:
+                return `<h4>${_("Caravan")}</h4>
+					<p>${_("<b>At the end of the game:</b> score 2 points for each region in which you have at least 2 camps.")}</p>`;
+            case 11:
+                return `<h4>${_("Road Map")}</h4>
+					<p>${_("<b>When you use it:</b> move your Biker to a region adjacent to the one you are in. Then you may place a Camp token on an available campsite in the region you moved to.")}</p>`;
+            case 12:
+                return `<h4>${_("Car")}</h4>
+					<p>${_("<b>When you use it:</b> perform up to 3 extra Movement actions during your turn.")}</p>`;
+            case 13:
+                return `<h4>${_("Hiking Guide")}</h4>
+					<p>${_("<b>When you use it:</b> draw the top 5 postcards from the deck. Keep 2 and discard the other 3.")}</p>`;
+            case 14:
+                return `<h4>${_("Stamp Collection")}</h4>
+					<p>${_("<b>When you use it:</b> immediately place up to 2 Stamp tokens from the supply on any available Stamp spaces on any of your postcards.")}</p>`;
+        }
+        return ``;
+    }
+    /**
+     * Get the keychain type name based on gift type
+     *
+     * Used for Keychain gifts to display which campsite type grants scoring.
+     *
+     * @param type - Gift type (see getGiftType)
+     * @returns Localized campsite type name
+     * @private
+     */
+    static getKeyType(type) {
+        switch (type) {
+            case 1:
+                return _("Beach");
+            case 2:
+                return _("Gastronomy");
+            case 3:
+                return _("Shore");
+            case 4:
+                return _("Sight");
+            case 6:
+                return _("History");
+            case 7:
+                return _("Culture");
+            case 8:
+                return _("Mountain");
+            case 9:
+                return _("Forest");
+        }
+        return '';
+    }
+}
+// ========== Static Properties ==========
+/** Keychain points by number of camps on the matching campsite type */
+Gift.KEYCHAIN_POINTS = [0, 1, 3, 6, 10, 14, 20];
+/** Snow globe points by number of snow globe cards */
+Gift.SNOW_GLOBE_POINTS = [0, 3, 6, 12, 18];
+/** Campsite type scored by each keychain gift type (indexed by gift type, see getGiftType) */
+Gift.KEYCHAIN_CAMPSITE_TYPES = {
+    1: 8,
+    2: 4,
+    3: 7,
+    4: 1,
+    6: 2,
+    7: 3,
+    8: 6,
+    9: 5,
+};
+/** Gift type of the Snow Globes */
+Gift.SNOW_GLOBE = 5;
+/** Gift type of the Caravan */
+Gift.CARAVAN = 10;
+/** Gift type of the Road Maps */
+Gift.ROAD_MAP = 11;
+/** Gift type of the Cars */
+Gift.CAR = 12;
+
+/**
+ * Manages a player's gift card collection
+ *
+ * Stores and displays the gift cards a player has received during the game.
+ * Handles gift card animations and activation/deactivation for interaction.
+ *
+ * Responsibilities:
+ *  - Storing and displaying player's gift card collection
+ *  - Animating gift card addition to collection
+ *  - Managing gift card activation/deactivation for selection
+ *  - Handling undo operations for gift cards
+ *  - Updating scoring progress badges of held gift cards
+ */
+class GiftPlayer extends GameElement {
+    // ========== Constructor ==========
+    /**
+     * Initialize the gift player area with initial gift cards
+     * @param parent - Parent PlayerArea instance
+     * @param child_id - Element ID
+     * @param data - Array of gift card IDs
+     */
+    constructor(parent, child_id, data) {
+        super(parent, child_id, "gift_player");
+        // Create initial gift cards
+        for (const d in data) {
+            new Gift(this, data[d]);
+        }
+    }
+    // ========== Public Methods ==========
+    /**
+     * Animate adding a gift card to the player's collection
+     *
+     * Actions:
+     *  - Adds gift as child of this player area
+     *  - Animates gift sliding and attaching with slight rotation
+     *
+     * @param gift - Gift card to add
+     * @returns Promise resolving when animation completes
+     */
+    addGift(gift) {
+        gift.addToParent(this);
+        return this.game.animationManager.slideAndAttach(gift.html, this.html, this.game.animationProfile.settings({
+            duration: 800,
+            //fromPlaceholder: "off",
+            parallelAnimations: [
+                {
+                    keyframes: [{ rotate: '-5deg' }, { rotate: '0deg' }],
+                },
+            ],
+        }));
+    }
+    /**
+     * Restore a gift card that was previously used (undo operation)
+     *
+     * Creates a new gift card with the given ID.
+     *
+     * @param gift - Gift card ID to restore
+     */
+    addGiftFromUndo(gift) {
+        new Gift(this, gift);
+    }
+    /**
+     * Update the scoring progress badges of all gift cards in the collection
+     */
+    updateBadges() {
+        for (const i in this.c.gift) {
+            this.c.gift[i].updateBadge();
+        }
+    }
+    /**
+     * Activate or deactivate all gift cards in the collection for interaction
+     * @param b - True to activate (default), false to deactivate
+     */
+    activateGifts(b = true) {
+        for (const i in this.c.gift) {
+            this.c.gift[i].activate(b);
+        }
+    }
+}
+
+/**
+ * Manages a player's personal game area
+ *
+ * Contains all player-specific UI elements including:
+ * postcards, gifts, hand, itinerary, player board, and bonus actions.
+ *
+ * Responsibilities:
+ *  - Managing player's postcard collection
+ *  - Managing player's gift cards
+ *  - Managing player's travel hand (if current player)
+ *  - Managing player's itinerary progress
+ *  - Managing player's camp placement board
+ *  - Managing player's bonus actions (if current player)
+ *  - Activating/deactivating stamp and souvenir placement spaces
+ */
+class PlayerArea extends GameElement {
+    // ========== Constructor ==========
+    /**
+     * Initialize the player area with all child elements
+     * @param parent - Parent Game instance
+     * @param child_id - Element ID
+     * @param data - Player data containing all card and game state information
+     */
+    constructor(parent, child_id, data) {
+        super(parent, child_id, "player_area");
+        this.player_id = data.id;
+        // Create itinerary track
+        new Itinerary(this, 0, data.itinerary, data.itinerary_postcards);
+        // Create player board (camps and personal board display)
+        new PlayerBoard(this, 0, data.color, data.name, data.player_board_side, data.camps);
+        // Create end game bonus if this player has it
+        if (data.end_bonus === data.id) {
+            new EndGameBonus(this, 0);
+        }
+        // Create gift player area
+        new GiftPlayer(this, 0, data.gifts);
+        // Create postcard player area
+        new PostcardPlayer(this, 0, data.postcards);
+        // Create bonus actions and hand only for current player
+        if (this.game.bga.gameui.player_id === data.id) {
+            if (this.game.bga.players.isCurrentPlayerActive()) {
+                new BonusActions(this, 0, data.bonus_actions);
+            }
+            else {
+                new BonusActions(this, 0);
+            }
+            new Hand(this, 0, data.hand);
+        }
+    }
+    // ========== Public Methods ==========
+    /**
+     * Activate stamp placement spaces on postcards
+     *
+     * Allows the player to select where to place stamps on their postcards.
+     *
+     * @param spaces - Object mapping postcard IDs to arrays of available stamp space indices
+     */
+    activateStampSpaces(spaces) {
+        this.c.postcard_player[0].activateStampSpaces(spaces);
+    }
+    /**
+     * Activate souvenir placement spaces on postcards
+     *
+     * Allows the player to select where to place souvenirs on their postcards.
+     *
+     * @param spaces - Object mapping postcard IDs to arrays of available souvenir space indices
+     */
+    activateSouvenirSpaces(spaces) {
+        this.c.postcard_player[0].activateSouvenirSpaces(spaces);
+    }
+    /**
+     * Deactivate all souvenir placement spaces
+     *
+     * Disables all souvenir spaces across all postcards.
+     */
+    inactivateAllSouvenirSpaces() {
+        this.c.postcard_player[0].inactivateAllSouvenirSpaces();
+    }
+    /**
+     * Deactivate all stamp placement spaces
+     *
+     * Disables all stamp spaces across all postcards.
+     */
+    inactivateAllStampSpaces() {
+        this.c.postcard_player[0].inactivateAllStampSpaces();
+    }
+}
+
+/**
+ * Handles all game notifications and animations
+ *
+ * Responsibilities:
+ *  - Processing game notifications from the server
+ *  - Animating game state changes (card movements, scoring, etc.)
+ *  - Updating UI elements based on notification data
+ *  - Managing undo operations and state rollbacks
+ *  - Announcing notifications to screen readers through a live region
+ */
+class Notif {
+    // ========== Constructor ==========
+    /**
+     * Initialize the Notification handler
+     * @param game - Main game instance
+     */
+    constructor(game) {
+        this.game = game;
+        this.announcer = document.createElement('notif_announcer');
+        this.announcer.id = 'notif_announcer';
+        this.announcer.setAttribute('role', 'log');
+        this.announcer.setAttribute('aria-live', 'polite');
+        this.game.html.appendChild(this.announcer);
+    }
+    // ========== Accessibility ==========
+    /**
+     * Announce a notification message through the live region
+     *
+     * Only the last few messages are kept so the region stays small.
+     *
+     * @param log - Notification log message
+     * @param args - Notification arguments
+     */
+    announce(log, args) {
+        if (!log)
+            return;
+        const formatted = document.createElement('div');
+        formatted.innerHTML = this.game.bga.gameui.format_string_recursive(log, args ?? {});
+        const text = formatted.textContent?.trim();
+        if (!text)
+            return;
+        const message = document.createElement('p');
+        message.textContent = text;
+        this.announcer.appendChild(message);
+        while (this.announcer.children.length > 5) {
+            this.announcer.firstElementChild.remove();
+        }
+    }
+    // ========== Action Notifications ==========
+    /**
+     * Handles movement notification - moves biker to new region
+     * @param args - Contains player_id and region
+     */
+    async notif_move(args) {
+        if (this.game.bga.gameui.player_id === args.player_id) {
+            this.game.c.player_area[args.player_id].c.hand[0].inactivateAllTravels(true);
+            this.game.c.board[0].inactivateAllRegions();
+            this.game.c.player_area[args.player_id].c.postcard_player[0].activatePostcards(false);
+            this.game.c.board[0].inactivateAllCampsites();
+        }
+        const biker = this.game.c.board[0].c.biker[args.player_id];
+        const from = Number(biker.args.location);
+        await this.game.c.board[0].moveBiker(args.player_id, args.region);
+        if (this.game.bga.gameui.player_id === args.player_id) {
+            this.game.c.board[0].route_planner.update();
+        }
+        this.game.updatePostcardDistances();
+        this.game.digest.recordChange(`biker_${args.player_id}`, from, Number(args.region), _("${player_name} moved to region ${region}"), args, biker);
+    }
+    /**
+     * Handles postcard taking notification - adds postcard to player area
+     * @param args - Contains player_id and postcard id
+     */
+    async notif_postcard(args) {
+        const postcard = this.game.c.postcard_supply[0].c.postcard[args.postcard];
+        this.game.c.postcard_supply[0].rearrangeSupplyRow(postcard);
+        await this.game.c.player_area[args.player_id].c.postcard_player[0].addPostcard(postcard);
+        this.game.updateProjectedScores();
+        this.game.updateItineraryMatches();
+        this.game.updatePostcardDistances();
+    }
+    /**
+     * Handles postcard from deck notification - adds postcard from deck to player area
+     * @param args - Contains player_id, postcard id, and optional top card
+     */
+    async notif_postcardDeck(args) {
+        this.game.c.postcard_supply[0].activatePostcards(false);
+        if (args.top !== undefined)
+            this.game.c.postcard_supply[0].addPostcardToTop(args.top);
+        const postcard = this.game.c.postcard_supply[0].c.postcard[args.postcard];
+        await this.game.c.player_area[args.player_id].c.postcard_player[0].addPostcard(postcard);
+        this.game.updateProjectedScores();
+        this.game.updateItineraryMatches();
+        this.game.updatePostcardDistances();
+    }
+    /**
+     * Handles camp placement notification - places camp on board
+     * @param args - Contains player_id, camp id, region, and campsite location
+     */
+    async notif_camp(args) {
+        this.game.c.board[0].inactivateAllCampsites();
+        const camp = this.game.c.player_area[args.player_id].c.player_board[0].c.camp[args.camp];
+        await this.game.c.board[0].addCamp(camp, args.player_id, args.region, args.campsite);
+        this.game.c.board[0].updateRegionProgress();
+        this.game.updateProjectedScores();
+        this.game.updateGiftBadges();
+        this.game.digest.record(`camp_${args.region * 10 + args.campsite}`, _("${player_name} placed a Camp in region ${region}"), args, camp);
+    }
+    /**
+     * Handles undo camp notification - removes camp from board and returns to player
+     * @param args - Contains player_id, camp id, region, and campsite location
+     */
+    async notif_undoCamp(args) {
+        this.game.c.board[0].camp_counters[args.player_id][this.game.c.board[0].campsites[args.region - 1][args.campsite - 1]].innerHTML = String(Number(this.game.c.board[0].camp_counters[args.player_id][this.game.c.board[0].campsites[args.region - 1][args.campsite - 1]].innerHTML) - 1);
+        if (this.game.bga.gameui.player_id === args.player_id) {
+            this.game.c.player_area[args.player_id].inactivateAllSouvenirSpaces();
+            this.game.c.player_area[args.player_id].c.hand[0].inactivateAllTravels(true);
+            this.game.c.player_area[args.player_id].c.postcard_player[0].activatePostcards(false);
+        }
+        const camp = this.game.c.board[0].c.camp[args.region * 10 + args.campsite];
+        this.game.digest.forget(`camp_${args.region * 10 + args.campsite}`);
+        await this.game.c.player_area[args.player_id].c.player_board[0].addCamp(camp, args.camp);
+        this.game.c.board[0].updateRegionProgress();
+        this.game.updateProjectedScores();
+        this.game.updateGiftBadges();
+    }
+    /**
+     * Handles souvenir placement notification - adds souvenir to postcard
+     * @param args - Contains player_id, postcard id, and souvenir location
+     */
+    async notif_souvenir(args) {
+        this.game.c.player_area[args.player_id].inactivateAllSouvenirSpaces();
+        await this.game.c.player_area[args.player_id].c.postcard_player[0].c.postcard[args.postcard].addSouvenir(args.location);
+    }
+    /**
+     * Handles undo souvenir notification - removes souvenir from postcard
+     * @param args - Contains player_id, postcard id, and souvenir space
+     */
+    async notif_undoSouvenir(args) {
+        if (this.game.bga.gameui.player_id === args.player_id) {
+            this.game.c.player_area[args.player_id].c.bonus_actions[0].inactivateBonusActions();
+            this.game.c.player_area[args.player_id].inactivateAllStampSpaces();
+            this.game.c.player_area[args.player_id].c.hand[0].inactivateAllTravels(true);
+            this.game.c.player_area[args.player_id].c.postcard_player[0].activatePostcards(false);
+        }
+        await this.game.c.player_area[args.player_id].c.postcard_player[0].c.postcard[args.postcard].removeSouvenir(args.space);
+    }
+    /**
+     * Handles stamp placement notification - adds stamp to postcard
+     * @param args - Contains player_id, postcard id, and stamp location
+     */
+    async notif_stamp(args) {
+        this.game.c.player_area[args.player_id].inactivateAllStampSpaces();
+        await this.game.c.player_area[args.player_id].c.postcard_player[0].c.postcard[args.postcard].addStamp(args.location);
+    }
+    /**
+     * Handles undo stamp notification - removes stamp from postcard
+     * @param args - Contains player_id, postcard id, and stamp space
+     */
+    async notif_undoStamp(args) {
+        if (this.game.bga.gameui.player_id === args.player_id) {
+            this.game.c.player_area[args.player_id].c.hand[0].inactivateAllTravels(true);
+            this.game.c.player_area[args.player_id].c.postcard_player[0].activatePostcards(false);
+        }
+        await this.game.c.player_area[args.player_id].c.postcard_player[0].c.postcard[args.postcard].removeStamp(args.space);
+    }
+    // ========== Postcard Supply Notifications ==========
+    /**
+     * Handles discard postcards notification - discards supply row
+     */
+    async notif_discardPostcards() {
+        await this.game.c.postcard_supply[0].discardPostcardSupply();
+    }
+    /**
+     * Handles discard travels notification - discards travels from player hand
+     * @param args - Contains player_id and array of travel ids to discard
+     */
+    async notif_discardTravels_(args) {
+        this.game.c.player_area[args.player_id].c.hand[0].inactivateAllTravels(true);
+        this.game.c.player_area[args.player_id].c.postcard_player[0].activatePostcards(false);
+        await this.game.c.player_area[args.player_id].c.hand[0].discardTravels(args.travels);
+    }
+    /**
+     * Handles refill travel supply notification - refills travel card from deck
+     * @param args - Contains travel id and supply location
+     */
+    async notif_refillTravelSupply(args) {
+        await this.game.c.board[0].refillTravel(args.travel, args.location);
+        this.game.digest.record(`travel_${args.location}`, _("New Travel card in the supply"), args, this.game.c.board[0].c.travel[args.travel]);
+    }
+    /**
+     * Handles undo discard travels notification - restores discarded travels to hand
+     * @param args - Contains player_id and array of travel ids
+     */
+    async notif_undoDiscardTravels(args) {
+        await this.game.c.player_area[args.player_id].c.hand[0].undoDiscardTravels(args.travels);
+    }
+    /**
+     * Handles refill postcard supply notification - refills postcard supply
+     * @param args - Contains optional top card id
+     */
+    async notif_refillPostcardSupply(args) {
+        const revealed = Object.values(this.game.c.postcard_supply[0].c.postcard ?? {}).filter((p) => p.args.supply === 1);
+        await this.game.c.postcard_supply[0].refillPostcardSupply(args.top);
+        for (const postcard of revealed) {
+            this.game.digest.record(`postcard_${postcard.args.type}`, _("New Postcard in the supply"), args, postcard);
+        }
+    }
+    /**
+     * Handles travel card selection notification - adds travel to player hand or animates away
+     * @param args - Contains player_id and travel id
+     */
+    async notif_travel(args) {
+        this.game.c.board[0].activateTravelDeck(false);
+        this.game.c.board[0].activateAllTravels(false);
+        const travel = this.game.c.board[0].c.travel[args.travel];
+        if (this.game.bga.gameui.player_id === args.player_id) {
+            await this.game.c.player_area[args.player_id].c.hand[0].addTravel(travel);
+        }
+        else {
+            await this.game.animationManager.fadeOutAndDestroy(travel.html, this.game.bga.playerPanels.getElement(args.player_id), this.game.animationProfile.settings({
+                duration: 800,
+            }));
+            delete this.game.c.board[0].c.travel[args.travel];
+        }
+    }
+    /**
+     * Handles action travel notification - tracks travel cards played by the current player
+     * @param args - Contains player_id and the travel id (single travel card actions only)
+     */
+    async notif_actionTravel(args) {
+        if (this.game.bga.gameui.player_id === args.player_id && args.travel !== undefined) {
+            this.game.used_travels.push(args.travel);
+        }
+    }
+    /**
+     * Handles gift card selection notification - adds gift to player area
+     * @param args - Contains player_id and gift id
+     */
+    async notif_gift(args) {
+        this.game.c.board[0].activateAllGifts(false);
+        const gift = this.game.c.board[0].c.gift[args.gift];
+        delete this.game.c.board[0].c.gift[args.gift];
+        await this.game.c.player_area[args.player_id].c.gift_player[0].addGift(gift);
+        this.game.updateProjectedScores();
+        this.game.updateGiftBadges();
+        this.game.digest.record(`gift_taken_${args.gift}`, _("${player_name} took a ${type} Gift card"), args, gift);
+    }
+    /**
+     * Handles undo travel notification - returns travel card to board supply
+     * @param args - Contains player_id, travel id, and location
+     */
+    async notif_undoTravel(args) {
+        if (this.game.bga.gameui.player_id === args.player_id) {
+            const travel = this.game.c.player_area[args.player_id].c.hand[0].c.travel[args.travel];
+            await this.game.c.board[0].addTravel(travel, args.location);
+        }
+        else {
+            await this.game.c.board[0].refillTravel(args.travel, args.location);
+        }
+    }
+    /**
+     * Handles travel deck draw notification - animates travel taken from deck
+     * @param args - Contains player_id
+     */
+    async notif_travelDeck(args) {
+        this.game.c.board[0].activateTravelDeck(false);
+        this.game.c.board[0].activateAllTravels(false);
+        if (this.game.bga.gameui.player_id !== args.player_id) {
+            const element = document.createElement('travel_deck');
+            await this.game.animationManager.slideFloatingElement(element, this.game.c.board[0].c.travel_deck[0].html, this.game.bga.playerPanels.getElement(args.player_id), this.game.animationProfile.settings({ duration: 800, parallelAnimations: [{ keyframes: [{ opacity: '1' }, { opacity: '0' }] }] }, 'out'));
+        }
+    }
+    /**
+     * Handles refill gift notification - refills gift card from deck
+     * @param args - Contains player_id, gift id, and location
+     */
+    async notif_refillGift(args) {
+        await this.game.c.board[0].refillGift(args.gift, args.location);
+        this.game.c.board[0].c.gift[args.gift].setArg("deck", false);
+        this.game.digest.record(`gift_${args.location}`, _("New Gift card in the supply"), args, this.game.c.board[0].c.gift[args.gift]);
+    }
+    /**
+     * Handles travel from deck notification - adds travel from deck to player hand
+     * @param args - Contains player_id and travel id
+     */
+    async notif_travelDeck_(args) {
+        const travel = this.game.c.board[0].createTravelToDeck(args.travel);
+        travel.setArg("deck", true);
+        await this.game.c.player_area[args.player_id].c.hand[0].addTravelFromDeck(travel);
+        travel.setArg("deck", false);
+    }
+    /**
+     * Handles send postcard notification - removes postcard from player area
+     * @param args - Contains player_id and postcard id
+     */
+    async notif_send(args) {
+        const postcard = this.game.c.player_area[args.player_id].c.postcard_player[0].c.postcard[args.postcard];
+        delete this.game.c.player_area[args.player_id].c.postcard_player[0].c.postcard[args.postcard];
+        await this.game.animationManager.fadeOutAndDestroy(postcard.html, this.game.bga.playerPanels.getElement(args.player_id), this.game.animationProfile.settings({
+            duration: 800,
+            ignoreRotation: false,
+            parallelAnimations: [
+                {
+                    keyframes: [{ transform: 'scale(1)' }, { transform: 'scale(0)' }],
+                },
+            ],
+        }, 'out'));
+        this.game.updateProjectedScores();
+        this.game.postcards.send(args.postcard, args.player_id);
+        this.game.digest.record(`send_${args.postcard}`, _("${player_name} sent home a Postcard and scored ${point} points"), args);
+    }
+    /**
+     * Handles undo send postcard notification - restores postcard to player area
+     * @param args - Contains player_id, postcard id, stamps, and souvenirs
+     */
+    notif_undoSend(args) {
+        this.game.c.player_area[args.player_id].c.postcard_player[0].undoSend(args.postcard, args.stamps, args.souvenirs);
+        this.game.updateProjectedScores();
+        this.game.updateItineraryMatches();
+        this.game.updatePostcardDistances();
+        this.game.postcards.send(args.postcard);
+        this.game.digest.forget(`send_${args.postcard}`);
+    }
+    /**
+     * Handles best traveller scoring notification - displays scoring for region camps
+     * @param args - Contains player_color and region
+     */
+    async notif_best_traveller(args) {
+        for (const c in this.game.c.board[0].c.camp) {
+            if (this.game.c.board[0].c.camp[c].args.region === args.region) {
+                this.game.animationManager.displayScoring(this.game.c.board[0].c.camp[c].html, 1, args.player_color);
+            }
+        }
+        await this.game.animationProfile.wait(2000);
+        this.game.updateProjectedScores();
+    }
+    // ========== Bonus and End Game Notifications ==========
+    /**
+     * Handles end bonus notification - moves end game bonus to player area
+     * @param args - Contains player_id
+    */
+    async notif_endBonus(args) {
+        this.game.c.board[0].c.end_game_bonus[0].addToParent(this.game.c.player_area[args.player_id]);
+        await this.game.animationManager.slideAndAttach(this.game.c.player_area[args.player_id].c.end_game_bonus[0].html, this.game.c.player_area[args.player_id].html, this.game.animationProfile.settings({ duration: 800 }));
+        this.game.updateProjectedScores();
+    }
+    /**
+     * Handles undo end bonus notification - returns end game bonus to board
+     * @param args - Contains player_id
+     */
+    async notif_undoEndBonus(args) {
+        this.game.c.player_area[args.player_id].c.end_game_bonus[0].addToParent(this.game.c.board[0]);
+        await this.game.animationManager.slideAndAttach(this.game.c.board[0].c.end_game_bonus[0].html, this.game.c.board[0].html, this.game.animationProfile.settings({ duration: 800 }));
+        this.game.updateProjectedScores();
+    }
+    /**
+     * Handles end bonus scoring notification - displays scoring animation for bonus
+     * @param args - Contains player_id, player_color, amount, and gift
+     */
+    async notif_scoreEndBonus(args) {
+        await this.game.animationManager.displayScoring(this.game.c.player_area[args.player_id].c.end_game_bonus[0].html, 3, args.player_color);
+    }
+    /**
+     * Handles unsent postcards scoring notification - displays scoring for unsent cards
+     * @param args - Contains player_id and player_color
+     */
+    async notif_scoreUnsentPostcards(args) {
+        for (const p in this.game.c.player_area[args.player_id].c.postcard_player[0].c.postcard) {
+            this.game.animationManager.displayScoring(this.game.c.player_area[args.player_id].c.postcard_player[0].c.postcard[p].html, 1, args.player_color);
+        }
+        await this.game.animationProfile.wait(2000);
+    }
+    /**
+     * Handles gift scoring notification - displays scoring for gift card
+     * @param args - Contains player_id, player_color, amount, and gift id
+     */
+    async notif_scoreGift(args) {
+        await this.game.animationManager.displayScoring(this.game.c.player_area[args.player_id].c.gift_player[0].c.gift[args.gift].html, args.n, args.player_color);
+    }
+    /**
+     * Handles itinerary scoring notification - displays scoring for itinerary completion
+     * @param args - Contains player_id, player_color, and amount
+     */
+    async notif_scoreItinerary(args) {
+        this.game.c.player_area[args.player_id].html?.scrollIntoView({
+            behavior: "smooth",
+            block: "center"
+        });
+        await this.game.animationProfile.wait(1000);
+        await this.game.animationManager.displayScoring(this.game.c.player_area[args.player_id].c.itinerary[0].html, args.n, args.player_color);
+    }
+    /**
+     * Handles action gift notification - removes gift card after use and counts it as used
+     * @param args - Contains player_id and gift id
+     */
+    async notif_actionGift(args) {
+        const gift = this.game.c.player_area[args.player_id].c.gift_player[0].c.gift[args.gift];
+        gift.html.remove();
+        delete this.game.c.player_area[args.player_id].c.gift_player[0].c.gift[args.gift];
+        this.game.c.board[0].c.gift_deck[0].use(args.gift);
+    }
+    /**
+     * Handles undo action gift notification - restores gift card (no longer counted as used)
+     * @param args - Contains player_id and gift id
+     */
+    async notif_undoActionGift(args) {
+        this.game.c.player_area[args.player_id].c.gift_player[0].addGiftFromUndo(args.gift);
+        this.game.c.board[0].c.gift_deck[0].use(args.gift, false);
+    }
+    // ========== Guide Phase Notifications ==========
+    /**
+     * Handles reveal guide postcards notification - displays postcard selection guide
+     * @param args - Contains optional deck card and array of postcards
+     */
+    async notif_revealGuidePostcards(args) {
+        await this.game.revealGuidePostcards(args.deck, args.postcards);
+    }
+    /**
+     * Handles guide notification - adds two postcards to player from guide
+     * @param args - Contains player_id and two postcard ids
+     */
+    async notif_guide(args) {
+        this.game.c.postcard_guide[0].activatePostcards(false);
+        const postcard_1 = this.game.c.postcard_guide[0].c.postcard[args.postcard_1];
+        await this.game.c.player_area[args.player_id].c.postcard_player[0].addPostcard(postcard_1);
+        const postcard_2 = this.game.c.postcard_guide[0].c.postcard[args.postcard_2];
+        await this.game.c.player_area[args.player_id].c.postcard_player[0].addPostcard(postcard_2);
+        this.game.postcards.discard(Object.keys(this.game.c.postcard_guide[0].c.postcard ?? {}).map(Number));
+        this.game.c.postcard_guide[0].html.remove();
+        delete this.game.c.postcard_guide[0];
+        this.game.updateProjectedScores();
+        this.game.updateItineraryMatches();
+        this.game.updatePostcardDistances();
+    }
+    /**
+     * Handles guide1 notification - adds one postcard to player from guide
+     * @param args - Contains player_id and postcard id
+     */
+    async notif_guide1(args) {
+        this.game.c.postcard_guide[0].activatePostcards(false);
+        const postcard_1 = this.game.c.postcard_guide[0].c.postcard[args.postcard_1];
+        await this.game.c.player_area[args.player_id].c.postcard_player[0].addPostcard(postcard_1);
+        this.game.updateProjectedScores();
+        this.game.updateItineraryMatches();
+        this.game.updatePostcardDistances();
+    }
+    /**
+     * Handles reveal top postcard notification - reveals top card of postcard deck
+     * @param args - Contains player_id and top card id
+     */
+    async notif_revealTopPostcard(args) {
+        this.game.c.postcard_supply[0].addPostcardToTop(args.top);
+    }
+    /**
+     * Handles itinerary notification - activates circle on itinerary
+     * @param args - Contains player_id and circle number
+     */
+    async notif_itinerary(args) {
+        this.game.c.player_area[args.player_id].c.itinerary[0].c.circle[args.n].activate();
+        this.game.updateProjectedScores();
+        this.game.updateItineraryMatches();
+    }
+    // ========== Counter Notifications ==========
+    /**
+     * Handles table counter update notification - updates various game counters
+     * @param args - Contains counter name, value, oldValue, inc, absInc, and playerId
+     */
+    notif_setTableCounter(args) {
+        if (args.name === 'postcards_discard_counter') {
+            if (args.value === 0)
+                this.game.postcards.reshuffle();
+        }
+        else if (args.name === 'postcards_counter') {
+            if (args.value === 2)
+                this.game.c.postcard_supply[0].setArg("count", 2);
+            else if (args.value === 1 || args.value === 0)
+                this.game.c.postcard_supply[0].setArg("count", 1);
+            else
+                this.game.c.postcard_supply[0].setArg("count", 3);
+        }
+        else if (args.name === 'travels_counter') {
+            if (args.value === 2)
+                this.game.c.board[0].c.deck_stack[0].setArg("count", 2);
+            else if (args.value === 1)
+                this.game.c.board[0].c.deck_stack[0].setArg("count", 1);
+            else
+                this.game.c.board[0].c.deck_stack[0].setArg("count", 3);
+        }
+        else if (args.name === 'travels_discard_counter') {
+            this.game.c.board[0].c.travel_tracker[0].setDiscardCount(args.value, args.inc);
+        }
+        else if (args.name === 'move_bonus_counter') {
+            if (this.game.bga.players.isCurrentPlayerActive()) {
+                if (args.value === 0)
+                    this.game.c.player_area[this.game.bga.gameui.player_id].c.bonus_actions[0].c.travel_option[1].setArg("count", 0);
+                else if (args.value === 1)
+                    this.game.c.player_area[this.game.bga.gameui.player_id].c.bonus_actions[0].c.travel_option[1].setArg("count", 1);
+                else
+                    this.game.c.player_area[this.game.bga.gameui.player_id].c.bonus_actions[0].c.travel_option[1].setArg("count", 2);
+            }
+        }
+        else if (args.name === 'postcard_bonus_counter') {
+            if (this.game.bga.players.isCurrentPlayerActive()) {
+                if (args.value === 0)
+                    this.game.c.player_area[this.game.bga.gameui.player_id].c.bonus_actions[0].c.travel_option[2].setArg("count", 0);
+                else if (args.value === 1)
+                    this.game.c.player_area[this.game.bga.gameui.player_id].c.bonus_actions[0].c.travel_option[2].setArg("count", 1);
+                else
+                    this.game.c.player_area[this.game.bga.gameui.player_id].c.bonus_actions[0].c.travel_option[2].setArg("count", 2);
+            }
+        }
+        else if (args.name === 'camp_bonus_counter') {
+            if (this.game.bga.players.isCurrentPlayerActive()) {
+                if (args.value === 0)
+                    this.game.c.player_area[this.game.bga.gameui.player_id].c.bonus_actions[0].c.travel_option[3].setArg("count", 0);
+                else if (args.value === 1)
+                    this.game.c.player_area[this.game.bga.gameui.player_id].c.bonus_actions[0].c.travel_option[3].setArg("count", 1);
+                else
+                    this.game.c.player_area[this.game.bga.gameui.player_id].c.bonus_actions[0].c.travel_option[3].setArg("count", 2);
+            }
+        }
+        else if (args.name === 'stamp_bonus_counter') {
+            if (this.game.bga.players.isCurrentPlayerActive()) {
+                if (args.value === 0)
+                    this.game.c.player_area[this.game.bga.gameui.player_id].c.bonus_actions[0].c.travel_option[4].setArg("count", 0);
+                else if (args.value === 1)
+                    this.game.c.player_area[this.game.bga.gameui.player_id].c.bonus_actions[0].c.travel_option[4].setArg("count", 1);
+                else
+                    this.game.c.player_area[this.game.bga.gameui.player_id].c.bonus_actions[0].c.travel_option[4].setArg("count", 2);
+            }
+        }
+    }
+    // ========== Undo Management ==========
+    /**
+     * Handles cancel notifs notification - marks logs for undo operations
+     * @param args - Contains array of notification IDs to cancel
      */
-    addTravelFromDeck(travel) {
-        travel.addToParent(this);
-        return this.game.animationManager.slideAndAttach(travel.html, this.html, {
-            duration: 800,
-            fromPlaceholder: "off",
-            parallelAnimations: [
-                {
-                    keyframes: [
-                        { transform: 'rotateY(180deg) rotate(1deg)' },
-                        { transform: 'rotateY(0deg) rotate(0deg)' },
-                    ],
-                },
-            ],
-        });
+    async notif_cancelNotifs(args) {
+        this.game.cancelLogs(args.notifIds);
     }
 }
 
 /**
- * Represents a single Travel card
+ * Displays a live projection of a player's final score on their player panel
  *
- * Travel cards are played during the Action phase to perform one of three actions:
- * Movement, Postcard taking, or Camp placement. Can also be used to place stamps.
- * Two cards can be played together to act as any other card.
+ * The projection adds the end-game scoring categories, computed from the
+ * current client state, to the player's current score.
  *
  * Responsibilities:
- *  - Managing card activation and selection state
- *  - Handling click interactions for card selection
- *  - Managing action buttons for double actions and stamp placement
- *  - Displaying card type and color information
- *  - Providing tooltip with detailed rules
+ *  - Creating the projected score element in the player panel
+ *  - Calculating itinerary, keychain, snow globe, caravan, end game bonus
+ *    and unsent postcard points from the game elements
+ *  - Refreshing the displayed values when the game state changes
  */
-class Travel extends GameElement {
+class ProjectedScore {
     // ========== Constructor ==========
     /**
-     * Initialize a Travel card
-     * @param parent - Parent GameElement (Board or Hand)
-     * @param child_id - Card ID
-     * @param location - Optional location on board (null if in hand)
+     * Initialize the projected score panel
+     * @param game - Main game instance
+     * @param player_id - Player ID
+     * @param parent - Player panel element to append to
      */
-    constructor(parent, child_id, location = null) {
-        if (location !== null)
-            super(parent, child_id, "travel", { location: location, active: false });
-        else
-            super(parent, child_id, "travel", { active: false });
-        // Calculate card type from child_id (determines action: Movement, Postcard, or Camp)
-        this.setArg("type", (this.getOptionType() - 1) * 4 + this.getColorType());
-        // Register click handler
-        $(`postcards_${this.id}`).addEventListener('click', () => this.onClick());
-        // Setup tooltip
-        this.setupTooltip();
+    constructor(game, player_id, parent) {
+        /** Value elements by category */
+        this.values = {};
+        this.game = game;
+        this.player_id = player_id;
+        this.html = document.createElement('projected_score');
+        this.html.id = `projected_score_${player_id}`;
+        parent.appendChild(this.html);
+        const categories = {
+            itinerary: _("Itinerary"),
+            keychain: _("Keychains"),
+            snow_globe: _("Snow Globes"),
+            caravan: _("Caravan"),
+            end_bonus: _("End Game Bonus"),
+            unsent: _("Unsent Postcards"),
+            total: _("Projected final score"),
+        };
+        for (const c in categories) {
+            const row = document.createElement('projected_score_row');
+            row.setAttribute("category", c);
+            row.innerHTML = `<span>${categories[c]}</span>`;
+            this.values[c] = document.createElement('projected_score_value');
+            row.appendChild(this.values[c]);
+            this.html.appendChild(row);
+        }
+        this.game.bga.gameui.addTooltipHtml(this.html.id, `<tooltip>
+				<h3>${_("Projected Score")}</h3>
+				<p>${_("The points this player would score at the end of the game if it ended now, added to their current score.")}</p>
+			</tooltip>`);
     }
     // ========== Public Methods ==========
     /**
-     * Activate or deactivate this travel card for selection
-     * @param b - True to activate (default), false to deactivate
+     * Recalculate every category and refresh the displayed values
      */
-    activate(b = true) {
-        this.setArg("active", b);
+    update() {
+        const scores = {
+            itinerary: this.getItineraryPoints(),
+            keychain: this.getKeychainPoints(),
+            snow_globe: this.getSnowGlobePoints(),
+            caravan: this.getCaravanPoints(),
+            end_bonus: this.getEndBonusPoints(),
+            unsent: this.getUnsentPostcardPoints(),
+        };
+        let total = this.getCurrentScore();
+        for (const s in scores) {
+            this.values[s].innerHTML = `+${scores[s]}`;
+            total += scores[s];
+        }
+        this.values.total.innerHTML = String(total);
     }
+    // ========== Private Helper Methods ==========
     /**
-     * Mark card as used/unused during current turn
-     * @param b - True to mark as used (default), false to mark as unused
+     * Get the player's current score from the player panel
+     * @returns Current score
+     * @private
      */
-    used(b = true) {
-        const s = b ? "used" : false;
-        this.setArg("active", s);
+    getCurrentScore() {
+        const score = this.game.bga.gameui.scoreCtrl?.[this.player_id];
+        if (score)
+            return score.getValue();
+        return Number(this.game.bga.gameui.gamedatas.players[this.player_id].score);
     }
     /**
-     * Remove action buttons (called when deselecting)
+     * Calculate itinerary points from the active circles
+     * @returns Itinerary points
+     * @private
      */
-    removeButtons() {
-        if (this.c.travel_option !== undefined) {
-            if (this.c.travel_option[0] !== undefined)
-                this.c.travel_option[0].html.remove();
-            if (this.c.travel_option[1] !== undefined)
-                this.c.travel_option[1].html.remove();
-            delete this.c.travel_option;
-        }
+    getItineraryPoints() {
+        return Itinerary.POINTS[this.game.c.player_area[this.player_id].c.itinerary[0].getActiveCount()];
     }
-    // ========== Private Helper Methods ==========
     /**
-     * Handle card click - manages selection and double action logic
-     *
-     * During Action phase:
-     *  - First click: Select as primary action
-     *  - Second click on same: Deselect
-     *  - Second click on different: Select as double action
-     *
-     * During Travel phase:
-     *  - Click: Play card from supply
-     *
+     * Calculate keychain points from the camp counters of the matching campsite types
+     * @returns Keychain points
      * @private
      */
-    async onClick() {
-        if (this.game.bga.players.isCurrentPlayerActive() &&
-            (this.args.active === true || this.args.active === "selected")) {
-            switch (this.game.bga.gameui.gamedatas.gamestate.name) {
-                case 'Action':
-                    if (this.parent instanceof Hand) {
-                        if (this.game.possible_actions?.double) {
-                            if (this.parent.selected_1 === undefined) {
-                                this.addButtons();
-                                this.setArg("active", "selected");
-                                this.parent.selected_1 = this;
-                            }
-                            else if (this.parent.selected_1 === this &&
-                                this.parent.selected_2 === undefined) {
-                                this.setArg("active", true);
-                                this.removeButtons();
-                                this.parent.selected_1 = undefined;
-                            }
-                            else if (this.parent.selected_1 === this) {
-                                this.parent.setArg("double", false);
-                                this.setArg("active", true);
-                                this.parent.selected_1 = this.parent.selected_2;
-                                this.parent.selected_2 = undefined;
-                                this.parent.selected_1.addButtons();
-                            }
-                            else if (this.parent.selected_2 === this) {
-                                this.parent.setArg("double", false);
-                                this.setArg("active", true);
-                                this.parent.selected_2 = undefined;
-                                this.parent.selected_1.addButtons();
-                            }
-                            else if (this.parent.selected_2 === undefined) {
-                                this.parent.setArg("double", true);
-                                this.setArg("active", "selected");
-                                this.parent.selected_2 = this;
-                                this.parent.selected_1.removeButtons();
-                            }
-                            else {
-                                this.parent.selected_1.setArg("active", true);
-                                this.parent.selected_1 = this.parent.selected_2;
-                                this.setArg("active", "selected");
-                                this.parent.selected_2 = this;
-                            }
-                        }
-                        else {
-                            if (this.parent.selected_1 === undefined) {
-                                this.addButtons();
-                                this.setArg("active", "selected");
-                                this.parent.selected_1 = this;
-                            }
-                            else if (this.parent.selected_1 === this) {
-                                this.parent.selected_1.setArg("active", true);
-                                this.parent.selected_1.removeButtons();
-                                this.parent.selected_1 = undefined;
-                            }
-                            else {
-                                this.parent.selected_1.setArg("active", true);
-                                this.parent.selected_1.removeButtons();
-                                this.parent.selected_1 = undefined;
-                                this.addButtons();
-                                this.setArg("active", "selected");
-                                this.parent.selected_1 = this;
-                            }
-                        }
-                    }
-                    break;
-                case 'Travel':
-                    this.game.bga.actions.performAction('actTravel', { travel: this.child_id });
-                    break;
+    getKeychainPoints() {
+        let res = 0;
+        for (const g of this.getGifts()) {
+            const type = Gift.KEYCHAIN_CAMPSITE_TYPES[Gift.getGiftType(g)];
+            if (type !== undefined) {
+                const count = this.game.c.board[0].getCampCount(this.player_id, type);
+                res += Gift.KEYCHAIN_POINTS[Math.min(count, 6)];
             }
         }
+        return res;
     }
     /**
-     * Get the color type of this card (determines stamp color)
-     * @returns Color type 1-4
+     * Calculate snow globe points from the number of snow globe gift cards
+     * @returns Snow globe points
      * @private
      */
-    getColorType() {
-        return (Math.floor((this.child_id - 1) / 6) % 4) + 1;
+    getSnowGlobePoints() {
+        const count = this.getGifts().filter((g) => Gift.getGiftType(g) === Gift.SNOW_GLOBE).length;
+        return Gift.SNOW_GLOBE_POINTS[Math.min(count, 4)];
     }
     /**
-     * Get the option type of this card (determines action type)
-     * @returns Option type 1-3 (Movement, Postcard, Camp)
+     * Calculate caravan points: 2 points for each region with at least 2 camps
+     * @returns Caravan points
      * @private
      */
-    getOptionType() {
-        return Math.floor((this.child_id - 1) / 24) + 1;
+    getCaravanPoints() {
+        if (!this.getGifts().some((g) => Gift.getGiftType(g) === Gift.CARAVAN))
+            return 0;
+        return Object.values(this.game.c.board[0].getCampsByRegion(this.player_id)).filter((n) => n >= 2).length * 2;
     }
     /**
-     * Add action buttons when card is selected
-     *
-     * Creates buttons for:
-     *  - Action button (if available based on card type)
-     *  - Stamp button (if stamp is available in card color)
-     *
+     * Calculate end game bonus points (3 points if the player holds the token)
+     * @returns End game bonus points
      * @private
      */
-    addButtons() {
-        const type = this.getOptionType();
-        if (type === 1 ||
-            (type === 2 && this.game.possible_actions?.postcard) ||
-            (type === 3 && this.game.possible_actions?.camp)) {
-            new TravelOption(this, 0, this.getOptionType());
-        }
-        const color = this.getColorType();
-        if (this.game.possible_actions?.stamp[color]) {
-            new TravelOption(this, 1, this.getColorType() + 4);
-        }
+    getEndBonusPoints() {
+        return this.game.c.player_area[this.player_id].c.end_game_bonus?.[0] !== undefined ? 3 : 0;
     }
     /**
-     * Setup tooltip with detailed card rules and actions
-     *
-     * Displays:
-     *  - General travel card rules
-     *  - Action-specific information (Movement, Postcard, Camp)
-     *  - Stamp placement rules
-     *  - Double action rules
-     *
+     * Calculate unsent postcard points (1 point for each postcard still held)
+     * @returns Unsent postcard points
      * @private
      */
-    setupTooltip() {
-        this.game.bga.gameui.addTooltipHtml(`postcards_${this.id}`, `<tooltip>
-				<h3>${_("Travel Card")}</h3>
-				<p>${_("During your turn, you must play 3 Travel cards from your hand. For each card played, you must choose between Taking an Action or Sticking a Stamp. Play each card one at a time in front of you to keep track of how many you have played. At the end of your turn, discard all your played Travel cards.")}</p>
-				<h4>${_("Taking An Action")}</h4>
-				<p>${_("The action of a Travel card is defined by its symbol. There are 3 types: Movement, Postcard, and Camp. When taking an action, the color of the card is ignored.")}</p>
-				${this.getSpecificTooltip()}
-				<h4>${_("Sticking A Stamp")}</h4>
-				<p>${_("Any Travel card can be used to place a stamp. When sticking a stamp, the symbol on the card is ignored.")}</p>
-				<p>${_("Take a Stamp token from the supply and place it on an available Stamp space, on any of your postcards, that matches the color of the Travel card you played.")}</p>
-				<h4>${_("Play Two Travel Cards")}</h4>
-				<p>${_("You can play 2 Travel cards of your choice to act as any other Travel card. This counts as 2 Travel cards towards your total of 3 Travel cards played.")}</p>
-			</tooltip>`);
+    getUnsentPostcardPoints() {
+        return Object.keys(this.game.c.player_area[this.player_id].c.postcard_player[0].c.postcard ?? {}).length;
     }
     /**
-     * Get action-specific tooltip text based on card type
-     *
-     * @returns HTML string with action-specific rules
+     * Get the IDs of the gift cards held by the player
+     * @returns Array of gift card IDs
      * @private
      */
-    getSpecificTooltip() {
-        switch (this.getOptionType()) {
-            case 1:
-                return `<h4>${_("Movement Action")}</h4>
-					<p>${_("Move your Biker to a region adjacent to the one you are in.")}</p>`;
-            case 2:
-                return `<h4>${_("Postcard Action")}</h4>
-					<p>${_("Take an available postcard. You may choose the top postcard from the deck or 1 of the 3 postcards next to it. Before taking a postcard, you may discard the 3 next to the deck and draw 3 new ones to replace them. When you take a postcard next to the deck, immediately fill the empty space with the top postcard from the deck.")}</p>`;
-            case 3:
-                return `<h4>${_("Camp action")}</h4>
-					<p>${_("Take the leftmost available Camp token from your player board and place it on an available campsite in the region you are in. If its type matches an available Souvenir space on one of your postcards, you may take a Souvenir token from the supply and place it on that Souvenir space. This immediately grants you an effect.")}</p>`;
-        }
-        return ``;
+    getGifts() {
+        return Object.keys(this.game.c.player_area[this.player_id].c.gift_player[0].c.gift ?? {}).map(Number);
     }
 }
 
-class BgaHelpButton {
-}
-class BgaHelpPopinButton extends BgaHelpButton {
-    constructor(settings) {
-        super();
-        this.settings = settings;
+/**
+ * Touch-friendly interaction mode
+ *
+ * Hover tooltips are hard to reach on touch screens and a tap fires the
+ * action straight away. In touch mode:
+ *  - A long press opens an inspect panel showing the tooltip of the element
+ *  - A tap on an action target (region, campsite, stamp or souvenir space,
+ *    and the irreversible postcard, gift and Travel deck actions) only
+ *    selects it, a second tap on the same element confirms
+ *
+ * The mode follows the "Touch mode" user preference, and turns on
+ * automatically for coarse pointers when the preference is left on automatic.
+ *
+ * Responsibilities:
+ *  - Detecting long presses and showing the inspect panel
+ *  - Arming elements on the first tap of an action
+ */
+class TouchMode {
+    // ========== Constructor ==========
+    /**
+     * Initialize touch mode
+     * @param game - Main game instance
+     */
+    constructor(game) {
+        /** Whether the click following a long press should be ignored */
+        this.ignore_click = false;
+        this.game = game;
     }
-    add(toElement) {
-        const button = document.createElement('button');
-        button.classList.add('bga-help_button', 'bga-help_popin-button', ...(this.settings.buttonExtraClasses ? this.settings.buttonExtraClasses.split(/\s+/g) : []));
-        button.innerHTML = `?`;
-        if (this.settings.buttonBackground) {
-            button.style.setProperty('--background', this.settings.buttonBackground);
+    // ========== Public Methods ==========
+    /**
+     * Whether touch mode is currently on
+     * @returns True if touch mode is enabled by preference or detected automatically
+     */
+    isEnabled() {
+        switch (this.game.bga.userPreferences.get(TouchMode.PREFERENCE)) {
+            case 2:
+                return true;
+            case 3:
+                return false;
         }
-        if (this.settings.buttonColor) {
-            button.style.setProperty('--color', this.settings.buttonColor);
+        return window.matchMedia('(pointer: coarse)').matches;
+    }
+    /**
+     * Start listening to presses on the game area
+     * @param root - Root element of the game
+     */
+    setup(root) {
+        root.setAttribute("touch", String(this.isEnabled()));
+        root.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        root.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        root.addEventListener('pointerup', () => this.cancelLongPress());
+        root.addEventListener('pointercancel', () => this.cancelLongPress());
+        root.addEventListener('contextmenu', (e) => {
+            if (this.isEnabled())
+                e.preventDefault();
+        });
+        root.addEventListener('click', (e) => {
+            if (this.ignore_click) {
+                this.ignore_click = false;
+                e.stopPropagation();
+                e.preventDefault();
+            }
+        }, true);
+    }
+    /**
+     * Check whether the action of a tapped element may be performed
+     *
+     * Outside of touch mode the action is always allowed. In touch mode the
+     * first tap arms (selects) the element and the second tap on the same element confirms.
+     *
+     * @param element - Element that was tapped
+     * @returns True if the action should be performed
+     */
+    confirm(element) {
+        if (!this.isEnabled() || this.armed === element) {
+            this.disarm();
+            return true;
         }
-        toElement.appendChild(button);
-        button.addEventListener('click', () => this.showHelp());
+        this.disarm();
+        this.armed = element;
+        element.setArg("armed", true);
+        return false;
     }
-    showHelp() {
-        const popinDialog = new window.ebg.popindialog();
-        popinDialog.create('bgaHelpDialog');
-        popinDialog.setTitle(this.settings.title);
-        popinDialog.setContent(`<div id="help-dialog-content">${this.settings.html ?? ''}</div>`);
-        this.settings.onPopinCreated?.(document.getElementById('help-dialog-content'));
-        popinDialog.show();
+    /**
+     * Cancel the pending confirmation
+     */
+    disarm() {
+        if (this.armed !== undefined) {
+            this.armed.setArg("armed", false);
+            this.armed = undefined;
+        }
     }
-}
-class BgaHelpExpandableButton extends BgaHelpButton {
-    constructor(settings) {
-        super();
-        this.settings = settings;
+    // ========== Private Helper Methods ==========
+    /**
+     * Handle the start of a press - starts the long press timer
+     * @param e - Pointer event
+     * @private
+     */
+    onPointerDown(e) {
+        this.cancelLongPress();
+        if (!this.isEnabled())
+            return;
+        const id = this.getTooltipId(e.target);
+        if (id === undefined)
+            return;
+        this.start = { x: e.clientX, y: e.clientY };
+        this.timer = window.setTimeout(() => {
+            this.timer = undefined;
+            this.ignore_click = true;
+            const tooltip = this.game.bga.gameui.tooltips[id];
+            if (tooltip !== undefined)
+                this.openPanel(tooltip.label);
+        }, TouchMode.LONG_PRESS_DURATION);
+    }
+    /**
+     * Handle pointer movement - cancels the long press when the pointer moves away
+     * @param e - Pointer event
+     * @private
+     */
+    onPointerMove(e) {
+        if (this.start === undefined)
+            return;
+        if (Math.hypot(e.clientX - this.start.x, e.clientY - this.start.y) > TouchMode.LONG_PRESS_TOLERANCE) {
+            this.cancelLongPress();
+        }
     }
-    add(toElement) {
-        let folded = this.settings.defaultFolded ?? true;
-        if (this.settings.localStorageFoldedKey) {
-            const localStorageValue = localStorage.getItem(this.settings.localStorageFoldedKey);
-            if (localStorageValue) {
-                folded = localStorageValue == 'true';
-            }
+    /**
+     * Cancel the pending long press
+     * @private
+     */
+    cancelLongPress() {
+        if (this.timer !== undefined) {
+            window.clearTimeout(this.timer);
+            this.timer = undefined;
         }
-        const button = document.createElement('button');
-        button.dataset.folded = folded.toString();
-        button.classList.add('bga-help_button', 'bga-help_expandable-button', ...(this.settings.buttonExtraClasses ? this.settings.buttonExtraClasses.split(/\s+/g) : []));
-        button.innerHTML = `
-            <div class="bga-help_folded-content ${(this.settings.foldedContentExtraClasses ?? '').split(/\s+/g)}">${this.settings.foldedHtml ?? ''}</div>
-            <div class="bga-help_unfolded-content  ${(this.settings.unfoldedContentExtraClasses ?? '').split(/\s+/g)}">${this.settings.unfoldedHtml ?? ''}</div>
-        `;
-        button.style.setProperty('--expanded-width', this.settings.expandedWidth ?? 'auto');
-        button.style.setProperty('--expanded-height', this.settings.expandedHeight ?? 'auto');
-        button.style.setProperty('--expanded-radius', this.settings.expandedRadius ?? '10px');
-        toElement.appendChild(button);
-        button.addEventListener('click', () => {
-            button.dataset.folded = button.dataset.folded == 'true' ? 'false' : 'true';
-            if (this.settings.localStorageFoldedKey) {
-                localStorage.setItem(this.settings.localStorageFoldedKey, button.dataset.folded);
-            }
-        });
+        this.start = undefined;
+    }
+    /**
+     * Find the closest element having a tooltip in the framework registry
+     * @param element - Pressed element
+     * @returns ID of the element with a tooltip, or undefined
+     * @private
+     */
+    getTooltipId(element) {
+        while (element !== null && element !== this.game.html) {
+            if (element.id && this.game.bga.gameui.tooltips?.[element.id] !== undefined)
+                return element.id;
+            element = element.parentElement;
+        }
+        return undefined;
     }
-}
-class HelpManager {
-    constructor(game, settings) {
-        this.game = game;
-        if (!settings?.buttons) {
-            throw new Error('HelpManager need a `buttons` list in the settings.');
+    /**
+     * Open the inspect panel
+     * @param html - Tooltip content to show
+     * @private
+     */
+    openPanel(html) {
+        this.closePanel();
+        this.panel = document.createElement('inspect_panel');
+        this.panel.innerHTML = `<inspect_panel_close role="button" aria-label="${_("Close")}">✕</inspect_panel_close>${html}`;
+        this.panel.addEventListener('click', () => this.closePanel());
+        document.body.appendChild(this.panel);
+    }
+    /**
+     * Close the inspect panel
+     * @private
+     */
+    closePanel() {
+        if (this.panel !== undefined) {
+            this.panel.remove();
+            this.panel = undefined;
         }
-        const leftSide = document.getElementById('left-side');
-        const buttons = document.createElement('div');
-        buttons.id = `bga-help_buttons`;
-        leftSide.appendChild(buttons);
-        settings.buttons.forEach(button => button.add(buttons));
     }
 }
+// ========== Static Properties ==========
+/** User preference ID of the touch mode (1 Automatic, 2 Enabled, 3 Disabled) */
+TouchMode.PREFERENCE = 104;
+/** Duration of a long press in milliseconds */
+TouchMode.LONG_PRESS_DURATION = 500;
+/** Distance in pixels the pointer can move during a long press */
+TouchMode.LONG_PRESS_TOLERANCE = 10;
 
 /**
- * Manages the main game board
+ * Lets the current player plan a whole turn locally before sending it to the server
  *
- * Contains all board elements including regions, campsites, bikers, travel supply,
- * gift supply, stamp supply, and various UI helpers.
+ * While planning, clicks on the game area build the plan instead of performing
+ * actions: a Travel card of the hand, then one of its targets, or a Postcard
+ * that would be complete in the Biker's region to send it. The planned result
+ * is shown with ghost Stamps, a ghost Biker and ghost camps.
+ *
+ * Supported steps:
+ *  - Stamp action: Travel card played as color on a matching Stamp space
+ *  - Movement action: Travel card played to move to an adjacent region
+ *  - Camp action: Travel card played to camp on a free campsite of the region
+ *  - Sending a Postcard
+ *
+ * The plan is then executed one server call at a time with the same actions
+ * as the interface. States needing a decision of the player (Souvenir, Star,
+ * Gift) pause the execution, which stops as soon as the state arguments no
+ * longer allow the next call.
  *
  * Responsibilities:
- *  - Creating and managing board layout (regions, campsites)
- *  - Managing biker positions and movement
- *  - Managing travel card supply and deck
- *  - Managing gift card supply and deck
- *  - Managing stamp supply
- *  - Activating/deactivating regions and campsites
- *  - Managing camp placement and tracking
- *  - Providing help interface for camp tracking
+ *  - Building the plan from the clicks on the game area
+ *  - Simulating and displaying the planned Biker position, Stamps, camps and sent Postcards
+ *  - Executing the plan and validating each call against the state arguments
  */
-class Board extends GameElement {
+class TurnPlanner {
     // ========== Constructor ==========
     /**
-     * Initialize the board with all elements
-     * @param parent - Parent Game instance
-     * @param child_id - Element ID
-     * @param data - Board data containing players, travels, gifts, and initial state
+     * Initialize the turn planner
+     * @param game - Main game instance
      */
-    constructor(parent, child_id, data) {
-        super(parent, child_id, "board");
-        /** Camp counters for tracking camps by player and type */
-        this.camp_counters = {};
-        // Setup Regions
-        for (let i = 0; i <= 13; i++) {
-            new Region(this, i, i);
-        }
-        // Setup campsites with type mappings
-        this.campsites = [
-            [1, 3, 3],
-            [8, 4, 7, 2, 5],
-            [2, 1, 4, 6],
-            [5, 6, 4, 3],
-            [2, 6, 6, 4, 3],
-            [5, 3, 7, 8],
-            [8, 4, 6, 7],
-            [2, 1, 8, 6, 3, 6],
-            [2, 4, 5, 7, 8],
-            [1, 1, 5],
-            [4, 1, 2, 3, 7],
-            [7, 1, 8, 5],
-            [8, 7, 5, 2],
-        ];
-        for (let r = 1; r <= this.campsites.length; r++) {
-            const region = this.campsites[r - 1];
-            for (let l = 1; l <= region.length; l++) {
-                const t = region[l - 1];
-                const id = r * 10 + l;
-                new Campsite(this, id, t, r, l);
-            }
-        }
-        // Setup Bikers and Camps
-        this.setupCampHelp(data);
-        for (const p in data.players) {
-            new Biker(this, data.players[p].id, data.players[p].color, data.players[p].biker, data.players[p].id === this.game.bga.gameui.player_id);
-            for (const c in data.players[p].camps) {
-                const region = data.players[p].camps[c].region;
-                const campsite = data.players[p].camps[c].location;
-                new Camp(this, region * 10 + campsite, data.players[p].color, 0, region, campsite);
-                this.camp_counters[data.players[p].id][this.campsites[region - 1][campsite - 1]].innerHTML = String(Number(this.camp_counters[data.players[p].id][this.campsites[region - 1][campsite - 1]].innerHTML) + 1);
-            }
-        }
-        // Setup travel supply
-        for (const t in data.travels.travels) {
-            new Travel(this, data.travels.travels[t].type, data.travels.travels[t].location);
-        }
-        if (this.game.bga.userPreferences.get(101) === 1) {
-            const travels_counter_html = document.createElement("travels_counter");
-            this.html.appendChild(travels_counter_html);
-            this.travels_counter = new ebg.counter();
-            this.travels_counter.create(travels_counter_html, {
-                value: data.travels.travels_counter,
-                tableCounter: 'travels_counter'
-            });
-            const travels_discard_counter_html = document.createElement("travels_discard_counter");
-            this.html.appendChild(travels_discard_counter_html);
-            this.travels_discard_counter = new ebg.counter();
-            this.travels_discard_counter.create(travels_discard_counter_html, {
-                value: data.travels.travels_discard_counter,
-                tableCounter: 'travels_discard_counter'
-            });
-        }
-        if (data.travels.travels_counter === 2) {
-            this.setArg("travels_count", 2);
-        }
-        else if (data.travels.travels_counter === 1) {
-            this.setArg("travels_count", 1);
-        }
-        new DeckStack(this, 0, 0);
-        if (data.travels.travels_counter === 2) {
-            this.game.c.board[0].c.deck_stack[0].setArg("count", 2);
-        }
-        else if (data.travels.travels_counter === 1) {
-            this.game.c.board[0].c.deck_stack[0].setArg("count", 1);
-        }
-        new TravelDeck(this, 0);
-        // Setup gift supply
-        for (const g in data.gifts.gifts) {
-            new Gift(this, data.gifts.gifts[g].type, data.gifts.gifts[g].location);
-        }
-        if (this.game.bga.userPreferences.get(101) === 1) {
-            const gifts_counter_html = document.createElement("gifts_counter");
-            this.html.appendChild(gifts_counter_html);
-            this.gifts_counter = new ebg.counter();
-            this.gifts_counter.create(gifts_counter_html, {
-                value: data.gifts.gifts_counter,
-                tableCounter: 'gifts_counter'
-            });
-        }
-        if (data.gifts.gifts_counter === 2) {
-            this.setArg("gifts_count", 2);
-        }
-        else if (data.gifts.gifts_counter === 1) {
-            this.setArg("gifts_count", 1);
-        }
-        new DeckStack(this, 1, 1);
-        new GiftDeck(this, 0);
-        // Setup stamp supply
-        new StampSupply(this, 0);
-        if (data.end_bonus) {
-            new EndGameBonus(this, 0);
-        }
+    constructor(game) {
+        /** Whether the player is building a plan */
+        this.planning = false;
+        /** Steps of the plan being built */
+        this.steps = [];
+        /** Elements the selected card (or a send) can target */
+        this.targets = [];
+        /** Number of Travel cards that can still be played this turn */
+        this.remaining_travels = 0;
+        /** Simulated region of the Biker */
+        this.biker = 0;
+        /** Ghost elements shown on the board and the postcards */
+        this.ghosts = [];
+        /** Elements marked by the simulation */
+        this.marked = [];
+        /** Server calls of the plan being executed */
+        this.calls = [];
+        this.game = game;
     }
-    // ========== Region Management Methods ==========
+    // ========== Public Methods ==========
     /**
-     * Set biker position to a specific region
-     * @param region - Region number to move biker to
+     * Start listening to clicks on the game area
+     * @param root - Root element of the game
      */
-    setBikerRegion(region) {
-        this.c.region[region].setBiker();
+    setup(root) {
+        root.addEventListener('click', (e) => {
+            if (!this.planning)
+                return;
+            e.stopPropagation();
+            e.preventDefault();
+            this.onClick(e.target);
+        }, true);
     }
     /**
-     * Activate specific regions for player interaction
-     * @param regions - Array of region numbers to activate
+     * Whether the player is building a plan
+     * @returns True while planning
      */
-    activateRegions(regions) {
-        for (const r of regions) {
-            this.c.region[r].activate();
-        }
+    isPlanning() {
+        return this.planning;
     }
     /**
-     * Deactivate all regions
+     * Whether a plan is being executed
+     * @returns True while calls of the plan remain
      */
-    inactivateAllRegions() {
-        for (const r in this.c.region) {
-            this.c.region[r].activate(false);
-        }
+    isExecuting() {
+        return this.calls.length !== 0;
     }
     /**
-     * Animate biker movement to a new region
-     * @param player_id - Player whose biker is moving
-     * @param region - Destination region
-     * @returns Promise resolving when animation completes
+     * Whether a call of the plan was performed when entering a state
+     * @param stateName - Name of the state
+     * @returns True if the last entered state is the given one and a call was performed in it
      */
-    async moveBiker(player_id, region) {
-        this.c.biker[player_id].move(region);
-        return await new Promise((resolve) => setTimeout(resolve, 800));
+    hasResumed(stateName) {
+        return this.resumed === stateName;
     }
-    // ========== Campsite Management Methods ==========
     /**
-     * Activate specific campsites for camp placement
-     * @param region - Region containing campsites
-     * @param campsites - Array of campsite numbers to activate
+     * Start building a plan from the current Action state
+     * @param used_travels - Travel cards already played this turn
+     * @param max_travels - Number of Travel cards that can be played this turn
      */
-    activateCampsites(region, campsites) {
-        for (const i in campsites) {
-            this.c.campsite[region * 10 + campsites[i]].activate();
-        }
+    start(used_travels, max_travels) {
+        this.planning = true;
+        this.steps = [];
+        this.selected = undefined;
+        this.remaining_travels = max_travels - used_travels.length;
+        this.game.c.player_area[this.game.bga.gameui.player_id].c.hand[0].selection.set([]);
+        this.game.html.setAttribute("planning", "true");
+        this.update();
     }
     /**
-     * Deactivate all campsites
+     * Stop building the plan and remove the ghosts
      */
-    inactivateAllCampsites() {
-        for (const i in this.c.campsite) {
-            this.c.campsite[i].activate(false);
-        }
+    cancel() {
+        this.planning = false;
+        this.steps = [];
+        this.selected = undefined;
+        this.game.html?.setAttribute("planning", "false");
+        this.clearDisplay();
     }
     /**
-     * Animate adding a camp to a campsite
+     * Perform the next call of the plan if the entered state is the expected one
      *
-     * Updates camp counter and animates camp placement with rotation based on location.
+     * The execution waits through the states needing the player's decision,
+     * and stops when any other state is entered or the state arguments do not
+     * allow the call.
      *
-     * @param camp - Camp token to place
-     * @param player_id - Player placing the camp
-     * @param region - Target region
-     * @param campsite - Target campsite within region
-     * @returns Promise resolving when animation completes
+     * @param stateName - Name of the entered state
+     * @param args - State arguments
      */
-    async addCamp(camp, player_id, region, campsite) {
-        this.camp_counters[player_id][this.campsites[region - 1][campsite - 1]].innerHTML = String(Number(this.camp_counters[player_id][this.campsites[region - 1][campsite - 1]].innerHTML) + 1);
-        camp.addToParent(this, region * 10 + campsite);
-        camp.setArg("region", region);
-        camp.setArg("campsite", campsite);
-        let rotate = 0;
-        switch (camp.args.location) {
-            case 1:
-            case 2:
-                rotate = 90;
-                break;
-            case 3:
-                rotate = 45;
-                break;
-            case 10:
-                rotate = -45;
-                break;
-            case 11:
-            case 12:
-            case 13:
-                rotate = -90;
-                break;
+    resume(stateName, args) {
+        delete this.resumed;
+        if (this.calls.length === 0)
+            return;
+        const call = this.calls[0];
+        if (TurnPlanner.PAUSE_STATES.includes(stateName) && stateName !== call.state) {
+            this.showExecution(_("The plan continues once you have made your choice."));
+            return;
         }
-        await this.game.animationManager.slideAndAttach(camp.html, this.html, {
-            duration: 800,
-            fromPlaceholder: "off",
-            toPlaceholder: "off",
-            parallelAnimations: [
-                {
-                    keyframes: [{ rotate: `${rotate}deg` }, { rotate: '0deg' }],
-                },
-            ],
-        });
+        if (!this.game.bga.players.isCurrentPlayerActive() || call.state !== stateName || !this.isAllowed(call, args)) {
+            this.stop(_("The plan was stopped, as it is no longer possible."));
+            return;
+        }
+        this.calls.shift();
+        this.resumed = stateName;
+        this.game.bga.actions.performAction(call.action, call.args)
+            .then(() => {
+            if (this.calls.length === 0)
+                this.stop();
+        })
+            .catch(() => this.stop(_("The plan was stopped, as it is no longer possible.")));
+        this.showExecution();
     }
-    // ========== Travel Supply Methods ==========
+    // ========== Private Helper Methods ==========
     /**
-     * Activate or deactivate the travel deck
-     * @param b - True to activate (default), false to deactivate
+     * Handle a click on the game area while planning
+     * @param element - Clicked element
+     * @private
      */
-    activateTravelDeck(b = true) {
-        this.c.travel_deck[0].activate(b);
+    onClick(element) {
+        const travel = this.getHandTravels().find((t) => t.html.contains(element));
+        if (travel !== undefined) {
+            this.selected = this.selected === travel ? undefined : travel;
+            this.update();
+            return;
+        }
+        const target = this.targets.find((t) => t.html.contains(element));
+        if (target === undefined)
+            return;
+        if (this.selected !== undefined) {
+            this.steps.push({ travel: this.selected, target, label: this.getStepLabel(this.selected, target) });
+        }
+        else {
+            this.steps.push({
+                target,
+                label: this.game.bga.gameui.format_string(_("Send Postcard of region ${region}"), {
+                    region: String(target.getRegion()),
+                }),
+            });
+        }
+        this.selected = undefined;
+        this.update();
     }
     /**
-     * Activate or deactivate all travel cards in supply
-     * @param b - True to activate (default), false to deactivate
+     * Simulate the plan and refresh the ghosts, the targets and the bar
+     * @private
      */
-    activateAllTravels(b = true) {
-        for (const i in this.c.travel) {
-            this.c.travel[i].activate(b);
+    update() {
+        this.clearDisplay();
+        const board = this.game.c.board[0];
+        const player_id = this.game.bga.gameui.player_id;
+        const real_biker = board.c.biker[player_id];
+        const color = real_biker.args.color;
+        this.biker = Number(real_biker.args.location);
+        for (const step of this.steps) {
+            if (step.target instanceof Region) {
+                this.biker = step.target.args.type;
+            }
+            else if (step.target instanceof StampSpace) {
+                this.addGhost(step.target.parent, "stamp", { location: step.target.args.space });
+                this.mark(step.target, "stamp");
+            }
+            else if (step.target instanceof Campsite) {
+                this.addGhost(board, "camp", {
+                    color,
+                    region: Math.floor(step.target.child_id / 10),
+                    campsite: step.target.child_id % 10,
+                });
+                this.mark(step.target, "camp");
+            }
+            else if (step.target instanceof Postcard) {
+                this.mark(step.target, "send");
+            }
+            if (step.travel !== undefined)
+                this.mark(step.travel, "used");
+        }
+        if (this.biker !== Number(real_biker.args.location)) {
+            this.addGhost(board, "biker", { color, location: this.biker });
+        }
+        if (this.selected !== undefined)
+            this.mark(this.selected, "selected");
+        this.targets = this.selected !== undefined ? this.getTravelTargets(this.selected) : this.getSendTargets();
+        for (const t of this.targets) {
+            t.setArg("plan_target", true);
+        }
+        this.showPlan();
+    }
+    /**
+     * Remove the ghosts, the marks, the targets and the bar
+     * @private
+     */
+    clearDisplay() {
+        for (const g of this.ghosts) {
+            g.remove();
         }
+        for (const m of this.marked) {
+            m.setArg("plan", false);
+        }
+        for (const t of this.targets) {
+            t.setArg("plan_target", false);
+        }
+        this.ghosts = [];
+        this.marked = [];
+        this.targets = [];
+        this.bar?.remove();
+        delete this.bar;
     }
     /**
-     * Refill travel card to board supply from deck
-     *
-     * Creates travel card and animates it flipping in from the deck.
-     *
-     * @param travel - Travel card ID
-     * @param location - Supply location
-     * @returns Promise resolving when animation completes
+     * Add a ghost token, positioned by the same rules as the real one
+     * @param parent - Element to add the ghost to
+     * @param name - Token name (stamp, camp or biker)
+     * @param args - Attributes of the token
+     * @private
      */
-    async refillTravel(travel, location) {
-        new Travel(this, travel, location);
-        this.c.travel[travel].setArg("deck", true);
-        await this.game.animationManager.slideIn(this.c.travel[travel].html, this.game.c.board[0].c.travel_deck[0].html, {
-            duration: 800,
-            fromPlaceholder: "off",
-            toPlaceholder: "off",
-            ignoreRotation: false,
-            parallelAnimations: [
-                {
-                    keyframes: [
-                        { transform: 'rotateY(180deg)', rotate: '1deg' },
-                        { transform: 'rotateY(0deg)', rotate: '0.5deg' },
-                    ],
-                },
-            ],
-        }).then(() => {
-            this.c.travel[travel].setArg("deck", false);
-        });
+    addGhost(parent, name, args) {
+        const ghost = document.createElement(name);
+        ghost.classList.add(name);
+        for (const a in args) {
+            ghost.setAttribute(a, String(args[a]));
+        }
+        ghost.setAttribute("ghost", "true");
+        ghost.setAttribute("overlay", "true");
+        parent.html.appendChild(ghost);
+        this.ghosts.push(ghost);
     }
     /**
-     * Add travel card from deck with animation
-     *
-     * @param travel - Travel card to add
-     * @param location - Supply location
-     * @returns Promise resolving when animation completes
+     * Mark an element as part of the plan
+     * @param element - Element to mark
+     * @param value - Role of the element in the plan
+     * @private
      */
-    async addTravel(travel, location) {
-        travel.addToParent(this);
-        travel.setArg("location", location);
-        await this.game.animationManager.slideAndAttach(travel.html, this.html, {
-            duration: 800,
-            toPlaceholder: "off",
-            parallelAnimations: [
-                {
-                    keyframes: [{ rotate: '0deg' }, { rotate: '0.5deg' }],
-                },
-            ],
-        });
+    mark(element, value) {
+        element.setArg("plan", value);
+        this.marked.push(element);
     }
     /**
-     * Create a new travel card for the deck
-     * @param travel - Travel card ID
-     * @returns Created Travel element
+     * Get the Travel cards of the hand that can still be planned
+     * @returns Unused and unplanned Travel cards, or none if no card can be played anymore
+     * @private
      */
-    createTravelToDeck(travel) {
-        return new Travel(this, travel);
+    getHandTravels() {
+        const planned = this.steps.filter((s) => s.travel !== undefined);
+        if (planned.length >= this.remaining_travels)
+            return [];
+        const hand = this.game.c.player_area[this.game.bga.gameui.player_id].c.hand[0];
+        return Object.values(hand.c.travel ?? {}).filter((t) => !this.game.used_travels.includes(t.child_id) && !planned.some((s) => s.travel === t));
     }
-    // ========== Gift Supply Methods ==========
     /**
-     * Activate or deactivate all gift cards in supply
-     * @param b - True to activate (default), false to deactivate
+     * Compute the targets of a Travel card from the simulated state
+     * @param travel - Selected Travel card
+     * @returns Matching empty Stamp spaces and the targets of the card action
+     * @private
      */
-    activateAllGifts(b = true) {
-        for (const i in this.c.gift) {
-            this.c.gift[i].activate(b);
+    getTravelTargets(travel) {
+        const res = [];
+        const board = this.game.c.board[0];
+        // Empty Stamp spaces of the card color
+        for (const postcard of this.getPostcards()) {
+            for (const s in postcard.c.stamp_space) {
+                const stamp_space = postcard.c.stamp_space[s];
+                if (!this.hasStamp(postcard, Number(s)) && stamp_space.getColor() === travel.getColorType()) {
+                    res.push(stamp_space);
+                }
+            }
+        }
+        // Action targets
+        switch (travel.getOptionType()) {
+            case 1:
+                for (const r of RegionGraph.getNeighbours(this.biker)) {
+                    res.push(board.c.region[r]);
+                }
+                break;
+            case 3:
+                for (let l = 1; l <= board.campsites[this.biker - 1].length; l++) {
+                    const id = this.biker * 10 + l;
+                    if (board.c.camp?.[id] === undefined && !this.steps.some((s) => s.target.name === "campsite" && s.target.child_id === id)) {
+                        res.push(board.c.campsite[id]);
+                    }
+                }
+                break;
         }
+        return res;
     }
     /**
-     * Refill gift card to board supply from deck
-     *
-     * Creates gift card and animates it flipping in from the deck with rotation.
-     *
-     * @param gift - Gift card ID
-     * @param location - Supply location
-     * @returns Promise resolving when animation completes
+     * Compute the Postcards that could be sent in the simulated state
+     * @returns Complete Postcards in the region of the simulated Biker
+     * @private
      */
-    async refillGift(gift, location) {
-        new Gift(this, gift, location);
-        this.c.gift[gift].setArg("deck", true);
-        let rotate = "0";
-        if (location === 1)
-            rotate = "-5.5";
-        else if (location === 2)
-            rotate = "-4.5";
-        else if (location === 3)
-            rotate = "-4";
-        await this.game.animationManager.slideIn(this.c.gift[gift].html, this.game.c.board[0].c.gift_deck[0].html, {
-            duration: 800,
-            fromPlaceholder: "off",
-            toPlaceholder: "off",
-            ignoreRotation: false,
-            parallelAnimations: [
-                {
-                    keyframes: [
-                        { transform: 'rotateY(180deg) rotate(-4deg)' },
-                        { transform: `rotateY(0deg) rotate(${rotate}deg)` },
-                    ],
-                },
-            ],
-        });
+    getSendTargets() {
+        return this.getPostcards().filter((postcard) => postcard.getRegion() === this.biker &&
+            Object.keys(postcard.c.stamp_space ?? {}).every((s) => this.hasStamp(postcard, Number(s))));
     }
     /**
-     * Add gift card from deck with animation
-     *
-     * @param gift - Gift card to add
-     * @param location - Supply location
-     * @returns Promise resolving when animation completes
+     * Get the current player's Postcards that are not planned to be sent
+     * @returns Postcards of the player
+     * @private
      */
-    addGiftFromDeck(gift, location) {
-        return this.game.animationManager.slideAndAttach(gift.html, this.html, {
-            duration: 800,
-            fromPlaceholder: "off",
-            parallelAnimations: [
-                {
-                    keyframes: [
-                        { transform: 'rotateY(180deg)', rotate: '-4.5deg' },
-                        { transform: 'rotateY(0deg)', rotate: '-5deg' },
-                    ],
-                },
-            ],
-        });
+    getPostcards() {
+        const postcards = this.game.c.player_area[this.game.bga.gameui.player_id].c.postcard_player[0].c.postcard ?? {};
+        return Object.values(postcards).filter((p) => !this.steps.some((s) => s.target === p));
     }
     /**
-     * Create a new gift card for the deck
-     * @param gift - Gift card ID
-     * @returns Created Gift element
+     * Check whether a Stamp space has a real or a planned Stamp
+     * @param postcard - Postcard of the space
+     * @param space - Space location
+     * @returns True if the space is taken
+     * @private
      */
-    createGiftToDeck(gift) {
-        return new Gift(this, gift);
+    hasStamp(postcard, space) {
+        return postcard.c.stamp?.[space] !== undefined || this.steps.some((s) => s.target === postcard.c.stamp_space[space]);
     }
-    // ========== Private Helper Methods ==========
     /**
-     * Setup camp help interface with camp counter tracking
-     *
-     * Creates expandable help button showing camp counts by player and type.
-     * Initializes camp counter element references for tracking.
-     *
-     * @param data - Player data for counter setup
+     * Get the description of a Travel card step
+     * @param travel - Played Travel card
+     * @param target - Target of the card
+     * @returns Localized description
      * @private
      */
-    setupCampHelp(data) {
-        this.game.helpManager = new HelpManager(this.game, {
-            buttons: [
-                new BgaHelpExpandableButton({
-                    foldedContentExtraClasses: 'camp-help-folded-content',
-                    unfoldedContentExtraClasses: 'camp-help-unfolded-content',
-                    expandedWidth: '200px',
-                    expandedHeight: '410px',
-                    unfoldedHtml: `
-						<h3>${_("Number of Camps")}</h3>
-						<table>
-							${this.getCampHelpTable(data.players)}
-						</table>`,
-                }),
-            ],
+    getStepLabel(travel, target) {
+        const card = this.game.bga.gameui.format_string(_("${color} ${action} card"), {
+            color: Travel.getColorName(travel.getColorType()),
+            action: Travel.getActionName(travel.getOptionType()),
         });
-        this.camp_counters = [];
-        for (let i in data.players) {
-            this.camp_counters[data.players[i].id] = [];
-            for (let j = 1; j <= 8; j++) {
-                this.camp_counters[data.players[i].id][j] = document.getElementById(`camp_counter_${data.players[i].id}_${j}`);
-            }
+        if (target instanceof StampSpace) {
+            return this.game.bga.gameui.format_string(_("${card}: Stamp on the Postcard of region ${region}"), {
+                card,
+                region: String(target.parent.getRegion()),
+            });
+        }
+        else if (target instanceof Region) {
+            return this.game.bga.gameui.format_string(_("${card}: move to region ${region}"), {
+                card,
+                region: String(target.args.type),
+            });
+        }
+        else {
+            return this.game.bga.gameui.format_string(_("${card}: camp in region ${region}"), {
+                card,
+                region: String(Math.floor(target.child_id / 10)),
+            });
         }
     }
     /**
-     * Generate HTML table for camp help display
-     *
-     * Creates table with rows for each camp type and columns for each player,
-     * showing camp counts by type.
-     *
-     * @param players - Player data
-     * @returns HTML string for camp counter table
+     * Turn the plan into server calls and perform the first one
      * @private
      */
-    getCampHelpTable(players) {
-        let res = "<tr><td></td>";
-        for (let i in players) {
-            res += `<td><camp_icon color="${players[i].color}"></camp_icon></td>`;
-        }
-        res += `</tr>`;
-        for (let i = 1; i <= 8; i++) {
-            res += `<tr><td><campsite_icon type="${i}"></campsite_icon></td>`;
-            for (let j in players) {
-                res += `<td id="camp_counter_${players[j].id}_${i}" ${this.game.bga.players.getCurrentPlayerId() === players[j].id ? `own=true` : ``}>0</td>`;
+    execute() {
+        this.calls = [];
+        for (const step of this.steps) {
+            if (step.travel === undefined) {
+                this.calls.push({ state: 'Action', action: 'actSend', args: { postcard: step.target.child_id } });
+            }
+            else if (step.target instanceof StampSpace) {
+                this.calls.push({ state: 'Action', action: 'actActionTravelColor', args: { travel: step.travel.child_id } });
+                this.calls.push({
+                    state: 'Stamp',
+                    action: 'actStamp',
+                    args: { postcard: step.target.parent.child_id, space: step.target.args.space },
+                });
+            }
+            else if (step.target instanceof Region) {
+                this.calls.push({ state: 'Action', action: 'actActionTravel', args: { travel: step.travel.child_id } });
+                this.calls.push({ state: 'Move', action: 'actMove', args: { region: step.target.args.type } });
+            }
+            else {
+                this.calls.push({ state: 'Action', action: 'actActionTravel', args: { travel: step.travel.child_id } });
+                this.calls.push({ state: 'Camp', action: 'actCamp', args: { campsite: step.target.args.location } });
             }
-            res += `</tr>`;
         }
-        return res;
+        this.cancel();
+        this.resume(this.game.bga.gameui.gamedatas.gamestate.name, this.game.bga.gameui.gamedatas.gamestate.args);
+    }
+    /**
+     * Stop the execution of the plan
+     * @param message - Message explaining why the plan stopped, if it did not complete
+     * @private
+     */
+    stop(message) {
+        this.calls = [];
+        this.bar?.remove();
+        delete this.bar;
+        if (message !== undefined) {
+            this.game.bga.dialogs.showMessage(message, 'error');
+        }
+    }
+    /**
+     * Check a call against the state arguments
+     * @param call - Next call of the plan
+     * @param args - State arguments
+     * @returns True if the state allows the call
+     * @private
+     */
+    isAllowed(call, args) {
+        switch (call.action) {
+            case 'actActionTravel':
+            case 'actActionTravelColor':
+                return (args?.used_travels !== undefined &&
+                    !args.used_travels.map(Number).includes(call.args.travel) &&
+                    args.used_travels.length < args.max_travels);
+            case 'actSend':
+                return !!args?.send?.map(Number).includes(call.args.postcard);
+            case 'actMove':
+                return !!args?.regions?.map(Number).includes(call.args.region);
+            case 'actStamp':
+                return !!args?.spaces?.[call.args.postcard]?.map(Number).includes(call.args.space);
+            case 'actCamp':
+                return !!args?.campsites?.map(Number).includes(call.args.campsite);
+        }
+        return false;
+    }
+    /**
+     * Show the plan being built in the page title, with its buttons
+     * @private
+     */
+    showPlan() {
+        const steps = this.steps.map((s) => `<li>${s.label}</li>`).join('');
+        const hint = this.selected !== undefined
+            ? _("Select a highlighted target for the selected Travel card.")
+            : _("Select a Travel card of your hand, or a highlighted Postcard to send.");
+        this.bar = this.game.createBar("turn_plan", `
+			<turn_plan>
+				<h3>${_("Turn plan")}</h3>
+				${steps !== '' ? `<ol>${steps}</ol>` : ''}
+				<p>${hint}</p>
+			</turn_plan>
+		`);
+        this.addBarButton(_("Execute plan"), "blue", () => this.execute(), this.steps.length === 0);
+        this.addBarButton(_("Remove last step"), "gray", () => {
+            this.steps.pop();
+            this.selected = undefined;
+            this.update();
+        }, this.steps.length === 0);
+        this.addBarButton(_("Cancel plan"), "red", () => this.cancel());
+    }
+    /**
+     * Show the progress of the plan being executed in the page title
+     * @param message - Additional message
+     * @private
+     */
+    showExecution(message) {
+        this.bar?.remove();
+        this.bar = this.game.createBar("turn_plan", `
+			<turn_plan>
+				${this.game.bga.gameui.format_string(_("Executing plan: ${n} server call(s) remaining"), { n: String(this.calls.length) })}
+				${message !== undefined ? `<p>${message}</p>` : ''}
+			</turn_plan>
+		`);
+        this.addBarButton(_("Stop plan"), "red", () => this.stop());
+    }
+    /**
+     * Add a button to the plan bar
+     * @param label - Button label
+     * @param color - BGA button color (blue, gray or red)
+     * @param callback - Click handler
+     * @param disabled - Whether the button is disabled
+     * @private
+     */
+    addBarButton(label, color, callback, disabled = false) {
+        const button = document.createElement('a');
+        button.className = `bgabutton bgabutton_${color}`;
+        button.classList.toggle("disabled", disabled);
+        button.innerHTML = label;
+        button.addEventListener('click', () => {
+            if (!disabled)
+                callback();
+        });
+        this.bar.querySelector('turn_plan').appendChild(button);
     }
 }
+// ========== Static Properties ==========
+/** States the execution waits through for the player's decision */
+TurnPlanner.PAUSE_STATES = ['Souvenir', 'Star', 'Gift'];
 
 /**
- * Represents a single gift card in the game
+ * Lists the undoable steps of the current player's turn and undoes back to any of them
  *
- * Gift cards are earned when players send postcards and provide various end-game
- * scoring bonuses or immediate actions. Each gift has a specific type and effect.
+ * The steps are the undoable log entries of the server, sent with the state
+ * arguments. Each actUndo call reverts exactly one of them, the last one, so
+ * the timeline shows what each call will revert.
+ *
+ * Selecting a step highlights it and every later step, and the confirm button
+ * undoes them with one actUndo call per step (or actReset for all of them).
  *
  * Responsibilities:
- *  - Displaying gift card on board or in player area
- *  - Handling click interactions for gift selection and usage
- *  - Managing gift type and location tracking
- *  - Providing tooltip with gift effects and scoring rules
+ *  - Displaying the timeline with labels and icons
+ *  - Highlighting the steps that will be reverted
+ *  - Issuing the undo calls, one per entered state
  */
-class Gift extends GameElement {
+class UndoTimeline {
     // ========== Constructor ==========
     /**
-     * Initialize a gift card
-     * @param parent - Parent container (Board or GiftPlayer)
-     * @param child_id - Gift card ID
-     * @param location - Optional location on board (null if in hand)
+     * Initialize an empty timeline
+     * @param game - Main game instance
      */
-    constructor(parent, child_id, location = null) {
-        if (location !== null) {
-            super(parent, child_id, "gift", { location });
-        }
-        else {
-            super(parent, child_id, "gift");
-        }
-        // Register click handler
-        $(`postcards_${this.id}`).addEventListener('click', () => this.onClick());
-        // Set gift type based on ID
-        this.setArg("type", this.getGiftType());
-        // Setup tooltip
-        this.setupTooltip();
+    constructor(game) {
+        /** Undoable steps of the current state, oldest first */
+        this.steps = [];
+        /** Undo calls still to issue */
+        this.pending = 0;
+        this.game = game;
     }
     // ========== Public Methods ==========
     /**
-     * Activate or deactivate this gift card for interaction
-     * @param b - True to activate (default), false to deactivate
+     * Show the timeline of the current state
+     * @param steps - Undoable steps, oldest first
      */
-    activate(b = true) {
-        this.setArg("active", b);
+    show(steps) {
+        this.steps = steps ?? [];
+        delete this.selected;
+        this.render();
     }
-    // ========== Private Helper Methods ==========
     /**
-     * Handle gift card click - manages interaction based on context
-     *
-     * During Gift phase: Select gift card from board supply
-     * During Action phase: Use gift card action from player area
-     *
-     * @private
+     * Remove the timeline from the page title
      */
-    async onClick() {
-        if (this.game.bga.players.isCurrentPlayerActive() && this.args.active === true) {
-            switch (this.game.bga.gameui.gamedatas.gamestate.name) {
-                case 'Gift':
-                    if (this.parent instanceof Board) {
-                        this.game.bga.actions.performAction('actGift', { gift: this.child_id });
-                    }
-                    break;
-                case 'Action':
-                    if (this.parent instanceof GiftPlayer) {
-                        this.game.bga.actions.performAction('actActionGift', {
-                            gift: this.child_id,
-                        });
-                    }
-            }
+    hide() {
+        this.bar?.remove();
+        delete this.bar;
+    }
+    /**
+     * Issue the next undo call of a selected step when a state is entered
+     * @param args - State arguments
+     */
+    resume(args) {
+        if (this.pending === 0)
+            return;
+        if (!this.game.bga.players.isCurrentPlayerActive() || !(args?.undo > 0)) {
+            this.pending = 0;
+            return;
         }
+        this.pending--;
+        this.game.bga.actions.performAction('actUndo').catch(() => (this.pending = 0));
     }
+    // ========== Private Helper Methods ==========
     /**
-     * Get the gift type based on card ID
-     *
-     * Maps card IDs to gift types:
-     *  - 1-4, 5-8: Keychain types (Beach, Gastronomy, Shore, Sight, History, Culture, Mountain, Forest)
-     *  - 9-16: Snow Globe
-     *  - 17: Caravan
-     *  - 18-19: Road Map
-     *  - 20-21: Car
-     *  - 22-23: Hiking Guide
-     *  - 24-25: Stamp Collection
-     *
-     * @returns Gift type number
+     * Build the timeline bar
      * @private
      */
-    getGiftType() {
-        switch (this.child_id) {
-            case 1:
-                return 1;
-            case 2:
-                return 2;
-            case 3:
-                return 3;
-            case 4:
-                return 4;
-            case 5:
-                return 6;
-            case 6:
-                return 7;
-            case 7:
-                return 8;
-            case 8:
-                return 9;
-            case 9:
-            case 10:
-            case 11:
-            case 12:
-            case 13:
-            case 14:
-            case 15:
-            case 16:
-                return 5;
-            case 17:
-                return 10;
-            case 18:
-            case 19:
-                return 11;
-            case 20:
-            case 21:
-                return 12;
-            case 22:
-            case 23:
-                return 13;
-            case 24:
-            case 25:
-                return 14;
+    render() {
+        this.hide();
+        if (this.steps.length === 0)
+            return;
+        this.bar = this.game.createBar("undo_timeline", `
+			<undo_timeline>
+				<h3>${_("This turn")}</h3>
+				<ol></ol>
+			</undo_timeline>
+		`);
+        const list = this.bar.querySelector('ol');
+        this.steps.forEach((step, index) => {
+            const item = document.createElement('undo_timeline_entry');
+            item.setAttribute("skip", String(UndoTimeline.SKIPS.includes(step.type)));
+            item.setAttribute("revert", String(this.selected !== undefined && index >= this.selected));
+            item.setAttribute("role", "button");
+            item.tabIndex = 0;
+            item.innerHTML = `<undo_timeline_icon>${UndoTimeline.ICONS[step.type] ?? "•"}</undo_timeline_icon>`;
+            item.appendChild(document.createTextNode(this.getLabel(step)));
+            item.addEventListener('click', () => this.select(index));
+            item.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.select(index);
+                }
+            });
+            const li = document.createElement('li');
+            li.appendChild(item);
+            list.appendChild(li);
+        });
+        if (this.selected !== undefined) {
+            const count = this.steps.length - this.selected;
+            const button = document.createElement('a');
+            button.className = "bgabutton bgabutton_red";
+            button.innerHTML = this.game.bga.gameui.format_string(_("Undo ${n} step(s)"), { n: String(count) });
+            button.addEventListener('click', () => this.undoSteps(count));
+            this.bar.querySelector('undo_timeline').appendChild(button);
         }
-        return 0;
     }
     /**
-     * Setup tooltip with gift information and effects
-     *
-     * Displays:
-     *  - General gift card rules
-     *  - Gift-specific type and effects
-     *  - Scoring information or action descriptions
-     *
+     * Select or deselect a step
+     * @param index - Index of the step
      * @private
      */
-    setupTooltip() {
-        this.game.bga.gameui.addTooltipHtml(`postcards_${this.id}`, `<tooltip>
-				<h3>${_("Gift Card")}</h3>
-				<p>${_("When you send a postcard, choose a face‑up Gift card and place it in front of you. Then fill the empty space with a new card from the deck.")}</p>
-				${this.getSpecificTooltip()}
-			</tooltip>`);
+    select(index) {
+        this.selected = this.selected === index ? undefined : index;
+        this.render();
     }
     /**
-     * Get gift-specific tooltip text based on gift type
-     *
-     * Includes:
-     *  - Keychain: Camp-based end-game scoring
-     *  - Snow Globe: Collection-based end-game scoring
-     *  - Caravan: Regional camp-based end-game scoring
-     *  - Road Map: Movement + Camp action
-     *  - Car: Extra movement actions
-     *  - Hiking Guide: Postcard selection action
-     *  - Stamp Collection: Stamp placement action
-     *
-     * @returns HTML string with gift-specific rules
+     * Undo the given number of steps
+     * @param count - Number of steps to undo
      * @private
      */
-    getSpecificTooltip() {
-        switch (this.args.type) {
-            case 1:
-            case 2:
-            case 3:
-            case 4:
-            case 6:
-            case 7:
-            case 8:
-            case 9:
-                return `<h4>${_("Keychain")}</h4>
-					<p>${this.game.bga.gameui.format_string(_("<b>At the end of the game:</b> if you have 1/2/3/4/5/6 camps on ${t} type of campsite, score 1/3/6/10/14/20 points."), {
-                    t: this.getKeyType(),
-                })}</p>
-					<p>${_("<b>BGA tip:</b> you can see the number of Camps by clicking on the small Book icon in the bottom-left corner of the screen.")}</p>`;
-            case 5:
-                return `<h4>${_("Snow Globe")}</h4>
-					<p>${_("<b>At the end of the game:</b> if you have 1/2/3/4 Snow Globe cards, score 3/6/12/18 points.")}</p>`;
-            case 10:
-                return `<h4>${_("Caravan")}</h4>
-					<p>${_("<b>At the end of the game:</b> score 2 points for each region in which you have at least 2 camps.")}</p>`;
-            case 11:
-                return `<h4>${_("Road Map")}</h4>
-					<p>${_("<b>When you use it:</b> move your Biker to a region adjacent to the one you are in. Then you may place a Camp token on an available campsite in the region you moved to.")}</p>`;
-            case 12:
-                return `<h4>${_("Car")}</h4>
-					<p>${_("<b>When you use it:</b> perform up to 3 extra Movement actions during your turn.")}</p>`;
-            case 13:
-                return `<h4>${_("Hiking Guide")}</h4>
-					<p>${_("<b>When you use it:</b> draw the top 5 postcards from the deck. Keep 2 and discard the other 3.")}</p>`;
-            case 14:
-                return `<h4>${_("Stamp Collection")}</h4>
-					<p>${_("<b>When you use it:</b> immediately place up to 2 Stamp tokens from the supply on any available Stamp spaces on any of your postcards.")}</p>`;
+    undoSteps(count) {
+        if (count >= this.steps.length) {
+            this.pending = 0;
+            this.game.bga.actions.performAction('actReset');
+            return;
         }
-        return ``;
+        this.pending = count - 1;
+        this.game.bga.actions.performAction('actUndo').catch(() => (this.pending = 0));
     }
     /**
-     * Get the keychain type name based on gift type
-     *
-     * Used for Keychain gifts to display which campsite type grants scoring.
-     *
-     * @returns Localized campsite type name
+     * Get the readable description of a step
+     * @param step - Undoable step
+     * @returns Localized description
      * @private
      */
-    getKeyType() {
-        switch (this.args.type) {
+    getLabel(step) {
+        const gameui = this.game.bga.gameui;
+        switch (step.type) {
             case 1:
-                return _("Beach");
+                return _("Played a Travel card");
             case 2:
-                return _("Gastronomy");
+                return _("Played a double action");
             case 3:
-                return _("Shore");
+                return _("Used a bonus action");
             case 4:
-                return _("Sight");
-            case 6:
-                return _("History");
-            case 7:
-                return _("Culture");
+                return _("Used a Gift card");
+            case 5:
+                return gameui.format_string(_("Moved from region ${region}"), { region: String(step.args?.region ?? "") });
             case 8:
-                return _("Mountain");
+                return gameui.format_string(_("Placed a Camp in region ${region}"), { region: String(step.args?.region ?? "") });
             case 9:
-                return _("Forest");
+                return _("Skipped the Camp");
+            case 10:
+                return _("Placed a Souvenir");
+            case 11:
+                return _("Skipped the Souvenir");
+            case 12:
+                return _("Placed a Stamp");
+            case 13:
+                return gameui.format_string(_("Sent a Postcard for ${point} points"), { point: String(step.args?.point ?? 0) });
+            case 15:
+                return _("Skipped the action");
+            case 16:
+                return _("Took a Travel card");
+            case 17:
+                return _("Used a Star effect");
         }
-        return '';
+        return _("Other action");
     }
 }
+// ========== Static Properties ==========
+/** Icons of the log types */
+UndoTimeline.ICONS = {
+    1: "🂠",
+    2: "🂠",
+    3: "★",
+    4: "🎁",
+    5: "➜",
+    8: "⛺",
+    9: "⛺",
+    10: "◆",
+    11: "◆",
+    12: "✉",
+    13: "📮",
+    15: "»",
+    16: "🂠",
+    17: "★",
+};
+/** Log types of skipped actions */
+UndoTimeline.SKIPS = [9, 11, 15];
 
 /**
- * Manages a player's gift card collection
+ * Groups the log entries cancelled by an undo
  *
- * Stores and displays the gift cards a player has received during the game.
- * Handles gift card animations and activation/deactivation for interaction.
+ * The entries cancelled by one undo are collapsed behind a single
+ * "N actions undone" row, in the desktop log as well as in the docked
+ * mobile log. Clicking the row shows or hides the entries of the group.
+ *
+ * The "Undone actions in the log" user preference sets a class on the page
+ * root to show every cancelled entry, or to hide the groups completely.
  *
  * Responsibilities:
- *  - Storing and displaying player's gift card collection
- *  - Animating gift card addition to collection
- *  - Managing gift card activation/deactivation for selection
- *  - Handling undo operations for gift cards
+ *  - Creating the group rows next to the cancelled entries
+ *  - Expanding and collapsing a group
  */
-class GiftPlayer extends GameElement {
+class UndoneLogs {
     // ========== Constructor ==========
     /**
-     * Initialize the gift player area with initial gift cards
-     * @param parent - Parent PlayerArea instance
-     * @param child_id - Element ID
-     * @param data - Array of gift card IDs
+     * Initialize log grouping
+     * @param game - Main game instance
      */
-    constructor(parent, child_id, data) {
-        super(parent, child_id, "gift_player");
-        // Create initial gift cards
-        for (const d in data) {
-            new Gift(this, data[d]);
-        }
+    constructor(game) {
+        this.game = game;
     }
     // ========== Public Methods ==========
     /**
-     * Animate adding a gift card to the player's collection
-     *
-     * Actions:
-     *  - Adds gift as child of this player area
-     *  - Animates gift sliding and attaching with slight rotation
-     *
-     * @param gift - Gift card to add
-     * @returns Promise resolving when animation completes
-     */
-    addGift(gift) {
-        gift.addToParent(this);
-        return this.game.animationManager.slideAndAttach(gift.html, this.html, {
-            duration: 800,
-            //fromPlaceholder: "off",
-            parallelAnimations: [
-                {
-                    keyframes: [{ rotate: '-5deg' }, { rotate: '0deg' }],
-                },
-            ],
-        });
-    }
-    /**
-     * Restore a gift card that was previously used (undo operation)
+     * Collapse the log entries cancelled by one undo
      *
-     * Creates a new gift card with the given ID.
+     * Entries are grouped by log container, so the same call handles
+     * desktop and mobile entries. Entries already in a group are skipped.
      *
-     * @param gift - Gift card ID to restore
+     * @param elements - Cancelled log entries
      */
-    addGiftFromUndo(gift) {
-        new Gift(this, gift);
+    group(elements) {
+        const containers = new Map();
+        for (const element of elements) {
+            if (element.hasAttribute("collapsed") || element.parentElement === null)
+                continue;
+            containers.set(element.parentElement, [...(containers.get(element.parentElement) ?? []), element]);
+        }
+        containers.forEach((entries) => this.createGroup(entries));
     }
+    // ========== Private Helper Methods ==========
     /**
-     * Activate or deactivate all gift cards in the collection for interaction
-     * @param b - True to activate (default), false to deactivate
+     * Create the row of a group of entries in the same container
+     * @param entries - Cancelled log entries
+     * @private
      */
-    activateGifts(b = true) {
-        for (const i in this.c.gift) {
-            this.c.gift[i].activate(b);
-        }
+    createGroup(entries) {
+        entries.sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+        const row = document.createElement('undone_logs');
+        row.setAttribute("role", "button");
+        row.setAttribute("expanded", "false");
+        row.tabIndex = 0;
+        row.innerHTML = `
+			<undone_logs_arrow>▸</undone_logs_arrow>
+			${entries.length === 1
+            ? _("1 action undone")
+            : this.game.bga.gameui.format_string(_("${n} actions undone"), { n: String(entries.length) })}
+		`;
+        entries[0].before(row);
+        for (const entry of entries) {
+            entry.setAttribute("collapsed", "true");
+        }
+        const toggle = () => {
+            const expanded = row.getAttribute("expanded") !== "true";
+            row.setAttribute("expanded", String(expanded));
+            row.querySelector('undone_logs_arrow').textContent = expanded ? "▾" : "▸";
+            for (const entry of entries) {
+                entry.setAttribute("collapsed", String(!expanded));
+            }
+        };
+        row.addEventListener('click', toggle);
+        row.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                e.stopPropagation();
+                toggle();
+            }
+        });
     }
 }
 
 /**
- * Manages a player's personal game area
+ * Adds one compact summary entry to the log at the end of each player's turn
  *
- * Contains all player-specific UI elements including:
- * postcards, gifts, hand, itinerary, player board, and bonus actions.
+ * The log notifications of the active player are collected while the turn
+ * goes on, and the ones cancelled by an undo are dropped. When the turn ends
+ * (or when a notification of another player shows up, e.g. while the log
+ * history is placed after a reload), a summary is placed next to the last
+ * entry of the turn in the desktop log and in the docked mobile log. It lists:
+ *  - Travel cards played as action, as stamp color, as double action, and bonus actions
+ *  - Regions moved through
+ *  - Camps, Souvenirs and Stamps placed
+ *  - Postcards sent with their points
+ *  - Gift cards taken and used
  *
  * Responsibilities:
- *  - Managing player's postcard collection
- *  - Managing player's gift cards
- *  - Managing player's travel hand (if current player)
- *  - Managing player's itinerary progress
- *  - Managing player's camp placement board
- *  - Managing player's bonus actions (if current player)
- *  - Activating/deactivating stamp and souvenir placement spaces
+ *  - Collecting the notifications of the current turn
+ *  - Building the summary lines
+ *  - Placing the summary in the logs
  */
-class PlayerArea extends GameElement {
+class TurnSummary {
     // ========== Constructor ==========
     /**
-     * Initialize the player area with all child elements
-     * @param parent - Parent Game instance
-     * @param child_id - Element ID
-     * @param data - Player data containing all card and game state information
+     * Initialize an empty summary
+     * @param game - Main game instance
      */
-    constructor(parent, child_id, data) {
-        super(parent, child_id, "player_area");
-        this.player_id = data.id;
-        // Create itinerary track
-        new Itinerary(this, 0, data.itinerary, data.itinerary_postcards);
-        // Create player board (camps and personal board display)
-        new PlayerBoard(this, 0, data.color, data.name, data.player_board_side, data.camps);
-        // Create end game bonus if this player has it
-        if (data.end_bonus === data.id) {
-            new EndGameBonus(this, 0);
-        }
-        // Create gift player area
-        new GiftPlayer(this, 0, data.gifts);
-        // Create postcard player area
-        new PostcardPlayer(this, 0, data.postcards);
-        // Create bonus actions and hand only for current player
-        if (this.game.bga.gameui.player_id === data.id) {
-            if (this.game.bga.players.isCurrentPlayerActive()) {
-                new BonusActions(this, 0, data.bonus_actions);
-            }
-            else {
-                new BonusActions(this, 0);
-            }
-            new Hand(this, 0, data.hand);
-        }
+    constructor(game) {
+        /** Collected notifications, oldest first */
+        this.events = [];
+        this.game = game;
     }
     // ========== Public Methods ==========
-    /**
-     * Activate stamp placement spaces on postcards
-     *
-     * Allows the player to select where to place stamps on their postcards.
-     *
-     * @param spaces - Object mapping postcard IDs to arrays of available stamp space indices
+    /**
+     * Collect a log notification of the current turn
+     * @param uid - Notification UID
+     * @param type - Notification type
+     * @param args - Notification arguments
+     * @param log_id - ID of the desktop log element
+     * @param mobile_log_id - ID of the docked mobile log element
      */
-    activateStampSpaces(spaces) {
-        this.c.postcard_player[0].activateStampSpaces(spaces);
+    record(uid, type, args, log_id, mobile_log_id) {
+        if (!TurnSummary.TYPES.includes(type) || args?.player_id === undefined)
+            return;
+        const player_id = Number(args.player_id);
+        if (this.player_id !== player_id) {
+            this.flush();
+            this.player_id = player_id;
+        }
+        this.events.push({ uid, type, args, log_id, mobile_log_id });
     }
     /**
-     * Activate souvenir placement spaces on postcards
-     *
-     * Allows the player to select where to place souvenirs on their postcards.
-     *
-     * @param spaces - Object mapping postcard IDs to arrays of available souvenir space indices
+     * Drop the notifications cancelled by an undo
+     * @param uids - Cancelled notification UIDs
      */
-    activateSouvenirSpaces(spaces) {
-        this.c.postcard_player[0].activateSouvenirSpaces(spaces);
+    cancel(uids) {
+        this.events = this.events.filter((e) => !uids.map(Number).includes(Number(e.uid)));
     }
     /**
-     * Deactivate all souvenir placement spaces
-     *
-     * Disables all souvenir spaces across all postcards.
+     * End the turn being collected and place its summary in the logs
      */
-    inactivateAllSouvenirSpaces() {
-        this.c.postcard_player[0].inactivateAllSouvenirSpaces();
+    flush() {
+        const events = this.events;
+        const player_id = this.player_id;
+        this.events = [];
+        delete this.player_id;
+        if (events.length === 0 || player_id === undefined)
+            return;
+        const html = this.build(player_id, events);
+        this.place(html, events.map((e) => document.getElementById('log_' + e.log_id)), true);
+        this.place(html, events.map((e) => document.getElementById('dockedlog_' + e.mobile_log_id)), false);
     }
+    // ========== Private Helper Methods ==========
     /**
-     * Deactivate all stamp placement spaces
-     *
-     * Disables all stamp spaces across all postcards.
+     * Build the summary of a turn
+     * @param player_id - Player of the turn
+     * @param events - Notifications of the turn
+     * @returns Summary HTML
+     * @private
      */
-    inactivateAllStampSpaces() {
-        this.c.postcard_player[0].inactivateAllStampSpaces();
+    build(player_id, events) {
+        const gameui = this.game.bga.gameui;
+        const of = (type) => events.filter((e) => e.type === type).map((e) => e.args);
+        const lines = [];
+        const add = (label, values) => {
+            if (values.length > 0)
+                lines.push(`<li><b>${label}</b> ${values.join(", ")}</li>`);
+        };
+        add(_("Travel cards:"), of("actionTravel").map((args) => {
+            if (args.color_1 !== undefined) {
+                return gameui.format_string_recursive(_("${color_1}-${action_1} and ${color_2}-${action_2} as a double ${type} action"), args);
+            }
+            else if (args.color === undefined) {
+                return gameui.format_string_recursive(_("${type} bonus action"), args);
+            }
+            else if (args.as_color) {
+                return gameui.format_string_recursive(_("${color}-${action} as stamp color"), args);
+            }
+            return gameui.format_string_recursive(_("${color}-${action} as action"), args);
+        }));
+        const regions = of("move").map((args) => String(args.region));
+        if (regions.length > 0)
+            lines.push(`<li><b>${_("Regions:")}</b> ${regions.join(" ➜ ")}</li>`);
+        const counts = [
+            ["camp", _("Camps placed:")],
+            ["souvenir", _("Souvenirs placed:")],
+            ["stamp", _("Stamps added:")],
+        ];
+        for (const [type, label] of counts) {
+            const n = of(type).length;
+            if (n > 0)
+                add(label, [String(n)]);
+        }
+        add(_("Postcards sent:"), of("send").map((args) => gameui.format_string(_("${point} points"), { point: String(args.point) })));
+        add(_("Gifts taken:"), of("gift").map((args) => gameui.format_string_recursive("${type}", args)));
+        add(_("Gifts used:"), of("actionGift").map((args) => gameui.format_string_recursive("${type}", args)));
+        const player = gameui.gamedatas.players[player_id];
+        return `
+			<turn_summary>
+				<h4>${gameui.format_string(_("${player_name}'s turn"), {
+            player_name: `<span style="color: #${player?.color ?? "000000"}">${player?.name ?? ""}</span>`,
+        })}</h4>
+				<ul>${lines.join("")}</ul>
+			</turn_summary>
+		`;
+    }
+    /**
+     * Place a summary next to the last entry of the turn in one log
+     *
+     * The desktop log shows the newest entries first, the side of the docked
+     * log is found from the order of the entries of the turn.
+     *
+     * @param html - Summary HTML
+     * @param entries - Log elements of the turn, oldest first
+     * @param newest_first - Default order of the log when it cannot be found from the entries
+     * @private
+     */
+    place(html, entries, newest_first) {
+        const placed = entries.filter((e) => e !== null && e.parentElement !== null);
+        if (placed.length === 0)
+            return;
+        const first = placed[0];
+        const last = placed[placed.length - 1];
+        if (first !== last) {
+            newest_first = (last.compareDocumentPosition(first) & Node.DOCUMENT_POSITION_FOLLOWING) !== 0;
+        }
+        const element = document.createElement('div');
+        element.className = "log turn_summary";
+        element.innerHTML = `<div class="roundedbox">${html}</div>`;
+        if (newest_first)
+            last.before(element);
+        else
+            last.after(element);
     }
 }
+// ========== Static Properties ==========
+/** Notification types listed in the summary */
+TurnSummary.TYPES = ["actionTravel", "move", "camp", "souvenir", "stamp", "send", "gift", "actionGift"];
 
 /**
- * Handles all game notifications and animations
+ * Global animation profile
+ *
+ * Every animation duration and wait of the game goes through the profile,
+ * which scales it by the "Animation speed" user preference:
+ *  - Instant: animations are turned off and waits are skipped
+ *  - Fast, Normal, Cinematic: durations are scaled by the speed factor
+ *
+ * When the system asks for reduced motion, the spins and flips played in
+ * parallel of the slides are replaced by simple fades.
+ *
+ * The speed factor is also exposed as the --animation-factor CSS variable
+ * for the transitions and placeholder animations defined in the stylesheets.
+ * It is only set on setup, so changing the preference reloads the page.
  *
  * Responsibilities:
- *  - Processing game notifications from the server
- *  - Animating game state changes (card movements, scoring, etc.)
- *  - Updating UI elements based on notification data
- *  - Managing undo operations and state rollbacks
+ *  - Scaling animation durations and waits
+ *  - Replacing spins and flips by fades for reduced motion
+ *  - Turning animations off in instant mode
  */
-class Notif {
+class AnimationProfile {
     // ========== Constructor ==========
     /**
-     * Initialize the Notification handler
+     * Initialize the animation profile
      * @param game - Main game instance
      */
     constructor(game) {
         this.game = game;
     }
-    // ========== Action Notifications ==========
+    // ========== Public Methods ==========
     /**
-     * Handles movement notification - moves biker to new region
-     * @param args - Contains player_id and region
+     * Expose the speed factor to the stylesheets
+     * @param root - Element holding the CSS variable
      */
-    async notif_move(args) {
-        if (this.game.bga.gameui.player_id === args.player_id) {
-            this.game.c.player_area[args.player_id].c.hand[0].inactivateAllTravels(true);
-            this.game.c.board[0].inactivateAllRegions();
-            this.game.c.player_area[args.player_id].c.postcard_player[0].activatePostcards(false);
-            this.game.c.board[0].inactivateAllCampsites();
-        }
-        await this.game.c.board[0].moveBiker(args.player_id, args.region);
+    setup(root) {
+        root.style.setProperty('--animation-factor', String(this.getFactor()));
     }
     /**
-     * Handles postcard taking notification - adds postcard to player area
-     * @param args - Contains player_id and postcard id
+     * Whether animations are played
+     * @returns False in instant mode or when BGA animations are turned off
      */
-    async notif_postcard(args) {
-        const postcard = this.game.c.postcard_supply[0].c.postcard[args.postcard];
-        this.game.c.postcard_supply[0].rearrangeSupplyRow(postcard);
-        await this.game.c.player_area[args.player_id].c.postcard_player[0].addPostcard(postcard);
+    isActive() {
+        return this.getFactor() > 0 && this.game.bga.gameui.bgaAnimationsActive();
     }
     /**
-     * Handles postcard from deck notification - adds postcard from deck to player area
-     * @param args - Contains player_id, postcard id, and optional top card
+     * Scale a duration by the animation speed
+     * @param ms - Duration at normal speed in milliseconds
+     * @returns Scaled duration in milliseconds
      */
-    async notif_postcardDeck(args) {
-        this.game.c.postcard_supply[0].activatePostcards(false);
-        if (args.top !== undefined)
-            this.game.c.postcard_supply[0].addPostcardToTop(args.top);
-        const postcard = this.game.c.postcard_supply[0].c.postcard[args.postcard];
-        await this.game.c.player_area[args.player_id].c.postcard_player[0].addPostcard(postcard);
+    duration(ms) {
+        return Math.round(ms * this.getFactor());
     }
     /**
-     * Handles camp placement notification - places camp on board
-     * @param args - Contains player_id, camp id, region, and campsite location
+     * Wait for a duration scaled by the animation speed
+     * @param ms - Duration at normal speed in milliseconds
+     * @returns Promise resolving after the scaled duration
      */
-    async notif_camp(args) {
-        this.game.c.board[0].inactivateAllCampsites();
-        const camp = this.game.c.player_area[args.player_id].c.player_board[0].c.camp[args.camp];
-        await this.game.c.board[0].addCamp(camp, args.player_id, args.region, args.campsite);
+    wait(ms) {
+        const duration = this.duration(ms);
+        if (duration === 0)
+            return Promise.resolve();
+        return new Promise((resolve) => setTimeout(resolve, duration));
     }
     /**
-     * Handles undo camp notification - removes camp from board and returns to player
-     * @param args - Contains player_id, camp id, region, and campsite location
+     * Apply the profile to animation settings
+     *
+     * The duration (800ms by default) is scaled, and the parallel animations
+     * are replaced by a fade when reduced motion is asked for.
+     *
+     * @param settings - Animation settings at normal speed
+     * @param fade - Direction of the fade replacing the parallel animations
+     * @returns Settings to pass to the animation manager
      */
-    async notif_undoCamp(args) {
-        this.game.c.board[0].camp_counters[args.player_id][this.game.c.board[0].campsites[args.region - 1][args.campsite - 1]].innerHTML = String(Number(this.game.c.board[0].camp_counters[args.player_id][this.game.c.board[0].campsites[args.region - 1][args.campsite - 1]].innerHTML) - 1);
-        if (this.game.bga.gameui.player_id === args.player_id) {
-            this.game.c.player_area[args.player_id].inactivateAllSouvenirSpaces();
-            this.game.c.player_area[args.player_id].c.hand[0].inactivateAllTravels(true);
-            this.game.c.player_area[args.player_id].c.postcard_player[0].activatePostcards(false);
+    settings(settings, fade = 'in') {
+        const res = { ...settings, duration: this.duration(settings.duration ?? 800) };
+        if (settings.parallelAnimations !== undefined && this.isReducedMotion()) {
+            res.parallelAnimations = [{
+                    keyframes: fade === 'in' ? [{ opacity: '0' }, { opacity: '1' }] : [{ opacity: '1' }, { opacity: '0' }],
+                }];
         }
-        const camp = this.game.c.board[0].c.camp[args.region * 10 + args.campsite];
-        await this.game.c.player_area[args.player_id].c.player_board[0].addCamp(camp, args.camp);
+        return res;
     }
+    // ========== Private Helper Methods ==========
     /**
-     * Handles souvenir placement notification - adds souvenir to postcard
-     * @param args - Contains player_id, postcard id, and souvenir location
+     * Get the duration factor of the current animation speed
+     * @returns Duration factor (0 for instant)
+     * @private
      */
-    async notif_souvenir(args) {
-        this.game.c.player_area[args.player_id].inactivateAllSouvenirSpaces();
-        await this.game.c.player_area[args.player_id].c.postcard_player[0].c.postcard[args.postcard].addSouvenir(args.location);
+    getFactor() {
+        return AnimationProfile.FACTORS[this.game.bga.userPreferences.get(AnimationProfile.PREFERENCE)] ?? 1;
     }
     /**
-     * Handles undo souvenir notification - removes souvenir from postcard
-     * @param args - Contains player_id, postcard id, and souvenir space
+     * Whether the system asks for reduced motion
+     * @returns True if prefers-reduced-motion is set
+     * @private
      */
-    async notif_undoSouvenir(args) {
-        if (this.game.bga.gameui.player_id === args.player_id) {
-            this.game.c.player_area[args.player_id].c.bonus_actions[0].inactivateBonusActions();
-            this.game.c.player_area[args.player_id].inactivateAllStampSpaces();
-            this.game.c.player_area[args.player_id].c.hand[0].inactivateAllTravels(true);
-            this.game.c.player_area[args.player_id].c.postcard_player[0].activatePostcards(false);
-        }
-        await this.game.c.player_area[args.player_id].c.postcard_player[0].c.postcard[args.postcard].removeSouvenir(args.space);
+    isReducedMotion() {
+        return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
     }
+}
+// ========== Static Properties ==========
+/** User preference ID of the animation speed (1 Instant, 2 Fast, 3 Normal, 4 Cinematic) */
+AnimationProfile.PREFERENCE = 107;
+/** Duration factor of each animation speed */
+AnimationProfile.FACTORS = {
+    1: 0,
+    2: 0.4,
+    3: 1,
+    4: 1.6,
+};
+
+/**
+ * Timeline slider stepping back through the board states of the current game
+ *
+ * A snapshot of the game element tree is recorded when the table is loaded
+ * and at the end of every turn: the name and arguments of every element,
+ * without interactive state, and the HTML of the content that is not a game
+ * element (labels, badges). The snapshot is rebuilt into elements styled like
+ * the live ones only when viewed: bikers, camps, supplies and each player's
+ * postcards are shown as they were.
+ *
+ * UI-only elements (planning ghosts, route steps, toggles, trackers) carry the
+ * overlay attribute and are left out of the snapshots.
+ *
+ * While a snapshot is viewed, the live elements are hidden and the copies are
+ * shown inert in their place. The live game keeps running underneath and is
+ * shown again when the slider is moved back to "Now" or the timeline is closed.
+ *
+ * Responsibilities:
+ *  - Recording the snapshots
+ *  - Displaying the timeline slider
+ *  - Swapping the live elements and the viewed snapshot
+ */
+class HistoryScrubber {
+    // ========== Constructor ==========
     /**
-     * Handles stamp placement notification - adds stamp to postcard
-     * @param args - Contains player_id, postcard id, and stamp location
+     * Initialize an empty history
+     * @param game - Main game instance
      */
-    async notif_stamp(args) {
-        this.game.c.player_area[args.player_id].inactivateAllStampSpaces();
-        await this.game.c.player_area[args.player_id].c.postcard_player[0].c.postcard[args.postcard].addStamp(args.location);
+    constructor(game) {
+        /** Recorded snapshots, oldest first */
+        this.snapshots = [];
+        this.game = game;
     }
+    // ========== Public Methods ==========
     /**
-     * Handles undo stamp notification - removes stamp from postcard
-     * @param args - Contains player_id, postcard id, and stamp space
+     * Add the button opening the timeline next to the other help buttons and record the loaded state
      */
-    async notif_undoStamp(args) {
-        if (this.game.bga.gameui.player_id === args.player_id) {
-            this.game.c.player_area[args.player_id].c.hand[0].inactivateAllTravels(true);
-            this.game.c.player_area[args.player_id].c.postcard_player[0].activatePostcards(false);
-        }
-        await this.game.c.player_area[args.player_id].c.postcard_player[0].c.postcard[args.postcard].removeStamp(args.space);
+    setup() {
+        this.record(_("Table loaded"));
+        const buttons = document.getElementById('bga-help_buttons');
+        if (!buttons)
+            return;
+        const button = document.createElement('button');
+        button.id = 'history_scrubber_help';
+        button.classList.add('bga-help_button', 'history_scrubber_help');
+        button.innerHTML = '⏱';
+        button.addEventListener('click', () => (this.bar === undefined ? this.open() : this.close()));
+        buttons.appendChild(button);
+        this.game.bga.gameui.addTooltipHtml('history_scrubber_help', `<h3>${_("Game history")}</h3>`);
     }
-    // ========== Postcard Supply Notifications ==========
     /**
-     * Handles discard postcards notification - discards supply row
+     * Record the board state at the end of a turn
+     * @param label - Description of the snapshot
      */
-    async notif_discardPostcards() {
-        await this.game.c.postcard_supply[0].discardPostcardSupply();
+    record(label) {
+        const elements = this.getChildren(this.game.c)
+            .filter((e) => e.args.overlay !== true)
+            .map((e) => this.getNode(e));
+        this.snapshots.push({ label, elements });
+        if (this.snapshots.length > HistoryScrubber.MAX_SNAPSHOTS) {
+            this.snapshots.shift();
+            if (this.viewed !== undefined)
+                this.viewed = Math.max(0, this.viewed - 1);
+        }
+        if (this.bar !== undefined)
+            this.render();
     }
     /**
-     * Handles discard travels notification - discards travels from player hand
-     * @param args - Contains player_id and array of travel ids to discard
+     * Record the board state at the end of the active player's turn
      */
-    async notif_discardTravels_(args) {
-        this.game.c.player_area[args.player_id].c.hand[0].inactivateAllTravels(true);
-        this.game.c.player_area[args.player_id].c.postcard_player[0].activatePostcards(false);
-        await this.game.c.player_area[args.player_id].c.hand[0].discardTravels(args.travels);
+    recordTurn() {
+        const player = this.game.bga.gameui.gamedatas.players[this.game.bga.gameui.getActivePlayerId() ?? 0];
+        this.record(player === undefined
+            ? _("End of turn")
+            : this.game.bga.gameui.format_string(_("After ${player_name}'s turn"), { player_name: player.name }));
     }
     /**
-     * Handles refill travel supply notification - refills travel card from deck
-     * @param args - Contains travel id and supply location
+     * Open the timeline on the current state
      */
-    async notif_refillTravelSupply(args) {
-        await this.game.c.board[0].refillTravel(args.travel, args.location);
+    open() {
+        delete this.viewed;
+        this.render();
     }
     /**
-     * Handles undo discard travels notification - restores discarded travels to hand
-     * @param args - Contains player_id and array of travel ids
+     * Close the timeline and show the live game
      */
-    async notif_undoDiscardTravels(args) {
-        await this.game.c.player_area[args.player_id].c.hand[0].undoDiscardTravels(args.travels);
+    close() {
+        this.show(undefined);
+        this.bar?.remove();
+        delete this.bar;
     }
+    // ========== Private Helper Methods ==========
     /**
-     * Handles refill postcard supply notification - refills postcard supply
-     * @param args - Contains optional top card id
+     * Build the timeline bar
+     * @private
      */
-    async notif_refillPostcardSupply(args) {
-        await this.game.c.postcard_supply[0].refillPostcardSupply(args.top);
+    render() {
+        this.bar?.remove();
+        const now = this.snapshots.length;
+        const index = this.viewed ?? now;
+        this.bar = this.game.createBar("history_scrubber", `
+			<history_scrubber>
+				<input type="range" min="0" max="${now}" value="${index}" aria-label="${_("Game history")}">
+				<history_scrubber_label>${index === now ? _("Now") : this.snapshots[index].label}</history_scrubber_label>
+			</history_scrubber>
+		`);
+        const slider = this.bar.querySelector('input');
+        slider.addEventListener('input', () => {
+            const value = Number(slider.value);
+            this.show(value === now ? undefined : value);
+            this.bar.querySelector('history_scrubber_label').textContent = value === now ? _("Now") : this.snapshots[value].label;
+        });
+        const close = document.createElement('a');
+        close.className = "bgabutton bgabutton_gray";
+        close.innerHTML = _("Close");
+        close.addEventListener('click', () => this.close());
+        this.bar.querySelector('history_scrubber').appendChild(close);
     }
     /**
-     * Handles travel card selection notification - adds travel to player hand or animates away
-     * @param args - Contains player_id and travel id
+     * Show a snapshot in place of the live elements
+     * @param index - Index of the snapshot, undefined for the live game
+     * @private
      */
-    async notif_travel(args) {
-        this.game.c.board[0].activateTravelDeck(false);
-        this.game.c.board[0].activateAllTravels(false);
-        const travel = this.game.c.board[0].c.travel[args.travel];
-        if (this.game.bga.gameui.player_id === args.player_id) {
-            await this.game.c.player_area[args.player_id].c.hand[0].addTravel(travel);
+    show(index) {
+        this.viewed = index;
+        this.view?.remove();
+        delete this.view;
+        if (index === undefined) {
+            this.game.html.removeAttribute("history");
+            return;
         }
-        else {
-            await this.game.animationManager.fadeOutAndDestroy(travel.html, this.game.bga.playerPanels.getElement(args.player_id), {
-                duration: 800,
-            });
-            delete this.game.c.board[0].c.travel[args.travel];
+        this.view = document.createElement('history_view');
+        this.view.inert = true;
+        for (const node of this.snapshots[index].elements) {
+            this.view.appendChild(this.build(node));
         }
+        this.view.querySelectorAll('*').forEach((e) => {
+            HistoryScrubber.INTERACTIVE_ATTRIBUTES.forEach((a) => e.removeAttribute(a));
+        });
+        this.game.html.appendChild(this.view);
+        this.game.html.setAttribute("history", "true");
     }
     /**
-     * Handles gift card selection notification - adds gift to player area
-     * @param args - Contains player_id and gift id
-     */
-    async notif_gift(args) {
-        this.game.c.board[0].activateAllGifts(false);
-        const gift = this.game.c.board[0].c.gift[args.gift];
-        delete this.game.c.board[0].c.gift[args.gift];
-        await this.game.c.player_area[args.player_id].c.gift_player[0].addGift(gift);
-    }
-    /**
-     * Handles undo travel notification - returns travel card to board supply
-     * @param args - Contains player_id, travel id, and location
+     * Get the child elements of an element in page order
+     * @param c - Child registry of the element
+     * @returns Child elements
+     * @private
      */
-    async notif_undoTravel(args) {
-        if (this.game.bga.gameui.player_id === args.player_id) {
-            const travel = this.game.c.player_area[args.player_id].c.hand[0].c.travel[args.travel];
-            await this.game.c.board[0].addTravel(travel, args.location);
-        }
-        else {
-            await this.game.c.board[0].refillTravel(args.travel, args.location);
+    getChildren(c) {
+        const res = [];
+        for (const name in c) {
+            for (const i in c[name])
+                res.push(c[name][i]);
         }
+        return res.sort((a, b) => (a.html.compareDocumentPosition(b.html) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
     }
     /**
-     * Handles travel deck draw notification - animates travel taken from deck
-     * @param args - Contains player_id
+     * Record an element and its descendants
+     * @param element - Live element
+     * @returns Snapshot node
+     * @private
      */
-    async notif_travelDeck(args) {
-        this.game.c.board[0].activateTravelDeck(false);
-        this.game.c.board[0].activateAllTravels(false);
-        if (this.game.bga.gameui.player_id !== args.player_id) {
-            const element = document.createElement('travel_deck');
-            await this.game.animationManager.slideFloatingElement(element, this.game.c.board[0].c.travel_deck[0].html, this.game.bga.playerPanels.getElement(args.player_id), { duration: 800, parallelAnimations: [{ keyframes: [{ opacity: '1' }, { opacity: '0' }] }] });
+    getNode(element) {
+        const children = this.getChildren(element.c);
+        const res = { name: element.name, args: this.getArgs(element), children: [] };
+        for (const child of Array.from(element.html.childNodes)) {
+            const index = children.findIndex((c) => c.html === child);
+            if (index !== -1) {
+                const [e] = children.splice(index, 1);
+                if (e.args.overlay !== true)
+                    res.children.push(this.getNode(e));
+            }
+            else if (child instanceof HTMLElement) {
+                if (!child.hasAttribute("overlay"))
+                    res.children.push(child.outerHTML);
+            }
+            else if (child.nodeType === Node.TEXT_NODE && child.textContent.trim() !== "") {
+                res.children.push(child.textContent.replace(/&/g, "&amp;").replace(/</g, "&lt;"));
+            }
+        }
+        // Children placed outside of their parent (e.g. while animated)
+        for (const e of children) {
+            if (e.args.overlay !== true)
+                res.children.push(this.getNode(e));
         }
+        return res;
     }
     /**
-     * Handles refill gift notification - refills gift card from deck
-     * @param args - Contains player_id, gift id, and location
+     * Get the arguments of an element without interactive state
+     * @param element - Live element
+     * @returns Recorded arguments
+     * @private
      */
-    async notif_refillGift(args) {
-        await this.game.c.board[0].refillGift(args.gift, args.location);
-        this.game.c.board[0].c.gift[args.gift].setArg("deck", false);
+    getArgs(element) {
+        const res = { ...element.args };
+        HistoryScrubber.INTERACTIVE_ARGS.forEach((a) => delete res[a]);
+        // Circles use the active argument for the itinerary progress
+        if (element.name !== 'circle')
+            delete res.active;
+        return res;
     }
     /**
-     * Handles travel from deck notification - adds travel from deck to player hand
-     * @param args - Contains player_id and travel id
+     * Build the elements of a snapshot node, the way GameElement creates them
+     * @param node - Snapshot node
+     * @returns Element
+     * @private
      */
-    async notif_travelDeck_(args) {
-        const travel = this.game.c.board[0].createTravelToDeck(args.travel);
-        travel.setArg("deck", true);
-        await this.game.c.player_area[args.player_id].c.hand[0].addTravelFromDeck(travel);
-        travel.setArg("deck", false);
+    build(node) {
+        const element = document.createElement(node.name);
+        element.classList.add(node.name);
+        for (const [key, value] of Object.entries(node.args)) {
+            if (value !== null)
+                element.setAttribute(key, String(value));
+        }
+        for (const child of node.children) {
+            if (typeof child === "string")
+                element.insertAdjacentHTML('beforeend', child);
+            else
+                element.appendChild(this.build(child));
+        }
+        return element;
     }
+}
+// ========== Static Properties ==========
+/** Maximum number of snapshots kept, the oldest ones are dropped */
+HistoryScrubber.MAX_SNAPSHOTS = 60;
+/** Arguments describing interactive state, left out of the snapshots (with active, see getArgs) */
+HistoryScrubber.INTERACTIVE_ARGS = ["drop", "plan", "plan_target", "armed", "focus", "preview", "changed"];
+/** Attributes removed from the viewed snapshot */
+HistoryScrubber.INTERACTIVE_ATTRIBUTES = ["id", "tabindex", "role"];
+
+/**
+ * Digest of what changed since the current player's last turn
+ *
+ * The notification handlers record the changes they apply while the current
+ * player is not active: new camps, bikers that moved, refilled Travel card,
+ * Gift card and Postcard supply slots, sent Postcards and taken Gift cards.
+ * Changes are keyed by what they affect, so a biker moving twice gives one
+ * entry, and an undone change is forgotten. Undoing a move sends a move back
+ * to the previous region, so a biker back where it started is forgotten too.
+ *
+ * When the current player's turn starts, the changed elements glow briefly
+ * and the changes are listed in a dismissable bar. Clicking a change scrolls
+ * its element into view.
+ *
+ * Only the notifications received while the page is open are known, so the
+ * digest starts empty after a reload.
+ *
+ * Responsibilities:
+ *  - Recording the changes made by the other players
+ *  - Highlighting the changed elements
+ *  - Displaying and dismissing the digest
+ */
+class TurnDigest {
+    // ========== Constructor ==========
     /**
-     * Handles send postcard notification - removes postcard from player area
-     * @param args - Contains player_id and postcard id
-     */
-    async notif_send(args) {
-        const postcard = this.game.c.player_area[args.player_id].c.postcard_player[0].c.postcard[args.postcard];
-        delete this.game.c.player_area[args.player_id].c.postcard_player[0].c.postcard[args.postcard];
-        await this.game.animationManager.fadeOutAndDestroy(postcard.html, this.game.bga.playerPanels.getElement(args.player_id), {
-            duration: 800,
-            ignoreRotation: false,
-            parallelAnimations: [
-                {
-                    keyframes: [{ transform: 'scale(1)' }, { transform: 'scale(0)' }],
-                },
-            ],
-        });
+     * Initialize an empty digest
+     * @param game - Main game instance
+     */
+    constructor(game) {
+        /** Changes since the last turn, oldest first */
+        this.entries = new Map();
+        /** Values before the first change, for the changes recorded with recordChange */
+        this.origins = new Map();
+        /** Elements glowing for the shown digest */
+        this.glowing = [];
+        this.game = game;
     }
+    // ========== Public Methods ==========
     /**
-     * Handles undo send postcard notification - restores postcard to player area
-     * @param args - Contains player_id, postcard id, stamps, and souvenirs
+     * Record a change if the current player is waiting for their turn
+     * @param key - What the change affects, a later change with the same key replaces it
+     * @param log - Description of the change, with the notification arguments
+     * @param args - Notification arguments (player_name is added from player_id)
+     * @param element - Element that changed
      */
-    notif_undoSend(args) {
-        this.game.c.player_area[args.player_id].c.postcard_player[0].undoSend(args.postcard, args.stamps, args.souvenirs);
+    record(key, log, args, element) {
+        if (this.game.bga.players.isCurrentPlayerSpectator() || this.game.bga.players.isCurrentPlayerActive())
+            return;
+        const player = this.game.bga.gameui.gamedatas.players[args?.player_id];
+        const text = this.game.bga.gameui.format_string_recursive(log, { ...args, player_name: player?.name ?? "" });
+        this.entries.delete(key);
+        this.entries.set(key, { text, element });
+    }
+    /**
+     * Record a change of a value, or forget it when the value is back to the one it had before the first change
+     * @param key - What the change affects, a later change with the same key replaces it
+     * @param from - Value before the change
+     * @param to - Value after the change
+     * @param log - Description of the change, with the notification arguments
+     * @param args - Notification arguments (player_name is added from player_id)
+     * @param element - Element that changed
+     */
+    recordChange(key, from, to, log, args, element) {
+        if (this.game.bga.players.isCurrentPlayerSpectator() || this.game.bga.players.isCurrentPlayerActive())
+            return;
+        if (!this.origins.has(key))
+            this.origins.set(key, from);
+        if (this.origins.get(key) === to) {
+            this.origins.delete(key);
+            this.forget(key);
+            return;
+        }
+        this.record(key, log, args, element);
     }
     /**
-     * Handles best traveller scoring notification - displays scoring for region camps
-     * @param args - Contains player_color and region
+     * Forget a change that was undone
+     * @param key - What the change affected
      */
-    async notif_best_traveller(args) {
-        for (const c in this.game.c.board[0].c.camp) {
-            if (this.game.c.board[0].c.camp[c].args.region === args.region) {
-                this.game.animationManager.displayScoring(this.game.c.board[0].c.camp[c].html, 1, args.player_color);
-            }
-        }
-        await new Promise((resolve) => setTimeout(resolve, 2000));
+    forget(key) {
+        this.entries.delete(key);
     }
-    // ========== Bonus and End Game Notifications ==========
     /**
-     * Handles end bonus notification - moves end game bonus to player area
-     * @param args - Contains player_id
-    */
-    async notif_endBonus(args) {
-        this.game.c.board[0].c.end_game_bonus[0].addToParent(this.game.c.player_area[args.player_id]);
-        await this.game.animationManager.slideAndAttach(this.game.c.player_area[args.player_id].c.end_game_bonus[0].html, this.game.c.player_area[args.player_id].html, { duration: 800 });
+     * Show the digest if the current player's turn started and something changed
+     */
+    show() {
+        if (!this.game.bga.players.isCurrentPlayerActive())
+            return;
+        this.origins.clear();
+        if (this.entries.size === 0)
+            return;
+        this.dismiss();
+        const entries = Array.from(this.entries.values());
+        this.entries.clear();
+        this.glowing = entries
+            .map((e) => e.element)
+            .filter((e) => e !== undefined && document.body.contains(e.html));
+        for (const element of this.glowing) {
+            element.setArg("changed", true);
+        }
+        this.bar = this.game.createBar("turn_digest", `
+			<turn_digest>
+				<h3>${_("Since your last turn")}</h3>
+				<ul></ul>
+			</turn_digest>
+		`);
+        const list = this.bar.querySelector('ul');
+        for (const entry of entries) {
+            const item = document.createElement('li');
+            item.innerHTML = entry.text;
+            if (entry.element !== undefined && this.glowing.includes(entry.element)) {
+                const element = entry.element;
+                item.setAttribute("target", "true");
+                item.addEventListener('click', () => element.html.scrollIntoView({ behavior: "smooth", block: "center" }));
+            }
+            list.appendChild(item);
+        }
+        const dismiss = document.createElement('a');
+        dismiss.className = "bgabutton bgabutton_gray";
+        dismiss.innerHTML = _("Dismiss");
+        dismiss.addEventListener('click', () => this.dismiss());
+        this.bar.querySelector('turn_digest').appendChild(dismiss);
     }
     /**
-     * Handles undo end bonus notification - returns end game bonus to board
-     * @param args - Contains player_id
+     * Remove the digest and the glow of the changed elements
      */
-    async notif_undoEndBonus(args) {
-        this.game.c.player_area[args.player_id].c.end_game_bonus[0].addToParent(this.game.c.board[0]);
-        await this.game.animationManager.slideAndAttach(this.game.c.board[0].c.end_game_bonus[0].html, this.game.c.board[0].html, { duration: 800 });
+    dismiss() {
+        for (const element of this.glowing) {
+            element.setArg("changed", false);
+        }
+        this.glowing = [];
+        this.bar?.remove();
+        delete this.bar;
     }
+}
+
+/**
+ * Tracks the discarded and sent postcards
+ *
+ * The discard pile and the sent postcards are loaded with the game data,
+ * then followed through the notifications: discarded supply rows, postcards
+ * left over by a Hiking Guide, sent (and unsent) postcards, and reshuffles
+ * of the discard pile into the deck.
+ *
+ * A button next to the postcard supply opens a viewer listing the discarded
+ * and sent postcards with their region, stamp count and souvenir types, and
+ * the number of postcards of each region still unseen, i.e. in the deck.
+ * Regions still missing from the current player's itinerary are highlighted.
+ *
+ * Responsibilities:
+ *  - Tracking the discarded and sent postcards
+ *  - Finding the status of each postcard in the current game
+ *  - Displaying the discard pile viewer
+ */
+class PostcardTracker {
+    // ========== Constructor ==========
     /**
-     * Handles end bonus scoring notification - displays scoring animation for bonus
-     * @param args - Contains player_id, player_color, amount, and gift
+     * Initialize an empty tracker
+     * @param game - Main game instance
      */
-    async notif_scoreEndBonus(args) {
-        await this.game.animationManager.displayScoring(this.game.c.player_area[args.player_id].c.end_game_bonus[0].html, 3, args.player_color);
+    constructor(game) {
+        /** Postcards in the discard pile, in discard order */
+        this.discarded = new Set();
+        /** Player who sent each sent postcard */
+        this.sent = new Map();
+        this.game = game;
     }
+    // ========== Public Methods ==========
     /**
-     * Handles unsent postcards scoring notification - displays scoring for unsent cards
-     * @param args - Contains player_id and player_color
+     * Load the discard pile and the sent postcards, and add the viewer button to the postcard supply
+     * @param game_data - Game data with the postcard supply and the players
      */
-    async notif_scoreUnsentPostcards(args) {
-        for (const p in this.game.c.player_area[args.player_id].c.postcard_player[0].c.postcard) {
-            this.game.animationManager.displayScoring(this.game.c.player_area[args.player_id].c.postcard_player[0].c.postcard[p].html, 1, args.player_color);
+    setup(game_data) {
+        for (const postcard of game_data.postcard_supply.discard ?? []) {
+            this.discarded.add(Number(postcard));
+        }
+        for (const p in game_data.players) {
+            for (const postcard of game_data.players[p].sent_postcards ?? []) {
+                this.sent.set(Number(postcard), Number(p));
+            }
         }
-        await new Promise((resolve) => setTimeout(resolve, 2000));
+        const button = document.createElement('postcard_tracker_button');
+        button.id = 'postcard_tracker_button';
+        button.setAttribute("overlay", "true");
+        button.setAttribute("role", "button");
+        button.setAttribute("aria-label", _("Discarded and sent postcards"));
+        button.tabIndex = 0;
+        button.addEventListener('click', () => this.show());
+        button.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.show();
+            }
+        });
+        this.game.c.postcard_supply[0].html.appendChild(button);
+        this.game.bga.gameui.addTooltipHtml('postcard_tracker_button', `<h3>${_("Discarded and sent postcards")}</h3>`);
     }
     /**
-     * Handles gift scoring notification - displays scoring for gift card
-     * @param args - Contains player_id, player_color, amount, and gift id
+     * Record discarded postcards
+     * @param postcards - Postcard IDs
      */
-    async notif_scoreGift(args) {
-        await this.game.animationManager.displayScoring(this.game.c.player_area[args.player_id].c.gift_player[0].c.gift[args.gift].html, args.n, args.player_color);
+    discard(postcards) {
+        postcards.forEach((p) => this.discarded.add(Number(p)));
+        this.update();
     }
     /**
-     * Handles itinerary scoring notification - displays scoring for itinerary completion
-     * @param args - Contains player_id, player_color, and amount
+     * Forget the discarded postcards when the discard pile is reshuffled into the deck
      */
-    async notif_scoreItinerary(args) {
-        this.game.c.player_area[args.player_id].html?.scrollIntoView({
-            behavior: "smooth",
-            block: "center"
-        });
-        await this.game.bga.gameui.wait(1000);
-        await this.game.animationManager.displayScoring(this.game.c.player_area[args.player_id].c.itinerary[0].html, args.n, args.player_color);
+    reshuffle() {
+        this.discarded.clear();
+        this.update();
     }
     /**
-     * Handles action gift notification - removes gift card after use
-     * @param args - Contains player_id and gift id
+     * Record a sent postcard, or forget it when the sending is undone
+     * @param postcard - Postcard ID
+     * @param player_id - Player who sent it, undefined when undone
      */
-    async notif_actionGift(args) {
-        const gift = this.game.c.player_area[args.player_id].c.gift_player[0].c.gift[args.gift];
-        gift.html.remove();
-        delete this.game.c.player_area[args.player_id].c.gift_player[0].c.gift[args.gift];
+    send(postcard, player_id) {
+        if (player_id === undefined)
+            this.sent.delete(Number(postcard));
+        else
+            this.sent.set(Number(postcard), Number(player_id));
+        this.update();
+    }
+    /**
+     * Get the status of a postcard in the current game
+     *
+     * Postcards in the supply (including the top of the deck, whose region
+     * is shown) and in an open Hiking Guide selection count as in supply.
+     *
+     * @param postcard - Postcard ID
+     * @returns Status of the postcard
+     */
+    getStatus(postcard) {
+        if (this.sent.has(postcard))
+            return "sent";
+        if (this.discarded.has(postcard))
+            return "discarded";
+        if (this.game.c.postcard_supply?.[0]?.c.postcard?.[postcard] !== undefined)
+            return "supply";
+        if (this.game.c.postcard_guide?.[0]?.c.postcard?.[postcard] !== undefined)
+            return "supply";
+        for (const p in this.game.c.player_area) {
+            if (this.game.c.player_area[p].c.postcard_player?.[0]?.c.postcard?.[postcard] !== undefined) {
+                return Number(p) === this.game.bga.gameui.player_id ? "hand" : "opponent";
+            }
+        }
+        return "unseen";
     }
     /**
-     * Handles undo action gift notification - restores gift card
-     * @param args - Contains player_id and gift id
+     * Open the discard pile viewer
      */
-    async notif_undoActionGift(args) {
-        this.game.c.player_area[args.player_id].c.gift_player[0].addGiftFromUndo(args.gift);
+    show() {
+        this.dialog?.destroy();
+        this.dialog = new ebg.popindialog();
+        this.dialog.create('postcard_tracker');
+        this.dialog.setTitle(_("Discarded and sent postcards"));
+        this.dialog.setContent(this.getViewerHtml());
+        this.dialog.replaceCloseCallback(() => {
+            this.dialog?.destroy();
+            delete this.dialog;
+        });
+        this.dialog.show();
     }
-    // ========== Guide Phase Notifications ==========
+    // ========== Private Helper Methods ==========
     /**
-     * Handles reveal guide postcards notification - displays postcard selection guide
-     * @param args - Contains optional deck card and array of postcards
+     * Refresh the viewer (while shown)
+     * @private
      */
-    async notif_revealGuidePostcards(args) {
-        await this.game.revealGuidePostcards(args.deck, args.postcards);
+    update() {
+        this.dialog?.setContent(this.getViewerHtml());
     }
     /**
-     * Handles guide notification - adds two postcards to player from guide
-     * @param args - Contains player_id and two postcard ids
+     * Build the viewer
+     * @returns Viewer HTML
+     * @private
      */
-    async notif_guide(args) {
-        this.game.c.postcard_guide[0].activatePostcards(false);
-        const postcard_1 = this.game.c.postcard_guide[0].c.postcard[args.postcard_1];
-        await this.game.c.player_area[args.player_id].c.postcard_player[0].addPostcard(postcard_1);
-        const postcard_2 = this.game.c.postcard_guide[0].c.postcard[args.postcard_2];
-        await this.game.c.player_area[args.player_id].c.postcard_player[0].addPostcard(postcard_2);
-        this.game.c.postcard_guide[0].html.remove();
-        delete this.game.c.postcard_guide[0];
+    getViewerHtml() {
+        const gameui = this.game.bga.gameui;
+        const unseen = {};
+        for (let postcard = 1; postcard <= PostcardTracker.POSTCARD_COUNT; postcard++) {
+            if (this.getStatus(postcard) !== "unseen")
+                continue;
+            const region = Postcard.getPostcardRegion(postcard);
+            unseen[region] = (unseen[region] ?? 0) + 1;
+        }
+        const itinerary = this.game.c.player_area?.[gameui.player_id]?.c.itinerary?.[0];
+        let regions = "";
+        for (let region = 1; region <= PostcardTracker.REGION_COUNT; region++) {
+            const needed = itinerary?.getMatchingCircle(region) !== undefined;
+            regions += `<postcard_tracker_region needed="${needed}" count="${unseen[region] ?? 0}">
+				<b>${region}</b>
+				<span>${unseen[region] ?? 0}/4</span>
+			</postcard_tracker_region>`;
+        }
+        const discarded = Array.from(this.discarded).reverse().map((p) => this.getPostcardHtml(p)).join("");
+        const sent = Array.from(this.sent.entries()).map(([p, player_id]) => {
+            const player = gameui.gamedatas.players[player_id];
+            return this.getPostcardHtml(p, `<span style="color: #${player?.color ?? "000000"}">${player?.name ?? ""}</span>`);
+        }).join("");
+        return `
+			<postcard_tracker>
+				<h3>${_("Unseen postcards by region")}</h3>
+				<postcard_tracker_regions>${regions}</postcard_tracker_regions>
+				${itinerary !== undefined ? `<p>${_("Highlighted regions are still missing from your itinerary.")}</p>` : ""}
+				<h3>${gameui.format_string(_("Discarded (${n})"), { n: String(this.discarded.size) })}</h3>
+				<ul>${discarded || `<li>${_("None")}</li>`}</ul>
+				<h3>${gameui.format_string(_("Sent (${n})"), { n: String(this.sent.size) })}</h3>
+				<ul>${sent || `<li>${_("None")}</li>`}</ul>
+			</postcard_tracker>
+		`;
+    }
+    /**
+     * Build the line describing a postcard
+     * @param postcard - Postcard ID
+     * @param extra - Extra HTML shown at the end of the line
+     * @returns Line HTML
+     * @private
+     */
+    getPostcardHtml(postcard, extra = "") {
+        const souvenirs = SouvenirSpace.getSpaceTypes(postcard).map((t) => SouvenirSpace.getTypeName(t)).join(", ");
+        return `<li>
+			<b>${this.game.bga.gameui.format_string(_("Region ${r}"), { r: String(Postcard.getPostcardRegion(postcard)) })}</b>
+			· ${this.game.bga.gameui.format_string(_("${n} stamps"), { n: String(Postcard.getStampCount(postcard)) })}
+			· ${souvenirs}
+			${extra !== "" ? `· ${extra}` : ""}
+		</li>`;
     }
+}
+// ========== Static Properties ==========
+/** Number of postcards in the game */
+PostcardTracker.POSTCARD_COUNT = 52;
+/** Number of regions */
+PostcardTracker.REGION_COUNT = 13;
+
+/**
+ * Catalogue of every postcard in the game
+ *
+ * Opened from a help button, it shows all the postcards with their region,
+ * stamp layout and souvenir types, tagged with their status in the current
+ * game (see PostcardTracker.getStatus). The postcards can be filtered by
+ * region, stamp count and souvenir types; a postcard matches the souvenir
+ * filter when it has all the checked types.
+ *
+ * The status is read when the catalogue is opened, so it also reflects the
+ * game while it is being reviewed.
+ *
+ * Responsibilities:
+ *  - Providing the help button opening the catalogue
+ *  - Keeping the filters while the page is open
+ *  - Displaying the filtered postcards and their status
+ */
+class PostcardCatalogue {
+    // ========== Constructor ==========
     /**
-     * Handles guide1 notification - adds one postcard to player from guide
-     * @param args - Contains player_id and postcard id
+     * Initialize the catalogue
+     * @param game - Main game instance
      */
-    async notif_guide1(args) {
-        this.game.c.postcard_guide[0].activatePostcards(false);
-        const postcard_1 = this.game.c.postcard_guide[0].c.postcard[args.postcard_1];
-        await this.game.c.player_area[args.player_id].c.postcard_player[0].addPostcard(postcard_1);
+    constructor(game) {
+        /** Region filter (0 for all) */
+        this.region = 0;
+        /** Stamp count filter (0 for all) */
+        this.stamps = 0;
+        /** Souvenir types every shown postcard must have */
+        this.souvenirs = new Set();
+        this.game = game;
     }
+    // ========== Public Methods ==========
     /**
-     * Handles reveal top postcard notification - reveals top card of postcard deck
-     * @param args - Contains player_id and top card id
+     * Add the button opening the catalogue next to the other help buttons
      */
-    async notif_revealTopPostcard(args) {
-        this.game.c.postcard_supply[0].addPostcardToTop(args.top);
+    setupHelp() {
+        const buttons = document.getElementById('bga-help_buttons');
+        if (!buttons)
+            return;
+        new BgaHelpPopinButton({
+            title: _("Postcard catalogue"),
+            html: '',
+            buttonExtraClasses: 'postcard_catalogue_help',
+            onPopinCreated: (element) => this.render(element),
+        }).add(buttons);
+        const button = buttons.querySelector('.postcard_catalogue_help');
+        button.innerHTML = '✉';
+        button.setAttribute("aria-label", _("Postcard catalogue"));
     }
+    // ========== Private Helper Methods ==========
     /**
-     * Handles itinerary notification - activates circle on itinerary
-     * @param args - Contains player_id and circle number
+     * Build the filters and the postcard list in the popin
+     * @param element - Popin content element
+     * @private
      */
-    async notif_itinerary(args) {
-        this.game.c.player_area[args.player_id].c.itinerary[0].c.circle[args.n].activate();
+    render(element) {
+        let regions = `<option value="0">${_("All")}</option>`;
+        for (let region = 1; region <= PostcardCatalogue.REGION_COUNT; region++) {
+            regions += `<option value="${region}" ${this.region === region ? "selected" : ""}>${region}</option>`;
+        }
+        let stamps = `<option value="0">${_("All")}</option>`;
+        for (let n = 3; n <= 6; n++) {
+            stamps += `<option value="${n}" ${this.stamps === n ? "selected" : ""}>${n}</option>`;
+        }
+        let souvenirs = "";
+        for (let type = 1; type <= PostcardCatalogue.SOUVENIR_TYPE_COUNT; type++) {
+            souvenirs += `<label>
+				<input type="checkbox" value="${type}" ${this.souvenirs.has(type) ? "checked" : ""}>
+				${SouvenirSpace.getTypeName(type)}
+			</label>`;
+        }
+        element.innerHTML = `
+			<postcard_catalogue>
+				<postcard_catalogue_filters>
+					<label>${_("Region")} <select name="region">${regions}</select></label>
+					<label>${_("Stamps")} <select name="stamps">${stamps}</select></label>
+					<postcard_catalogue_souvenirs>${souvenirs}</postcard_catalogue_souvenirs>
+				</postcard_catalogue_filters>
+				<postcard_catalogue_list></postcard_catalogue_list>
+			</postcard_catalogue>
+		`;
+        this.content = element.querySelector('postcard_catalogue');
+        this.content.querySelector('select[name="region"]').addEventListener('change', (e) => {
+            this.region = Number(e.target.value);
+            this.update();
+        });
+        this.content.querySelector('select[name="stamps"]').addEventListener('change', (e) => {
+            this.stamps = Number(e.target.value);
+            this.update();
+        });
+        this.content.querySelectorAll('postcard_catalogue_souvenirs input').forEach((input) => {
+            input.addEventListener('change', (e) => {
+                const checkbox = e.target;
+                if (checkbox.checked)
+                    this.souvenirs.add(Number(checkbox.value));
+                else
+                    this.souvenirs.delete(Number(checkbox.value));
+                this.update();
+            });
+        });
+        this.update();
     }
-    // ========== Counter Notifications ==========
     /**
-     * Handles table counter update notification - updates various game counters
-     * @param args - Contains counter name, value, oldValue, inc, absInc, and playerId
+     * Refresh the postcard list with the current filters
+     * @private
      */
-    notif_setTableCounter(args) {
-        if (args.name === 'postcards_counter') {
-            if (args.value === 2)
-                this.game.c.postcard_supply[0].setArg("count", 2);
-            else if (args.value === 1 || args.value === 0)
-                this.game.c.postcard_supply[0].setArg("count", 1);
-            else
-                this.game.c.postcard_supply[0].setArg("count", 3);
-        }
-        else if (args.name === 'travels_counter') {
-            if (args.value === 2)
-                this.game.c.board[0].c.deck_stack[0].setArg("count", 2);
-            else if (args.value === 1)
-                this.game.c.board[0].c.deck_stack[0].setArg("count", 1);
-            else
-                this.game.c.board[0].c.deck_stack[0].setArg("count", 3);
-        }
-        else if (args.name === 'move_bonus_counter') {
-            if (this.game.bga.players.isCurrentPlayerActive()) {
-                if (args.value === 0)
-                    this.game.c.player_area[this.game.bga.gameui.player_id].c.bonus_actions[0].c.travel_option[1].setArg("count", 0);
-                else if (args.value === 1)
-                    this.game.c.player_area[this.game.bga.gameui.player_id].c.bonus_actions[0].c.travel_option[1].setArg("count", 1);
-                else
-                    this.game.c.player_area[this.game.bga.gameui.player_id].c.bonus_actions[0].c.travel_option[1].setArg("count", 2);
-            }
-        }
-        else if (args.name === 'postcard_bonus_counter') {
-            if (this.game.bga.players.isCurrentPlayerActive()) {
-                if (args.value === 0)
-                    this.game.c.player_area[this.game.bga.gameui.player_id].c.bonus_actions[0].c.travel_option[2].setArg("count", 0);
-                else if (args.value === 1)
-                    this.game.c.player_area[this.game.bga.gameui.player_id].c.bonus_actions[0].c.travel_option[2].setArg("count", 1);
-                else
-                    this.game.c.player_area[this.game.bga.gameui.player_id].c.bonus_actions[0].c.travel_option[2].setArg("count", 2);
-            }
-        }
-        else if (args.name === 'camp_bonus_counter') {
-            if (this.game.bga.players.isCurrentPlayerActive()) {
-                if (args.value === 0)
-                    this.game.c.player_area[this.game.bga.gameui.player_id].c.bonus_actions[0].c.travel_option[3].setArg("count", 0);
-                else if (args.value === 1)
-                    this.game.c.player_area[this.game.bga.gameui.player_id].c.bonus_actions[0].c.travel_option[3].setArg("count", 1);
-                else
-                    this.game.c.player_area[this.game.bga.gameui.player_id].c.bonus_actions[0].c.travel_option[3].setArg("count", 2);
-            }
-        }
-        else if (args.name === 'stamp_bonus_counter') {
-            if (this.game.bga.players.isCurrentPlayerActive()) {
-                if (args.value === 0)
-                    this.game.c.player_area[this.game.bga.gameui.player_id].c.bonus_actions[0].c.travel_option[4].setArg("count", 0);
-                else if (args.value === 1)
-                    this.game.c.player_area[this.game.bga.gameui.player_id].c.bonus_actions[0].c.travel_option[4].setArg("count", 1);
-                else
-                    this.game.c.player_area[this.game.bga.gameui.player_id].c.bonus_actions[0].c.travel_option[4].setArg("count", 2);
-            }
+    update() {
+        if (this.content === undefined)
+            return;
+        let list = "";
+        let count = 0;
+        for (let postcard = 1; postcard <= PostcardTracker.POSTCARD_COUNT; postcard++) {
+            if (!this.matches(postcard))
+                continue;
+            list += this.getPostcardHtml(postcard);
+            count++;
+        }
+        this.content.querySelector('postcard_catalogue_list').innerHTML = `
+			<p>${this.game.bga.gameui.format_string(_("${n} postcards"), { n: String(count) })}</p>
+			${list}
+		`;
+    }
+    /**
+     * Check whether a postcard matches the current filters
+     * @param postcard - Postcard ID
+     * @returns True if the postcard is shown
+     * @private
+     */
+    matches(postcard) {
+        if (this.region !== 0 && Postcard.getPostcardRegion(postcard) !== this.region)
+            return false;
+        if (this.stamps !== 0 && Postcard.getStampCount(postcard) !== this.stamps)
+            return false;
+        const types = SouvenirSpace.getSpaceTypes(postcard);
+        for (const type of this.souvenirs) {
+            if (!types.includes(type))
+                return false;
         }
+        return true;
     }
-    // ========== Undo Management ==========
     /**
-     * Handles cancel notifs notification - marks logs for undo operations
-     * @param args - Contains array of notification IDs to cancel
+     * Build the catalogue entry of a postcard
+     * @param postcard - Postcard ID
+     * @returns Entry HTML
+     * @private
      */
-    async notif_cancelNotifs(args) {
-        this.game.cancelLogs(args.notifIds);
+    getPostcardHtml(postcard) {
+        const gameui = this.game.bga.gameui;
+        const status = this.game.postcards.getStatus(postcard);
+        const spaces = Postcard.getStampSpaces(postcard);
+        let layout = "";
+        for (let space = 1; space <= 6; space++) {
+            layout += `<postcard_catalogue_stamp filled="${spaces.includes(space)}"></postcard_catalogue_stamp>`;
+        }
+        const souvenirs = SouvenirSpace.getSpaceTypes(postcard).map((t) => SouvenirSpace.getTypeName(t)).join(", ");
+        return `<postcard_catalogue_card status="${status}">
+			<postcard_catalogue_image>
+				<postcard type="${postcard}" face="true"></postcard>
+			</postcard_catalogue_image>
+			<postcard_catalogue_info>
+				<b>${gameui.format_string(_("Region ${r}"), { r: String(Postcard.getPostcardRegion(postcard)) })}</b>
+				<span>
+					<postcard_catalogue_layout>${layout}</postcard_catalogue_layout>
+					${gameui.format_string(_("${n} stamps"), { n: String(spaces.length) })}
+				</span>
+				<span>${souvenirs}</span>
+				<postcard_catalogue_status>${this.getStatusName(status)}</postcard_catalogue_status>
+			</postcard_catalogue_info>
+		</postcard_catalogue_card>`;
+    }
+    /**
+     * Get the label of a postcard status
+     * @param status - Postcard status
+     * @returns Localized status label
+     * @private
+     */
+    getStatusName(status) {
+        switch (status) {
+            case "hand":
+                return _("In your hand");
+            case "opponent":
+                return _("With an opponent");
+            case "supply":
+                return _("In the supply");
+            case "discarded":
+                return _("Discarded");
+            case "sent":
+                return _("Sent");
+            case "unseen":
+                return _("Unseen");
+        }
     }
 }
+// ========== Static Properties ==========
+/** Number of regions */
+PostcardCatalogue.REGION_COUNT = 13;
+/** Number of souvenir types */
+PostcardCatalogue.SOUVENIR_TYPE_COUNT = 8;
 
 /**
  *------
@@ -4986,6 +9316,10 @@ class Game {
         this._notif_uid_to_log_id = {};
         /** Mapping of notification UIDs to mobile log element IDs */
         this._notif_uid_to_mobile_log_id = {};
+        /** Notification UIDs cancelled by each undo */
+        this._cancelled_notif_uids = [];
+        /** Undos whose cancel marks wait for their logs to be placed again */
+        this._pending_cancelled_notif_uids = new Set();
         /** Current player ID */
         this.player_id = null;
         /** Root HTML element for game UI */
@@ -4994,10 +9328,15 @@ class Game {
         this.c = {};
         /** Sent postcards counters for each player */
         this.sentPostcardsCounters = [];
+        /** Projected final score panels for each player */
+        this.projectedScores = {};
         /** Notification handler (for undo/action tracking) */
         this.notif = null;
+        /** Travel cards played by the current player this turn */
+        this.used_travels = [];
         this.bga = bga;
         this.setupStates();
+        this.restoreUndoLogging();
         this.setupUndoLogging();
     }
     // ========== Initialization Methods ==========
@@ -5032,6 +9371,8 @@ class Game {
     /**
      * Setup undo/cancel log tracking for notifications
      * Intercepts log placement to map notification UIDs to log IDs
+     * (rebuilt when the log history is placed again after a reload)
+     * and to record the turn summary
      * @private
      */
     setupUndoLogging() {
@@ -5042,9 +9383,50 @@ class Game {
             const res = originalOnPlaceLogOnChannel(msg);
             this._notif_uid_to_log_id[msg.uid] = currentLogId;
             this._notif_uid_to_mobile_log_id[msg.uid] = currentMobileLogId;
+            this.turnSummary?.record(msg.uid, msg.type, msg.args, currentLogId, currentMobileLogId);
+            // A log replayed after a reload may belong to an undo made before it
+            const cancelled = this._cancelled_notif_uids.find((uids) => uids.includes(Number(msg.uid)));
+            if (cancelled !== undefined && !this._pending_cancelled_notif_uids.has(cancelled)) {
+                this._pending_cancelled_notif_uids.add(cancelled);
+                setTimeout(() => {
+                    this._pending_cancelled_notif_uids.delete(cancelled);
+                    this.markCancelledLogs(cancelled);
+                }, 0);
+            }
             return res;
         };
     }
+    /**
+     * Restore the notifications cancelled before a reload on this table
+     * @private
+     */
+    restoreUndoLogging() {
+        let saved = null;
+        try {
+            saved = JSON.parse(sessionStorage.getItem(Game.CANCELLED_LOGS_KEY) ?? 'null');
+        }
+        catch (e) {
+            return;
+        }
+        if (saved === null || Number(saved.table) !== Number(this.bga.gameui.table_id))
+            return;
+        this._cancelled_notif_uids.push(...(saved.cancelled ?? []));
+    }
+    /**
+     * Save the cancelled notifications of this table, replacing the ones of any other table
+     * @private
+     */
+    saveUndoLogging() {
+        try {
+            sessionStorage.setItem(Game.CANCELLED_LOGS_KEY, JSON.stringify({
+                table: this.bga.gameui.table_id,
+                cancelled: this._cancelled_notif_uids,
+            }));
+        }
+        catch (e) {
+            // Storage full or unavailable, the marks stay in memory only
+        }
+    }
     /**
      * Setup game UI - called once at game start
      * Creates all game elements and initializes managers
@@ -5055,6 +9437,17 @@ class Game {
         this.initializeManagers();
         this.setupPlayerPanels(game_data);
         this.createGameElements(game_data);
+        this.keyboard.setupHelp();
+        this.catalogue.setupHelp();
+        this.history.setup();
+        this.postcards.setup(game_data);
+        this.touch.setup(this.html);
+        this.animationProfile.setup(this.html);
+        this.planner.setup(this.html);
+        this.updateProjectedScores();
+        this.updateItineraryMatches();
+        this.updateGiftBadges();
+        this.updatePostcardDistances();
         this.setupNotifications();
     }
     /**
@@ -5071,13 +9464,24 @@ class Game {
         }
     }
     /**
-     * Initialize animation manager and zoom controls
+     * Initialize animation, zoom and UI managers
      * @private
      */
     initializeManagers() {
+        this.animationProfile = new AnimationProfile(this);
         this.animationManager = new BgaAnimations.Manager({
-            animationsActive: () => this.bga.gameui.bgaAnimationsActive()
+            animationsActive: () => this.animationProfile.isActive()
         });
+        this.keyboard = new KeyboardShortcuts(this);
+        this.touch = new TouchMode(this);
+        this.planner = new TurnPlanner(this);
+        this.undoTimeline = new UndoTimeline(this);
+        this.undoneLogs = new UndoneLogs(this);
+        this.turnSummary = new TurnSummary(this);
+        this.history = new HistoryScrubber(this);
+        this.digest = new TurnDigest(this);
+        this.postcards = new PostcardTracker(this);
+        this.catalogue = new PostcardCatalogue(this);
         // @ts-ignore - ZoomManager is not strictly typed
         const zoomLevels = Array.from({ length: 20 }, (_, index) => 0.3 + index * 0.05);
         this.zoom = new ZoomManager({
@@ -5090,7 +9494,7 @@ class Game {
         this.title = document.getElementById('page-title');
     }
     /**
-     * Setup player panel UI elements (sent postcard counters, first player marker)
+     * Setup player panel UI elements (sent postcard counters, first player marker, projected score)
      * @param game_data - Game data with player information
      * @private
      */
@@ -5124,6 +9528,8 @@ class Game {
                 playerElement.appendChild(firstPlayerMarker);
                 this.bga.gameui.addTooltipHtml("first_player_marker", `<h3>${_("First Player Token")}</h3>`);
             }
+            // Projected final score
+            this.projectedScores[player.id] = new ProjectedScore(this, player.id, playerElement);
         }
     }
     /**
@@ -5187,6 +9593,7 @@ class Game {
             minDurationNoText: 0,
             handlers: [this.notif],
             onStart: (notfname, msg, args) => {
+                this.notif?.announce(msg, args);
                 const pagemaintitle = document.getElementById("pagemaintitle_wrap");
                 if (pagemaintitle)
                     pagemaintitle.style.display = "none";
@@ -5199,17 +9606,36 @@ class Game {
     // ========== State Lifecycle ==========
     /**
      * Called when entering a game state
-     * Updates UI based on state data and used travels
+     * Updates UI for the entered state
      * @param stateName - Name of the state being entered
      * @param args - State arguments
      */
     onEnteringState(stateName, args) {
         if (this.bga.players.isCurrentPlayerActive() && args.args?.used_travels !== undefined) {
+            this.used_travels = args.args.used_travels;
             const hand = this.c.player_area?.[this.bga.gameui.player_id]?.c.hand?.[0];
             if (hand) {
                 hand.usedTravels(args.args.used_travels);
             }
         }
+        if (stateName === 'Action' || stateName === 'Move') {
+            this.c.board[0].route_planner.update();
+        }
+        this.c.board[0].c.travel_tracker[0].setPlayed(args.args?.used_travels ?? []);
+        this.c.player_area?.[this.bga.gameui.player_id]?.c.hand?.[0]?.travel_drag.resume(stateName, args.args);
+        this.planner.resume(stateName, args.args);
+        this.undoTimeline.resume(args.args);
+        if (stateName === 'Action') {
+            this.digest.show();
+        }
+        if (stateName === 'NextPlayer') {
+            this.turnSummary.flush();
+            this.history.recordTurn();
+            this.digest.dismiss();
+        }
+        if (stateName === 'EndScore' || stateName === 'gameEnd') {
+            this.updateProjectedScores();
+        }
         if (args.args?.last_round) {
             this.last_round_bar = this.createBar("last_round", _("This is the last round of the game!"));
         }
@@ -5220,6 +9646,11 @@ class Game {
      * @param stateName - Name of the state being left
      */
     onLeavingState(stateName) {
+        this.keyboard.clear();
+        this.touch.disarm();
+        if (this.planner.isPlanning())
+            this.planner.cancel();
+        this.undoTimeline.hide();
         if (this.bga.players.isCurrentPlayerActive()) {
             const hand = this.c.player_area?.[this.bga.gameui.player_id]?.c.hand?.[0];
             if (hand) {
@@ -5233,12 +9664,16 @@ class Game {
     }
     // ========== UI Helper Methods ==========
     /**
-     * Add undo/reset buttons to status bar
+     * Add undo/reset buttons to status bar and show the undo timeline
+     * Backspace is bound to Undo while the buttons are shown
      * @param undo - Number of undo steps available (0, 1, or 2+)
+     * @param steps - Undoable steps, oldest first
      */
-    addUndoButtons(undo) {
+    addUndoButtons(undo, steps) {
+        this.undoTimeline.show(steps);
         if (undo > 0) {
             this.bga.statusBar.addActionButton(_("Undo"), () => { this.bga.actions.performAction('actUndo'); }, { color: "alert" });
+            this.keyboard.addKey("Backspace", () => this.bga.actions.performAction('actUndo'));
         }
         if (undo > 1) {
             this.bga.statusBar.addActionButton(_("Reset"), () => { this.bga.actions.performAction('actReset'); }, { color: "alert" });
@@ -5246,16 +9681,29 @@ class Game {
     }
     /**
      * Cancel notification logs for undo functionality
-     * Marks logs with cancel attribute to hide them visually
+     * Remembers the cancelled notifications so the marks survive a reload
      * @param notifIds - Array of notification UIDs to cancel
      */
     cancelLogs(notifIds) {
+        this.turnSummary.cancel(notifIds);
+        this._cancelled_notif_uids.push(notifIds.map(Number));
+        this.saveUndoLogging();
+        this.markCancelledLogs(notifIds);
+    }
+    /**
+     * Mark the logs of cancelled notifications and collapse them into one group
+     * @param notifIds - Notification UIDs cancelled by one undo
+     * @private
+     */
+    markCancelledLogs(notifIds) {
+        const cancelled = [];
         notifIds.forEach((uid) => {
             if (uid in this._notif_uid_to_log_id) {
                 const logId = this._notif_uid_to_log_id[uid];
                 const logElement = document.getElementById('log_' + logId);
                 if (logElement) {
                     logElement.setAttribute("cancel", "true");
+                    cancelled.push(logElement);
                 }
             }
             if (uid in this._notif_uid_to_mobile_log_id) {
@@ -5263,9 +9711,11 @@ class Game {
                 const mobileElement = document.getElementById('dockedlog_' + mobileLogId);
                 if (mobileElement) {
                     mobileElement.setAttribute("cancel", "true");
+                    cancelled.push(mobileElement);
                 }
             }
         });
+        this.undoneLogs?.group(cancelled);
     }
     /**
      * Create a status bar notification (e.g., "Last Round", "Undo Warning")
@@ -5284,6 +9734,53 @@ class Game {
         this.title.appendChild(element);
         return element;
     }
+    /**
+     * Refresh the projected final score of every player
+     * Hidden once end game scoring starts, as the points are then added to the real score
+     */
+    updateProjectedScores() {
+        const final = ['EndScore', 'gameEnd'].includes(this.bga.gameui.gamedatas.gamestate.name);
+        for (const p in this.projectedScores) {
+            this.projectedScores[p].html.setAttribute("final", String(final));
+            if (!final)
+                this.projectedScores[p].update();
+        }
+    }
+    /**
+     * Refresh the itinerary match markers on the current player's postcards and the guide
+     */
+    updateItineraryMatches() {
+        if (this.bga.players.isCurrentPlayerSpectator())
+            return;
+        const itinerary = this.c.player_area[this.bga.gameui.player_id].c.itinerary[0];
+        const postcards = {
+            ...this.c.player_area[this.bga.gameui.player_id].c.postcard_player[0].c.postcard,
+            ...this.c.postcard_guide?.[0]?.c.postcard,
+        };
+        for (const p in postcards) {
+            postcards[p].updateItineraryMatch(itinerary);
+        }
+    }
+    /**
+     * Refresh the scoring progress badges on the gift cards of every player
+     */
+    updateGiftBadges() {
+        for (const p in this.c.player_area) {
+            this.c.player_area[p].c.gift_player[0].updateBadges();
+        }
+    }
+    /**
+     * Refresh the biker distance markers on the current player's postcards
+     */
+    updatePostcardDistances() {
+        if (this.bga.players.isCurrentPlayerSpectator())
+            return;
+        const biker = Number(this.c.board[0].c.biker[this.bga.gameui.player_id].args.location);
+        const postcards = this.c.player_area[this.bga.gameui.player_id].c.postcard_player[0].c.postcard;
+        for (const p in postcards) {
+            postcards[p].updateDistance(biker);
+        }
+    }
     // ========== Game Logic Methods ==========
     /**
      * Reveal guide postcard selection phase
@@ -5308,6 +9805,7 @@ class Game {
         }
         supply.html.after(guide.html);
         await guide.slideInPostcards(postcards, topCard, deckCard);
+        this.updateItineraryMatches();
     }
     // ========== Private Helper Methods ==========
     /**
@@ -5328,5 +9826,8 @@ class Game {
             return ordered;
     }
 }
+// ========== Static Properties ==========
+/** Session storage key of the notifications cancelled by undos on the current table */
+Game.CANCELLED_LOGS_KEY = 'postcards-cancelled-logs';
 
 export { Game };
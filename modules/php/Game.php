@@ -237,22 +237,24 @@ class Game extends Table
 				$result["players"][$player_id]["postcards"][$postcard]["stamps"] = array_map('intval', $this->getObjectListFromDb("SELECT location FROM stamp WHERE postcard = $type", true));
 				$result["players"][$player_id]["postcards"][$postcard]["souvenirs"] = array_map('intval', $this->getObjectListFromDb("SELECT location FROM souvenir WHERE postcard = $type", true));
 			}
+			$result["players"][$player_id]["sent_postcards"] = $this->getSentPostcards($player_id);
 			$result["players"][$player_id]["camps"] = array_map(function ($value) {return array_map('intval', $value);}, $this->getObjectListFromDb("SELECT region, location FROM camp WHERE player_id = $player_id"));
 			$result["players"][$player_id]["gifts"] = array_map('intval', $this->getObjectListFromDb("SELECT type FROM gift WHERE location = $player_id", true));
 		}
 		$this->sentPostcardsCounter->fillResult($result);
 		
 		// Getting supply infos
-		$result["postcard_supply"] = ["row" => $this->getPostcardsFromSupplyRow(), "deck" => $this->getPostcardFromSupplyDeck()];
+		$result["postcard_supply"] = ["row" => $this->getPostcardsFromSupplyRow(), "deck" => $this->getPostcardFromSupplyDeck(), "discard" => $this->getPostcardsFromDiscard()];
 		$result["postcard_guide"] = $this->getPostcardsFromGuide();
+		$result["stamp_colors"] = $this->getStampSpaceColors();
 		$this->postcardsCounter->fillResult($result["postcard_supply"]);
 		$this->postcardsDiscardCounter->fillResult($result["postcard_supply"]);
 		
-		$result["travel_supply"] = ["travels" => $this->getTravelsFromSupply()];
+		$result["travel_supply"] = ["travels" => $this->getTravelsFromSupply(), "discard" => $this->getTravelsFromDiscard()];
 		$this->travelsCounter->fillResult($result["travel_supply"]);
 		$this->travelsDiscardCounter->fillResult($result["travel_supply"]);
 
-		$result["gift_supply"] = ["gifts" => $this->getGiftsFromSupply()];
+		$result["gift_supply"] = ["gifts" => $this->getGiftsFromSupply(), "used" => $this->getUsedGifts()];
 		$this->giftsCounter->fillResult($result["gift_supply"]);
 		
 		$result["bonus_actions"] = [];
@@ -276,6 +278,7 @@ class Game extends Table
 	function getCommonArgs(bool $used_travels = true): array {
 		$res = [];
 		$res["undo"] = $this->getLogLength(false, false);
+		$res["undo_steps"] = $this->getUndoSteps();
 		$res["last_round"] = $this->isLastRound();
 		if ($used_travels) $res["used_travels"] = $this->getUsedTravels();
 		return $res;
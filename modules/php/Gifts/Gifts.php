@@ -58,6 +58,15 @@ trait Gifts
 		return array_map(fn($value): array => array_map('intval', $value), $this->getObjectListFromDB("SELECT type, location_arg location FROM gift WHERE location = -1"));
 	}
 
+	/**
+	 * Get all gift cards already used by the players
+	 * 
+	 * @return int[] Used gift card IDs
+	 */
+	public function getUsedGifts(): array {
+		return array_map('intval', $this->getObjectListFromDB("SELECT type FROM gift WHERE location = -3", true));
+	}
+
 	// ========== Gift Type Methods ==========
 
 	/**
@@ -38,6 +38,25 @@ trait Log
 		return (int)$this->getUniqueValueFromDB("SELECT COUNT(*) FROM log {$whereClause}");
 	}
 
+	/**
+	 * Get the undoable steps, i.e. the entries since the last non-undoable one (help entries excluded).
+	 *
+	 * Each step is reverted by one actUndo call, in reverse order.
+	 *
+	 * @return array List of ['type' => int, 'args' => ?array], oldest first.
+	 * @throws BgaSystemException
+	 */
+	public function getUndoSteps(): array
+	{
+		$lastNonUndoableId = $this->getUniqueValueFromDb("SELECT id FROM log WHERE undoable = false ORDER BY id DESC LIMIT 1");
+		$where = $lastNonUndoableId === null ? "" : "AND id > {$lastNonUndoableId}";
+		$logs = $this->getObjectListFromDb("SELECT type, args FROM log WHERE type != 0 {$where} ORDER BY id");
+		return array_map(fn($log) => [
+			"type" => intval($log["type"]),
+			"args" => $log["args"] === null ? null : json_decode($log["args"], true),
+		], $logs);
+	}
+
 	/**
 	 * Save a log entry with optional arguments.
 	 *
@@ -70,6 +70,25 @@ trait Postcards
 		return array_map('intval', $this->getObjectListFromDB("SELECT type FROM postcard WHERE location = -4", true));
 	}
 
+	/**
+	 * Get postcard IDs currently in the discard pile.
+	 *
+	 * @return int[]
+	 */
+	public function getPostcardsFromDiscard(): array {
+		return array_map('intval', $this->getObjectListFromDB("SELECT type FROM postcard WHERE location = -3", true));
+	}
+
+	/**
+	 * Get postcard IDs sent by a player.
+	 *
+	 * @param int $player_id
+	 * @return int[]
+	 */
+	public function getSentPostcards(int $player_id): array {
+		return array_map('intval', $this->getObjectListFromDB("SELECT type FROM postcard WHERE location = $player_id AND location_arg IS null", true));
+	}
+
 	/**
 	 * Refill the supply row up to 3 cards, reshuffling if needed.
 	 *
@@ -931,14 +950,7 @@ trait Postcards
 		foreach ($postcards as $postcard) {
 			$type = intval($this->getUniqueValueFromDb("SELECT type FROM postcard WHERE location = $player_id AND location_arg = $postcard"));
 			$stamps = array_map('intval', $this->getObjectListFromDb("SELECT location FROM stamp WHERE postcard = {$type}", true));
-			$n = ($type - 1) % 4;
-			$spaces = match ($n) {
-				0 => [1, 2, 3],
-				1 => [2, 3, 5, 6],
-				2 => [1, 2, 3, 5, 6],
-				3 => [1, 2, 3, 4, 5, 6]
-			};
-			foreach ($spaces as $space) {
+			foreach ($this->getStampSpaces($type) as $space) {
 				if (!in_array($space, $stamps)) {
 					if ($color === null || $color === $this->getStampSpaceColor($type, $space)) {
 						if (!isset($res[$type])) $res[$type] = [];
@@ -999,6 +1011,37 @@ trait Postcards
 		return floor(($postcard - 1) / 4) + 1;
 	}
 	
+	/**
+	 * Get the stamp space locations of a postcard.
+	 *
+	 * @param int $postcard Postcard ID.
+	 * @return int[] Stamp space locations (1-6).
+	 */
+	public function getStampSpaces(int $postcard): array {
+		return match (($postcard - 1) % 4) {
+			0 => [1, 2, 3],
+			1 => [2, 3, 5, 6],
+			2 => [1, 2, 3, 5, 6],
+			3 => [1, 2, 3, 4, 5, 6]
+		};
+	}
+
+	/**
+	 * Get the color of every stamp space of every postcard.
+	 *
+	 * @return array<int,array<int,int>> Color (1-4) by postcard ID and space location.
+	 * @throws BgaVisibleSystemException
+	 */
+	public function getStampSpaceColors(): array {
+		$res = [];
+		for ($postcard = 1; $postcard <= 52; $postcard++) {
+			foreach ($this->getStampSpaces($postcard) as $space) {
+				$res[$postcard][$space] = $this->getStampSpaceColor($postcard, $space);
+			}
+		}
+		return $res;
+	}
+
 	public function getStampSpaceCount(int $postcard): int {
 		return ($postcard - 1) % 4 + 3;
 	}
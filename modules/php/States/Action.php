@@ -149,6 +149,7 @@ class Action extends GameState
 			"travel" => $travel,
 			"color" => $this->game->getTravelColorName($travel),
 			"action" => $this->game->getTravelActionName($travel),
+			"as_color" => $color,
 			"i18n" => array('color', 'action')
 		]);
 		// Update stats
@@ -49,7 +49,7 @@ class Stamp extends GameState
 	 * Get game state arguments for the Stamp state.
 	 *
 	 * @param int $active_player_id Current active player ID.
-	 * @return array<string,mixed> State arguments including available stamp spaces and undo level.
+	 * @return array<string,mixed> State arguments including available stamp spaces, their colors and undo level.
 	 * @throws BgaSystemException
 	 */
 	public function getArgs(int $active_player_id): array
@@ -64,6 +64,13 @@ class Stamp extends GameState
 		} else {
 			$args["spaces"] = $this->game->getAvailableStampSpaces($active_player_id);
 		}
+		// Get the colors of the available spaces
+		$args["colors"] = [];
+		foreach ($args["spaces"] as $postcard => $spaces) {
+			foreach ($spaces as $space) {
+				$args["colors"][$postcard][$space] = $this->game->getStampSpaceColor($postcard, $space);
+			}
+		}
 		// Return the array
 		return $args;
 	}
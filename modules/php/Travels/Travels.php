@@ -87,6 +87,15 @@ trait Travels
 		return array_map('intval', $this->getObjectListFromDB("SELECT type FROM travel WHERE location = {$player_id}", true));
 	}
 
+	/**
+	 * Get all travel cards in the discard pile.
+	 *
+	 * @return int[]
+	 */
+	public function getTravelsFromDiscard(): array {
+		return array_map('intval', $this->getObjectListFromDB("SELECT type FROM travel WHERE location = -3", true));
+	}
+
 	/**
 	 * Count travel cards in a player's hand.
 	 *
@@ -0,0 +1,129 @@
+import { Game } from "../game";
+
+/**
+ * Global animation profile
+ *
+ * Every animation duration and wait of the game goes through the profile,
+ * which scales it by the "Animation speed" user preference:
+ *  - Instant: animations are turned off and waits are skipped
+ *  - Fast, Normal, Cinematic: durations are scaled by the speed factor
+ *
+ * When the system asks for reduced motion, the spins and flips played in
+ * parallel of the slides are replaced by simple fades.
+ *
+ * The speed factor is also exposed as the --animation-factor CSS variable
+ * for the transitions and placeholder animations defined in the stylesheets.
+ * It is only set on setup, so changing the preference reloads the page.
+ *
+ * Responsibilities:
+ *  - Scaling animation durations and waits
+ *  - Replacing spins and flips by fades for reduced motion
+ *  - Turning animations off in instant mode
+ */
+export class AnimationProfile {
+	// ========== Static Properties ==========
+
+	/** User preference ID of the animation speed (1 Instant, 2 Fast, 3 Normal, 4 Cinematic) */
+	public static readonly PREFERENCE: number = 107;
+
+	/** Duration factor of each animation speed */
+	private static readonly FACTORS: Record<number, number> = {
+		1: 0,
+		2: 0.4,
+		3: 1,
+		4: 1.6,
+	};
+
+	// ========== Properties ==========
+
+	/** Reference to the main Game instance */
+	private readonly game: Game;
+
+	// ========== Constructor ==========
+
+	/**
+	 * Initialize the animation profile
+	 * @param game - Main game instance
+	 */
+	public constructor(game: Game) {
+		this.game = game;
+	}
+
+	// ========== Public Methods ==========
+
+	/**
+	 * Expose the speed factor to the stylesheets
+	 * @param root - Element holding the CSS variable
+	 */
+	public setup(root: HTMLElement): void {
+		root.style.setProperty('--animation-factor', String(this.getFactor()));
+	}
+
+	/**
+	 * Whether animations are played
+	 * @returns False in instant mode or when BGA animations are turned off
+	 */
+	public isActive(): boolean {
+		return this.getFactor() > 0 && this.game.bga.gameui.bgaAnimationsActive();
+	}
+
+	/**
+	 * Scale a duration by the animation speed
+	 * @param ms - Duration at normal speed in milliseconds
+	 * @returns Scaled duration in milliseconds
+	 */
+	public duration(ms: number): number {
+		return Math.round(ms * this.getFactor());
+	}
+
+	/**
+	 * Wait for a duration scaled by the animation speed
+	 * @param ms - Duration at normal speed in milliseconds
+	 * @returns Promise resolving after the scaled duration
+	 */
+	public wait(ms: number): Promise<void> {
+		const duration = this.duration(ms);
+		if (duration === 0) return Promise.resolve();
+		return new Promise((resolve) => setTimeout(resolve, duration));
+	}
+
+	/**
+	 * Apply the profile to animation settings
+	 *
+	 * The duration (800ms by default) is scaled, and the parallel animations
+	 * are replaced by a fade when reduced motion is asked for.
+	 *
+	 * @param settings - Animation settings at normal speed
+	 * @param fade - Direction of the fade replacing the parallel animations
+	 * @returns Settings to pass to the animation manager
+	 */
+	public settings(settings: FloatingElementAnimationSettings, fade: 'in' | 'out' = 'in'): FloatingElementAnimationSettings {
+		const res: FloatingElementAnimationSettings = { ...settings, duration: this.duration(settings.duration ?? 800) };
+		if (settings.parallelAnimations !== undefined && this.isReducedMotion()) {
+			res.parallelAnimations = [{
+				keyframes: fade === 'in' ? [{ opacity: '0' }, { opacity: '1' }] : [{ opacity: '1' }, { opacity: '0' }],
+			}];
+		}
+		return res;
+	}
+
+	// ========== Private Helper Methods ==========
+
+	/**
+	 * Get the duration factor of the current animation speed
+	 * @returns Duration factor (0 for instant)
+	 * @private
+	 */
+	private getFactor(): number {
+		return AnimationProfile.FACTORS[this.game.bga.userPreferences.get(AnimationProfile.PREFERENCE)] ?? 1;
+	}
+
+	/**
+	 * Whether the system asks for reduced motion
+	 * @returns True if prefers-reduced-motion is set
+	 * @private
+	 */
+	private isReducedMotion(): boolean {
+		return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+	}
+}
@@ -11,6 +11,10 @@ import { EndGameBonus } from "./end_game_bonus/end_game_bonus";
 import { Travel } from "../cards/travel/travel";
 import { Gift } from "../cards/gift/gift";
 import { Camp } from "../camp/camp";
+import { PostcardPlayer } from "../player_area/postcard_player/postcard_player";
+import { RegionProgress } from "./region_progress/region_progress";
+import { TravelTracker } from "./travel_tracker/travel_tracker";
+import { RoutePlanner } from "./route_planner/route_planner";
 import { HelpManager, BgaHelpExpandableButton } from "../framework/thoun/bga-help";
 
 /**
@@ -26,8 +30,12 @@ import { HelpManager, BgaHelpExpandableButton } from "../framework/thoun/bga-hel
  *  - Managing gift card supply and deck
  *  - Managing stamp supply
  *  - Activating/deactivating regions and campsites
+ *  - Previewing the campsites and postcards of a movement destination
  *  - Managing camp placement and tracking
  *  - Providing help interface for camp tracking
+ *  - Displaying the toggleable Best Traveler progress overlay
+ *  - Displaying the toggleable Travel deck composition tracker
+ *  - Planning the current player's route to a destination region
  */
 export class Board extends GameElement {
 	// ========== Properties ==========
@@ -47,6 +55,9 @@ export class Board extends GameElement {
 	/** Camp counters for tracking camps by player and type */
 	public camp_counters: Record<number, Record<number, HTMLElement>> = {};
 
+	/** Route planner of the current player */
+	public readonly route_planner: RoutePlanner;
+
 	// ========== Constructor ==========
 
 	/**
@@ -109,6 +120,16 @@ export class Board extends GameElement {
 			}
 		}
 
+		// Setup Best Traveler progress overlay
+		for (let r = 1; r <= this.campsites.length; r++) {
+			new RegionProgress(this, r, this.campsites[r - 1].length);
+		}
+		this.setupBestTravelerToggle();
+		this.updateRegionProgress();
+
+		// Setup route planner
+		this.route_planner = new RoutePlanner(this);
+
 		// Setup travel supply
 		for (const t in data.travels.travels) {
 			new Travel(this, data.travels.travels[t].type, data.travels.travels[t].location);
@@ -147,6 +168,8 @@ export class Board extends GameElement {
 
 		new TravelDeck(this, 0);
 
+		new TravelTracker(this, 0, data.travels.discard ?? []);
+
 		// Setup gift supply
 		for (const g in data.gifts.gifts) {
 			new Gift(this, data.gifts.gifts[g].type, data.gifts.gifts[g].location);
@@ -170,7 +193,7 @@ export class Board extends GameElement {
 
 		new DeckStack(this, 1, 1);
 
-		new GiftDeck(this, 0);
+		new GiftDeck(this, 0, data.gifts.used ?? []);
 
 		// Setup stamp supply
 		new StampSupply(this, 0);
@@ -209,6 +232,38 @@ export class Board extends GameElement {
 		}
 	}
 
+	/**
+	 * Preview what moving the current player's biker to a region would make possible
+	 * 
+	 * Highlights the free campsites of the region, and on the player's postcards
+	 * the ones that could be sent there and the souvenir spaces those campsites match.
+	 * 
+	 * @param region - Region number to preview
+	 */
+	public previewRegion(region: number): void {
+		this.clearRegionPreview();
+
+		const types: number[] = [];
+		for (let l = 1; l <= this.campsites[region - 1].length; l++) {
+			if (this.c.camp?.[region * 10 + l] === undefined) {
+				(this.c.campsite[region * 10 + l] as Campsite).preview();
+				types.push(this.campsites[region - 1][l - 1]);
+			}
+		}
+
+		(this.game.c.player_area[this.game.bga.gameui.player_id].c.postcard_player[0] as PostcardPlayer).previewRegion(region, types);
+	}
+
+	/**
+	 * Clear the movement preview from the board and the current player's postcards
+	 */
+	public clearRegionPreview(): void {
+		for (const i in this.c.campsite) {
+			(this.c.campsite[i] as Campsite).preview(false);
+		}
+		(this.game.c.player_area[this.game.bga.gameui.player_id]?.c.postcard_player[0] as PostcardPlayer | undefined)?.clearPreview();
+	}
+
 	/**
 	 * Animate biker movement to a new region
 	 * @param player_id - Player whose biker is moving
@@ -217,7 +272,7 @@ export class Board extends GameElement {
 	 */
 	public async moveBiker(player_id: number, region: number): Promise<void> {
 		(this.c.biker[player_id] as Biker).move(region);
-		return await new Promise((resolve) => setTimeout(resolve, 800));
+		return await this.game.animationProfile.wait(800);
 	}
 
 	// ========== Campsite Management Methods ==========
@@ -280,7 +335,7 @@ export class Board extends GameElement {
 				break;
 		}
 
-		await this.game.animationManager.slideAndAttach(camp.html, this.html, {
+		await this.game.animationManager.slideAndAttach(camp.html, this.html, this.game.animationProfile.settings({
 			duration: 800,
 			fromPlaceholder: "off",
 			toPlaceholder: "off",
@@ -289,7 +344,64 @@ export class Board extends GameElement {
 					keyframes: [{ rotate: `${rotate}deg` }, { rotate: '0deg' }],
 				},
 			],
-		});
+		}));
+	}
+
+	/**
+	 * Get the number of camps a player has on a campsite type
+	 * @param player_id - Player ID
+	 * @param type - Campsite type (1-8)
+	 * @returns Number of camps
+	 */
+	public getCampCount(player_id: number, type: number): number {
+		return Number(this.camp_counters[player_id][type].innerHTML);
+	}
+
+	/**
+	 * Count the camps of a player on the board, grouped by region
+	 * @param player_id - Player ID
+	 * @returns Number of camps by region
+	 */
+	public getCampsByRegion(player_id: number): Record<number, number> {
+		const res: Record<number, number> = {};
+		const color = this.game.bga.gameui.gamedatas.players[player_id].color;
+		for (const c in this.c.camp) {
+			const camp = this.c.camp[c] as Camp;
+			if (camp.args.color === color) {
+				const region = Number(camp.args.region);
+				res[region] = (res[region] ?? 0) + 1;
+			}
+		}
+		return res;
+	}
+
+	/**
+	 * Update the Best Traveler progress marker of every region from the camps on the board
+	 */
+	public updateRegionProgress(): void {
+		const camps: Record<number, Record<string, number>> = {};
+		for (const c in this.c.camp) {
+			const camp = this.c.camp[c] as Camp;
+			const region = Number(camp.args.region);
+			const color = String(camp.args.color);
+			if (camps[region] === undefined) camps[region] = {};
+			camps[region][color] = (camps[region][color] ?? 0) + 1;
+		}
+		for (const r in this.c.region_progress) {
+			(this.c.region_progress[r] as RegionProgress).update(camps[Number(r)] ?? {});
+		}
+	}
+
+	/**
+	 * Show or hide the Best Traveler progress overlay
+	 * 
+	 * The choice is remembered in the local storage. Badges of won regions stay visible either way.
+	 * 
+	 * @param b - True to show, false to hide
+	 */
+	public showBestTraveler(b: boolean): void {
+		this.setArg("best_traveler", b);
+		localStorage.setItem('postcards-best-traveler', String(b));
 	}
 
 	// ========== Travel Supply Methods ==========
@@ -327,7 +439,7 @@ export class Board extends GameElement {
 		await this.game.animationManager.slideIn(
 			this.c.travel[travel].html,
 			this.game.c.board[0].c.travel_deck[0].html,
-			{
+			this.game.animationProfile.settings({
 				duration: 800,
 				fromPlaceholder: "off",
 				toPlaceholder: "off",
@@ -340,7 +452,7 @@ export class Board extends GameElement {
 						],
 					},
 				],
-			}
+			})
 		).then(() => {
 			this.c.travel[travel].setArg("deck", false);
 		});
@@ -356,7 +468,7 @@ export class Board extends GameElement {
 	public async addTravel(travel: Travel, location: number): Promise<void> {
 		travel.addToParent(this);
 		travel.setArg("location", location);
-		await this.game.animationManager.slideAndAttach(travel.html, this.html, {
+		await this.game.animationManager.slideAndAttach(travel.html, this.html, this.game.animationProfile.settings({
 			duration: 800,
 			toPlaceholder: "off",
 			parallelAnimations: [
@@ -364,7 +476,7 @@ export class Board extends GameElement {
 					keyframes: [{ rotate: '0deg' }, { rotate: '0.5deg' }],
 				},
 			],
-		});
+		}));
 	}
 
 	/**
@@ -408,7 +520,7 @@ export class Board extends GameElement {
 		await this.game.animationManager.slideIn(
 			this.c.gift[gift].html,
 			this.game.c.board[0].c.gift_deck[0].html,
-			{
+			this.game.animationProfile.settings({
 				duration: 800,
 				fromPlaceholder: "off",
 				toPlaceholder: "off",
@@ -421,7 +533,7 @@ export class Board extends GameElement {
 						],
 					},
 				],
-			}
+			})
 		);
 	}
 
@@ -433,7 +545,7 @@ export class Board extends GameElement {
 	 * @returns Promise resolving when animation completes
 	 */
 	public addGiftFromDeck(gift: Gift, location: number): Promise<void> {
-		return this.game.animationManager.slideAndAttach(gift.html, this.html, {
+		return this.game.animationManager.slideAndAttach(gift.html, this.html, this.game.animationProfile.settings({
 			duration: 800,
 			fromPlaceholder: "off",
 			parallelAnimations: [
@@ -444,7 +556,7 @@ export class Board extends GameElement {
 					],
 				},
 			],
-		});
+		}));
 	}
 
 	/**
@@ -495,6 +607,23 @@ export class Board extends GameElement {
 		}
 	}
 
+	/**
+	 * Setup the button toggling the Best Traveler progress overlay
+	 * @private
+	 */
+	private setupBestTravelerToggle(): void {
+		const toggle = document.createElement("best_traveler_toggle");
+		toggle.id = "best_traveler_toggle";
+		toggle.setAttribute("overlay", "true");
+		this.html.appendChild(toggle);
+		toggle.addEventListener('click', () => this.showBestTraveler(this.args.best_traveler !== true));
+		this.game.bga.gameui.addTooltipHtml(
+			"best_traveler_toggle",
+			`<h3>${_("Show/hide Best Traveler progress")}</h3>`
+		);
+		this.showBestTraveler(localStorage.getItem('postcards-best-traveler') === 'true');
+	}
+
 	/**
 	 * Generate HTML table for camp help display
 	 * 
@@ -12,7 +12,9 @@ import { Board } from "../board";
  *  - Displaying campsite with type information
  *  - Handling click interactions for camp placement
  *  - Tracking campsite location and region
+ *  - Highlighting the campsite in movement previews
  *  - Providing tooltip with campsite rules and scoring
+ *  - Providing the ARIA role and label
  */
 export class Campsite extends GameElement {
 	// ========== Constructor ==========
@@ -39,6 +41,12 @@ export class Campsite extends GameElement {
 
 		// Setup tooltip
 		this.setupTooltip();
+
+		// Setup accessibility
+		this.setupAria("button", this.game.bga.gameui.format_string(_("Campsite: ${t}, region ${r}"), {
+			t: this.getCampsiteTypeName(),
+			r: String(region),
+		}));
 	}
 
 	// ========== Public Methods ==========
@@ -51,6 +59,14 @@ export class Campsite extends GameElement {
 		this.setArg("active", b);
 	}
 
+	/**
+	 * Highlight or clear this campsite in a movement preview
+	 * @param b - True to highlight (default), false to clear
+	 */
+	public preview(b: boolean = true): void {
+		this.setArg("preview", b);
+	}
+
 	// ========== Private Helper Methods ==========
 
 	/**
@@ -65,6 +81,7 @@ export class Campsite extends GameElement {
 		if (this.args.active === true) {
 			switch (this.game.bga.gameui.gamedatas.gamestate.name) {
 				case 'Camp':
+					if (!this.game.touch.confirm(this)) break;
 					this.game.bga.actions.performAction('actCamp', {
 						campsite: this.args.location,
 					});
@@ -1,5 +1,6 @@
 import { GameElement } from "../../gameElement";
 import { Board } from "../board";
+import { Gift } from "../../cards/gift/gift";
 
 /**
  * Represents the gift card deck on the board
@@ -8,19 +9,150 @@ import { Board } from "../board";
  * When a player sends a postcard, they choose a gift card from the supply,
  * and the empty space is refilled from the deck.
  *
+ * Clicking the deck opens a reference of every gift kind: how many exist,
+ * how many are held by the players, face-up on the board or already used,
+ * and therefore how many are still in the deck.
+ *
  * Responsibilities:
  *  - Displaying the gift deck on the board
  *  - Serving as a visual reference for available gift cards
+ *  - Tracking the gift cards used by the players
+ *  - Displaying the remaining gift reference
+ *  - Providing the ARIA role and label
  */
 export class GiftDeck extends GameElement {
+	// ========== Static Properties ==========
+
+	/** Number of gift cards in the game */
+	private static readonly GIFT_COUNT: number = 25;
+
+	// ========== Properties ==========
+
+	/** Gift cards used by the players (removed from the game) */
+	private readonly used: Set<number>;
+
+	/** Reference popin (while shown) */
+	private dialog?: PopinDialog;
+
 	// ========== Constructor ==========
 
 	/**
 	 * Initialize the gift deck
 	 * @param parent - Parent Board instance
 	 * @param child_id - Element ID
+	 * @param used - Gift card IDs already used
 	 */
-	public constructor(parent: Board, child_id: number) {
+	public constructor(parent: Board, child_id: number, used: number[]) {
 		super(parent, child_id, "gift_deck");
+		this.used = new Set(used.map(Number));
+
+		// Register click handler
+		$(`postcards_${this.id}`).addEventListener('click', () => this.showReference());
+
+		// Setup tooltip
+		this.game.bga.gameui.addTooltipHtml(
+			`postcards_${this.id}`,
+			`<h3>${_("Gift deck")}</h3><p>${_("Click to see the remaining gifts")}</p>`
+		);
+
+		// Setup accessibility
+		this.setupAria("button", _("Gift deck"));
+	}
+
+	// ========== Public Methods ==========
+
+	/**
+	 * Mark a gift card as used or restore it (undo)
+	 * @param gift - Gift card ID
+	 * @param b - True to mark as used (default), false to restore
+	 */
+	public use(gift: number, b: boolean = true): void {
+		if (b) this.used.add(gift);
+		else this.used.delete(gift);
+	}
+
+	/**
+	 * Open the reference of the remaining gifts
+	 */
+	public showReference(): void {
+		this.dialog?.destroy();
+		this.dialog = new ebg.popindialog();
+		this.dialog.create('gift_reference');
+		this.dialog.setTitle(_("Gift cards"));
+		this.dialog.setContent(this.getReferenceHtml());
+		this.dialog.replaceCloseCallback(() => {
+			this.dialog?.destroy();
+			delete this.dialog;
+		});
+		this.dialog.show();
+	}
+
+	// ========== Protected Methods ==========
+
+	/**
+	 * The deck can always be clicked to open the reference
+	 * @returns True
+	 */
+	protected isEnabled(): boolean {
+		return true;
+	}
+
+	// ========== Private Helper Methods ==========
+
+	/**
+	 * Build the reference table
+	 *
+	 * Gift kinds are listed in card ID order. The cards in the deck are the
+	 * ones neither held, face-up nor used.
+	 *
+	 * @returns Reference HTML
+	 * @private
+	 */
+	private getReferenceHtml(): string {
+		const held = new Set<number>();
+		for (const p in this.game.c.player_area) {
+			for (const g in this.game.c.player_area[p].c.gift_player?.[0]?.c.gift ?? {}) held.add(Number(g));
+		}
+		const face_up = new Set(Object.keys(this.parent.c.gift ?? {}).map(Number));
+
+		const kinds = new Map<number, { total: number; held: number; face_up: number; used: number }>();
+		for (let gift = 1; gift <= GiftDeck.GIFT_COUNT; gift++) {
+			const type = Gift.getGiftType(gift);
+			const kind = kinds.get(type) ?? { total: 0, held: 0, face_up: 0, used: 0 };
+			kind.total++;
+			if (held.has(gift)) kind.held++;
+			else if (face_up.has(gift)) kind.face_up++;
+			else if (this.used.has(gift)) kind.used++;
+			kinds.set(type, kind);
+		}
+
+		let rows = "";
+		kinds.forEach((kind, type) => {
+			const deck = kind.total - kind.held - kind.face_up - kind.used;
+			rows += `<tr deck="${deck}">
+				<th>${Gift.getGiftName(type)}</th>
+				<td>${kind.total}</td>
+				<td>${kind.held}</td>
+				<td>${kind.face_up}</td>
+				<td>${kind.used}</td>
+				<td>${deck}</td>
+			</tr>`;
+		});
+
+		return `
+			<gift_reference>
+				<table>
+					<tr>
+						<td></td>
+						<th>${_("Total")}</th>
+						<th>${_("Players")}</th>
+						<th>${_("Face-up")}</th>
+						<th>${_("Used")}</th>
+						<th>${_("Deck")}</th>
+					</tr>
+					${rows}
+				</table>
+			</gift_reference>
+		`;
 	}
-}
\ No newline at end of file
+}
@@ -11,7 +11,10 @@ import { Board } from "../board";
  *  - Displaying region on the board
  *  - Managing biker presence indicator
  *  - Handling click interactions for region selection
+ *  - Selecting the destination of the route planner
+ *  - Previewing the movement destination on hover
  *  - Tracking region activation state
+ *  - Providing the ARIA role and label
  */
 export class Region extends GameElement {
 	// ========== Constructor ==========
@@ -27,6 +30,15 @@ export class Region extends GameElement {
 
 		// Register click handler
 		this.html.addEventListener('click', () => this.onClick());
+
+		// Setup accessibility (region 0 is not a playable region)
+		if (child_id !== 0) {
+			this.setupAria("button", this.game.bga.gameui.format_string(_("Region ${n}"), { n: String(type) }));
+		}
+
+		// Register movement preview handlers
+		this.html.addEventListener('mouseenter', () => this.onMouseEnter());
+		this.html.addEventListener('mouseleave', () => this.onMouseLeave());
 	}
 
 	// ========== Public Methods ==========
@@ -54,15 +66,46 @@ export class Region extends GameElement {
 	 * During Move phase:
 	 *  - Click: Move biker to this region
 	 * 
+	 * Otherwise (not a spectator):
+	 *  - Click: Plan a route to this region (click again to clear it)
+	 * 
 	 * @private
 	 */
 	private async onClick(): Promise<void> {
 		if (this.args.active === true) {
 			switch (this.game.bga.gameui.gamedatas.gamestate.name) {
 				case 'Move':
+					if (!this.game.touch.confirm(this)) break;
 					this.game.bga.actions.performAction('actMove', { region: this.args.type });
 					break;
 			}
+		} else if (this.child_id !== 0 && !this.game.bga.players.isCurrentPlayerSpectator()) {
+			(this.parent as Board).route_planner.plan(this.child_id);
+		}
+	}
+
+	/**
+	 * Handle region hover - previews the movement destination
+	 * 
+	 * During Move phase:
+	 *  - Hover: Highlight the free campsites of this region, the postcards
+	 *    that could be sent here and the souvenir spaces they would match
+	 * 
+	 * @private
+	 */
+	private onMouseEnter(): void {
+		if (this.args.active === true && this.game.bga.gameui.gamedatas.gamestate.name === 'Move') {
+			(this.parent as Board).previewRegion(this.args.type as number);
+		}
+	}
+
+	/**
+	 * Handle region hover end - clears the movement preview
+	 * @private
+	 */
+	private onMouseLeave(): void {
+		if (this.args.active === true) {
+			(this.parent as Board).clearRegionPreview();
 		}
 	}
 }
\ No newline at end of file
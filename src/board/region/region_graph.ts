@@ -0,0 +1,104 @@
+/**
+ * Region adjacency graph of the game board
+ *
+ * Mirrors the server side region adjacency (Regions::getNeighbouringRegions)
+ * and provides shortest path calculations between regions.
+ *
+ * Responsibilities:
+ *  - Storing the neighbouring regions of every region
+ *  - Calculating movement distances between regions
+ *  - Calculating shortest paths between regions
+ */
+export class RegionGraph {
+	// ========== Static Properties ==========
+
+	/** Neighbouring regions of each region (1-13) */
+	public static readonly NEIGHBOURS: Record<number, number[]> = {
+		1: [2, 3, 4, 10, 13],
+		2: [1, 3, 13],
+		3: [1, 2, 4],
+		4: [1, 3, 5, 10],
+		5: [4, 6, 8, 9, 10],
+		6: [5, 7, 8],
+		7: [6, 8],
+		8: [5, 6, 7, 9],
+		9: [5, 8, 10, 11],
+		10: [1, 4, 5, 9, 11, 13],
+		11: [9, 10, 12, 13],
+		12: [11, 13],
+		13: [1, 2, 10, 11, 12],
+	};
+
+	// ========== Public Methods ==========
+
+	/**
+	 * Get the neighbouring regions of a region
+	 * @param region - Region number (1-13)
+	 * @returns Array of neighbouring region numbers
+	 */
+	public static getNeighbours(region: number): number[] {
+		return RegionGraph.NEIGHBOURS[region] ?? [];
+	}
+
+	/**
+	 * Calculate the number of moves from a region to every region (breadth-first search)
+	 * @param from - Starting region number
+	 * @returns Distance by region number
+	 */
+	public static getDistances(from: number): Record<number, number> {
+		return RegionGraph.search(from).distances;
+	}
+
+	/**
+	 * Calculate the number of moves between two regions
+	 * @param from - Starting region number
+	 * @param to - Destination region number
+	 * @returns Number of moves, or Infinity if unreachable
+	 */
+	public static getDistance(from: number, to: number): number {
+		return RegionGraph.getDistances(from)[to] ?? Infinity;
+	}
+
+	/**
+	 * Calculate a shortest path between two regions
+	 * @param from - Starting region number
+	 * @param to - Destination region number
+	 * @returns Regions of the path, excluding the start and including the destination (empty if unreachable or identical)
+	 */
+	public static getShortestPath(from: number, to: number): number[] {
+		const previous = RegionGraph.search(from).previous;
+		const path: number[] = [];
+		if (from === to || previous[to] === undefined) return path;
+		for (let r = to; r !== from; r = previous[r]) {
+			path.unshift(r);
+		}
+		return path;
+	}
+
+	// ========== Private Helper Methods ==========
+
+	/**
+	 * Run a breadth-first search from a region
+	 * @param from - Starting region number
+	 * @returns Distances and predecessors by region number
+	 * @private
+	 */
+	private static search(from: number): { distances: Record<number, number>; previous: Record<number, number> } {
+		const distances: Record<number, number> = { [from]: 0 };
+		const previous: Record<number, number> = {};
+		const queue: number[] = [from];
+
+		while (queue.length > 0) {
+			const region = queue.shift()!;
+			for (const n of RegionGraph.getNeighbours(region)) {
+				if (distances[n] === undefined) {
+					distances[n] = distances[region] + 1;
+					previous[n] = region;
+					queue.push(n);
+				}
+			}
+		}
+
+		return { distances, previous };
+	}
+}
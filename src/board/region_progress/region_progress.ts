@@ -0,0 +1,80 @@
+import { GameElement } from "../../gameElement";
+import { Board } from "../board";
+
+/**
+ * Represents the Best Traveler progress marker of a region
+ *
+ * Shown over a region when the Best Traveler overlay is enabled, it lists how
+ * many campsites of the region each player occupies. A region where a player
+ * is one camp away from becoming the Best Traveler is flagged, and a region
+ * already won keeps a badge in the winner's color even when the overlay is off.
+ *
+ * Responsibilities:
+ *  - Displaying camp counts per player compared with the region's campsites
+ *  - Flagging regions one camp away from Best Traveler
+ *  - Displaying the Best Traveler badge of won regions
+ */
+export class RegionProgress extends GameElement {
+	// ========== Constructor ==========
+
+	/**
+	 * Initialize the progress marker of a region
+	 * @param parent - Parent Board instance
+	 * @param child_id - Region number (1-13)
+	 * @param total - Number of campsites in the region
+	 */
+	public constructor(parent: Board, child_id: number, total: number) {
+		super(parent, child_id, "region_progress", { region: child_id, total, near: "", won: "" });
+	}
+
+	// ========== Public Methods ==========
+
+	/**
+	 * Update the marker from the camps in the region
+	 *
+	 * A player is one camp away when they hold all but one campsite of the
+	 * region and the last campsite is still free.
+	 *
+	 * @param camps - Number of camps in the region by player color
+	 */
+	public update(camps: Record<string, number>): void {
+		const total = this.args.total as number;
+		const occupied = Object.values(camps).reduce((a, b) => a + b, 0);
+		let near = "";
+		let won = "";
+		let html = "";
+
+		for (const color in camps) {
+			if (camps[color] === total) won = color;
+			else if (camps[color] === total - 1 && occupied === total - 1) near = color;
+			html += `<region_progress_player color="${color}">${camps[color]}</region_progress_player>`;
+		}
+		html += `<region_progress_total>/${total}</region_progress_total>`;
+
+		this.html.innerHTML = html;
+		this.setArg("near", near);
+		this.setArg("won", won);
+		this.setupTooltip();
+	}
+
+	// ========== Private Helper Methods ==========
+
+	/**
+	 * Setup tooltip with the region's Best Traveler status
+	 * @private
+	 */
+	private setupTooltip(): void {
+		let status = "";
+		if (this.args.won !== "") status = `<p>${_("This region already has its Best Traveler.")}</p>`;
+		else if (this.args.near !== "") status = `<p>${_("A player is only one camp away from becoming the Best Traveler in this region!")}</p>`;
+
+		this.game.bga.gameui.addTooltipHtml(
+			`postcards_${this.id}`,
+			`<tooltip>
+				<h3>${_("Best Traveler In The Region")}</h3>
+				<p>${_("If a player manages to place their Camp tokens on ALL the campsites in a region, they become known as the best traveler in that region! That player immediately scores 1 point per Camp token they have placed there.")}</p>
+				${status}
+			</tooltip>`
+		);
+	}
+}
@@ -0,0 +1,168 @@
+import { Game } from "../../game";
+import { Board } from "../board";
+import { Region } from "../region/region";
+import { RegionGraph } from "../region/region_graph";
+import { RouteStep } from "./route_step/route_step";
+import { Travel } from "../../cards/travel/travel";
+import { TravelOption } from "../../cards/travel/travel_option/travel_option";
+import { Gift } from "../../cards/gift/gift";
+
+/**
+ * Plans the current player's route to a destination region
+ *
+ * The player picks a destination by clicking a region; the shortest path from
+ * their Biker is highlighted and every step is annotated with the movement
+ * resource it would use. The plan is kept across successive Move states and
+ * recalculated after every move until the destination is reached.
+ *
+ * Responsibilities:
+ *  - Storing the planned destination
+ *  - Highlighting the shortest path on the board
+ *  - Assigning available movement resources to the steps of the path
+ */
+export class RoutePlanner {
+	// ========== Properties ==========
+
+	/** Reference to the main Game instance */
+	private readonly game: Game;
+
+	/** Board the route is displayed on */
+	private readonly board: Board;
+
+	/** Planned destination region (null if no plan) */
+	public destination: number | null = null;
+
+	// ========== Constructor ==========
+
+	/**
+	 * Initialize the route planner
+	 * @param board - Board the route is displayed on
+	 */
+	public constructor(board: Board) {
+		this.board = board;
+		this.game = board.game;
+	}
+
+	// ========== Public Methods ==========
+
+	/**
+	 * Plan a route to a region, or clear the plan when the region is already the destination
+	 * @param region - Destination region number
+	 */
+	public plan(region: number): void {
+		this.destination = region === this.destination ? null : region;
+		this.update();
+	}
+
+	/**
+	 * Clear the planned route
+	 */
+	public clear(): void {
+		this.destination = null;
+		this.update();
+	}
+
+	/**
+	 * Recalculate and redisplay the planned route from the current Biker position
+	 *
+	 * The plan is cleared once the Biker reaches the destination.
+	 */
+	public update(): void {
+		this.removeRoute();
+		if (this.destination === null) return;
+
+		const biker = Number(this.board.c.biker[this.game.bga.gameui.player_id].args.location);
+		if (biker === this.destination) {
+			this.destination = null;
+			return;
+		}
+
+		const path = RegionGraph.getShortestPath(biker, this.destination);
+		const resources = this.getMoveResources();
+		path.forEach((region, i) => {
+			const resource = resources[i] ?? "next_turn";
+			new RouteStep(this.board, region, i + 1, resource, this.getResourceLabel(resource));
+			(this.board.c.region[region] as Region).setArg("route", region === this.destination ? "destination" : "path");
+		});
+	}
+
+	// ========== Private Helper Methods ==========
+
+	/**
+	 * Remove the displayed route from the board
+	 * @private
+	 */
+	private removeRoute(): void {
+		for (const r in this.board.c.route_step) {
+			this.board.c.route_step[r].html.remove();
+		}
+		delete this.board.c.route_step;
+		for (const r in this.board.c.region) {
+			(this.board.c.region[r] as Region).setArg("route", false);
+		}
+	}
+
+	/**
+	 * List the movement resources available to the current player, in the order they would be used
+	 *
+	 * Order:
+	 *  - The movement being performed (during a Move state)
+	 *  - Unused Movement Travel cards in hand
+	 *  - Movement bonus actions (move_bonus_counter)
+	 *  - Car gift cards (3 moves each)
+	 *  - Road Map gift cards (1 move each)
+	 *
+	 * @returns Array of resource names, one per move
+	 * @private
+	 */
+	private getMoveResources(): string[] {
+		const res: string[] = [];
+		const playerArea = this.game.c.player_area[this.game.bga.gameui.player_id];
+		const active = this.game.bga.players.isCurrentPlayerActive();
+
+		if (active && this.game.bga.gameui.gamedatas.gamestate.name === 'Move') {
+			res.push("current");
+		}
+
+		for (const t in playerArea.c.hand?.[0]?.c.travel) {
+			const travel = playerArea.c.hand[0].c.travel[t] as Travel;
+			if (travel.getOptionType() === 1 && !this.game.used_travels.includes(travel.child_id)) {
+				res.push("travel");
+			}
+		}
+
+		const bonus = (playerArea.c.bonus_actions?.[0]?.c.travel_option[1] as TravelOption | undefined)?.counter?.getValue() ?? 0;
+		for (let i = 0; i < bonus; i++) res.push("bonus");
+
+		for (const g in playerArea.c.gift_player[0].c.gift) {
+			if (Gift.getGiftType(Number(g)) === Gift.CAR) res.push("car", "car", "car");
+		}
+		for (const g in playerArea.c.gift_player[0].c.gift) {
+			if (Gift.getGiftType(Number(g)) === Gift.ROAD_MAP) res.push("road_map");
+		}
+
+		return res;
+	}
+
+	/**
+	 * Get the localized label of a movement resource
+	 * @param resource - Resource name
+	 * @returns Localized label
+	 * @private
+	 */
+	private getResourceLabel(resource: string): string {
+		switch (resource) {
+			case "current":
+				return _("This move");
+			case "travel":
+				return _("Travel card");
+			case "bonus":
+				return _("Bonus action");
+			case "car":
+				return _("Car");
+			case "road_map":
+				return _("Road Map");
+		}
+		return _("Next turn");
+	}
+}
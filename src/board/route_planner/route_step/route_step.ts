@@ -0,0 +1,28 @@
+import { GameElement } from "../../../gameElement";
+import { Board } from "../../board";
+
+/**
+ * Represents one step of the planned route on the board
+ *
+ * Displayed over a region of the planned route, showing the step number and
+ * the movement resource (Travel card, Bonus action, Car...) it would use.
+ *
+ * Responsibilities:
+ *  - Displaying the step number and the movement resource of a route step
+ */
+export class RouteStep extends GameElement {
+	// ========== Constructor ==========
+
+	/**
+	 * Initialize a route step marker
+	 * @param parent - Parent Board instance
+	 * @param child_id - Region number of the step
+	 * @param step - Step number (1 = first move)
+	 * @param resource - Movement resource used by the step
+	 * @param label - Localized label of the movement resource
+	 */
+	public constructor(parent: Board, child_id: number, step: number, resource: string, label: string) {
+		super(parent, child_id, "route_step", { region: child_id, step, resource, overlay: true });
+		this.html.innerHTML = `<route_step_number>${step}</route_step_number><span>${label}</span>`;
+	}
+}
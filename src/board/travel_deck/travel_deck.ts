@@ -11,6 +11,7 @@ import { Board } from "../board";
  *  - Displaying the travel deck on the board
  *  - Handling click interactions for deck drawing
  *  - Tracking activation state for player interaction
+ *  - Providing the ARIA role and label
  */
 export class TravelDeck extends GameElement {
 	// ========== Constructor ==========
@@ -25,6 +26,9 @@ export class TravelDeck extends GameElement {
 
 		// Register click handler
 		$(`postcards_${this.id}`).addEventListener('click', () => this.onClick());
+
+		// Setup accessibility
+		this.setupAria("button", _("Travel deck"));
 	}
 
 	// ========== Public Methods ==========
@@ -43,7 +47,7 @@ export class TravelDeck extends GameElement {
 	 * Handle travel deck click - draws card from deck when clicked
 	 *
 	 * During Travel phase:
-	 *  - Click: Draw card from travel deck
+	 *  - Click: Draw card from travel deck (second tap in touch mode)
 	 *
 	 * @private
 	 */
@@ -51,6 +55,7 @@ export class TravelDeck extends GameElement {
 		if (this.game.bga.players.isCurrentPlayerActive() && this.args.active === true) {
 			switch (this.game.bga.gameui.gamedatas.gamestate.name) {
 				case 'Travel':
+					if (!this.game.touch.confirm(this)) break;
 					this.game.bga.actions.performAction('actTravelDeck');
 					break;
 			}
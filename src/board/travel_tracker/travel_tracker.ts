@@ -0,0 +1,178 @@
+import { GameElement } from "../../gameElement";
+import { Board } from "../board";
+import { Travel } from "../../cards/travel/travel";
+
+/**
+ * Represents the Travel deck composition tracker next to the travel deck
+ *
+ * The action type and stamp color of a Travel card come from its ID, so the
+ * makeup of the 72 cards (6 of each action and color pair) is known. The
+ * tracker lists how many cards of each action type and each color are still
+ * unseen: not in the current player's hand, not in the face-up supply, not
+ * played during the current turn and not in the discard pile.
+ *
+ * The discard pile is sent with the game data, then followed through the
+ * discard counter: the cards played during the turn are added when it goes
+ * up, removed again when a discard is undone and cleared on reshuffle.
+ *
+ * The odds of drawing each color from the deck are the unseen cards of that
+ * color over all unseen cards, as the cards in the other players' hands are
+ * unknown too.
+ *
+ * Responsibilities:
+ *  - Following the discard pile and the cards played during the turn
+ *  - Counting the unseen cards by action type and color
+ *  - Displaying the composition panel and its toggle
+ */
+export class TravelTracker extends GameElement {
+	// ========== Static Properties ==========
+
+	/** Number of cards of each action type and color pair */
+	private static readonly CARDS_PER_TYPE: number = 6;
+
+	// ========== Properties ==========
+
+	/** Travel cards in the discard pile */
+	private discarded: Set<number>;
+
+	/** Travel cards played during the current turn */
+	private played: number[] = [];
+
+	/** Travel cards added to the discard pile by the last discard (restored on undo) */
+	private last_discard: number[] = [];
+
+	// ========== Constructor ==========
+
+	/**
+	 * Initialize the tracker
+	 * @param parent - Parent Board instance
+	 * @param child_id - Element ID
+	 * @param discard - Travel cards in the discard pile
+	 */
+	public constructor(parent: Board, child_id: number, discard: number[]) {
+		super(parent, child_id, "travel_tracker", { open: false, overlay: true });
+		this.discarded = new Set(discard.map(Number));
+
+		this.html.innerHTML = `
+			<travel_tracker_toggle id="travel_tracker_toggle"></travel_tracker_toggle>
+			<travel_tracker_panel></travel_tracker_panel>
+		`;
+		this.html.querySelector('travel_tracker_toggle')!.addEventListener('click', () => this.show(this.args.open !== true));
+		this.game.bga.gameui.addTooltipHtml(
+			"travel_tracker_toggle",
+			`<h3>${_("Show/hide unseen Travel cards")}</h3>`
+		);
+		this.show(localStorage.getItem('postcards-travel-tracker') === 'true');
+	}
+
+	// ========== Public Methods ==========
+
+	/**
+	 * Show or hide the composition panel
+	 *
+	 * Saves the choice in local storage to persist across page reloads.
+	 *
+	 * @param b - True to show, false to hide
+	 */
+	public show(b: boolean): void {
+		this.setArg("open", b);
+		localStorage.setItem('postcards-travel-tracker', String(b));
+		this.update();
+	}
+
+	/**
+	 * Set the Travel cards played during the current turn
+	 * @param travels - Travel card IDs (empty between turns)
+	 */
+	public setPlayed(travels: number[]): void {
+		this.played = travels.map(Number);
+		this.update();
+	}
+
+	/**
+	 * Follow a change of the discard counter
+	 *
+	 * The counter goes up when the played cards are discarded at the end of
+	 * the turn, down when that discard is undone, and to 0 when the discard
+	 * pile is reshuffled into the deck.
+	 *
+	 * @param value - New discard counter value
+	 * @param inc - Change of the counter
+	 */
+	public setDiscardCount(value: number, inc: number): void {
+		if (value === 0) {
+			this.discarded.clear();
+			this.last_discard = [];
+		} else if (inc > 0) {
+			this.last_discard = this.played.filter((t) => !this.discarded.has(t));
+			this.last_discard.forEach((t) => this.discarded.add(t));
+		} else if (inc < 0) {
+			this.last_discard.forEach((t) => this.discarded.delete(t));
+			this.last_discard = [];
+		}
+		this.update();
+	}
+
+	/**
+	 * Refresh the composition panel (while shown)
+	 */
+	public update(): void {
+		if (this.args.open !== true) return;
+
+		const unseen = this.getUnseen();
+		const total = unseen.length;
+		const count = (action: number | null, color: number | null) => unseen.filter((t) =>
+			(action === null || Math.floor((t - 1) / 24) + 1 === action) &&
+			(color === null || (Math.floor((t - 1) / 6) % 4) + 1 === color)
+		).length;
+
+		let rows = `<tr><td></td>`;
+		for (let color = 1; color <= 4; color++) {
+			rows += `<th><travel_tracker_color color="${color}" title="${Travel.getColorName(color)}"></travel_tracker_color></th>`;
+		}
+		rows += `<th>${_("Total")}</th></tr>`;
+		for (let action = 1; action <= 3; action++) {
+			rows += `<tr><th>${Travel.getActionName(action)}</th>`;
+			for (let color = 1; color <= 4; color++) {
+				rows += `<td>${count(action, color)}<small>/${TravelTracker.CARDS_PER_TYPE}</small></td>`;
+			}
+			rows += `<td>${count(action, null)}</td></tr>`;
+		}
+		rows += `<tr total="true"><th>${_("Total")}</th>`;
+		for (let color = 1; color <= 4; color++) {
+			rows += `<td>${count(null, color)}</td>`;
+		}
+		rows += `<td>${total}</td></tr>`;
+		rows += `<tr odds="true"><th>${_("Draw odds")}</th>`;
+		for (let color = 1; color <= 4; color++) {
+			rows += `<td>${total === 0 ? "-" : Math.round((count(null, color) / total) * 100) + "%"}</td>`;
+		}
+		rows += `<td></td></tr>`;
+
+		this.html.querySelector('travel_tracker_panel')!.innerHTML = `
+			<h3>${_("Unseen Travel cards")}</h3>
+			<table>${rows}</table>
+			<p>${_("Cards not in your hand, in the supply, played this turn or seen discarded.")}</p>
+		`;
+	}
+
+	// ========== Private Helper Methods ==========
+
+	/**
+	 * Get the Travel cards the current player has not seen
+	 * @returns Unseen Travel card IDs
+	 * @private
+	 */
+	private getUnseen(): number[] {
+		const seen = new Set<number>([...this.discarded, ...this.played]);
+		for (const t in this.parent.c.travel) seen.add(Number(t));
+		const hand = this.game.c.player_area?.[this.game.bga.gameui.player_id]?.c.hand?.[0];
+		for (const t in hand?.c.travel ?? {}) seen.add(Number(t));
+
+		const res: number[] = [];
+		for (let t = 1; t <= 12 * TravelTracker.CARDS_PER_TYPE; t++) {
+			if (!seen.has(t)) res.push(t);
+		}
+		return res;
+	}
+}
@@ -1,6 +1,8 @@
 import { GameElement } from "../../gameElement";
 import { Board } from "../../board/board";
 import { GiftPlayer } from "../../player_area/gift_player/gift_player";
+import { PlayerArea } from "../../player_area/player_area";
+import { GiftBadge } from "./gift_badge/gift_badge";
 
 /**
  * Represents a single gift card in the game
@@ -13,8 +15,42 @@ import { GiftPlayer } from "../../player_area/gift_player/gift_player";
  *  - Handling click interactions for gift selection and usage
  *  - Managing gift type and location tracking
  *  - Providing tooltip with gift effects and scoring rules
+ *  - Displaying scoring progress of end-game gifts held by a player
+ *  - Providing the ARIA role and label
  */
 export class Gift extends GameElement {
+	// ========== Static Properties ==========
+
+	/** Keychain points by number of camps on the matching campsite type */
+	public static readonly KEYCHAIN_POINTS: number[] = [0, 1, 3, 6, 10, 14, 20];
+
+	/** Snow globe points by number of snow globe cards */
+	public static readonly SNOW_GLOBE_POINTS: number[] = [0, 3, 6, 12, 18];
+
+	/** Campsite type scored by each keychain gift type (indexed by gift type, see getGiftType) */
+	public static readonly KEYCHAIN_CAMPSITE_TYPES: Record<number, number> = {
+		1: 8,
+		2: 4,
+		3: 7,
+		4: 1,
+		6: 2,
+		7: 3,
+		8: 6,
+		9: 5,
+	};
+
+	/** Gift type of the Snow Globes */
+	public static readonly SNOW_GLOBE: number = 5;
+
+	/** Gift type of the Caravan */
+	public static readonly CARAVAN: number = 10;
+
+	/** Gift type of the Road Maps */
+	public static readonly ROAD_MAP: number = 11;
+
+	/** Gift type of the Cars */
+	public static readonly CAR: number = 12;
+
 	// ========== Constructor ==========
 
 	/**
@@ -38,10 +74,13 @@ export class Gift extends GameElement {
 		$(`postcards_${this.id}`).addEventListener('click', () => this.onClick());
 
 		// Set gift type based on ID
-		this.setArg("type", this.getGiftType());
+		this.setArg("type", Gift.getGiftType(this.child_id));
 
 		// Setup tooltip
 		this.setupTooltip();
+
+		// Setup accessibility
+		this.setupAria("button", this.game.bga.gameui.format_string(_("Gift card: ${name}"), { name: Gift.getGiftName(this.args.type as number) }));
 	}
 
 	// ========== Public Methods ==========
@@ -54,31 +93,59 @@ export class Gift extends GameElement {
 		this.setArg("active", b);
 	}
 
-	// ========== Private Helper Methods ==========
-
 	/**
-	 * Handle gift card click - manages interaction based on context
-	 * 
-	 * During Gift phase: Select gift card from board supply
-	 * During Action phase: Use gift card action from player area
+	 * Update the scoring progress badge of this gift
 	 * 
-	 * @private
+	 * Only end-game scoring gifts held by a player get a badge:
+	 *  - Keychain: camps on the matching campsite type, current points and the value of the next camp
+	 *  - Snow Globe: number of Snow Globes held and their value
+	 *  - Caravan: number of regions with at least 2 camps and their value
 	 */
-	private async onClick(): Promise<void> {
-		if (this.game.bga.players.isCurrentPlayerActive() && this.args.active === true) {
-			switch (this.game.bga.gameui.gamedatas.gamestate.name) {
-				case 'Gift':
-					if (this.parent instanceof Board) {
-						this.game.bga.actions.performAction('actGift', { gift: this.child_id });
-					}
-					break;
-				case 'Action':
-					if (this.parent instanceof GiftPlayer) {
-						this.game.bga.actions.performAction('actActionGift', {
-							gift: this.child_id,
-						});
-					}
-			}
+	public updateBadge(): void {
+		if (!(this.parent instanceof GiftPlayer)) return;
+		const player_id = (this.parent.parent as PlayerArea).player_id;
+		const board = this.game.c.board[0] as Board;
+		let kind: string;
+		let content: string;
+
+		const gift_type = Gift.getGiftType(this.child_id);
+		const type = Gift.KEYCHAIN_CAMPSITE_TYPES[gift_type];
+		if (type !== undefined) {
+			const count = Math.min(board.getCampCount(player_id, type), 6);
+			const points = Gift.KEYCHAIN_POINTS[count];
+			kind = "keychain";
+			content = `<span>${this.game.bga.gameui.format_string(_("${n} camps: ${points} pts"), {
+				n: String(count),
+				points: String(points),
+			})}</span><span>${
+				count < 6
+					? this.game.bga.gameui.format_string(_("Next camp: +${points}"), {
+						points: String(Gift.KEYCHAIN_POINTS[count + 1] - points),
+					})
+					: _("Maximum reached")
+			}</span>`;
+		} else if (gift_type === Gift.SNOW_GLOBE) {
+			const count = Math.min(Object.keys(this.parent.c.gift).filter((g) => Gift.getGiftType(Number(g)) === Gift.SNOW_GLOBE).length, 4);
+			kind = "snow_globe";
+			content = `<span>${this.game.bga.gameui.format_string(_("${n} Snow Globes: ${points} pts"), {
+				n: String(count),
+				points: String(Gift.SNOW_GLOBE_POINTS[count]),
+			})}</span>`;
+		} else if (gift_type === Gift.CARAVAN) {
+			const count = Object.values(board.getCampsByRegion(player_id)).filter((n) => n >= 2).length;
+			kind = "caravan";
+			content = `<span>${this.game.bga.gameui.format_string(_("${n} regions: ${points} pts"), {
+				n: String(count),
+				points: String(count * 2),
+			})}</span>`;
+		} else {
+			return;
+		}
+
+		if (this.c.gift_badge?.[0] !== undefined) {
+			(this.c.gift_badge[0] as GiftBadge).update(content);
+		} else {
+			new GiftBadge(this, 0, kind, content);
 		}
 	}
 
@@ -94,11 +161,11 @@ export class Gift extends GameElement {
 	 *  - 22-23: Hiking Guide
 	 *  - 24-25: Stamp Collection
 	 * 
+	 * @param gift - Gift card ID
 	 * @returns Gift type number
-	 * @private
 	 */
-	private getGiftType(): number {
-		switch (this.child_id) {
+	public static getGiftType(gift: number): number {
+		switch (gift) {
 			case 1:
 				return 1;
 			case 2:
@@ -144,6 +211,58 @@ export class Gift extends GameElement {
 		return 0;
 	}
 
+	/**
+	 * Get the name of a gift type
+	 * @param type - Gift type (see getGiftType)
+	 * @returns Localized gift name (with the campsite type for Keychains)
+	 */
+	public static getGiftName(type: number): string {
+		switch (type) {
+			case 5:
+				return _("Snow Globe");
+			case 10:
+				return _("Caravan");
+			case 11:
+				return _("Road Map");
+			case 12:
+				return _("Car");
+			case 13:
+				return _("Hiking Guide");
+			case 14:
+				return _("Stamp Collection");
+		}
+		return `${_("Keychain")} (${Gift.getKeyType(type)})`;
+	}
+
+	// ========== Private Helper Methods ==========
+
+	/**
+	 * Handle gift card click - manages interaction based on context
+	 * 
+	 * During Gift phase: Select gift card from board supply
+	 * During Action phase: Use gift card action from player area
+	 * 
+	 * @private
+	 */
+	private async onClick(): Promise<void> {
+		if (this.game.bga.players.isCurrentPlayerActive() && this.args.active === true) {
+			switch (this.game.bga.gameui.gamedatas.gamestate.name) {
+				case 'Gift':
+					if (this.parent instanceof Board) {
+						if (!this.game.touch.confirm(this)) break;
+						this.game.bga.actions.performAction('actGift', { gift: this.child_id });
+					}
+					break;
+				case 'Action':
+					if (this.parent instanceof GiftPlayer) {
+						this.game.bga.actions.performAction('actActionGift', {
+							gift: this.child_id,
+						});
+					}
+			}
+		}
+	}
+
 	/**
 	 * Setup tooltip with gift information and effects
 	 * 
@@ -194,7 +313,7 @@ export class Gift extends GameElement {
 					<p>${this.game.bga.gameui.format_string(
 						_("<b>At the end of the game:</b> if you have 1/2/3/4/5/6 camps on ${t} type of campsite, score 1/3/6/10/14/20 points."),
 						{
-							t: this.getKeyType(),
+							t: Gift.getKeyType(this.args.type as number),
 						}
 					)}</p>
 					<p>${_("<b>BGA tip:</b> you can see the number of Camps by clicking on the small Book icon in the bottom-left corner of the screen.")}</p>`;
@@ -225,11 +344,12 @@ export class Gift extends GameElement {
 	 * 
 	 * Used for Keychain gifts to display which campsite type grants scoring.
 	 * 
+	 * @param type - Gift type (see getGiftType)
 	 * @returns Localized campsite type name
 	 * @private
 	 */
-	private getKeyType(): string {
-		switch (this.args.type) {
+	private static getKeyType(type: number): string {
+		switch (type) {
 			case 1:
 				return _("Beach");
 			case 2:
@@ -0,0 +1,38 @@
+import { GameElement } from "../../../gameElement";
+import { Gift } from "../gift";
+
+/**
+ * Represents the scoring progress badge shown on a gift card
+ *
+ * Displayed on end-game scoring gifts (Keychain, Snow Globe, Caravan) held by
+ * a player, summarizing how many points the gift is currently worth.
+ *
+ * Responsibilities:
+ *  - Displaying the current scoring progress of the gift
+ *  - Updating its content when the progress changes
+ */
+export class GiftBadge extends GameElement {
+	// ========== Constructor ==========
+
+	/**
+	 * Initialize a gift badge
+	 * @param parent - Parent Gift instance
+	 * @param child_id - Element ID
+	 * @param kind - Badge kind for styling ("keychain", "snow_globe" or "caravan")
+	 * @param content - HTML content of the badge
+	 */
+	public constructor(parent: Gift, child_id: number, kind: string, content: string) {
+		super(parent, child_id, "gift_badge", { kind });
+		this.update(content);
+	}
+
+	// ========== Public Methods ==========
+
+	/**
+	 * Update the content of the badge
+	 * @param content - HTML content of the badge
+	 */
+	public update(content: string): void {
+		this.html.innerHTML = content;
+	}
+}
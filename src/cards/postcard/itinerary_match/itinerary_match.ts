@@ -0,0 +1,55 @@
+import { GameElement } from "../../../gameElement";
+import { Postcard } from "../postcard";
+
+/**
+ * Represents the itinerary match marker shown on a postcard
+ *
+ * Marks a postcard whose region is still missing from the current player's
+ * itinerary card, showing which circle it would fill and how many extra
+ * points sending it would add.
+ *
+ * Responsibilities:
+ *  - Displaying the itinerary circle the postcard would fill
+ *  - Displaying the extra itinerary points
+ *  - Providing tooltip with the match explanation
+ */
+export class ItineraryMatch extends GameElement {
+	// ========== Constructor ==========
+
+	/**
+	 * Initialize an itinerary match marker on a postcard
+	 * @param parent - Parent Postcard instance
+	 * @param child_id - Element ID
+	 * @param circle - Itinerary circle the postcard would fill (1-4)
+	 * @param points - Extra itinerary points the postcard would add
+	 */
+	public constructor(parent: Postcard, child_id: number, circle: number, points: number) {
+		super(parent, child_id, "itinerary_match", { circle, points });
+		this.html.innerHTML = `<itinerary_match_circle>${circle}</itinerary_match_circle>+${points}`;
+
+		// Setup tooltip
+		this.setupTooltip();
+	}
+
+	// ========== Private Helper Methods ==========
+
+	/**
+	 * Setup tooltip with itinerary match information
+	 * @private
+	 */
+	private setupTooltip(): void {
+		this.game.bga.gameui.addTooltipHtml(
+			`postcards_${this.id}`,
+			`<tooltip>
+				<h3>${_("Itinerary Match")}</h3>
+				<p>${this.game.bga.gameui.format_string(
+					_("Sending this Postcard would fill circle ${circle} of your Itinerary card and add ${points} points at the end of the game."),
+					{
+						circle: String(this.args.circle),
+						points: String(this.args.points),
+					}
+				)}</p>
+			</tooltip>`
+		);
+	}
+}
@@ -2,11 +2,14 @@ import { PostcardSupply } from "../../postcard_supply/postcard_supply";
 import { PostcardGuide } from "../../postcard_guide/postcard_guide";
 import { PostcardPlayer } from "../../player_area/postcard_player/postcard_player";
 import { GameElement } from "../../gameElement";
-import { Game } from "../../game";
 import { Souvenir } from "./souvenir/souvenir";
 import { SouvenirSpace } from "./souvenir_selector/souvenir_space";
 import { Stamp } from "./stamp/stamp";
 import { StampSpace } from "./stamp_selector/stamp_space";
+import { ItineraryMatch } from "./itinerary_match/itinerary_match";
+import { PostcardDistance } from "./postcard_distance/postcard_distance";
+import { RegionGraph } from "../../board/region/region_graph";
+import { Itinerary } from "../../player_area/itinerary/itinerary";
 
 /**
  * Represents a single postcard in the game
@@ -19,8 +22,11 @@ import { StampSpace } from "./stamp_selector/stamp_space";
  *  - Displaying postcard with region and stamp information
  *  - Managing stamp and souvenir placement spaces
  *  - Handling postcard selection and interaction
+ *  - Marking postcards that would advance the current player's itinerary
+ *  - Displaying the distance of the current player's biker to the postcard's region
  *  - Managing postcard animations (adding stamps, souvenirs)
  *  - Providing tooltip with detailed card information
+ *  - Providing the ARIA role and label
  */
 export class Postcard extends GameElement {
 	// ========== Constructor ==========
@@ -49,6 +55,9 @@ export class Postcard extends GameElement {
 		// Register click handler
 		this.html.addEventListener('click', () => this.onClick());
 
+		// Setup accessibility
+		this.setupAria("button", _("Postcard (face down)"));
+
 		// Setup face-up display or tooltip for face-down
 		if (face) {
 			this.setupFace(data?.stamps, data?.souvenirs);
@@ -67,6 +76,109 @@ export class Postcard extends GameElement {
 		this.setArg("active", b);
 	}
 
+	/**
+	 * Highlight or clear this postcard in a movement preview
+	 * @param b - True to highlight (default), false to clear
+	 */
+	public preview(b: boolean = true): void {
+		this.setArg("preview", b);
+	}
+
+	/**
+	 * Check whether all the stamp spaces of this postcard are filled
+	 * @returns True if the postcard has all its stamps
+	 */
+	public hasAllStamps(): boolean {
+		return Object.keys(this.c.stamp ?? {}).length === Object.keys(this.c.stamp_space ?? {}).length;
+	}
+
+	/**
+	 * Get the region of this postcard
+	 * @returns Region number (1-13)
+	 */
+	public getRegion(): number {
+		return Postcard.getPostcardRegion(this.args.type as number);
+	}
+
+	/**
+	 * Get the region of a postcard
+	 * @param postcard - Postcard ID
+	 * @returns Region number (1-13)
+	 */
+	public static getPostcardRegion(postcard: number): number {
+		return Math.floor((postcard - 1) / 4) + 1;
+	}
+
+	/**
+	 * Get the number of stamps required to send a postcard
+	 * @param postcard - Postcard ID
+	 * @returns Number of stamp spaces (3-6)
+	 */
+	public static getStampCount(postcard: number): number {
+		return Postcard.getStampSpaces(postcard).length;
+	}
+
+	/**
+	 * Get the stamp spaces of a postcard
+	 * 
+	 * Different postcard types have different stamp spaces:
+	 *  - Type 0 (mod 4): 3 spaces
+	 *  - Type 1 (mod 4): 4 spaces
+	 *  - Type 2 (mod 4): 5 spaces
+	 *  - Type 3 (mod 4): 6 spaces
+	 * 
+	 * @param postcard - Postcard ID
+	 * @returns Stamp space locations (1-6)
+	 */
+	public static getStampSpaces(postcard: number): number[] {
+		switch ((postcard - 1) % 4) {
+			case 0:
+				return [1, 2, 3];
+			case 1:
+				return [2, 3, 5, 6];
+			case 2:
+				return [1, 2, 3, 5, 6];
+			case 3:
+				return [1, 2, 3, 4, 5, 6];
+		}
+		return [];
+	}
+
+	/**
+	 * Update the itinerary match marker of this postcard
+	 * 
+	 * Shows the circle this postcard would fill on the given itinerary and the
+	 * extra points it would add, or removes the marker if it would add nothing.
+	 * 
+	 * @param itinerary - Itinerary card to match against
+	 */
+	public updateItineraryMatch(itinerary: Itinerary): void {
+		const circle = itinerary.getMatchingCircle(this.getRegion());
+		const points = itinerary.getMatchPoints(this.getRegion());
+		const current = this.c.itinerary_match?.[0] as ItineraryMatch | undefined;
+
+		if (current !== undefined && (circle === undefined || current.args.circle !== circle.child_id || current.args.points !== points)) {
+			current.html.remove();
+			delete this.c.itinerary_match;
+		}
+		if (circle !== undefined && this.c.itinerary_match === undefined) {
+			new ItineraryMatch(this, 0, circle.child_id, points);
+		}
+	}
+
+	/**
+	 * Update the biker distance marker of this postcard
+	 * @param biker - Region of the current player's biker
+	 */
+	public updateDistance(biker: number): void {
+		const distance = RegionGraph.getDistance(biker, this.getRegion());
+		if (this.c.postcard_distance?.[0] !== undefined) {
+			(this.c.postcard_distance[0] as PostcardDistance).update(distance);
+		} else {
+			new PostcardDistance(this, 0, distance);
+		}
+	}
+
 	/**
 	 * Setup face-up display with stamps, souvenirs, and spaces
 	 * 
@@ -75,7 +187,7 @@ export class Postcard extends GameElement {
 	 *  - Creates souvenir space indicators
 	 *  - Creates stamp tokens from initial data
 	 *  - Creates stamp space indicators based on postcard type
-	 *  - Sets up tooltip
+	 *  - Sets up tooltip and accessible label
 	 * 
 	 * @param stamps - Array of initial stamp locations
 	 * @param souvenirs - Array of initial souvenir locations
@@ -101,6 +213,11 @@ export class Postcard extends GameElement {
 
 		// Setup tooltip
 		this.setupTooltip();
+
+		this.setAriaLabel(this.game.bga.gameui.format_string(_("Postcard: region ${r}, ${n} stamps"), {
+			r: String(this.getRegion()),
+			n: String(Postcard.getStampCount(this.args.type as number)),
+		}));
 	}
 
 	/**
@@ -116,7 +233,7 @@ export class Postcard extends GameElement {
 		return await this.game.animationManager.slideIn(
 			this.c.souvenir[location].html,
 			this.game.c.board[0].c.stamp_supply[0].html,
-			{
+			this.game.animationProfile.settings({
 				duration: 800,
 				fromPlaceholder: "off",
 				toPlaceholder: "off",
@@ -130,7 +247,7 @@ export class Postcard extends GameElement {
 						],
 					},
 				],
-			}
+			})
 		);
 	}
 
@@ -144,7 +261,7 @@ export class Postcard extends GameElement {
 	 */
 	public async removeSouvenir(space: number): Promise<void> {
 		return await this.game.animationManager
-			.fadeOutAndDestroy(this.c.souvenir[space].html, this.game.c.board[0].c.stamp_supply[0].html, {
+			.fadeOutAndDestroy(this.c.souvenir[space].html, this.game.c.board[0].c.stamp_supply[0].html, this.game.animationProfile.settings({
 				duration: 800,
 				ignoreRotation: false,
 				parallelAnimations: [
@@ -156,7 +273,7 @@ export class Postcard extends GameElement {
 						],
 					},
 				],
-			})
+			}, 'out'))
 			.then(() => {
 				delete this.c.souvenir[space];
 			});
@@ -172,7 +289,7 @@ export class Postcard extends GameElement {
 	 */
 	public async addStamp(location: number): Promise<void> {
 		new Stamp(this, location, location);
-		return await this.game.animationManager.slideIn(this.c.stamp[location].html, this.game.c.board[0].c.stamp_supply[0].html, {
+		return await this.game.animationManager.slideIn(this.c.stamp[location].html, this.game.c.board[0].c.stamp_supply[0].html, this.game.animationProfile.settings({
 			duration: 800,
 			ignoreRotation: false,
 			parallelAnimations: [
@@ -184,7 +301,7 @@ export class Postcard extends GameElement {
 					],
 				},
 			],
-		});
+		}));
 	}
 
 	/**
@@ -197,7 +314,7 @@ export class Postcard extends GameElement {
 	 */
 	public async removeStamp(space: number): Promise<void> {
 		return await this.game.animationManager
-			.fadeOutAndDestroy(this.c.stamp[space].html, this.game.c.board[0].c.stamp_supply[0].html, {
+			.fadeOutAndDestroy(this.c.stamp[space].html, this.game.c.board[0].c.stamp_supply[0].html, this.game.animationProfile.settings({
 				duration: 800,
 				ignoreRotation: false,
 				parallelAnimations: [
@@ -209,7 +326,7 @@ export class Postcard extends GameElement {
 						],
 					},
 				],
-			})
+			}, 'out'))
 			.then(() => {
 				delete this.c.stamp[space];
 			});
@@ -241,6 +358,7 @@ export class Postcard extends GameElement {
 					break;
 				case 'Postcard':
 					if (this.parent instanceof PostcardSupply) {
+						if (!this.game.touch.confirm(this)) break;
 						this.game.bga.actions.performAction('actPostcard', {
 							postcard: this.args.type,
 						});
@@ -248,34 +366,7 @@ export class Postcard extends GameElement {
 					break;
 				case 'Guide':
 					if (this.parent instanceof PostcardGuide) {
-						if ((this.parent as PostcardGuide).selected_1 === undefined) {
-							this.setArg("active", "selected");
-							(this.parent as PostcardGuide).selected_1 = this;
-						} else if (
-							(this.parent as PostcardGuide).selected_1 === this &&
-							(this.parent as PostcardGuide).selected_2 === undefined
-						) {
-							this.setArg("active", true);
-							(this.parent as PostcardGuide).selected_1 = undefined;
-						} else if ((this.parent as PostcardGuide).selected_1 === this) {
-							(this.game as Game).takeButton!.classList.add("disabled");
-							this.setArg("active", true);
-							(this.parent as PostcardGuide).selected_1 = (this.parent as PostcardGuide).selected_2;
-							(this.parent as PostcardGuide).selected_2 = undefined;
-						} else if ((this.parent as PostcardGuide).selected_2 === this) {
-							(this.game as Game).takeButton!.classList.add("disabled");
-							this.setArg("active", true);
-							(this.parent as PostcardGuide).selected_2 = undefined;
-						} else if ((this.parent as PostcardGuide).selected_2 === undefined) {
-							(this.game as Game).takeButton!.classList.remove("disabled");
-							this.setArg("active", "selected");
-							(this.parent as PostcardGuide).selected_2 = this;
-						} else {
-							(this.parent as PostcardGuide).selected_1!.setArg("active", true);
-							(this.parent as PostcardGuide).selected_1 = (this.parent as PostcardGuide).selected_2;
-							this.setArg("active", "selected");
-							(this.parent as PostcardGuide).selected_2 = this;
-						}
+						(this.parent as PostcardGuide).selection.toggle(this);
 					}
 					break;
 			}
@@ -283,36 +374,13 @@ export class Postcard extends GameElement {
 	}
 
 	/**
-	 * Create stamp spaces based on postcard type
-	 * 
-	 * Different postcard types have different numbers of stamp spaces:
-	 *  - Type 0 (mod 4): 3 spaces
-	 *  - Type 1 (mod 4): 4 spaces
-	 *  - Type 2 (mod 4): 5 spaces
-	 *  - Type 3 (mod 4): 6 spaces
+	 * Create stamp spaces based on postcard type (see getStampSpaces)
 	 * 
 	 * @private
 	 */
 	private setupStampSpaces(): void {
-		let stamp_space: number[] = [];
-		const n = ((this.args.type as number) - 1) % 4;
-		switch (n) {
-			case 0:
-				stamp_space = [1, 2, 3];
-				break;
-			case 1:
-				stamp_space = [2, 3, 5, 6];
-				break;
-			case 2:
-				stamp_space = [1, 2, 3, 5, 6];
-				break;
-			case 3:
-				stamp_space = [1, 2, 3, 4, 5, 6];
-				break;
-		}
-
-		for (const i in stamp_space) {
-			new StampSpace(this, stamp_space[i], stamp_space[i]);
+		for (const space of Postcard.getStampSpaces(this.args.type as number)) {
+			new StampSpace(this, space, space);
 		}
 	}
 
@@ -0,0 +1,51 @@
+import { GameElement } from "../../../gameElement";
+import { Postcard } from "../postcard";
+
+/**
+ * Represents the biker distance marker shown on a postcard
+ *
+ * Shows how many moves the current player's Biker is from the region of the
+ * postcard, to help planning which postcards can be sent soon.
+ *
+ * Responsibilities:
+ *  - Displaying the number of moves to the postcard's region
+ *  - Providing tooltip with the distance explanation
+ */
+export class PostcardDistance extends GameElement {
+	// ========== Constructor ==========
+
+	/**
+	 * Initialize a distance marker on a postcard
+	 * @param parent - Parent Postcard instance
+	 * @param child_id - Element ID
+	 * @param distance - Number of moves from the biker to the postcard's region
+	 */
+	public constructor(parent: Postcard, child_id: number, distance: number) {
+		super(parent, child_id, "postcard_distance");
+		this.update(distance);
+	}
+
+	// ========== Public Methods ==========
+
+	/**
+	 * Update the displayed distance
+	 * @param distance - Number of moves from the biker to the postcard's region
+	 */
+	public update(distance: number): void {
+		this.setArg("distance", distance);
+		this.html.innerHTML = String(distance);
+		this.game.bga.gameui.addTooltipHtml(
+			`postcards_${this.id}`,
+			`<tooltip>
+				<h3>${_("Distance")}</h3>
+				<p>${
+					distance === 0
+						? _("Your Biker is in the region of this Postcard.")
+						: this.game.bga.gameui.format_string(_("Your Biker is ${n} move(s) away from the region of this Postcard."), {
+							n: String(distance),
+						})
+				}</p>
+			</tooltip>`
+		);
+	}
+}
@@ -13,8 +13,70 @@ import { GameElement } from "../../../gameElement";
  *  - Tracking space location for souvenir placement
  *  - Managing activation state for player selection
  *  - Providing tooltip with souvenir type and effect information
+ *  - Providing the ARIA role and label
  */
 export class SouvenirSpace extends GameElement {
+	// ========== Static Properties ==========
+
+	/** Campsite types of the 3 souvenir spaces of each postcard */
+	private static readonly SPACE_TYPES: Record<number, number[]> = (() => {
+		const SIGHT = 1, HISTORY = 2, CULTURE = 3, GASTRONOMY = 4, FOREST = 5, MOUNTAIN = 6, SHORE = 7, BEACH = 8;
+		return {
+			1: [GASTRONOMY, SHORE, CULTURE],
+			2: [FOREST, HISTORY, SIGHT],
+			3: [MOUNTAIN, GASTRONOMY, BEACH],
+			4: [SHORE, SIGHT, HISTORY],
+			5: [BEACH, SIGHT, MOUNTAIN],
+			6: [FOREST, CULTURE, GASTRONOMY],
+			7: [SHORE, GASTRONOMY, CULTURE],
+			8: [MOUNTAIN, GASTRONOMY, FOREST],
+			9: [MOUNTAIN, CULTURE, BEACH],
+			10: [BEACH, GASTRONOMY, CULTURE],
+			11: [SHORE, HISTORY, CULTURE],
+			12: [FOREST, SIGHT, MOUNTAIN],
+			13: [MOUNTAIN, SIGHT, GASTRONOMY],
+			14: [BEACH, HISTORY, SIGHT],
+			15: [SHORE, CULTURE, BEACH],
+			16: [FOREST, GASTRONOMY, SHORE],
+			17: [FOREST, HISTORY, SIGHT],
+			18: [MOUNTAIN, GASTRONOMY, SHORE],
+			19: [BEACH, CULTURE, MOUNTAIN],
+			20: [SHORE, SIGHT, HISTORY],
+			21: [BEACH, SIGHT, SHORE],
+			22: [MOUNTAIN, HISTORY, FOREST],
+			23: [FOREST, CULTURE, GASTRONOMY],
+			24: [SHORE, GASTRONOMY, HISTORY],
+			25: [MOUNTAIN, CULTURE, FOREST],
+			26: [SHORE, HISTORY, GASTRONOMY],
+			27: [BEACH, GASTRONOMY, MOUNTAIN],
+			28: [FOREST, SIGHT, CULTURE],
+			29: [BEACH, HISTORY, FOREST],
+			30: [SHORE, CULTURE, HISTORY],
+			31: [MOUNTAIN, SIGHT, BEACH],
+			32: [FOREST, GASTRONOMY, SIGHT],
+			33: [SHORE, SIGHT, HISTORY],
+			34: [FOREST, HISTORY, CULTURE],
+			35: [MOUNTAIN, GASTRONOMY, SHORE],
+			36: [BEACH, CULTURE, FOREST],
+			37: [SHORE, GASTRONOMY, HISTORY],
+			38: [BEACH, SIGHT, MOUNTAIN],
+			39: [MOUNTAIN, HISTORY, BEACH],
+			40: [FOREST, CULTURE, SIGHT],
+			41: [FOREST, SIGHT, CULTURE],
+			42: [MOUNTAIN, CULTURE, SHORE],
+			43: [SHORE, HISTORY, GASTRONOMY],
+			44: [BEACH, GASTRONOMY, FOREST],
+			45: [BEACH, HISTORY, MOUNTAIN],
+			46: [SHORE, CULTURE, GASTRONOMY],
+			47: [FOREST, GASTRONOMY, SIGHT],
+			48: [MOUNTAIN, SIGHT, FOREST],
+			49: [HISTORY, BEACH, SIGHT],
+			50: [GASTRONOMY, SHORE, CULTURE],
+			51: [FOREST, CULTURE, BEACH],
+			52: [BEACH, SIGHT, MOUNTAIN],
+		};
+	})();
+
 	// ========== Constructor ==========
 
 	/**
@@ -31,6 +93,9 @@ export class SouvenirSpace extends GameElement {
 
 		// Setup tooltip
 		this.setupTooltip();
+
+		// Setup accessibility
+		this.setupAria("button", this.game.bga.gameui.format_string(_("Souvenir space: ${t}"), { t: this.getSpaceTypeName() }));
 	}
 
 	// ========== Public Methods ==========
@@ -49,6 +114,58 @@ export class SouvenirSpace extends GameElement {
 		this.setArg("active", false);
 	}
 
+	/**
+	 * Highlight or clear this souvenir space in a movement preview
+	 * @param b - True to highlight (default), false to clear
+	 */
+	public preview(b: boolean = true): void {
+		this.setArg("preview", b);
+	}
+
+	/**
+	 * Get the campsite type matching this souvenir space
+	 * @returns Campsite type (1-8), or 0 if unknown
+	 */
+	public getType(): number {
+		return SouvenirSpace.getSpaceTypes((this.parent as Postcard).child_id)[(this.args.space as number) - 1] ?? 0;
+	}
+
+	/**
+	 * Get the campsite types of the 3 souvenir spaces of a postcard
+	 * @param postcard - Postcard ID
+	 * @returns Campsite types (1-8) in space order, empty if unknown
+	 */
+	public static getSpaceTypes(postcard: number): number[] {
+		return SouvenirSpace.SPACE_TYPES[postcard] ?? [];
+	}
+
+	/**
+	 * Get the name of a souvenir space type
+	 * @param type - Campsite type (1-8)
+	 * @returns Localized type name (e.g., "Gastronomy", "Shore", "Culture")
+	 */
+	public static getTypeName(type: number): string {
+		switch (type) {
+			case 1:
+				return _("Sight");
+			case 2:
+				return _("History");
+			case 3:
+				return _("Culture");
+			case 4:
+				return _("Gastronomy");
+			case 5:
+				return _("Forest");
+			case 6:
+				return _("Mountain");
+			case 7:
+				return _("Shore");
+			case 8:
+				return _("Beach");
+		}
+		return '';
+	}
+
 	// ========== Private Helper Methods ==========
 
 	/**
@@ -63,6 +180,7 @@ export class SouvenirSpace extends GameElement {
 		if (this.game.bga.players.isCurrentPlayerActive() && this.args.active === true) {
 			switch (this.game.bga.gameui.gamedatas.gamestate.name) {
 				case 'Souvenir':
+					if (!this.game.touch.confirm(this)) break;
 					this.game.bga.actions.performAction('actSouvenir', {
 						postcard: (this.parent as Postcard).child_id,
 						space: this.args.space,
@@ -105,76 +223,7 @@ export class SouvenirSpace extends GameElement {
 	 * @private
 	 */
 	private getSpaceTypeName(): string {
-		const p = (this.parent as Postcard).child_id;
-		const i = (this.args.space as number) - 1;
-
-		const GASTRONOMY = _('Gastronomy');
-		const SHORE = _('Shore');
-		const CULTURE = _('Culture');
-		const FOREST = _('Forest');
-		const HISTORY = _('History');
-		const SIGHT = _('Sight');
-		const MOUNTAIN = _('Mountain');
-		const BEACH = _('Beach');
-
-		const spaceTypeMap: Record<number, string[]> = {
-			1: [GASTRONOMY, SHORE, CULTURE],
-			2: [FOREST, HISTORY, SIGHT],
-			3: [MOUNTAIN, GASTRONOMY, BEACH],
-			4: [SHORE, SIGHT, HISTORY],
-			5: [BEACH, SIGHT, MOUNTAIN],
-			6: [FOREST, CULTURE, GASTRONOMY],
-			7: [SHORE, GASTRONOMY, CULTURE],
-			8: [MOUNTAIN, GASTRONOMY, FOREST],
-			9: [MOUNTAIN, CULTURE, BEACH],
-			10: [BEACH, GASTRONOMY, CULTURE],
-			11: [SHORE, HISTORY, CULTURE],
-			12: [FOREST, SIGHT, MOUNTAIN],
-			13: [MOUNTAIN, SIGHT, GASTRONOMY],
-			14: [BEACH, HISTORY, SIGHT],
-			15: [SHORE, CULTURE, BEACH],
-			16: [FOREST, GASTRONOMY, SHORE],
-			17: [FOREST, HISTORY, SIGHT],
-			18: [MOUNTAIN, GASTRONOMY, SHORE],
-			19: [BEACH, CULTURE, MOUNTAIN],
-			20: [SHORE, SIGHT, HISTORY],
-			21: [BEACH, SIGHT, SHORE],
-			22: [MOUNTAIN, HISTORY, FOREST],
-			23: [FOREST, CULTURE, GASTRONOMY],
-			24: [SHORE, GASTRONOMY, HISTORY],
-			25: [MOUNTAIN, CULTURE, FOREST],
-			26: [SHORE, HISTORY, GASTRONOMY],
-			27: [BEACH, GASTRONOMY, MOUNTAIN],
-			28: [FOREST, SIGHT, CULTURE],
-			29: [BEACH, HISTORY, FOREST],
-			30: [SHORE, CULTURE, HISTORY],
-			31: [MOUNTAIN, SIGHT, BEACH],
-			32: [FOREST, GASTRONOMY, SIGHT],
-			33: [SHORE, SIGHT, HISTORY],
-			34: [FOREST, HISTORY, CULTURE],
-			35: [MOUNTAIN, GASTRONOMY, SHORE],
-			36: [BEACH, CULTURE, FOREST],
-			37: [SHORE, GASTRONOMY, HISTORY],
-			38: [BEACH, SIGHT, MOUNTAIN],
-			39: [MOUNTAIN, HISTORY, BEACH],
-			40: [FOREST, CULTURE, SIGHT],
-			41: [FOREST, SIGHT, CULTURE],
-			42: [MOUNTAIN, CULTURE, SHORE],
-			43: [SHORE, HISTORY, GASTRONOMY],
-			44: [BEACH, GASTRONOMY, FOREST],
-			45: [BEACH, HISTORY, MOUNTAIN],
-			46: [SHORE, CULTURE, GASTRONOMY],
-			47: [FOREST, GASTRONOMY, SIGHT],
-			48: [MOUNTAIN, SIGHT, FOREST],
-			49: [HISTORY, BEACH, SIGHT],
-			50: [GASTRONOMY, SHORE, CULTURE],
-			51: [FOREST, CULTURE, BEACH],
-			52: [BEACH, SIGHT, MOUNTAIN],
-		};
-
-		const types = spaceTypeMap[p];
-		if (!types || i < 0 || i >= types.length) return '';
-		else return types[i];
+		return SouvenirSpace.getTypeName(this.getType());
 	}
 
 	/**
@@ -1,5 +1,6 @@
 import { GameElement } from "../../../gameElement";
 import { Postcard } from "../postcard";
+import { Travel } from "../../travel/travel";
 
 /**
  * Represents a single stamp placement space on a postcard
@@ -12,6 +13,8 @@ import { Postcard } from "../postcard";
  *  - Handling click interactions for stamp placement
  *  - Tracking space location for stamp placement
  *  - Managing activation state for player selection
+ *  - Displaying the rank of the space among the available ones
+ *  - Providing the ARIA role and label
  */
 export class StampSpace extends GameElement {
 	// ========== Constructor ==========
@@ -27,6 +30,11 @@ export class StampSpace extends GameElement {
 
 		// Register click handler
 		$(`postcards_${this.id}`).addEventListener('click', () => this.onClick());
+
+		// Setup accessibility
+		this.setupAria("button", this.game.bga.gameui.format_string(_("Stamp space: ${color}"), {
+			color: Travel.getColorName(this.getColor()),
+		}));
 	}
 
 	// ========== Public Methods ==========
@@ -38,6 +46,15 @@ export class StampSpace extends GameElement {
 		this.setArg("active", true);
 	}
 
+	/**
+	 * Mark the value of placing a stamp on this space
+	 * @param rank - 3 completes the postcard, 2 postcard in or next to the Biker's region,
+	 *               1 postcard advancing the itinerary, 0 other
+	 */
+	public setRank(rank: number): void {
+		this.setArg("rank", rank);
+	}
+
 	/**
 	 * Deactivate this stamp space
 	 */
@@ -45,6 +62,14 @@ export class StampSpace extends GameElement {
 		this.setArg("active", false);
 	}
 
+	/**
+	 * Get the color of this stamp space, matching the Travel card colors (sent with the game data)
+	 * @returns Color (1-4), or 0 if unknown
+	 */
+	public getColor(): number {
+		return this.game.bga.gameui.gamedatas.stamp_colors?.[(this.parent as Postcard).child_id]?.[this.args.space as number] ?? 0;
+	}
+
 	// ========== Private Helper Methods ==========
 
 	/**
@@ -59,6 +84,7 @@ export class StampSpace extends GameElement {
 		if (this.game.bga.players.isCurrentPlayerActive() && this.args.active === true) {
 			switch (this.game.bga.gameui.gamedatas.gamestate.name) {
 				case 'Stamp':
+					if (!this.game.touch.confirm(this)) break;
 					this.game.bga.actions.performAction('actStamp', {
 						postcard: (this.parent as Postcard).child_id,
 						space: this.args.space,
@@ -16,6 +16,7 @@ import { TravelOption } from "./travel_option/travel_option";
  *  - Managing action buttons for double actions and stamp placement
  *  - Displaying card type and color information
  *  - Providing tooltip with detailed rules
+ *  - Providing the ARIA role and label
  */
 export class Travel extends GameElement {
 	// ========== Constructor ==========
@@ -38,6 +39,12 @@ export class Travel extends GameElement {
 
 		// Setup tooltip
 		this.setupTooltip();
+
+		// Setup accessibility
+		this.setupAria("button", this.game.bga.gameui.format_string(_("Travel card: ${action}, ${color}"), {
+			action: Travel.getActionName(this.getOptionType()),
+			color: Travel.getColorName(this.getColorType()),
+		}));
 	}
 
 	// ========== Public Methods ==========
@@ -59,6 +66,28 @@ export class Travel extends GameElement {
 		this.setArg("active", s);
 	}
 
+	/**
+	 * Add action buttons when card is selected
+	 * 
+	 * Creates buttons for:
+	 *  - Action button (if available based on card type)
+	 *  - Stamp button (if stamp is available in card color)
+	 */
+	public addButtons(): void {
+		const type: number = this.getOptionType();
+		if (
+			type === 1 ||
+			(type === 2 && this.game.possible_actions?.postcard) ||
+			(type === 3 && this.game.possible_actions?.camp)
+		) {
+			new TravelOption(this, 0, this.getOptionType());
+		}
+		const color: number = this.getColorType();
+		if (this.game.possible_actions?.stamp[color]) {
+			new TravelOption(this, 1, this.getColorType() + 4);
+		}
+	}
+
 	/**
 	 * Remove action buttons (called when deselecting)
 	 */
@@ -70,129 +99,89 @@ export class Travel extends GameElement {
 		}
 	}
 
-	// ========== Private Helper Methods ==========
+	/**
+	 * Get the localized name of a Travel card action
+	 * @param type - Option type 1-4 (Movement, Postcard, Camp, Stamp)
+	 * @returns Localized action name
+	 */
+	public static getActionName(type: number): string {
+		switch (type) {
+			case 1:
+				return _("Movement");
+			case 2:
+				return _("Postcard");
+			case 3:
+				return _("Camp");
+			case 4:
+				return _("Stamp");
+		}
+		return '';
+	}
 
 	/**
-	 * Handle card click - manages selection and double action logic
-	 * 
-	 * During Action phase:
-	 *  - First click: Select as primary action
-	 *  - Second click on same: Deselect
-	 *  - Second click on different: Select as double action
-	 * 
-	 * During Travel phase:
-	 *  - Click: Play card from supply
-	 * 
-	 * @private
+	 * Get the localized name of a Travel card or stamp color
+	 * @param color - Color type 1-4
+	 * @returns Localized color name
 	 */
-	private async onClick(): Promise<void> {
-		if (
-			this.game.bga.players.isCurrentPlayerActive() &&
-			(this.args.active === true || this.args.active === "selected")
-		) {
-			switch (this.game.bga.gameui.gamedatas.gamestate.name) {
-				case 'Action':
-					if (this.parent instanceof Hand) {
-                        if (this.game.possible_actions?.double) {
-                            if ((this.parent as Hand).selected_1 === undefined) {
-                                    this.addButtons();
-                                    this.setArg("active", "selected");
-						    	(this.parent as Hand).selected_1 = this;
-						    } else if (
-						    	(this.parent as Hand).selected_1 === this &&
-						    	(this.parent as Hand).selected_2 === undefined
-						    ) {
-                                this.setArg("active", true);
-						    	this.removeButtons();
-						    	(this.parent as Hand).selected_1 = undefined;
-						    } else if ((this.parent as Hand).selected_1 === this) {
-                                (this.parent as Hand).setArg("double", false);
-						    	this.setArg("active", true);
-						    	(this.parent as Hand).selected_1 = (this.parent as Hand).selected_2;
-						    	(this.parent as Hand).selected_2 = undefined;
-						    	(this.parent as Hand).selected_1!.addButtons();
-						    } else if ((this.parent as Hand).selected_2 === this) {
-                                (this.parent as Hand).setArg("double", false);
-						    	this.setArg("active", true);
-						    	(this.parent as Hand).selected_2 = undefined;
-						    	(this.parent as Hand).selected_1!.addButtons();
-						    } else if ((this.parent as Hand).selected_2 === undefined) {
-                                (this.parent as Hand).setArg("double", true);
-						    	this.setArg("active", "selected");
-						    	(this.parent as Hand).selected_2 = this;
-						    	(this.parent as Hand).selected_1!.removeButtons();
-						    } else {
-                                (this.parent as Hand).selected_1!.setArg("active", true);
-						    	(this.parent as Hand).selected_1 = (this.parent as Hand).selected_2;
-						    	this.setArg("active", "selected");
-						    	(this.parent as Hand).selected_2 = this;
-						    }
-                        } else {
-                            if ((this.parent as Hand).selected_1 === undefined) {
-                                this.addButtons();
-                                this.setArg("active", "selected");
-						    	(this.parent as Hand).selected_1 = this;
-						    } else if ((this.parent as Hand).selected_1 === this) {
-						    	(this.parent as Hand).selected_1!.setArg("active", true);
-						    	(this.parent as Hand).selected_1!.removeButtons();
-						    	(this.parent as Hand).selected_1 = undefined;
-						    } else {
-						    	(this.parent as Hand).selected_1!.setArg("active", true);
-						    	(this.parent as Hand).selected_1!.removeButtons();
-						    	(this.parent as Hand).selected_1 = undefined;
-                                this.addButtons();
-                                this.setArg("active", "selected");
-						    	(this.parent as Hand).selected_1 = this;
-                            }
-                        }
-					}
-					break;
-				case 'Travel':
-					this.game.bga.actions.performAction('actTravel', { travel: this.child_id });
-					break;
-			}
+	public static getColorName(color: number): string {
+		switch (color) {
+			case 1:
+				return _("Blue");
+			case 2:
+				return _("Red");
+			case 3:
+				return _("Green");
+			case 4:
+				return _("Yellow");
 		}
+		return '';
 	}
 
 	/**
 	 * Get the color type of this card (determines stamp color)
 	 * @returns Color type 1-4
-	 * @private
 	 */
-	private getColorType(): number {
+	public getColorType(): number {
 		return (Math.floor((this.child_id - 1) / 6) % 4) + 1;
 	}
 
 	/**
 	 * Get the option type of this card (determines action type)
 	 * @returns Option type 1-3 (Movement, Postcard, Camp)
-	 * @private
 	 */
-	private getOptionType(): number {
+	public getOptionType(): number {
 		return Math.floor((this.child_id - 1) / 24) + 1;
 	}
 
+	// ========== Private Helper Methods ==========
+
 	/**
-	 * Add action buttons when card is selected
+	 * Handle card click - manages selection and double action logic
 	 * 
-	 * Creates buttons for:
-	 *  - Action button (if available based on card type)
-	 *  - Stamp button (if stamp is available in card color)
+	 * During Action phase:
+	 *  - Click: Select or deselect the card in the hand selection
+	 *  - Selecting a second card selects both for a double action
+	 * 
+	 * During Travel phase:
+	 *  - Click: Play card from supply
 	 * 
 	 * @private
 	 */
-	private addButtons(): void {
-		const type: number = this.getOptionType();
+	private async onClick(): Promise<void> {
 		if (
-			type === 1 ||
-			(type === 2 && this.game.possible_actions?.postcard) ||
-			(type === 3 && this.game.possible_actions?.camp)
+			this.game.bga.players.isCurrentPlayerActive() &&
+			(this.args.active === true || this.args.active === "selected")
 		) {
-			new TravelOption(this, 0, this.getOptionType());
-		}
-		const color: number = this.getColorType();
-		if (this.game.possible_actions?.stamp[color]) {
-			new TravelOption(this, 1, this.getColorType() + 4);
+			switch (this.game.bga.gameui.gamedatas.gamestate.name) {
+				case 'Action':
+					if (this.parent instanceof Hand) {
+						(this.parent as Hand).selection.toggle(this);
+					}
+					break;
+				case 'Travel':
+					this.game.bga.actions.performAction('actTravel', { travel: this.child_id });
+					break;
+			}
 		}
 	}
 
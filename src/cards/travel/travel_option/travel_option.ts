@@ -16,6 +16,7 @@ import { Hand } from "../../../player_area/hand/hand";
  *  - Handling click interactions for action selection
  *  - Managing optional counter display
  *  - Tracking action availability
+ *  - Providing the ARIA role and label
  */
 export class TravelOption extends GameElement {
 	// ========== Properties ==========
@@ -49,6 +50,9 @@ export class TravelOption extends GameElement {
 		if (counter !== null) {
 			this.setupCounter(counter, n ?? 0);
 		}
+
+		// Setup accessibility
+		this.setupAria("button", this.getLabel());
 	}
 
 	// ========== Public Methods ==========
@@ -93,8 +97,35 @@ export class TravelOption extends GameElement {
 		this.setArg("active", b);
 	}
 
+	// ========== Protected Methods ==========
+
+	/**
+	 * Options of a selected Travel card and of the double action have no
+	 * active argument until they are explicitly deactivated
+	 * @returns True if the option can be clicked
+	 */
+	protected isEnabled(): boolean {
+		if (this.parent instanceof BonusActions) return this.args.active === true;
+		return this.args.active !== false;
+	}
+
 	// ========== Private Helper Methods ==========
 
+	/**
+	 * Get the accessible label of this option
+	 * @returns Localized label (e.g., "Movement", "Stamp: Blue")
+	 * @private
+	 */
+	private getLabel(): string {
+		const type = this.args.type as number;
+		const label = type <= 4
+			? Travel.getActionName(type)
+			: this.game.bga.gameui.format_string(_("Stamp: ${color}"), { color: Travel.getColorName(type - 4) });
+		return this.parent instanceof BonusActions
+			? this.game.bga.gameui.format_string(_("Bonus action: ${action}"), { action: label })
+			: label;
+	}
+
 	/**
 	 * Handle option click - performs appropriate action based on parent context
 	 *
@@ -128,9 +159,10 @@ export class TravelOption extends GameElement {
 					break;
 				} else if (this.parent instanceof DoubleActions) {
 					// Double action: two travel cards
+					const [travel_1, travel_2] = (this.parent.parent as Hand).selection.get();
 					this.game.bga.actions.performAction("actActionDouble", {
-						travel_1: (this.parent.parent as Hand).selected_1?.child_id,
-						travel_2: (this.parent.parent as Hand).selected_2?.child_id,
+						travel_1: travel_1?.child_id,
+						travel_2: travel_2?.child_id,
 						type: this.args.type,
 					});
 					break;
@@ -80,6 +80,7 @@ interface Gamedatas<P = Player> {
   gift_supply: any;
   postcard_guide: any;
   postcard_supply: any;
+  stamp_colors: Record<number, Record<number, number>>;
   gamestate: Gamestate;
   gamestates: { [gamestateId: number]: Gamestate };
   playerorder: (string | number)[];
@@ -88,6 +89,7 @@ interface Gamedatas<P = Player> {
 
 interface Player {
   sent_postcards_counter: number | null;
+  sent_postcards?: number[];
   beginner: boolean;
   color: string;
   color_back: any | null;
@@ -524,6 +526,8 @@ declare class GameGui<G = Gamedatas> {
     onPlaceLogOnChannel: any;
     next_log_id: any;
     notifqueue: any;
+    tooltips: Record<string, { label: string }>;
+    table_id: any;
 
   /**
    * Setup the whole game GUI with datas from the game
@@ -40,9 +40,24 @@ import { PostcardSupply } from "./postcard_supply/postcard_supply";
 import { PlayerArea } from "./player_area/player_area";
 import { PostcardGuide } from "./postcard_guide/postcard_guide";
 import { Board } from "./board/board";
+import { TravelTracker } from "./board/travel_tracker/travel_tracker";
 import { Hand } from "./player_area/hand/hand";
 import { Postcard } from "./cards/postcard/postcard";
+import { Itinerary } from "./player_area/itinerary/itinerary";
+import { GiftPlayer } from "./player_area/gift_player/gift_player";
 import { Notif } from "./notif";
+import { ProjectedScore } from "./player_panel/projected_score/projected_score";
+import { KeyboardShortcuts } from "./keyboard_shortcuts/keyboard_shortcuts";
+import { TouchMode } from "./touch_mode/touch_mode";
+import { TurnPlanner } from "./turn_planner/turn_planner";
+import { UndoStep, UndoTimeline } from "./undo_timeline/undo_timeline";
+import { UndoneLogs } from "./undone_logs/undone_logs";
+import { TurnSummary } from "./turn_summary/turn_summary";
+import { AnimationProfile } from "./animation_profile/animation_profile";
+import { HistoryScrubber } from "./history_scrubber/history_scrubber";
+import { TurnDigest } from "./turn_digest/turn_digest";
+import { PostcardTracker } from "./postcard_tracker/postcard_tracker";
+import { PostcardCatalogue } from "./postcard_catalogue/postcard_catalogue";
 
 /**
  * Main Game class - orchestrates all game logic and UI
@@ -55,6 +70,11 @@ import { Notif } from "./notif";
  *  - Animation orchestration
  */
 export class Game {
+	// ========== Static Properties ==========
+
+	/** Session storage key of the notifications cancelled by undos on the current table */
+	private static readonly CANCELLED_LOGS_KEY: string = 'postcards-cancelled-logs';
+
 	// ========== Properties ==========
 	
 	/** Reference to BGA framework instance */
@@ -69,11 +89,20 @@ export class Game {
 	/** Mapping of notification UIDs to mobile log element IDs */
 	private readonly _notif_uid_to_mobile_log_id: Record<number, number> = {};
 
+	/** Notification UIDs cancelled by each undo */
+	private readonly _cancelled_notif_uids: number[][] = [];
+
+	/** Undos whose cancel marks wait for their logs to be placed again */
+	private readonly _pending_cancelled_notif_uids: Set<number[]> = new Set();
+
 	/** Current player ID */
 	public player_id: number | null = null;
 	
 	/** Animation manager for handling game animations */
 	public animationManager!: InstanceType<typeof BgaAnimations.Manager>;
+
+	/** Animation speed and reduced motion settings */
+	public animationProfile!: AnimationProfile;
 	
 	/** Root HTML element for game UI */
 	public html: HTMLElement | null = null;
@@ -84,6 +113,9 @@ export class Game {
 	/** Sent postcards counters for each player */
 	public sentPostcardsCounters: Counter[] = [];
 
+	/** Projected final score panels for each player */
+	public projectedScores: Record<number, ProjectedScore> = {};
+
 	// ========== State Handlers ==========
 	
 	/** State handler for Action phase */
@@ -133,6 +165,36 @@ export class Game {
 	/** Help manager instance */
 	public helpManager?: HelpManager;
 
+	/** Keyboard shortcut layer */
+	public keyboard!: KeyboardShortcuts;
+
+	/** Touch mode (long-press inspect, tap-to-confirm) */
+	public touch!: TouchMode;
+
+	/** Local planning and execution of a whole turn */
+	public planner!: TurnPlanner;
+
+	/** Undoable steps of the current turn */
+	public undoTimeline!: UndoTimeline;
+
+	/** Groups of log entries cancelled by an undo */
+	public undoneLogs!: UndoneLogs;
+
+	/** Summary log entry of each turn */
+	public turnSummary!: TurnSummary;
+
+	/** Board snapshots of the game turns */
+	public history!: HistoryScrubber;
+
+	/** Changes since the current player's last turn */
+	public digest!: TurnDigest;
+
+	/** Discarded and sent postcards */
+	public postcards!: PostcardTracker;
+
+	/** Catalogue of every postcard */
+	public catalogue!: PostcardCatalogue;
+
 	/** Zoom manager instance */
 	public zoom?: ZoomManager;
 	
@@ -145,6 +207,9 @@ export class Game {
 	/** Possible actions tracking */
 	public possible_actions?: PossibleActions;
 
+	/** Travel cards played by the current player this turn */
+	public used_travels: number[] = [];
+
 	// ========== Constructor ==========
 	
 	/**
@@ -154,6 +219,7 @@ export class Game {
 	public constructor(bga: Bga<Gamedatas>) {
 		this.bga = bga;
 		this.setupStates();
+		this.restoreUndoLogging();
 		this.setupUndoLogging();
 	}
 
@@ -201,6 +267,8 @@ export class Game {
 	/**
 	 * Setup undo/cancel log tracking for notifications
 	 * Intercepts log placement to map notification UIDs to log IDs
+	 * (rebuilt when the log history is placed again after a reload)
+	 * and to record the turn summary
 	 * @private
 	 */
 	private setupUndoLogging(): void {
@@ -212,11 +280,53 @@ export class Game {
 			
 			this._notif_uid_to_log_id[msg.uid] = currentLogId;
 			this._notif_uid_to_mobile_log_id[msg.uid] = currentMobileLogId;
+			this.turnSummary?.record(msg.uid, msg.type, msg.args, currentLogId, currentMobileLogId);
+
+			// A log replayed after a reload may belong to an undo made before it
+			const cancelled = this._cancelled_notif_uids.find((uids) => uids.includes(Number(msg.uid)));
+			if (cancelled !== undefined && !this._pending_cancelled_notif_uids.has(cancelled)) {
+				this._pending_cancelled_notif_uids.add(cancelled);
+				setTimeout(() => {
+					this._pending_cancelled_notif_uids.delete(cancelled);
+					this.markCancelledLogs(cancelled);
+				}, 0);
+			}
 			
 			return res;
 		};
 	}
 
+	/**
+	 * Restore the notifications cancelled before a reload on this table
+	 * @private
+	 */
+	private restoreUndoLogging(): void {
+		let saved: any = null;
+		try {
+			saved = JSON.parse(sessionStorage.getItem(Game.CANCELLED_LOGS_KEY) ?? 'null');
+		} catch (e) {
+			return;
+		}
+		if (saved === null || Number(saved.table) !== Number(this.bga.gameui.table_id)) return;
+
+		this._cancelled_notif_uids.push(...(saved.cancelled ?? []));
+	}
+
+	/**
+	 * Save the cancelled notifications of this table, replacing the ones of any other table
+	 * @private
+	 */
+	private saveUndoLogging(): void {
+		try {
+			sessionStorage.setItem(Game.CANCELLED_LOGS_KEY, JSON.stringify({
+				table: this.bga.gameui.table_id,
+				cancelled: this._cancelled_notif_uids,
+			}));
+		} catch (e) {
+			// Storage full or unavailable, the marks stay in memory only
+		}
+	}
+
 	/**
 	 * Setup game UI - called once at game start
 	 * Creates all game elements and initializes managers
@@ -227,6 +337,17 @@ export class Game {
 		this.initializeManagers();
 		this.setupPlayerPanels(game_data);
 		this.createGameElements(game_data);
+		this.keyboard.setupHelp();
+		this.catalogue.setupHelp();
+		this.history.setup();
+		this.postcards.setup(game_data);
+		this.touch.setup(this.html!);
+		this.animationProfile.setup(this.html!);
+		this.planner.setup(this.html!);
+		this.updateProjectedScores();
+		this.updateItineraryMatches();
+		this.updateGiftBadges();
+		this.updatePostcardDistances();
 		this.setupNotifications();
 	}
 
@@ -244,13 +365,25 @@ export class Game {
 	}
 
 	/**
-	 * Initialize animation manager and zoom controls
+	 * Initialize animation, zoom and UI managers
 	 * @private
 	 */
 	private initializeManagers(): void {
+		this.animationProfile = new AnimationProfile(this);
 		this.animationManager = new BgaAnimations.Manager({
-			animationsActive: () => this.bga.gameui.bgaAnimationsActive()
+			animationsActive: () => this.animationProfile.isActive()
 		});
+
+		this.keyboard = new KeyboardShortcuts(this);
+		this.touch = new TouchMode(this);
+		this.planner = new TurnPlanner(this);
+		this.undoTimeline = new UndoTimeline(this);
+		this.undoneLogs = new UndoneLogs(this);
+		this.turnSummary = new TurnSummary(this);
+		this.history = new HistoryScrubber(this);
+		this.digest = new TurnDigest(this);
+		this.postcards = new PostcardTracker(this);
+		this.catalogue = new PostcardCatalogue(this);
 		
 		// @ts-ignore - ZoomManager is not strictly typed
 		const zoomLevels = Array.from({ length: 20 }, (_, index) => 0.3 + index * 0.05);
@@ -266,7 +399,7 @@ export class Game {
 	}
 
 	/**
-	 * Setup player panel UI elements (sent postcard counters, first player marker)
+	 * Setup player panel UI elements (sent postcard counters, first player marker, projected score)
 	 * @param game_data - Game data with player information
 	 * @private
 	 */
@@ -310,6 +443,9 @@ export class Game {
 					`<h3>${_("First Player Token")}</h3>`
 				);
 			}
+
+			// Projected final score
+			this.projectedScores[player.id] = new ProjectedScore(this, player.id, playerElement);
 		}
 	}
 
@@ -382,6 +518,8 @@ export class Game {
 			minDurationNoText: 0,
 			handlers: [this.notif],
 			onStart: (notfname: string, msg: any, args: any) => {
+				this.notif?.announce(msg, args);
+
 				const pagemaintitle = document.getElementById("pagemaintitle_wrap");
 				if (pagemaintitle) pagemaintitle.style.display = "none";
 				
@@ -395,17 +533,42 @@ export class Game {
 
 	/**
 	 * Called when entering a game state
-	 * Updates UI based on state data and used travels
+	 * Updates UI for the entered state
 	 * @param stateName - Name of the state being entered
 	 * @param args - State arguments
 	 */
 	public onEnteringState(stateName: string, args: any): void {
 		if (this.bga.players.isCurrentPlayerActive() && args.args?.used_travels !== undefined) {
+			this.used_travels = args.args.used_travels;
 			const hand = this.c.player_area?.[this.bga.gameui.player_id]?.c.hand?.[0] as Hand | undefined;
 			if (hand) {
 				hand.usedTravels(args.args.used_travels);
 			}
 		}
+
+		if (stateName === 'Action' || stateName === 'Move') {
+			(this.c.board[0] as Board).route_planner.update();
+		}
+
+		(this.c.board[0].c.travel_tracker[0] as TravelTracker).setPlayed(args.args?.used_travels ?? []);
+
+		(this.c.player_area?.[this.bga.gameui.player_id]?.c.hand?.[0] as Hand | undefined)?.travel_drag.resume(stateName, args.args);
+		this.planner.resume(stateName, args.args);
+		this.undoTimeline.resume(args.args);
+
+		if (stateName === 'Action') {
+			this.digest.show();
+		}
+
+		if (stateName === 'NextPlayer') {
+			this.turnSummary.flush();
+			this.history.recordTurn();
+			this.digest.dismiss();
+		}
+		
+		if (stateName === 'EndScore' || stateName === 'gameEnd') {
+			this.updateProjectedScores();
+		}
 		
 		if (args.args?.last_round) {
 			this.last_round_bar = this.createBar("last_round", _("This is the last round of the game!"));
@@ -418,6 +581,11 @@ export class Game {
 	 * @param stateName - Name of the state being left
 	 */
 	public onLeavingState(stateName: string): void {
+		this.keyboard.clear();
+		this.touch.disarm();
+		if (this.planner.isPlanning()) this.planner.cancel();
+		this.undoTimeline.hide();
+
 		if (this.bga.players.isCurrentPlayerActive()) {
 			const hand = this.c.player_area?.[this.bga.gameui.player_id]?.c.hand?.[0] as Hand | undefined;
 			if (hand) {
@@ -434,16 +602,21 @@ export class Game {
 	// ========== UI Helper Methods ==========
 
 	/**
-	 * Add undo/reset buttons to status bar
+	 * Add undo/reset buttons to status bar and show the undo timeline
+	 * Backspace is bound to Undo while the buttons are shown
 	 * @param undo - Number of undo steps available (0, 1, or 2+)
+	 * @param steps - Undoable steps, oldest first
 	 */
-	public addUndoButtons(undo: number): void {
+	public addUndoButtons(undo: number, steps: UndoStep[]): void {
+		this.undoTimeline.show(steps);
+
 		if (undo > 0) {
 			this.bga.statusBar.addActionButton(
 				_("Undo"),
 				() => { this.bga.actions.performAction('actUndo'); },
 				{ color: "alert" }
 			);
+			this.keyboard.addKey("Backspace", () => this.bga.actions.performAction('actUndo'));
 		}
 		
 		if (undo > 1) {
@@ -457,16 +630,31 @@ export class Game {
 
 	/**
 	 * Cancel notification logs for undo functionality
-	 * Marks logs with cancel attribute to hide them visually
+	 * Remembers the cancelled notifications so the marks survive a reload
 	 * @param notifIds - Array of notification UIDs to cancel
 	 */
 	public cancelLogs(notifIds: number[]): void {
+		this.turnSummary.cancel(notifIds);
+
+		this._cancelled_notif_uids.push(notifIds.map(Number));
+		this.saveUndoLogging();
+		this.markCancelledLogs(notifIds);
+	}
+
+	/**
+	 * Mark the logs of cancelled notifications and collapse them into one group
+	 * @param notifIds - Notification UIDs cancelled by one undo
+	 * @private
+	 */
+	private markCancelledLogs(notifIds: number[]): void {
+		const cancelled: HTMLElement[] = [];
 		notifIds.forEach((uid: number) => {
 			if (uid in this._notif_uid_to_log_id) {
 				const logId = this._notif_uid_to_log_id[uid];
 				const logElement = document.getElementById('log_' + logId);
 				if (logElement) {
 					logElement.setAttribute("cancel", "true");
+					cancelled.push(logElement);
 				}
 			}
 			
@@ -475,9 +663,12 @@ export class Game {
 				const mobileElement = document.getElementById('dockedlog_' + mobileLogId);
 				if (mobileElement) {
 					mobileElement.setAttribute("cancel", "true");
+					cancelled.push(mobileElement);
 				}
 			}
 		});
+
+		this.undoneLogs?.group(cancelled);
 	}
 
 	/**
@@ -500,6 +691,55 @@ export class Game {
 		return element;
 	}
 
+	/**
+	 * Refresh the projected final score of every player
+	 * Hidden once end game scoring starts, as the points are then added to the real score
+	 */
+	public updateProjectedScores(): void {
+		const final = ['EndScore', 'gameEnd'].includes(this.bga.gameui.gamedatas.gamestate.name);
+		for (const p in this.projectedScores) {
+			this.projectedScores[p].html.setAttribute("final", String(final));
+			if (!final) this.projectedScores[p].update();
+		}
+	}
+
+	/**
+	 * Refresh the itinerary match markers on the current player's postcards and the guide
+	 */
+	public updateItineraryMatches(): void {
+		if (this.bga.players.isCurrentPlayerSpectator()) return;
+		const itinerary = this.c.player_area[this.bga.gameui.player_id].c.itinerary[0] as Itinerary;
+
+		const postcards = {
+			...this.c.player_area[this.bga.gameui.player_id].c.postcard_player[0].c.postcard,
+			...this.c.postcard_guide?.[0]?.c.postcard,
+		};
+		for (const p in postcards) {
+			(postcards[p] as Postcard).updateItineraryMatch(itinerary);
+		}
+	}
+
+	/**
+	 * Refresh the scoring progress badges on the gift cards of every player
+	 */
+	public updateGiftBadges(): void {
+		for (const p in this.c.player_area) {
+			(this.c.player_area[p].c.gift_player[0] as GiftPlayer).updateBadges();
+		}
+	}
+
+	/**
+	 * Refresh the biker distance markers on the current player's postcards
+	 */
+	public updatePostcardDistances(): void {
+		if (this.bga.players.isCurrentPlayerSpectator()) return;
+		const biker = Number(this.c.board[0].c.biker[this.bga.gameui.player_id].args.location);
+		const postcards = this.c.player_area[this.bga.gameui.player_id].c.postcard_player[0].c.postcard;
+		for (const p in postcards) {
+			(postcards[p] as Postcard).updateDistance(biker);
+		}
+	}
+
 	// ========== Game Logic Methods ==========
 
 	/**
@@ -530,6 +770,7 @@ export class Game {
 		
 		supply.html.after(guide.html);
 		await guide.slideInPostcards(postcards, topCard, deckCard);
+		this.updateItineraryMatches();
 	}
 
 	// ========== Private Helper Methods ==========
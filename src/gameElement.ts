@@ -6,6 +6,7 @@ import { Game } from "./game";
  *  - Managing parent/child relationships
  *  - Creating and attaching HTML elements
  *  - Storing element arguments and attributes
+ *  - Exposing interactive elements to assistive technologies
  */
 export abstract class GameElement {
     private static ID_GEN: number = 0;
@@ -104,5 +105,54 @@ export abstract class GameElement {
     public setArg(name: string, value: string | number | boolean): void {
         this.html.setAttribute(name, String(value));
         this.args[name] = value;
+
+        if (name === "active") {
+            this.updateAria();
+        }
+    }
+
+    /**
+     * Sets the ARIA role and label of the element.
+     * Its focusability and aria-disabled state then follow the active argument,
+     * and Enter or Space activate it when focused.
+     */
+    protected setupAria(role: string, label: string): void {
+        this.html.setAttribute("role", role);
+        this.setAriaLabel(label);
+
+        this.html.addEventListener('keydown', (e: KeyboardEvent) => {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target === this.html) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.html.click();
+            }
+        });
+
+        this.updateAria();
+    }
+
+    /**
+     * Updates the ARIA label of the element.
+     */
+    protected setAriaLabel(label: string): void {
+        this.html.setAttribute("aria-label", label);
+    }
+
+    /**
+     * Whether the element can currently be interacted with.
+     */
+    protected isEnabled(): boolean {
+        return this.args.active === true || this.args.active === "selected";
+    }
+
+    /**
+     * Updates the focusability and aria-disabled state from the active argument.
+     */
+    private updateAria(): void {
+        if (!this.html.hasAttribute("role")) return;
+
+        const enabled = this.isEnabled();
+        this.html.tabIndex = enabled ? 0 : -1;
+        this.html.setAttribute("aria-disabled", String(!enabled));
     }
 }
\ No newline at end of file
@@ -0,0 +1,289 @@
+import { Game } from "../game";
+import { GameElement } from "../gameElement";
+
+/**
+ * Game element recorded in a snapshot
+ */
+interface SnapshotNode {
+	/** Element name (tag of its HTML element) */
+	name: string;
+
+	/** Element arguments, without interactive state */
+	args: Record<string, string | number | boolean>;
+
+	/** Child elements and the HTML of the other content (labels, badges), in page order */
+	children: (SnapshotNode | string)[];
+}
+
+/**
+ * Board state recorded at the end of a turn
+ */
+interface Snapshot {
+	/** Description shown on the timeline */
+	label: string;
+
+	/** Top-level game elements */
+	elements: SnapshotNode[];
+}
+
+/**
+ * Timeline slider stepping back through the board states of the current game
+ *
+ * A snapshot of the game element tree is recorded when the table is loaded
+ * and at the end of every turn: the name and arguments of every element,
+ * without interactive state, and the HTML of the content that is not a game
+ * element (labels, badges). The snapshot is rebuilt into elements styled like
+ * the live ones only when viewed: bikers, camps, supplies and each player's
+ * postcards are shown as they were.
+ *
+ * UI-only elements (planning ghosts, route steps, toggles, trackers) carry the
+ * overlay attribute and are left out of the snapshots.
+ *
+ * While a snapshot is viewed, the live elements are hidden and the copies are
+ * shown inert in their place. The live game keeps running underneath and is
+ * shown again when the slider is moved back to "Now" or the timeline is closed.
+ *
+ * Responsibilities:
+ *  - Recording the snapshots
+ *  - Displaying the timeline slider
+ *  - Swapping the live elements and the viewed snapshot
+ */
+export class HistoryScrubber {
+	// ========== Static Properties ==========
+
+	/** Maximum number of snapshots kept, the oldest ones are dropped */
+	private static readonly MAX_SNAPSHOTS: number = 60;
+
+	/** Arguments describing interactive state, left out of the snapshots (with active, see getArgs) */
+	private static readonly INTERACTIVE_ARGS: string[] = ["drop", "plan", "plan_target", "armed", "focus", "preview", "changed"];
+
+	/** Attributes removed from the viewed snapshot */
+	private static readonly INTERACTIVE_ATTRIBUTES: string[] = ["id", "tabindex", "role"];
+
+	// ========== Properties ==========
+
+	/** Reference to the main Game instance */
+	private readonly game: Game;
+
+	/** Recorded snapshots, oldest first */
+	private snapshots: Snapshot[] = [];
+
+	/** Index of the viewed snapshot, undefined when the live game is shown */
+	private viewed?: number;
+
+	/** Bar showing the timeline in the page title (while open) */
+	private bar?: HTMLElement;
+
+	/** Container of the viewed snapshot */
+	private view?: HTMLElement;
+
+	// ========== Constructor ==========
+
+	/**
+	 * Initialize an empty history
+	 * @param game - Main game instance
+	 */
+	public constructor(game: Game) {
+		this.game = game;
+	}
+
+	// ========== Public Methods ==========
+
+	/**
+	 * Add the button opening the timeline next to the other help buttons and record the loaded state
+	 */
+	public setup(): void {
+		this.record(_("Table loaded"));
+
+		const buttons = document.getElementById('bga-help_buttons');
+		if (!buttons) return;
+
+		const button = document.createElement('button');
+		button.id = 'history_scrubber_help';
+		button.classList.add('bga-help_button', 'history_scrubber_help');
+		button.innerHTML = '⏱';
+		button.addEventListener('click', () => (this.bar === undefined ? this.open() : this.close()));
+		buttons.appendChild(button);
+		this.game.bga.gameui.addTooltipHtml('history_scrubber_help', `<h3>${_("Game history")}</h3>`);
+	}
+
+	/**
+	 * Record the board state at the end of a turn
+	 * @param label - Description of the snapshot
+	 */
+	public record(label: string): void {
+		const elements = this.getChildren(this.game.c)
+			.filter((e) => e.args.overlay !== true)
+			.map((e) => this.getNode(e));
+
+		this.snapshots.push({ label, elements });
+		if (this.snapshots.length > HistoryScrubber.MAX_SNAPSHOTS) {
+			this.snapshots.shift();
+			if (this.viewed !== undefined) this.viewed = Math.max(0, this.viewed - 1);
+		}
+
+		if (this.bar !== undefined) this.render();
+	}
+
+	/**
+	 * Record the board state at the end of the active player's turn
+	 */
+	public recordTurn(): void {
+		const player = this.game.bga.gameui.gamedatas.players[this.game.bga.gameui.getActivePlayerId() ?? 0];
+		this.record(player === undefined
+			? _("End of turn")
+			: this.game.bga.gameui.format_string(_("After ${player_name}'s turn"), { player_name: player.name }));
+	}
+
+	/**
+	 * Open the timeline on the current state
+	 */
+	public open(): void {
+		delete this.viewed;
+		this.render();
+	}
+
+	/**
+	 * Close the timeline and show the live game
+	 */
+	public close(): void {
+		this.show(undefined);
+		this.bar?.remove();
+		delete this.bar;
+	}
+
+	// ========== Private Helper Methods ==========
+
+	/**
+	 * Build the timeline bar
+	 * @private
+	 */
+	private render(): void {
+		this.bar?.remove();
+
+		const now = this.snapshots.length;
+		const index = this.viewed ?? now;
+		this.bar = this.game.createBar("history_scrubber", `
+			<history_scrubber>
+				<input type="range" min="0" max="${now}" value="${index}" aria-label="${_("Game history")}">
+				<history_scrubber_label>${index === now ? _("Now") : this.snapshots[index].label}</history_scrubber_label>
+			</history_scrubber>
+		`);
+
+		const slider = this.bar.querySelector('input')!;
+		slider.addEventListener('input', () => {
+			const value = Number(slider.value);
+			this.show(value === now ? undefined : value);
+			this.bar!.querySelector('history_scrubber_label')!.textContent = value === now ? _("Now") : this.snapshots[value].label;
+		});
+
+		const close = document.createElement('a');
+		close.className = "bgabutton bgabutton_gray";
+		close.innerHTML = _("Close");
+		close.addEventListener('click', () => this.close());
+		this.bar.querySelector('history_scrubber')!.appendChild(close);
+	}
+
+	/**
+	 * Show a snapshot in place of the live elements
+	 * @param index - Index of the snapshot, undefined for the live game
+	 * @private
+	 */
+	private show(index: number | undefined): void {
+		this.viewed = index;
+		this.view?.remove();
+		delete this.view;
+
+		if (index === undefined) {
+			this.game.html!.removeAttribute("history");
+			return;
+		}
+
+		this.view = document.createElement('history_view');
+		this.view.inert = true;
+		for (const node of this.snapshots[index].elements) {
+			this.view.appendChild(this.build(node));
+		}
+		this.view.querySelectorAll('*').forEach((e) => {
+			HistoryScrubber.INTERACTIVE_ATTRIBUTES.forEach((a) => e.removeAttribute(a));
+		});
+		this.game.html!.appendChild(this.view);
+		this.game.html!.setAttribute("history", "true");
+	}
+
+	/**
+	 * Get the child elements of an element in page order
+	 * @param c - Child registry of the element
+	 * @returns Child elements
+	 * @private
+	 */
+	private getChildren(c: Record<string, Record<number, GameElement>>): GameElement[] {
+		const res: GameElement[] = [];
+		for (const name in c) {
+			for (const i in c[name]) res.push(c[name][i]);
+		}
+		return res.sort((a, b) => (a.html.compareDocumentPosition(b.html) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+	}
+
+	/**
+	 * Record an element and its descendants
+	 * @param element - Live element
+	 * @returns Snapshot node
+	 * @private
+	 */
+	private getNode(element: GameElement): SnapshotNode {
+		const children = this.getChildren(element.c);
+		const res: SnapshotNode = { name: element.name, args: this.getArgs(element), children: [] };
+
+		for (const child of Array.from(element.html.childNodes)) {
+			const index = children.findIndex((c) => c.html === child);
+			if (index !== -1) {
+				const [e] = children.splice(index, 1);
+				if (e.args.overlay !== true) res.children.push(this.getNode(e));
+			} else if (child instanceof HTMLElement) {
+				if (!child.hasAttribute("overlay")) res.children.push(child.outerHTML);
+			} else if (child.nodeType === Node.TEXT_NODE && child.textContent!.trim() !== "") {
+				res.children.push(child.textContent!.replace(/&/g, "&amp;").replace(/</g, "&lt;"));
+			}
+		}
+		// Children placed outside of their parent (e.g. while animated)
+		for (const e of children) {
+			if (e.args.overlay !== true) res.children.push(this.getNode(e));
+		}
+
+		return res;
+	}
+
+	/**
+	 * Get the arguments of an element without interactive state
+	 * @param element - Live element
+	 * @returns Recorded arguments
+	 * @private
+	 */
+	private getArgs(element: GameElement): Record<string, string | number | boolean> {
+		const res = { ...element.args };
+		HistoryScrubber.INTERACTIVE_ARGS.forEach((a) => delete res[a]);
+		// Circles use the active argument for the itinerary progress
+		if (element.name !== 'circle') delete res.active;
+		return res;
+	}
+
+	/**
+	 * Build the elements of a snapshot node, the way GameElement creates them
+	 * @param node - Snapshot node
+	 * @returns Element
+	 * @private
+	 */
+	private build(node: SnapshotNode): HTMLElement {
+		const element = document.createElement(node.name);
+		element.classList.add(node.name);
+		for (const [key, value] of Object.entries(node.args)) {
+			if (value !== null) element.setAttribute(key, String(value));
+		}
+		for (const child of node.children) {
+			if (typeof child === "string") element.insertAdjacentHTML('beforeend', child);
+			else element.appendChild(this.build(child));
+		}
+		return element;
+	}
+}
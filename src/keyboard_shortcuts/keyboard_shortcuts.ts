@@ -0,0 +1,274 @@
+import { Game } from "../game";
+import { GameElement } from "../gameElement";
+import { BgaHelpPopinButton } from "../framework/thoun/bga-help";
+
+/**
+ * Keyboard shortcut layer for the current player
+ *
+ * State handlers register the elements the arrow keys cycle through and the
+ * keys they handle while the state is active. Everything registered is cleared
+ * when leaving the state.
+ *
+ * Default bindings:
+ *  - Arrow keys: Move the focus between the active targets of the state
+ *  - Enter: Click the focused target, or confirm when nothing is focused
+ *  - Backspace: Undo (registered with the undo buttons)
+ *  - Escape: Clear the focus
+ *  - ?: Show the list of the bindings
+ *
+ * Responsibilities:
+ *  - Listening to key presses outside of text inputs
+ *  - Tracking and displaying the focused target
+ *  - Dispatching the keys registered by the state handlers
+ *  - Providing the help popin listing the bindings
+ */
+export class KeyboardShortcuts {
+	// ========== Properties ==========
+
+	/** Reference to the main Game instance */
+	private readonly game: Game;
+
+	/** Parent elements and child names of the targets the arrow keys cycle through */
+	private targets: { root: GameElement | Game; names: string[] }[] = [];
+
+	/** Callbacks of the keys registered by the current state */
+	private keys: Record<string, () => void> = {};
+
+	/** Target having the keyboard focus */
+	private focused?: GameElement;
+
+	/** Button opening the help popin */
+	private help_button?: HTMLElement;
+
+	// ========== Constructor ==========
+
+	/**
+	 * Initialize the keyboard shortcut layer and start listening to key presses
+	 * @param game - Main game instance
+	 */
+	public constructor(game: Game) {
+		this.game = game;
+
+		document.addEventListener('keydown', (e: KeyboardEvent) => this.onKeyDown(e));
+	}
+
+	// ========== Public Methods ==========
+
+	/**
+	 * Add the button showing the bindings next to the other help buttons
+	 */
+	public setupHelp(): void {
+		const buttons = document.getElementById('bga-help_buttons');
+		if (!buttons) return;
+
+		new BgaHelpPopinButton({
+			title: _("Keyboard shortcuts"),
+			html: this.getHelpHtml(),
+			buttonExtraClasses: 'keyboard_shortcuts_help',
+		}).add(buttons);
+
+		this.help_button = buttons.querySelector('.keyboard_shortcuts_help') as HTMLElement;
+		this.help_button.innerHTML = '⌨';
+	}
+
+	/**
+	 * Add elements the arrow keys cycle through
+	 *
+	 * Targets are collected when a key is pressed, so only the descendants
+	 * that are active at that time are used.
+	 *
+	 * @param root - Element whose descendants are the targets
+	 * @param names - Names of the target elements (e.g. "region", "campsite")
+	 */
+	public addTargets(root: GameElement | Game, ...names: string[]): void {
+		this.targets.push({ root, names });
+	}
+
+	/**
+	 * Register a key for the current state
+	 * @param key - Key value (lowercase for letters, e.g. "m", "Enter")
+	 * @param callback - Function called when the key is pressed
+	 */
+	public addKey(key: string, callback: () => void): void {
+		this.keys[key] = callback;
+	}
+
+	/**
+	 * Remove the targets, the registered keys and the focus
+	 */
+	public clear(): void {
+		this.setFocus(undefined);
+		this.targets = [];
+		this.keys = {};
+	}
+
+	/**
+	 * Collect the active descendants of an element in document order
+	 * @param root - Element to search in
+	 * @param names - Names of the elements to collect
+	 * @returns Active elements ordered by their position in the page
+	 */
+	public static collect(root: GameElement | Game, names: string[]): GameElement[] {
+		const res: GameElement[] = [];
+		const search = (element: GameElement | Game): void => {
+			for (const name in element.c) {
+				for (const i in element.c[name]) {
+					const child = element.c[name][i];
+					if (names.includes(name) && (child.args.active === true || child.args.active === "selected")) {
+						res.push(child);
+					}
+					search(child);
+				}
+			}
+		};
+		search(root);
+		return KeyboardShortcuts.sortByPosition(res);
+	}
+
+	/**
+	 * Sort elements by their position in the page
+	 * @param elements - Elements to sort
+	 * @returns The same elements in document order
+	 */
+	public static sortByPosition<T extends GameElement>(elements: T[]): T[] {
+		return elements.sort((a, b) => a.html.compareDocumentPosition(b.html) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+	}
+
+	// ========== Private Helper Methods ==========
+
+	/**
+	 * Handle a key press
+	 *
+	 * Ignored while typing in a text field, when used with Ctrl, Alt or Meta,
+	 * and for Enter on a focused button.
+	 *
+	 * @param e - Keyboard event
+	 * @private
+	 */
+	private onKeyDown(e: KeyboardEvent): void {
+		const target = e.target as HTMLElement | null;
+		if (e.ctrlKey || e.altKey || e.metaKey) return;
+		if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable)) return;
+		if (target?.tagName === 'BUTTON' && e.key === 'Enter') return;
+
+		if (e.key === '?') {
+			this.help_button?.click();
+			e.preventDefault();
+			return;
+		}
+
+		if (!this.game.bga.players.isCurrentPlayerActive()) return;
+
+		const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+
+		switch (key) {
+			case 'ArrowRight':
+			case 'ArrowDown':
+				if (this.moveFocus(1)) e.preventDefault();
+				return;
+			case 'ArrowLeft':
+			case 'ArrowUp':
+				if (this.moveFocus(-1)) e.preventDefault();
+				return;
+			case 'Escape':
+				this.setFocus(undefined);
+				return;
+			case 'Enter':
+				if (this.focused !== undefined && this.isTarget(this.focused)) {
+					this.focused.html.click();
+					e.preventDefault();
+					return;
+				}
+				break;
+		}
+
+		const callback = this.keys[e.shiftKey && key.length === 1 ? `shift+${key}` : key];
+		if (callback !== undefined) {
+			callback();
+			e.preventDefault();
+		}
+	}
+
+	/**
+	 * Move the focus to the next or previous active target
+	 * @param direction - 1 for the next target, -1 for the previous one
+	 * @returns True if there was a target to focus
+	 * @private
+	 */
+	private moveFocus(direction: number): boolean {
+		const targets = this.getTargets();
+		if (targets.length === 0) return false;
+
+		const index = this.focused === undefined ? -1 : targets.indexOf(this.focused);
+		if (index === -1) {
+			this.setFocus(direction > 0 ? targets[0] : targets[targets.length - 1]);
+		} else {
+			this.setFocus(targets[(index + direction + targets.length) % targets.length]);
+		}
+		return true;
+	}
+
+	/**
+	 * Move the focus ring to a target
+	 * @param element - Target to focus, or undefined to clear the focus
+	 * @private
+	 */
+	private setFocus(element: GameElement | undefined): void {
+		if (this.focused !== undefined && this.focused.html) {
+			this.focused.setArg("focus", false);
+		}
+		this.focused = element;
+		if (element !== undefined) {
+			element.setArg("focus", true);
+			element.html.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+		}
+	}
+
+	/**
+	 * Get all the currently active targets
+	 * @returns Active targets in document order
+	 * @private
+	 */
+	private getTargets(): GameElement[] {
+		const res: GameElement[] = [];
+		for (const t of this.targets) {
+			res.push(...KeyboardShortcuts.collect(t.root, t.names));
+		}
+		return res;
+	}
+
+	/**
+	 * Check whether an element is still an active target
+	 * @param element - Element to check
+	 * @returns True if the element can be clicked with Enter
+	 * @private
+	 */
+	private isTarget(element: GameElement): boolean {
+		return this.getTargets().includes(element);
+	}
+
+	/**
+	 * Build the content of the help popin
+	 * @returns HTML table listing the bindings
+	 * @private
+	 */
+	private getHelpHtml(): string {
+		const bindings: [string, string][] = [
+			["1 - 9", _("Select a Travel card in your hand")],
+			["M / P / C", _("Movement, Postcard or Camp action of the selected Travel card(s)")],
+			["S", _("Place a Stamp with the selected Travel card(s)")],
+			["Shift + M / P / C / S", _("Use a Bonus action")],
+			["← → ↑ ↓", _("Cycle through the Regions, campsites, Postcards, Stamp and Souvenir spaces you can select")],
+			["Enter", _("Select the highlighted element, or Confirm")],
+			["Backspace", _("Undo")],
+			["Esc", _("Clear the highlight")],
+			["?", _("Show this list")],
+		];
+		return `<keyboard_shortcuts_help>
+			<table>
+				${bindings.map(([key, description]) => `<tr><td><kbd>${key}</kbd></td><td>${description}</td></tr>`).join('')}
+			</table>
+			<p>${_("In the Star state, M, P and S choose the Movement, Postcard and Stamp effects.")}</p>
+		</keyboard_shortcuts_help>`;
+	}
+}
@@ -10,6 +10,8 @@ import { Camp } from "./camp/camp";
 import { BonusActions } from "./player_area/bonus_actions/bonus_actions";
 import { Travel } from "./cards/travel/travel";
 import { TravelDeck } from "./board/travel_deck/travel_deck";
+import { TravelTracker } from "./board/travel_tracker/travel_tracker";
+import { GiftDeck } from "./board/gift_deck/gift_deck";
 import { EndGameBonus } from "./board/end_game_bonus/end_game_bonus";
 import { Itinerary } from "./player_area/itinerary/itinerary";
 import { Gift } from "./cards/gift/gift";
@@ -27,6 +29,7 @@ import { Circle } from "./player_area/itinerary/circle/circle";
  *  - Animating game state changes (card movements, scoring, etc.)
  *  - Updating UI elements based on notification data
  *  - Managing undo operations and state rollbacks
+ *  - Announcing notifications to screen readers through a live region
  */
 export class Notif {
 	// ========== Properties ==========
@@ -34,6 +37,9 @@ export class Notif {
 	/** Reference to the main Game instance */
 	readonly game: Game;
 
+	/** Live region announcing the notifications */
+	private readonly announcer: HTMLElement;
+
 	// ========== Constructor ==========
 
 	/**
@@ -42,6 +48,38 @@ export class Notif {
 	 */
 	public constructor(game: Game) {
 		this.game = game;
+
+		this.announcer = document.createElement('notif_announcer');
+		this.announcer.id = 'notif_announcer';
+		this.announcer.setAttribute('role', 'log');
+		this.announcer.setAttribute('aria-live', 'polite');
+		this.game.html!.appendChild(this.announcer);
+	}
+
+	// ========== Accessibility ==========
+
+	/**
+	 * Announce a notification message through the live region
+	 * 
+	 * Only the last few messages are kept so the region stays small.
+	 * 
+	 * @param log - Notification log message
+	 * @param args - Notification arguments
+	 */
+	public announce(log: string, args: any): void {
+		if (!log) return;
+
+		const formatted = document.createElement('div');
+		formatted.innerHTML = this.game.bga.gameui.format_string_recursive(log, args ?? {});
+		const text = formatted.textContent?.trim();
+		if (!text) return;
+
+		const message = document.createElement('p');
+		message.textContent = text;
+		this.announcer.appendChild(message);
+		while (this.announcer.children.length > 5) {
+			this.announcer.firstElementChild!.remove();
+		}
 	}
 
 	// ========== Action Notifications ==========
@@ -57,7 +95,14 @@ export class Notif {
 			(this.game.c.player_area[args.player_id].c.postcard_player[0] as PostcardPlayer).activatePostcards(false);
 			(this.game.c.board[0] as Board).inactivateAllCampsites();
 		}
+		const biker = this.game.c.board[0].c.biker[args.player_id];
+		const from = Number(biker.args.location);
 		await (this.game.c.board[0] as Board).moveBiker(args.player_id, args.region);
+		if (this.game.bga.gameui.player_id === args.player_id) {
+			(this.game.c.board[0] as Board).route_planner.update();
+		}
+		this.game.updatePostcardDistances();
+		this.game.digest.recordChange(`biker_${args.player_id}`, from, Number(args.region), _("${player_name} moved to region ${region}"), args, biker);
 	}
 
 	/**
@@ -68,6 +113,9 @@ export class Notif {
 		const postcard: Postcard = this.game.c.postcard_supply[0].c.postcard[args.postcard] as Postcard;
 		(this.game.c.postcard_supply[0] as PostcardSupply).rearrangeSupplyRow(postcard);
 		await (this.game.c.player_area[args.player_id].c.postcard_player[0] as PostcardPlayer).addPostcard(postcard);
+		this.game.updateProjectedScores();
+		this.game.updateItineraryMatches();
+		this.game.updatePostcardDistances();
 	}
 
 	/**
@@ -83,6 +131,9 @@ export class Notif {
 		if (args.top !== undefined) (this.game.c.postcard_supply[0] as PostcardSupply).addPostcardToTop(args.top);
 		const postcard: Postcard = this.game.c.postcard_supply[0].c.postcard[args.postcard] as Postcard;
 		await (this.game.c.player_area[args.player_id].c.postcard_player[0] as PostcardPlayer).addPostcard(postcard);
+		this.game.updateProjectedScores();
+		this.game.updateItineraryMatches();
+		this.game.updatePostcardDistances();
 	}
 
 	/**
@@ -98,6 +149,10 @@ export class Notif {
 		(this.game.c.board[0] as Board).inactivateAllCampsites();
 		const camp: Camp = this.game.c.player_area[args.player_id].c.player_board[0].c.camp[args.camp];
 		await (this.game.c.board[0] as Board).addCamp(camp, args.player_id, args.region, args.campsite);
+		(this.game.c.board[0] as Board).updateRegionProgress();
+		this.game.updateProjectedScores();
+		this.game.updateGiftBadges();
+		this.game.digest.record(`camp_${args.region * 10 + args.campsite}`, _("${player_name} placed a Camp in region ${region}"), args, camp);
 	}
 
 	/**
@@ -119,7 +174,11 @@ export class Notif {
 			(this.game.c.player_area[args.player_id].c.postcard_player[0] as PostcardPlayer).activatePostcards(false);
 		}
 		const camp: Camp = this.game.c.board[0].c.camp[args.region * 10 + args.campsite];
+		this.game.digest.forget(`camp_${args.region * 10 + args.campsite}`);
 		await (this.game.c.player_area[args.player_id].c.player_board[0] as PlayerBoard).addCamp(camp, args.camp);
+		(this.game.c.board[0] as Board).updateRegionProgress();
+		this.game.updateProjectedScores();
+		this.game.updateGiftBadges();
 	}
 
 	/**
@@ -206,6 +265,7 @@ export class Notif {
 	 */
 	public async notif_refillTravelSupply(args: { travel: number; location: number }): Promise<void> {
 		await (this.game.c.board[0] as Board).refillTravel(args.travel, args.location);
+		this.game.digest.record(`travel_${args.location}`, _("New Travel card in the supply"), args, this.game.c.board[0].c.travel[args.travel]);
 	}
 
 	/**
@@ -224,7 +284,11 @@ export class Notif {
 	 * @param args - Contains optional top card id
 	 */
 	public async notif_refillPostcardSupply(args: { top: number | undefined }): Promise<void> {
+		const revealed = Object.values(this.game.c.postcard_supply[0].c.postcard ?? {}).filter((p) => p.args.supply === 1);
 		await (this.game.c.postcard_supply[0] as PostcardSupply).refillPostcardSupply(args.top);
+		for (const postcard of revealed) {
+			this.game.digest.record(`postcard_${postcard.args.type}`, _("New Postcard in the supply"), args, postcard);
+		}
 	}
 
 	/**
@@ -238,23 +302,36 @@ export class Notif {
 		if (this.game.bga.gameui.player_id === args.player_id) {
 			await (this.game.c.player_area[args.player_id].c.hand[0] as Hand).addTravel(travel);
 		} else {
-			await this.game.animationManager.fadeOutAndDestroy(travel.html, this.game.bga.playerPanels.getElement(args.player_id), {
+			await this.game.animationManager.fadeOutAndDestroy(travel.html, this.game.bga.playerPanels.getElement(args.player_id), this.game.animationProfile.settings({
 				duration: 800,
-			});
+			}));
 			delete this.game.c.board[0].c.travel[args.travel];
 		}
 		
 	}
 
+	/**
+	 * Handles action travel notification - tracks travel cards played by the current player
+	 * @param args - Contains player_id and the travel id (single travel card actions only)
+	 */
+	public async notif_actionTravel(args: { player_id: number; travel?: number }): Promise<void> {
+		if (this.game.bga.gameui.player_id === args.player_id && args.travel !== undefined) {
+			this.game.used_travels.push(args.travel);
+		}
+	}
+
 	/**
 	 * Handles gift card selection notification - adds gift to player area
 	 * @param args - Contains player_id and gift id
 	 */
-	public async notif_gift(args: { player_id: number; gift: number }): Promise<void> {
+	public async notif_gift(args: { player_id: number; gift: number; type: string }): Promise<void> {
 		(this.game.c.board[0] as Board).activateAllGifts(false);
 		const gift: Gift = this.game.c.board[0].c.gift[args.gift] as Gift;
 		delete this.game.c.board[0].c.gift[args.gift];
 		await (this.game.c.player_area[args.player_id].c.gift_player[0] as GiftPlayer).addGift(gift);
+		this.game.updateProjectedScores();
+		this.game.updateGiftBadges();
+		this.game.digest.record(`gift_taken_${args.gift}`, _("${player_name} took a ${type} Gift card"), args, gift);
 	}
 
 	/**
@@ -288,7 +365,7 @@ export class Notif {
 				element,
 				(this.game.c.board[0].c.travel_deck[0] as TravelDeck).html,
 				this.game.bga.playerPanels.getElement(args.player_id),
-				{ duration: 800, parallelAnimations: [{ keyframes: [{ opacity: '1' }, { opacity: '0' }] }] }
+				this.game.animationProfile.settings({ duration: 800, parallelAnimations: [{ keyframes: [{ opacity: '1' }, { opacity: '0' }] }] }, 'out')
 			);
 		}
 	}
@@ -304,6 +381,7 @@ export class Notif {
 	}): Promise<void> {
 		await (this.game.c.board[0] as Board).refillGift(args.gift, args.location);
 		this.game.c.board[0].c.gift[args.gift].setArg("deck", false);
+		this.game.digest.record(`gift_${args.location}`, _("New Gift card in the supply"), args, this.game.c.board[0].c.gift[args.gift]);
 	}
 
 	/**
@@ -321,10 +399,10 @@ export class Notif {
 	 * Handles send postcard notification - removes postcard from player area
 	 * @param args - Contains player_id and postcard id
 	 */
-	public async notif_send(args: { player_id: number; postcard: number }): Promise<void> {
+	public async notif_send(args: { player_id: number; postcard: number; point: number }): Promise<void> {
 		const postcard: Postcard = this.game.c.player_area[args.player_id].c.postcard_player[0].c.postcard[args.postcard] as Postcard;
 		delete this.game.c.player_area[args.player_id].c.postcard_player[0].c.postcard[args.postcard];
-		await this.game.animationManager.fadeOutAndDestroy(postcard.html, this.game.bga.playerPanels.getElement(args.player_id), {
+		await this.game.animationManager.fadeOutAndDestroy(postcard.html, this.game.bga.playerPanels.getElement(args.player_id), this.game.animationProfile.settings({
 			duration: 800,
 			ignoreRotation: false,
 			parallelAnimations: [
@@ -332,7 +410,10 @@ export class Notif {
 					keyframes: [{ transform: 'scale(1)' }, { transform: 'scale(0)' }],
 				},
 			],
-		});
+		}, 'out'));
+		this.game.updateProjectedScores();
+		this.game.postcards.send(args.postcard, args.player_id);
+		this.game.digest.record(`send_${args.postcard}`, _("${player_name} sent home a Postcard and scored ${point} points"), args);
 	}
 
 	/**
@@ -350,6 +431,11 @@ export class Notif {
 			args.stamps,
 			args.souvenirs
 		);
+		this.game.updateProjectedScores();
+		this.game.updateItineraryMatches();
+		this.game.updatePostcardDistances();
+		this.game.postcards.send(args.postcard);
+		this.game.digest.forget(`send_${args.postcard}`);
 	}
 
 	/**
@@ -366,7 +452,8 @@ export class Notif {
 				);
 			}
 		}
-		await new Promise((resolve) => setTimeout(resolve, 2000));
+		await this.game.animationProfile.wait(2000);
+		this.game.updateProjectedScores();
 	}
 
 	// ========== Bonus and End Game Notifications ==========
@@ -381,8 +468,9 @@ export class Notif {
 		await this.game.animationManager.slideAndAttach(
 			(this.game.c.player_area[args.player_id].c.end_game_bonus[0] as EndGameBonus).html,
 			(this.game.c.player_area[args.player_id] as PlayerArea).html,
-			{ duration: 800 }
+			this.game.animationProfile.settings({ duration: 800 })
 		);
+		this.game.updateProjectedScores();
 	}
 	
 	/**
@@ -394,8 +482,9 @@ export class Notif {
 		await this.game.animationManager.slideAndAttach(
 			(this.game.c.board[0].c.end_game_bonus[0] as EndGameBonus).html,
 			(this.game.c.board[0] as PlayerArea).html,
-			{ duration: 800 }
+			this.game.animationProfile.settings({ duration: 800 })
 		);
+		this.game.updateProjectedScores();
 	}
 
 	/**
@@ -430,7 +519,7 @@ export class Notif {
 				args.player_color
 			);
 		}
-		await new Promise((resolve) => setTimeout(resolve, 2000));
+		await this.game.animationProfile.wait(2000);
 	}
 
 	/**
@@ -463,7 +552,7 @@ export class Notif {
   			behavior: "smooth",
 			block: "center"
 		});
-		await this.game.bga.gameui.wait(1000);
+		await this.game.animationProfile.wait(1000);
 		await this.game.animationManager.displayScoring(
 			(this.game.c.player_area[args.player_id].c.itinerary[0] as Itinerary).html,
 			args.n,
@@ -472,21 +561,23 @@ export class Notif {
 	}
 
 	/**
-	 * Handles action gift notification - removes gift card after use
+	 * Handles action gift notification - removes gift card after use and counts it as used
 	 * @param args - Contains player_id and gift id
 	 */
 	public async notif_actionGift(args: { player_id: number; gift: number }): Promise<void> {
 		const gift = this.game.c.player_area[args.player_id].c.gift_player[0].c.gift[args.gift] as Gift;
 		gift.html.remove();
 		delete this.game.c.player_area[args.player_id].c.gift_player[0].c.gift[args.gift];
+		(this.game.c.board[0].c.gift_deck[0] as GiftDeck).use(args.gift);
 	}
 
 	/**
-	 * Handles undo action gift notification - restores gift card
+	 * Handles undo action gift notification - restores gift card (no longer counted as used)
 	 * @param args - Contains player_id and gift id
 	 */
 	public async notif_undoActionGift(args: { player_id: number; gift: number }): Promise<void> {
 		(this.game.c.player_area[args.player_id].c.gift_player[0] as GiftPlayer).addGiftFromUndo(args.gift);
+		(this.game.c.board[0].c.gift_deck[0] as GiftDeck).use(args.gift, false);
 	}
 
 	// ========== Guide Phase Notifications ==========
@@ -516,8 +607,12 @@ export class Notif {
 		await (this.game.c.player_area[args.player_id].c.postcard_player[0] as PostcardPlayer).addPostcard(postcard_1);
 		const postcard_2: Postcard = this.game.c.postcard_guide[0].c.postcard[args.postcard_2] as Postcard;
 		await (this.game.c.player_area[args.player_id].c.postcard_player[0] as PostcardPlayer).addPostcard(postcard_2);
+		this.game.postcards.discard(Object.keys(this.game.c.postcard_guide[0].c.postcard ?? {}).map(Number));
 		(this.game.c.postcard_guide[0] as PostcardGuide).html.remove();
 		delete this.game.c.postcard_guide[0];
+		this.game.updateProjectedScores();
+		this.game.updateItineraryMatches();
+		this.game.updatePostcardDistances();
 	}
 
 	/**
@@ -528,6 +623,9 @@ export class Notif {
 		(this.game.c.postcard_guide[0] as PostcardGuide).activatePostcards(false);
 		const postcard_1: Postcard = this.game.c.postcard_guide[0].c.postcard[args.postcard_1] as Postcard;
 		await (this.game.c.player_area[args.player_id].c.postcard_player[0] as PostcardPlayer).addPostcard(postcard_1);
+		this.game.updateProjectedScores();
+		this.game.updateItineraryMatches();
+		this.game.updatePostcardDistances();
 	}
 
 	/**
@@ -544,6 +642,8 @@ export class Notif {
 	 */
 	public async notif_itinerary(args: { player_id: number; n: number }): Promise<void> {
 		(this.game.c.player_area[args.player_id].c.itinerary[0].c.circle[args.n] as Circle).activate();
+		this.game.updateProjectedScores();
+		this.game.updateItineraryMatches();
 	}
 
 	// ========== Counter Notifications ==========
@@ -560,7 +660,9 @@ export class Notif {
 		absInc: number;
 		playerId: number;
 	}): void {
-		if (args.name === 'postcards_counter') {
+		if (args.name === 'postcards_discard_counter') {
+			if (args.value === 0) this.game.postcards.reshuffle();
+		} else if (args.name === 'postcards_counter') {
 			if (args.value === 2) (this.game.c.postcard_supply[0] as PostcardSupply).setArg("count", 2);
 			else if (args.value === 1 || args.value === 0) (this.game.c.postcard_supply[0] as PostcardSupply).setArg("count", 1);
 			else (this.game.c.postcard_supply[0] as PostcardSupply).setArg("count", 3);
@@ -568,6 +670,8 @@ export class Notif {
 			if (args.value === 2) (this.game.c.board[0].c.deck_stack[0] as DeckStack).setArg("count", 2);
 			else if (args.value === 1) (this.game.c.board[0].c.deck_stack[0] as DeckStack).setArg("count", 1);
 			else (this.game.c.board[0].c.deck_stack[0] as DeckStack).setArg("count", 3);
+		} else if (args.name === 'travels_discard_counter') {
+			(this.game.c.board[0].c.travel_tracker[0] as TravelTracker).setDiscardCount(args.value, args.inc);
 		} else if (args.name === 'move_bonus_counter') {
 			if (this.game.bga.players.isCurrentPlayerActive()) {
 				if (args.value === 0) (this.game.c.player_area[this.game.bga.gameui.player_id].c.bonus_actions[0].c.travel_option[1] as TravelOption).setArg("count", 0);
@@ -13,6 +13,7 @@ import { Gift } from "../../cards/gift/gift";
  *  - Animating gift card addition to collection
  *  - Managing gift card activation/deactivation for selection
  *  - Handling undo operations for gift cards
+ *  - Updating scoring progress badges of held gift cards
  */
 export class GiftPlayer extends GameElement {
 	// ========== Constructor ==========
@@ -46,7 +47,7 @@ export class GiftPlayer extends GameElement {
 	 */
 	public addGift(gift: Gift): Promise<void> {
 		gift.addToParent(this);
-		return this.game.animationManager.slideAndAttach(gift.html, this.html, {
+		return this.game.animationManager.slideAndAttach(gift.html, this.html, this.game.animationProfile.settings({
 			duration: 800,
 			//fromPlaceholder: "off",
 			parallelAnimations: [
@@ -54,7 +55,7 @@ export class GiftPlayer extends GameElement {
 					keyframes: [{ rotate: '-5deg' }, { rotate: '0deg' }],
 				},
 			],
-		});
+		}));
 	}
 
 	/**
@@ -68,6 +69,15 @@ export class GiftPlayer extends GameElement {
 		new Gift(this, gift);
 	}
 
+	/**
+	 * Update the scoring progress badges of all gift cards in the collection
+	 */
+	public updateBadges(): void {
+		for (const i in this.c.gift) {
+			(this.c.gift[i] as Gift).updateBadge();
+		}
+	}
+
 	/**
 	 * Activate or deactivate all gift cards in the collection for interaction
 	 * @param b - True to activate (default), false to deactivate
@@ -2,6 +2,8 @@ import { GameElement } from "../../gameElement";
 import { PlayerArea } from "../player_area";
 import { DoubleActions } from "./double_actions/double_actions";
 import { Travel } from "../../cards/travel/travel";
+import { TravelDrag } from "./travel_drag/travel_drag";
+import { Selection } from "../../selection/selection";
 
 /**
  * Manages the current player's hand of Travel cards
@@ -12,19 +14,20 @@ import { Travel } from "../../cards/travel/travel";
  * Responsibilities:
  *  - Storing and displaying player's Travel cards
  *  - Managing card activation/deactivation for selection
- *  - Tracking selected cards (selected_1 and selected_2 for double actions)
+ *  - Tracking selected cards (one, or two for double actions)
  *  - Handling card discard animations
  *  - Managing used/unused card states
  *  - Managing double action selection
+ *  - Playing Travel cards by drag and drop
  */
 export class Hand extends GameElement {
 	// ========== Properties ==========
 
-	/** First selected travel card */
-	public selected_1!: Travel | undefined;
+	/** Selected travel cards (up to 2 when a double action is possible) */
+	public readonly selection: Selection<Travel>;
 
-	/** Second selected travel card (for double actions) */
-	public selected_2!: Travel | undefined;
+	/** Drag and drop of the travel cards */
+	public readonly travel_drag: TravelDrag;
 
 	// ========== Constructor ==========
 
@@ -44,6 +47,13 @@ export class Hand extends GameElement {
 
 		// Create double actions interface
 		new DoubleActions(this, 0);
+
+		this.selection = new Selection<Travel>(this, "travel", {
+			max: () => (this.game.possible_actions?.double ? 2 : 1),
+			onChange: (selected, previous) => this.onSelectionChange(selected, previous),
+		});
+
+		this.travel_drag = new TravelDrag(this);
 	}
 
 	// ========== Card Activation Methods ==========
@@ -59,6 +69,7 @@ export class Hand extends GameElement {
 		for (const i in this.c.travel) {
 			if (!except.includes(Number(i))) {
 				(this.c.travel[i] as Travel).activate();
+				this.c.travel[i].html.draggable = true;
 			}
 		}
 	}
@@ -76,20 +87,43 @@ export class Hand extends GameElement {
 			if (!not_used || this.c.travel[i].args.active !== "used") {
 				(this.c.travel[i] as Travel).activate(false);
 			}
+			this.c.travel[i].html.draggable = false;
 		}
 
-		// Clear selected cards
-		if (this.selected_1 !== undefined) {
-			(this.selected_1 as Travel).removeButtons();
-			this.selected_1 = undefined;
+		// Clear selected cards and double action flag
+		this.selection.clear();
+	}
+
+	/**
+	 * Select two Travel cards for a double action
+	 * 
+	 * Replaces the current selection and shows the double action options,
+	 * as if the two cards had been clicked one after the other.
+	 * 
+	 * @param first - First selected travel card
+	 * @param second - Second selected travel card
+	 */
+	public selectDouble(first: Travel, second: Travel): void {
+		this.selection.set([first, second]);
+	}
+
+	/**
+	 * Update the options shown for the selected cards
+	 * 
+	 * A single card shows its own options, two cards show the double action options.
+	 * 
+	 * @param selected - Selected travel cards
+	 * @param previous - Travel cards selected before the change
+	 * @private
+	 */
+	private onSelectionChange(selected: Travel[], previous: Travel[]): void {
+		for (const t of previous) {
+			t.removeButtons();
 		}
-		if (this.selected_2 !== undefined) {
-			(this.selected_2 as Travel).removeButtons();
-			this.selected_2 = undefined;
+		if (selected.length === 1) {
+			selected[0].addButtons();
 		}
-
-		// Clear double action flag
-		this.setArg("double", false);
+		this.setArg("double", selected.length === 2);
 	}
 
 	// ========== Card State Methods ==========
@@ -134,17 +168,17 @@ export class Hand extends GameElement {
 	public discardTravels(travels: number[]): Promise<void> {
 		for (const i in travels) {
 			const travel: Travel = this.c.travel[travels[i]] as Travel;
-			this.game.animationManager.fadeOutAndDestroy(travel.html, this.game.c.board[0].c.stamp_supply[0].html, {
+			this.game.animationManager.fadeOutAndDestroy(travel.html, this.game.c.board[0].c.stamp_supply[0].html, this.game.animationProfile.settings({
 				duration: 800,
 				parallelAnimations: [
 					{
 						keyframes: [{ transform: 'scale(1)' }, { transform: 'scale(0)' }],
 					},
 				],
-			});
+			}, 'out'));
 			delete this.c.travel[travels[i]];
 		}
-		return new Promise((resolve) => setTimeout(resolve, 800));
+		return this.game.animationProfile.wait(800);
 	}
 
 	/**
@@ -159,7 +193,7 @@ export class Hand extends GameElement {
 		for (const i in travels) {
 			new Travel(this, travels[i]);
 		}
-		return new Promise((resolve) => setTimeout(resolve, 800));
+		return this.game.animationProfile.wait(800);
 	}
 
 	/**
@@ -174,7 +208,7 @@ export class Hand extends GameElement {
 	 */
 	public addTravel(travel: Travel): Promise<void> {
 		travel.addToParent(this);
-		return this.game.animationManager.slideAndAttach(travel.html, this.html, {
+		return this.game.animationManager.slideAndAttach(travel.html, this.html, this.game.animationProfile.settings({
 			duration: 800,
 			fromPlaceholder: "off",
 			parallelAnimations: [
@@ -182,7 +216,7 @@ export class Hand extends GameElement {
 					keyframes: [{ transform: 'rotate(0.5deg)' }, { transform: 'rotate(0deg)' }],
 				},
 			],
-		});
+		}));
 	}
 
 	/**
@@ -199,7 +233,7 @@ export class Hand extends GameElement {
 	 */
 	public addTravelFromDeck(travel: Travel): Promise<void> {
 		travel.addToParent(this);
-		return this.game.animationManager.slideAndAttach(travel.html, this.html, {
+		return this.game.animationManager.slideAndAttach(travel.html, this.html, this.game.animationProfile.settings({
 			duration: 800,
 			fromPlaceholder: "off",
 			parallelAnimations: [
@@ -210,6 +244,6 @@ export class Hand extends GameElement {
 					],
 				},
 			],
-		});
+		}));
 	}
 }
\ No newline at end of file
@@ -0,0 +1,277 @@
+import { Game } from "../../../game";
+import { GameElement } from "../../../gameElement";
+import { Hand } from "../hand";
+import { Board } from "../../../board/board";
+import { Region } from "../../../board/region/region";
+import { RegionGraph } from "../../../board/region/region_graph";
+import { Campsite } from "../../../board/campsite/campsite";
+import { Travel } from "../../../cards/travel/travel";
+import { Postcard } from "../../../cards/postcard/postcard";
+import { StampSpace } from "../../../cards/postcard/stamp_selector/stamp_space";
+
+/**
+ * Follow-up action performed once the state started by a drop is entered
+ */
+interface PendingDrop {
+	/** State the Travel card action leads to */
+	state: string;
+
+	/** Action to perform in that state */
+	action: string;
+
+	/** Arguments of the action */
+	args: Record<string, number>;
+}
+
+/**
+ * Lets the current player play Travel cards from their hand by drag and drop
+ *
+ * Dropping a card on a target plays its action with the same calls as the
+ * Travel option buttons, then performs the follow-up action on the target
+ * when the resulting state is entered:
+ *  - Matching color Stamp space: Stamp action, then place the Stamp there
+ *  - Region next to the Biker: Movement action, then move there
+ *  - Postcard in the supply: Postcard action, then take that Postcard
+ *  - Free campsite in the Biker's region: Camp action, then camp there
+ *  - Another Travel card of the hand: select both cards for a double action
+ *
+ * Responsibilities:
+ *  - Computing and highlighting the valid drop targets of a dragged card
+ *  - Playing the Travel card action on drop
+ *  - Performing the follow-up action when its state is entered
+ */
+export class TravelDrag {
+	// ========== Properties ==========
+
+	/** Reference to the main Game instance */
+	private readonly game: Game;
+
+	/** Hand the cards are dragged from */
+	private readonly hand: Hand;
+
+	/** Card being dragged */
+	private dragged?: Travel;
+
+	/** Valid drop targets of the dragged card */
+	private targets: GameElement[] = [];
+
+	/** Follow-up action waiting for its state */
+	private pending?: PendingDrop;
+
+	/** State in which the last follow-up action was performed */
+	private resumed?: string;
+
+	// ========== Constructor ==========
+
+	/**
+	 * Initialize drag and drop for the cards of a hand
+	 * @param hand - Current player's hand
+	 */
+	public constructor(hand: Hand) {
+		this.hand = hand;
+		this.game = hand.game;
+
+		this.hand.html.addEventListener('dragstart', (e: DragEvent) => this.onDragStart(e));
+		this.hand.html.addEventListener('dragend', () => this.clearTargets());
+		this.game.html!.addEventListener('dragover', (e: DragEvent) => {
+			if (this.getTarget(e) !== undefined) e.preventDefault();
+		});
+		this.game.html!.addEventListener('drop', (e: DragEvent) => this.onDrop(e));
+	}
+
+	// ========== Public Methods ==========
+
+	/**
+	 * Perform the follow-up action of the last drop if the entered state is the expected one
+	 *
+	 * The pending action is dropped in any case, and skipped if the state
+	 * arguments no longer allow it.
+	 *
+	 * @param stateName - Name of the entered state
+	 * @param args - State arguments
+	 */
+	public resume(stateName: string, args: any): void {
+		const pending = this.pending;
+		delete this.pending;
+		delete this.resumed;
+		if (pending === undefined || pending.state !== stateName || !this.game.bga.players.isCurrentPlayerActive()) return;
+
+		switch (stateName) {
+			case 'Move':
+				if (!args?.regions?.map(Number).includes(pending.args.region)) return;
+				break;
+			case 'Camp':
+				if (!args?.campsites?.map(Number).includes(pending.args.campsite)) return;
+				break;
+			case 'Stamp':
+				if (!args?.spaces?.[pending.args.postcard]?.map(Number).includes(pending.args.space)) return;
+				break;
+		}
+
+		this.resumed = stateName;
+		this.game.bga.actions.performAction(pending.action, pending.args);
+	}
+
+	/**
+	 * Whether a follow-up action was performed when entering a state
+	 * @param stateName - Name of the state
+	 * @returns True if the last entered state is the given one and a drop action was performed in it
+	 */
+	public hasResumed(stateName: string): boolean {
+		return this.resumed === stateName;
+	}
+
+	// ========== Private Helper Methods ==========
+
+	/**
+	 * Handle the start of a drag - highlights the valid targets of the card
+	 * @param e - Drag event
+	 * @private
+	 */
+	private onDragStart(e: DragEvent): void {
+		const travel = Object.values(this.hand.c.travel ?? {}).find((t) => t.html === e.target) as Travel | undefined;
+		if (
+			travel === undefined ||
+			this.game.bga.gameui.gamedatas.gamestate.name !== 'Action' ||
+			this.game.planner.isPlanning() ||
+			!this.game.bga.players.isCurrentPlayerActive() ||
+			(travel.args.active !== true && travel.args.active !== "selected")
+		) {
+			e.preventDefault();
+			return;
+		}
+
+		this.dragged = travel;
+		this.targets = this.getTargets(travel);
+		for (const t of this.targets) {
+			t.setArg("drop", true);
+		}
+		e.dataTransfer?.setData('text/plain', String(travel.child_id));
+	}
+
+	/**
+	 * Handle a drop - plays the dragged card on the target
+	 * @param e - Drag event
+	 * @private
+	 */
+	private onDrop(e: DragEvent): void {
+		const target = this.getTarget(e);
+		const travel = this.dragged;
+		this.clearTargets();
+		if (target === undefined || travel === undefined) return;
+		e.preventDefault();
+
+		if (target instanceof Travel) {
+			this.hand.selectDouble(target, travel);
+		} else if (target instanceof StampSpace) {
+			this.play('actActionTravelColor', travel, {
+				state: 'Stamp',
+				action: 'actStamp',
+				args: { postcard: (target.parent as Postcard).child_id, space: target.args.space as number },
+			});
+		} else if (target instanceof Region) {
+			this.play('actActionTravel', travel, { state: 'Move', action: 'actMove', args: { region: target.args.type as number } });
+		} else if (target instanceof Postcard) {
+			this.play('actActionTravel', travel, { state: 'Postcard', action: 'actPostcard', args: { postcard: target.args.type as number } });
+		} else if (target instanceof Campsite) {
+			this.play('actActionTravel', travel, { state: 'Camp', action: 'actCamp', args: { campsite: target.args.location as number } });
+		}
+	}
+
+	/**
+	 * Play a single Travel card and remember the follow-up action
+	 * @param action - Travel card action (actActionTravel or actActionTravelColor)
+	 * @param travel - Card to play
+	 * @param pending - Follow-up action
+	 * @private
+	 */
+	private play(action: string, travel: Travel, pending: PendingDrop): void {
+		this.pending = pending;
+		this.game.bga.actions.performAction(action, { travel: travel.child_id }).catch(() => delete this.pending);
+	}
+
+	/**
+	 * Find the drop target under the pointer
+	 * @param e - Drag event
+	 * @returns The target containing the event target, or undefined
+	 * @private
+	 */
+	private getTarget(e: DragEvent): GameElement | undefined {
+		return this.targets.find((t) => t.html.contains(e.target as Node));
+	}
+
+	/**
+	 * Remove the highlight from the drop targets
+	 * @private
+	 */
+	private clearTargets(): void {
+		for (const t of this.targets) {
+			t.setArg("drop", false);
+		}
+		this.targets = [];
+		this.dragged = undefined;
+	}
+
+	/**
+	 * Compute the valid drop targets of a card
+	 * @param travel - Dragged card
+	 * @returns Elements the card can be dropped on
+	 * @private
+	 */
+	private getTargets(travel: Travel): GameElement[] {
+		const res: GameElement[] = [];
+		const possible_actions = this.game.possible_actions;
+		const board = this.game.c.board[0] as Board;
+		const player_id = this.game.bga.gameui.player_id;
+		const biker = Number(board.c.biker[player_id].args.location);
+
+		// Stamp spaces of the card color
+		const color = travel.getColorType();
+		if (possible_actions?.stamp[color]) {
+			const postcards = this.game.c.player_area[player_id].c.postcard_player[0].c.postcard ?? {};
+			for (const p in postcards) {
+				for (const s in postcards[p].c.stamp_space) {
+					const stamp_space = postcards[p].c.stamp_space[s] as StampSpace;
+					if (postcards[p].c.stamp?.[s] === undefined && stamp_space.getColor() === color) {
+						res.push(stamp_space);
+					}
+				}
+			}
+		}
+
+		// Action targets
+		switch (travel.getOptionType()) {
+			case 1:
+				for (const r of RegionGraph.getNeighbours(biker)) {
+					res.push(board.c.region[r]);
+				}
+				break;
+			case 2:
+				if (possible_actions?.postcard) {
+					res.push(...Object.values(this.game.c.postcard_supply[0].c.postcard ?? {}));
+				}
+				break;
+			case 3:
+				if (possible_actions?.camp) {
+					for (let l = 1; l <= board.campsites[biker - 1].length; l++) {
+						if (board.c.camp?.[biker * 10 + l] === undefined) {
+							res.push(board.c.campsite[biker * 10 + l]);
+						}
+					}
+				}
+				break;
+		}
+
+		// Other cards of the hand for a double action
+		if (possible_actions?.double) {
+			for (const t in this.hand.c.travel) {
+				const other = this.hand.c.travel[t];
+				if (other !== travel && (other.args.active === true || other.args.active === "selected")) {
+					res.push(other);
+				}
+			}
+		}
+
+		return res;
+	}
+}
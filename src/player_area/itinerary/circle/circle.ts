@@ -10,6 +10,7 @@ import { Itinerary } from "../itinerary";
  * 
  * Responsibilities:
  *  - Displaying the circle for a specific region
+ *  - Storing the region the circle requires
  *  - Tracking activation state (whether region objective is met)
  *  - Updating visual state when activated
  */
@@ -19,11 +20,12 @@ export class Circle extends GameElement {
 	/**
 	 * Initialize a circle for the itinerary
 	 * @param parent - Parent Itinerary instance
-	 * @param child_id - Circle index (0-3 representing regions 1-4)
+	 * @param child_id - Circle index (1-4, in the order shown on the card)
 	 * @param active - Whether this circle is initially active
+	 * @param region - Region a postcard must come from to activate this circle
 	 */
-	public constructor(parent: Itinerary, child_id: number, active: boolean) {
-		super(parent, child_id, "circle", { type: child_id, active });
+	public constructor(parent: Itinerary, child_id: number, active: boolean, region: number) {
+		super(parent, child_id, "circle", { type: child_id, active, region });
 	}
 
 	// ========== Public Methods ==========
@@ -11,10 +11,34 @@ import { Circle } from "./circle/circle";
  * Responsibilities:
  *  - Displaying the player's itinerary card with region objectives
  *  - Managing circle progress indicators (1/2/3/4 regions completed)
+ *  - Linking each circle to the region it requires
+ *  - Calculating the extra points a postcard of a given region would add
  *  - Providing information about scoring bonuses
  *  - Displaying tooltip with rules and scoring information
  */
 export class Itinerary extends GameElement {
+	// ========== Static Properties ==========
+
+	/** Points scored by number of matched regions (0-4) */
+	public static readonly POINTS: number[] = [0, 2, 4, 7, 11];
+
+	/** Regions shown at the bottom of each itinerary card, in circle order */
+	public static readonly REGIONS: Record<number, number[]> = {
+		1: [3, 5, 8, 11],
+		2: [4, 6, 9, 12],
+		3: [5, 7, 9, 13],
+		4: [2, 8, 10, 12],
+		5: [1, 7, 8, 13],
+		6: [2, 4, 8, 10],
+		7: [2, 4, 9, 11],
+		8: [1, 3, 10, 12],
+		9: [1, 3, 6, 13],
+		10: [2, 4, 6, 11],
+		11: [3, 5, 7, 8],
+		12: [2, 4, 6, 9],
+		13: [1, 3, 7, 11],
+	};
+
 	// ========== Constructor ==========
 
 	/**
@@ -27,15 +51,49 @@ export class Itinerary extends GameElement {
 	public constructor(parent: PlayerArea, child_id: number, type: number, circles: any) {
 		super(parent, child_id, "itinerary", { type });
 
-		// Create circles for each region (0-3 representing 1-4 regions completed)
+		// Create circles for each region (1-4, in the order shown on the card)
 		for (const c in circles) {
-			new Circle(this, Number(c), circles[c]);
+			new Circle(this, Number(c), circles[c], Itinerary.REGIONS[type][Number(c) - 1]);
 		}
 
 		// Setup tooltip with rules and scoring information
 		this.setupTooltip();
 	}
 
+	// ========== Public Methods ==========
+
+	/**
+	 * Get the number of circles already activated
+	 * @returns Number of matched regions (0-4)
+	 */
+	public getActiveCount(): number {
+		return Object.values(this.c.circle ?? {}).filter((c) => (c as Circle).args.active === true).length;
+	}
+
+	/**
+	 * Get the circle a postcard of the given region would fill
+	 * @param region - Postcard region
+	 * @returns The matching inactive circle, or undefined if the region is not on the card or already covered
+	 */
+	public getMatchingCircle(region: number): Circle | undefined {
+		for (const c in this.c.circle) {
+			const circle = this.c.circle[c] as Circle;
+			if (circle.args.region === region && circle.args.active !== true) return circle;
+		}
+		return undefined;
+	}
+
+	/**
+	 * Get the extra points sending a postcard of the given region would add
+	 * @param region - Postcard region
+	 * @returns Extra itinerary points (0 if the region does not advance the card)
+	 */
+	public getMatchPoints(region: number): number {
+		if (this.getMatchingCircle(region) === undefined) return 0;
+		const count = this.getActiveCount();
+		return Itinerary.POINTS[count + 1] - Itinerary.POINTS[count];
+	}
+
 	// ========== Private Helper Methods ==========
 
 	/**
@@ -96,14 +96,14 @@ export class PlayerBoard extends GameElement {
 
 		// Add camp to board and animate
 		camp.addToParent(this, location);
-		return this.game.animationManager.slideAndAttach(camp.html, this.html, {
+		return this.game.animationManager.slideAndAttach(camp.html, this.html, this.game.animationProfile.settings({
 			duration: 800,
 			parallelAnimations: [
 				{
 					keyframes: [{ transform: 'rotate(0deg)' }, { transform: `rotate(${rotate}deg)` }],
 				},
 			],
-		});
+		}));
 	}
 
 	// ========== Private Helper Methods ==========
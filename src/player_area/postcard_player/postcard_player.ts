@@ -3,6 +3,8 @@ import { PlayerArea } from "../player_area";
 import { SouvenirSpace } from "../../cards/postcard/souvenir_selector/souvenir_space";
 import { Postcard } from "../../cards/postcard/postcard";
 import { StampSpace } from "../../cards/postcard/stamp_selector/stamp_space";
+import { Itinerary } from "../itinerary/itinerary";
+import { RegionGraph } from "../../board/region/region_graph";
 
 /**
  * Manages a player's postcard collection and placement spaces
@@ -14,6 +16,8 @@ import { StampSpace } from "../../cards/postcard/stamp_selector/stamp_space";
  *  - Storing and displaying player's postcard collection
  *  - Activating/deactivating souvenir placement spaces
  *  - Activating/deactivating stamp placement spaces
+ *  - Ranking the available stamp spaces by value
+ *  - Previewing sendable postcards and matching souvenir spaces of a movement
  *  - Managing postcard animations (adding, sending)
  *  - Managing undo operations for sent postcards
  */
@@ -64,23 +68,84 @@ export class PostcardPlayer extends GameElement {
 		}
 	}
 
+	// ========== Preview Methods ==========
+
+	/**
+	 * Preview what a movement to a region would make possible
+	 * 
+	 * Highlights the postcards that could be sent in the region and the empty
+	 * souvenir spaces matching one of the given campsite types.
+	 * 
+	 * @param region - Region the biker would move to
+	 * @param types - Campsite types of the free campsites in the region
+	 */
+	public previewRegion(region: number, types: number[]): void {
+		for (const p in this.c.postcard) {
+			const postcard = this.c.postcard[p] as Postcard;
+			postcard.preview(postcard.getRegion() === region && postcard.hasAllStamps());
+			for (const s in postcard.c.souvenir_space) {
+				const souvenir_space = postcard.c.souvenir_space[s] as SouvenirSpace;
+				souvenir_space.preview(postcard.c.souvenir?.[s] === undefined && types.includes(souvenir_space.getType()));
+			}
+		}
+	}
+
+	/**
+	 * Clear the movement preview from all postcards and souvenir spaces
+	 */
+	public clearPreview(): void {
+		for (const p in this.c.postcard) {
+			const postcard = this.c.postcard[p] as Postcard;
+			postcard.preview(false);
+			for (const s in postcard.c.souvenir_space) {
+				(postcard.c.souvenir_space[s] as SouvenirSpace).preview(false);
+			}
+		}
+	}
+
 	// ========== Stamp Space Methods ==========
 
 	/**
 	 * Activate stamp placement spaces on specific postcards
 	 * 
-	 * Enables stamp spaces where players can place stamps on their postcards.
+	 * Enables stamp spaces where players can place stamps on their postcards,
+	 * and marks each of them with the rank of its postcard.
 	 * 
 	 * @param spaces - Object mapping postcard IDs to arrays of stamp space indices
 	 */
 	public activateStampSpaces(spaces: Record<number, number[]>): void {
 		for (const p in spaces) {
+			const rank = this.getStampRank(this.c.postcard[p] as Postcard);
 			for (const s in spaces[p]) {
-				(this.c.postcard[p].c.stamp_space[spaces[p][s]] as StampSpace).activate();
+				const stamp_space = this.c.postcard[p].c.stamp_space[spaces[p][s]] as StampSpace;
+				stamp_space.activate();
+				stamp_space.setRank(rank);
 			}
 		}
 	}
 
+	/**
+	 * Get the stamp space to use when there is only one sensible choice
+	 * 
+	 * The choice is sensible when every available space is on the same
+	 * postcard and has the same color, as they then lead to the same result.
+	 * 
+	 * @param spaces - Object mapping postcard IDs to arrays of stamp space indices
+	 * @returns The first available space, or undefined if the spaces differ
+	 */
+	public getOnlyStampSpace(spaces: Record<number, number[]>): StampSpace | undefined {
+		const available: StampSpace[] = [];
+		for (const p in spaces) {
+			for (const s in spaces[p]) {
+				available.push(this.c.postcard[p].c.stamp_space[spaces[p][s]] as StampSpace);
+			}
+		}
+
+		if (available.length === 0) return undefined;
+		const first = available[0];
+		return available.every((s) => s.parent === first.parent && s.getColor() === first.getColor()) ? first : undefined;
+	}
+
 	/**
 	 * Deactivate all stamp placement spaces across all postcards
 	 */
@@ -112,7 +177,7 @@ export class PostcardPlayer extends GameElement {
 		postcard.addToParent(this);
 		postcard.setupFace();
 
-		return await this.game.animationManager.slideAndAttach(postcard.html, this.html, {
+		return await this.game.animationManager.slideAndAttach(postcard.html, this.html, this.game.animationProfile.settings({
 			duration: 800,
 			parallelAnimations: [
 				{
@@ -122,7 +187,7 @@ export class PostcardPlayer extends GameElement {
 					],
 				},
 			],
-		});
+		}));
 	}
 
 	/**
@@ -148,4 +213,32 @@ export class PostcardPlayer extends GameElement {
 	public undoSend(postcard: number, stamps: any, souvenirs: any): void {
 		new Postcard(this, postcard, true, { stamps, souvenirs });
 	}
+
+	// ========== Private Helper Methods ==========
+
+	/**
+	 * Rank the value of placing a stamp on a postcard
+	 * 
+	 * Ranks, best first:
+	 *  - 3: The stamp completes the postcard
+	 *  - 2: The postcard is in or next to the region of the Biker
+	 *  - 1: The postcard would advance the itinerary
+	 *  - 0: Other postcards
+	 * 
+	 * @param postcard - Postcard receiving the stamp
+	 * @returns Rank 0-3
+	 * @private
+	 */
+	private getStampRank(postcard: Postcard): number {
+		const area = this.parent as PlayerArea;
+		const missing = Object.keys(postcard.c.stamp_space ?? {}).length - Object.keys(postcard.c.stamp ?? {}).length;
+		if (missing === 1) return 3;
+
+		const biker = Number(this.game.c.board[0].c.biker[area.player_id].args.location);
+		if (RegionGraph.getDistance(biker, postcard.getRegion()) <= 1) return 2;
+
+		if ((area.c.itinerary[0] as Itinerary).getMatchingCircle(postcard.getRegion()) !== undefined) return 1;
+
+		return 0;
+	}
 }
@@ -0,0 +1,185 @@
+import { Game } from "../../game";
+import { Board } from "../../board/board";
+import { Gift } from "../../cards/gift/gift";
+import { Itinerary } from "../../player_area/itinerary/itinerary";
+
+/**
+ * Displays a live projection of a player's final score on their player panel
+ *
+ * The projection adds the end-game scoring categories, computed from the
+ * current client state, to the player's current score.
+ *
+ * Responsibilities:
+ *  - Creating the projected score element in the player panel
+ *  - Calculating itinerary, keychain, snow globe, caravan, end game bonus
+ *    and unsent postcard points from the game elements
+ *  - Refreshing the displayed values when the game state changes
+ */
+export class ProjectedScore {
+	// ========== Properties ==========
+
+	/** Reference to the main Game instance */
+	private readonly game: Game;
+
+	/** The player ID this projection belongs to */
+	public readonly player_id: number;
+
+	/** Root HTML element of the projection */
+	public readonly html: HTMLElement;
+
+	/** Value elements by category */
+	private readonly values: Record<string, HTMLElement> = {};
+
+	// ========== Constructor ==========
+
+	/**
+	 * Initialize the projected score panel
+	 * @param game - Main game instance
+	 * @param player_id - Player ID
+	 * @param parent - Player panel element to append to
+	 */
+	public constructor(game: Game, player_id: number, parent: HTMLElement) {
+		this.game = game;
+		this.player_id = player_id;
+
+		this.html = document.createElement('projected_score');
+		this.html.id = `projected_score_${player_id}`;
+		parent.appendChild(this.html);
+
+		const categories: Record<string, string> = {
+			itinerary: _("Itinerary"),
+			keychain: _("Keychains"),
+			snow_globe: _("Snow Globes"),
+			caravan: _("Caravan"),
+			end_bonus: _("End Game Bonus"),
+			unsent: _("Unsent Postcards"),
+			total: _("Projected final score"),
+		};
+
+		for (const c in categories) {
+			const row = document.createElement('projected_score_row');
+			row.setAttribute("category", c);
+			row.innerHTML = `<span>${categories[c]}</span>`;
+			this.values[c] = document.createElement('projected_score_value');
+			row.appendChild(this.values[c]);
+			this.html.appendChild(row);
+		}
+
+		this.game.bga.gameui.addTooltipHtml(
+			this.html.id,
+			`<tooltip>
+				<h3>${_("Projected Score")}</h3>
+				<p>${_("The points this player would score at the end of the game if it ended now, added to their current score.")}</p>
+			</tooltip>`
+		);
+	}
+
+	// ========== Public Methods ==========
+
+	/**
+	 * Recalculate every category and refresh the displayed values
+	 */
+	public update(): void {
+		const scores: Record<string, number> = {
+			itinerary: this.getItineraryPoints(),
+			keychain: this.getKeychainPoints(),
+			snow_globe: this.getSnowGlobePoints(),
+			caravan: this.getCaravanPoints(),
+			end_bonus: this.getEndBonusPoints(),
+			unsent: this.getUnsentPostcardPoints(),
+		};
+
+		let total = this.getCurrentScore();
+		for (const s in scores) {
+			this.values[s].innerHTML = `+${scores[s]}`;
+			total += scores[s];
+		}
+		this.values.total.innerHTML = String(total);
+	}
+
+	// ========== Private Helper Methods ==========
+
+	/**
+	 * Get the player's current score from the player panel
+	 * @returns Current score
+	 * @private
+	 */
+	private getCurrentScore(): number {
+		const score = this.game.bga.gameui.scoreCtrl?.[this.player_id];
+		if (score) return score.getValue();
+		return Number(this.game.bga.gameui.gamedatas.players[this.player_id].score);
+	}
+
+	/**
+	 * Calculate itinerary points from the active circles
+	 * @returns Itinerary points
+	 * @private
+	 */
+	private getItineraryPoints(): number {
+		return Itinerary.POINTS[(this.game.c.player_area[this.player_id].c.itinerary[0] as Itinerary).getActiveCount()];
+	}
+
+	/**
+	 * Calculate keychain points from the camp counters of the matching campsite types
+	 * @returns Keychain points
+	 * @private
+	 */
+	private getKeychainPoints(): number {
+		let res = 0;
+		for (const g of this.getGifts()) {
+			const type = Gift.KEYCHAIN_CAMPSITE_TYPES[Gift.getGiftType(g)];
+			if (type !== undefined) {
+				const count = (this.game.c.board[0] as Board).getCampCount(this.player_id, type);
+				res += Gift.KEYCHAIN_POINTS[Math.min(count, 6)];
+			}
+		}
+		return res;
+	}
+
+	/**
+	 * Calculate snow globe points from the number of snow globe gift cards
+	 * @returns Snow globe points
+	 * @private
+	 */
+	private getSnowGlobePoints(): number {
+		const count = this.getGifts().filter((g) => Gift.getGiftType(g) === Gift.SNOW_GLOBE).length;
+		return Gift.SNOW_GLOBE_POINTS[Math.min(count, 4)];
+	}
+
+	/**
+	 * Calculate caravan points: 2 points for each region with at least 2 camps
+	 * @returns Caravan points
+	 * @private
+	 */
+	private getCaravanPoints(): number {
+		if (!this.getGifts().some((g) => Gift.getGiftType(g) === Gift.CARAVAN)) return 0;
+		return Object.values((this.game.c.board[0] as Board).getCampsByRegion(this.player_id)).filter((n) => n >= 2).length * 2;
+	}
+
+	/**
+	 * Calculate end game bonus points (3 points if the player holds the token)
+	 * @returns End game bonus points
+	 * @private
+	 */
+	private getEndBonusPoints(): number {
+		return this.game.c.player_area[this.player_id].c.end_game_bonus?.[0] !== undefined ? 3 : 0;
+	}
+
+	/**
+	 * Calculate unsent postcard points (1 point for each postcard still held)
+	 * @returns Unsent postcard points
+	 * @private
+	 */
+	private getUnsentPostcardPoints(): number {
+		return Object.keys(this.game.c.player_area[this.player_id].c.postcard_player[0].c.postcard ?? {}).length;
+	}
+
+	/**
+	 * Get the IDs of the gift cards held by the player
+	 * @returns Array of gift card IDs
+	 * @private
+	 */
+	private getGifts(): number[] {
+		return Object.keys(this.game.c.player_area[this.player_id].c.gift_player[0].c.gift ?? {}).map(Number);
+	}
+}
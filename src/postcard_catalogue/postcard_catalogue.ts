@@ -0,0 +1,232 @@
+import { Game } from "../game";
+import { Postcard } from "../cards/postcard/postcard";
+import { SouvenirSpace } from "../cards/postcard/souvenir_selector/souvenir_space";
+import { PostcardStatus, PostcardTracker } from "../postcard_tracker/postcard_tracker";
+import { BgaHelpPopinButton } from "../framework/thoun/bga-help";
+
+/**
+ * Catalogue of every postcard in the game
+ *
+ * Opened from a help button, it shows all the postcards with their region,
+ * stamp layout and souvenir types, tagged with their status in the current
+ * game (see PostcardTracker.getStatus). The postcards can be filtered by
+ * region, stamp count and souvenir types; a postcard matches the souvenir
+ * filter when it has all the checked types.
+ *
+ * The status is read when the catalogue is opened, so it also reflects the
+ * game while it is being reviewed.
+ *
+ * Responsibilities:
+ *  - Providing the help button opening the catalogue
+ *  - Keeping the filters while the page is open
+ *  - Displaying the filtered postcards and their status
+ */
+export class PostcardCatalogue {
+	// ========== Static Properties ==========
+
+	/** Number of regions */
+	private static readonly REGION_COUNT: number = 13;
+
+	/** Number of souvenir types */
+	private static readonly SOUVENIR_TYPE_COUNT: number = 8;
+
+	// ========== Properties ==========
+
+	/** Reference to the main Game instance */
+	private readonly game: Game;
+
+	/** Region filter (0 for all) */
+	private region: number = 0;
+
+	/** Stamp count filter (0 for all) */
+	private stamps: number = 0;
+
+	/** Souvenir types every shown postcard must have */
+	private readonly souvenirs: Set<number> = new Set();
+
+	/** Catalogue content element (while shown) */
+	private content?: HTMLElement;
+
+	// ========== Constructor ==========
+
+	/**
+	 * Initialize the catalogue
+	 * @param game - Main game instance
+	 */
+	public constructor(game: Game) {
+		this.game = game;
+	}
+
+	// ========== Public Methods ==========
+
+	/**
+	 * Add the button opening the catalogue next to the other help buttons
+	 */
+	public setupHelp(): void {
+		const buttons = document.getElementById('bga-help_buttons');
+		if (!buttons) return;
+
+		new BgaHelpPopinButton({
+			title: _("Postcard catalogue"),
+			html: '',
+			buttonExtraClasses: 'postcard_catalogue_help',
+			onPopinCreated: (element: HTMLElement) => this.render(element),
+		}).add(buttons);
+
+		const button = buttons.querySelector('.postcard_catalogue_help') as HTMLElement;
+		button.innerHTML = '✉';
+		button.setAttribute("aria-label", _("Postcard catalogue"));
+	}
+
+	// ========== Private Helper Methods ==========
+
+	/**
+	 * Build the filters and the postcard list in the popin
+	 * @param element - Popin content element
+	 * @private
+	 */
+	private render(element: HTMLElement): void {
+		let regions = `<option value="0">${_("All")}</option>`;
+		for (let region = 1; region <= PostcardCatalogue.REGION_COUNT; region++) {
+			regions += `<option value="${region}" ${this.region === region ? "selected" : ""}>${region}</option>`;
+		}
+
+		let stamps = `<option value="0">${_("All")}</option>`;
+		for (let n = 3; n <= 6; n++) {
+			stamps += `<option value="${n}" ${this.stamps === n ? "selected" : ""}>${n}</option>`;
+		}
+
+		let souvenirs = "";
+		for (let type = 1; type <= PostcardCatalogue.SOUVENIR_TYPE_COUNT; type++) {
+			souvenirs += `<label>
+				<input type="checkbox" value="${type}" ${this.souvenirs.has(type) ? "checked" : ""}>
+				${SouvenirSpace.getTypeName(type)}
+			</label>`;
+		}
+
+		element.innerHTML = `
+			<postcard_catalogue>
+				<postcard_catalogue_filters>
+					<label>${_("Region")} <select name="region">${regions}</select></label>
+					<label>${_("Stamps")} <select name="stamps">${stamps}</select></label>
+					<postcard_catalogue_souvenirs>${souvenirs}</postcard_catalogue_souvenirs>
+				</postcard_catalogue_filters>
+				<postcard_catalogue_list></postcard_catalogue_list>
+			</postcard_catalogue>
+		`;
+		this.content = element.querySelector('postcard_catalogue') as HTMLElement;
+
+		this.content.querySelector('select[name="region"]')!.addEventListener('change', (e: Event) => {
+			this.region = Number((e.target as HTMLSelectElement).value);
+			this.update();
+		});
+		this.content.querySelector('select[name="stamps"]')!.addEventListener('change', (e: Event) => {
+			this.stamps = Number((e.target as HTMLSelectElement).value);
+			this.update();
+		});
+		this.content.querySelectorAll('postcard_catalogue_souvenirs input').forEach((input) => {
+			input.addEventListener('change', (e: Event) => {
+				const checkbox = e.target as HTMLInputElement;
+				if (checkbox.checked) this.souvenirs.add(Number(checkbox.value));
+				else this.souvenirs.delete(Number(checkbox.value));
+				this.update();
+			});
+		});
+
+		this.update();
+	}
+
+	/**
+	 * Refresh the postcard list with the current filters
+	 * @private
+	 */
+	private update(): void {
+		if (this.content === undefined) return;
+
+		let list = "";
+		let count = 0;
+		for (let postcard = 1; postcard <= PostcardTracker.POSTCARD_COUNT; postcard++) {
+			if (!this.matches(postcard)) continue;
+			list += this.getPostcardHtml(postcard);
+			count++;
+		}
+
+		this.content.querySelector('postcard_catalogue_list')!.innerHTML = `
+			<p>${this.game.bga.gameui.format_string(_("${n} postcards"), { n: String(count) })}</p>
+			${list}
+		`;
+	}
+
+	/**
+	 * Check whether a postcard matches the current filters
+	 * @param postcard - Postcard ID
+	 * @returns True if the postcard is shown
+	 * @private
+	 */
+	private matches(postcard: number): boolean {
+		if (this.region !== 0 && Postcard.getPostcardRegion(postcard) !== this.region) return false;
+		if (this.stamps !== 0 && Postcard.getStampCount(postcard) !== this.stamps) return false;
+		const types = SouvenirSpace.getSpaceTypes(postcard);
+		for (const type of this.souvenirs) {
+			if (!types.includes(type)) return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Build the catalogue entry of a postcard
+	 * @param postcard - Postcard ID
+	 * @returns Entry HTML
+	 * @private
+	 */
+	private getPostcardHtml(postcard: number): string {
+		const gameui = this.game.bga.gameui;
+		const status = this.game.postcards.getStatus(postcard);
+		const spaces = Postcard.getStampSpaces(postcard);
+
+		let layout = "";
+		for (let space = 1; space <= 6; space++) {
+			layout += `<postcard_catalogue_stamp filled="${spaces.includes(space)}"></postcard_catalogue_stamp>`;
+		}
+
+		const souvenirs = SouvenirSpace.getSpaceTypes(postcard).map((t) => SouvenirSpace.getTypeName(t)).join(", ");
+
+		return `<postcard_catalogue_card status="${status}">
+			<postcard_catalogue_image>
+				<postcard type="${postcard}" face="true"></postcard>
+			</postcard_catalogue_image>
+			<postcard_catalogue_info>
+				<b>${gameui.format_string(_("Region ${r}"), { r: String(Postcard.getPostcardRegion(postcard)) })}</b>
+				<span>
+					<postcard_catalogue_layout>${layout}</postcard_catalogue_layout>
+					${gameui.format_string(_("${n} stamps"), { n: String(spaces.length) })}
+				</span>
+				<span>${souvenirs}</span>
+				<postcard_catalogue_status>${this.getStatusName(status)}</postcard_catalogue_status>
+			</postcard_catalogue_info>
+		</postcard_catalogue_card>`;
+	}
+
+	/**
+	 * Get the label of a postcard status
+	 * @param status - Postcard status
+	 * @returns Localized status label
+	 * @private
+	 */
+	private getStatusName(status: PostcardStatus): string {
+		switch (status) {
+			case "hand":
+				return _("In your hand");
+			case "opponent":
+				return _("With an opponent");
+			case "supply":
+				return _("In the supply");
+			case "discarded":
+				return _("Discarded");
+			case "sent":
+				return _("Sent");
+			case "unseen":
+				return _("Unseen");
+		}
+	}
+}
@@ -1,6 +1,7 @@
 import { GameElement } from "../gameElement";
 import { Game } from "../game";
 import { Postcard } from "../cards/postcard/postcard";
+import { Selection } from "../selection/selection";
 
 /**
  * Manages the postcard guide display and selection interface
@@ -10,18 +11,15 @@ import { Postcard } from "../cards/postcard/postcard";
  * 
  * Responsibilities:
  *  - Displaying postcards available for selection
- *  - Managing postcard selection state (selected_1 and selected_2)
+ *  - Managing postcard selection state (2 postcards)
  *  - Activating/deactivating postcards for player interaction
  *  - Animating postcard reveal and slide-in effects
  */
 export class PostcardGuide extends GameElement {
 	// ========== Properties ==========
 
-	/** First selected postcard */
-	public selected_1!: Postcard | undefined;
-
-	/** Second selected postcard */
-	public selected_2!: Postcard | undefined;
+	/** Selected postcards */
+	public readonly selection: Selection<Postcard>;
 
 	// ========== Constructor ==========
 
@@ -34,6 +32,8 @@ export class PostcardGuide extends GameElement {
 	public constructor(parent: Game, child_id: number, data: any = []) {
 		super(parent, child_id, "postcard_guide");
 
+		this.selection = new Selection<Postcard>(this, "postcard", { max: 2 });
+
 		let supply = 1;
 
 		// Add initial postcards if provided
@@ -83,9 +83,9 @@ export class PostcardGuide extends GameElement {
 		for (const i in postcards) {
 			if (postcards[i] !== top) {
 				const e = new Postcard(this, postcards[i], false, null, supply++);
-				this.game.animationManager.slideIn(e.html, d === null ? null : d.html, {
+				this.game.animationManager.slideIn(e.html, d === null ? null : d.html, this.game.animationProfile.settings({
 					duration: 800,
-				});
+				}));
 			} else {
 				supply_save = supply++;
 			}
@@ -93,10 +93,10 @@ export class PostcardGuide extends GameElement {
 
 		// Slide in the top card last
 		const e = new Postcard(this, top, false, null, Number(supply_save));
-		this.game.animationManager.slideIn(e.html, d === null ? null : d.html, {
+		this.game.animationManager.slideIn(e.html, d === null ? null : d.html, this.game.animationProfile.settings({
 			duration: 800,
-		});
+		}));
 
-		await new Promise((resolve) => setTimeout(resolve, 800));
+		await this.game.animationProfile.wait(800);
 	}
 }
\ No newline at end of file
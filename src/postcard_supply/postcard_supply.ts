@@ -93,7 +93,7 @@ export class PostcardSupply extends GameElement {
 		postcard.addToParent(this);
 		this.rearrangeSupplyRow();
 
-		return await this.game.animationManager.slideAndAttach(postcard.html, this.html, {
+		return await this.game.animationManager.slideAndAttach(postcard.html, this.html, this.game.animationProfile.settings({
 			duration: 800,
 			parallelAnimations: [
 				{
@@ -103,7 +103,7 @@ export class PostcardSupply extends GameElement {
 					],
 				},
 			],
-		});
+		}));
 	}
 
 	/**
@@ -150,29 +150,33 @@ export class PostcardSupply extends GameElement {
 	 * Discard all non-top postcards from the supply
 	 * 
 	 * Removes all postcards except the one at supply position 1 (top card).
-	 * Animates cards fading out and scaling to zero.
+	 * Animates cards fading out and scaling to zero, and records them as discarded.
 	 * 
 	 * @returns Promise resolving when all discard animations complete
 	 */
 	public discardPostcardSupply(): Promise<void> {
 		this.activatePostcards(false);
 
+		this.game.postcards.discard(Object.keys(this.c.postcard)
+			.filter((i) => this.c.postcard[Number(i)].args.supply !== 1)
+			.map(Number));
+
 		for (const i in this.c.postcard) {
 			const postcard: Postcard = this.c.postcard[i] as Postcard;
 			if (postcard.args.supply !== 1) {
-				this.game.animationManager.fadeOutAndDestroy(postcard.html, null, {
+				this.game.animationManager.fadeOutAndDestroy(postcard.html, null, this.game.animationProfile.settings({
 					duration: 800,
 					parallelAnimations: [
 						{
 							keyframes: [{ transform: 'rotateX(-180deg) rotate(-90deg) scale(1)' }, { transform: 'rotateX(-180deg) rotate(-90deg) scale(0)' }],
 						},
 					],
-				});
+				}, 'out'));
 				delete this.c.postcard[i];
 			}
 		}
 
-		return new Promise((resolve) => setTimeout(resolve, 800));
+		return this.game.animationProfile.wait(800);
 	}
 
 	/**
@@ -199,7 +203,7 @@ export class PostcardSupply extends GameElement {
 		}
 
 		this.rearrangeSupplyRow();
-		await new Promise((resolve) => setTimeout(resolve, 500));
+		await this.game.animationProfile.wait(500);
 	}
 
 	/**
@@ -0,0 +1,232 @@
+import { Game } from "../game";
+import { Postcard } from "../cards/postcard/postcard";
+import { SouvenirSpace } from "../cards/postcard/souvenir_selector/souvenir_space";
+import { Itinerary } from "../player_area/itinerary/itinerary";
+
+/**
+ * Where a postcard is in the current game, as seen by the current player
+ */
+export type PostcardStatus = "hand" | "opponent" | "supply" | "discarded" | "sent" | "unseen";
+
+/**
+ * Tracks the discarded and sent postcards
+ *
+ * The discard pile and the sent postcards are loaded with the game data,
+ * then followed through the notifications: discarded supply rows, postcards
+ * left over by a Hiking Guide, sent (and unsent) postcards, and reshuffles
+ * of the discard pile into the deck.
+ *
+ * A button next to the postcard supply opens a viewer listing the discarded
+ * and sent postcards with their region, stamp count and souvenir types, and
+ * the number of postcards of each region still unseen, i.e. in the deck.
+ * Regions still missing from the current player's itinerary are highlighted.
+ *
+ * Responsibilities:
+ *  - Tracking the discarded and sent postcards
+ *  - Finding the status of each postcard in the current game
+ *  - Displaying the discard pile viewer
+ */
+export class PostcardTracker {
+	// ========== Static Properties ==========
+
+	/** Number of postcards in the game */
+	public static readonly POSTCARD_COUNT: number = 52;
+
+	/** Number of regions */
+	private static readonly REGION_COUNT: number = 13;
+
+	// ========== Properties ==========
+
+	/** Reference to the main Game instance */
+	private readonly game: Game;
+
+	/** Postcards in the discard pile, in discard order */
+	private readonly discarded: Set<number> = new Set();
+
+	/** Player who sent each sent postcard */
+	private readonly sent: Map<number, number> = new Map();
+
+	/** Viewer popin (while shown) */
+	private dialog?: PopinDialog;
+
+	// ========== Constructor ==========
+
+	/**
+	 * Initialize an empty tracker
+	 * @param game - Main game instance
+	 */
+	public constructor(game: Game) {
+		this.game = game;
+	}
+
+	// ========== Public Methods ==========
+
+	/**
+	 * Load the discard pile and the sent postcards, and add the viewer button to the postcard supply
+	 * @param game_data - Game data with the postcard supply and the players
+	 */
+	public setup(game_data: Gamedatas): void {
+		for (const postcard of game_data.postcard_supply.discard ?? []) {
+			this.discarded.add(Number(postcard));
+		}
+		for (const p in game_data.players) {
+			for (const postcard of game_data.players[p].sent_postcards ?? []) {
+				this.sent.set(Number(postcard), Number(p));
+			}
+		}
+
+		const button = document.createElement('postcard_tracker_button');
+		button.id = 'postcard_tracker_button';
+		button.setAttribute("overlay", "true");
+		button.setAttribute("role", "button");
+		button.setAttribute("aria-label", _("Discarded and sent postcards"));
+		button.tabIndex = 0;
+		button.addEventListener('click', () => this.show());
+		button.addEventListener('keydown', (e: KeyboardEvent) => {
+			if (e.key === 'Enter' || e.key === ' ') {
+				e.preventDefault();
+				e.stopPropagation();
+				this.show();
+			}
+		});
+		this.game.c.postcard_supply[0].html.appendChild(button);
+		this.game.bga.gameui.addTooltipHtml('postcard_tracker_button', `<h3>${_("Discarded and sent postcards")}</h3>`);
+	}
+
+	/**
+	 * Record discarded postcards
+	 * @param postcards - Postcard IDs
+	 */
+	public discard(postcards: number[]): void {
+		postcards.forEach((p) => this.discarded.add(Number(p)));
+		this.update();
+	}
+
+	/**
+	 * Forget the discarded postcards when the discard pile is reshuffled into the deck
+	 */
+	public reshuffle(): void {
+		this.discarded.clear();
+		this.update();
+	}
+
+	/**
+	 * Record a sent postcard, or forget it when the sending is undone
+	 * @param postcard - Postcard ID
+	 * @param player_id - Player who sent it, undefined when undone
+	 */
+	public send(postcard: number, player_id?: number): void {
+		if (player_id === undefined) this.sent.delete(Number(postcard));
+		else this.sent.set(Number(postcard), Number(player_id));
+		this.update();
+	}
+
+	/**
+	 * Get the status of a postcard in the current game
+	 *
+	 * Postcards in the supply (including the top of the deck, whose region
+	 * is shown) and in an open Hiking Guide selection count as in supply.
+	 *
+	 * @param postcard - Postcard ID
+	 * @returns Status of the postcard
+	 */
+	public getStatus(postcard: number): PostcardStatus {
+		if (this.sent.has(postcard)) return "sent";
+		if (this.discarded.has(postcard)) return "discarded";
+		if (this.game.c.postcard_supply?.[0]?.c.postcard?.[postcard] !== undefined) return "supply";
+		if (this.game.c.postcard_guide?.[0]?.c.postcard?.[postcard] !== undefined) return "supply";
+		for (const p in this.game.c.player_area) {
+			if (this.game.c.player_area[p].c.postcard_player?.[0]?.c.postcard?.[postcard] !== undefined) {
+				return Number(p) === this.game.bga.gameui.player_id ? "hand" : "opponent";
+			}
+		}
+		return "unseen";
+	}
+
+	/**
+	 * Open the discard pile viewer
+	 */
+	public show(): void {
+		this.dialog?.destroy();
+		this.dialog = new ebg.popindialog();
+		this.dialog.create('postcard_tracker');
+		this.dialog.setTitle(_("Discarded and sent postcards"));
+		this.dialog.setContent(this.getViewerHtml());
+		this.dialog.replaceCloseCallback(() => {
+			this.dialog?.destroy();
+			delete this.dialog;
+		});
+		this.dialog.show();
+	}
+
+	// ========== Private Helper Methods ==========
+
+	/**
+	 * Refresh the viewer (while shown)
+	 * @private
+	 */
+	private update(): void {
+		this.dialog?.setContent(this.getViewerHtml());
+	}
+
+	/**
+	 * Build the viewer
+	 * @returns Viewer HTML
+	 * @private
+	 */
+	private getViewerHtml(): string {
+		const gameui = this.game.bga.gameui;
+
+		const unseen: Record<number, number> = {};
+		for (let postcard = 1; postcard <= PostcardTracker.POSTCARD_COUNT; postcard++) {
+			if (this.getStatus(postcard) !== "unseen") continue;
+			const region = Postcard.getPostcardRegion(postcard);
+			unseen[region] = (unseen[region] ?? 0) + 1;
+		}
+
+		const itinerary = this.game.c.player_area?.[gameui.player_id]?.c.itinerary?.[0] as Itinerary | undefined;
+		let regions = "";
+		for (let region = 1; region <= PostcardTracker.REGION_COUNT; region++) {
+			const needed = itinerary?.getMatchingCircle(region) !== undefined;
+			regions += `<postcard_tracker_region needed="${needed}" count="${unseen[region] ?? 0}">
+				<b>${region}</b>
+				<span>${unseen[region] ?? 0}/4</span>
+			</postcard_tracker_region>`;
+		}
+
+		const discarded = Array.from(this.discarded).reverse().map((p) => this.getPostcardHtml(p)).join("");
+		const sent = Array.from(this.sent.entries()).map(([p, player_id]) => {
+			const player = gameui.gamedatas.players[player_id];
+			return this.getPostcardHtml(p, `<span style="color: #${player?.color ?? "000000"}">${player?.name ?? ""}</span>`);
+		}).join("");
+
+		return `
+			<postcard_tracker>
+				<h3>${_("Unseen postcards by region")}</h3>
+				<postcard_tracker_regions>${regions}</postcard_tracker_regions>
+				${itinerary !== undefined ? `<p>${_("Highlighted regions are still missing from your itinerary.")}</p>` : ""}
+				<h3>${gameui.format_string(_("Discarded (${n})"), { n: String(this.discarded.size) })}</h3>
+				<ul>${discarded || `<li>${_("None")}</li>`}</ul>
+				<h3>${gameui.format_string(_("Sent (${n})"), { n: String(this.sent.size) })}</h3>
+				<ul>${sent || `<li>${_("None")}</li>`}</ul>
+			</postcard_tracker>
+		`;
+	}
+
+	/**
+	 * Build the line describing a postcard
+	 * @param postcard - Postcard ID
+	 * @param extra - Extra HTML shown at the end of the line
+	 * @returns Line HTML
+	 * @private
+	 */
+	private getPostcardHtml(postcard: number, extra: string = ""): string {
+		const souvenirs = SouvenirSpace.getSpaceTypes(postcard).map((t) => SouvenirSpace.getTypeName(t)).join(", ");
+		return `<li>
+			<b>${this.game.bga.gameui.format_string(_("Region ${r}"), { r: String(Postcard.getPostcardRegion(postcard)) })}</b>
+			· ${this.game.bga.gameui.format_string(_("${n} stamps"), { n: String(Postcard.getStampCount(postcard)) })}
+			· ${souvenirs}
+			${extra !== "" ? `· ${extra}` : ""}
+		</li>`;
+	}
+}
@@ -0,0 +1,205 @@
+import { GameElement } from "../gameElement";
+
+/**
+ * Options of a selection
+ */
+export interface SelectionOptions<T extends GameElement> {
+	/** Maximum number of selected elements, the oldest one is dropped when exceeded */
+	max: number | (() => number);
+
+	/** Minimum number of selected elements enabling the confirm button (default: max) */
+	min?: number;
+
+	/** Whether an element can be added to the current selection */
+	constraint?: (element: T, selected: T[]) => boolean;
+
+	/** Called after every change of the selection */
+	onChange?: (selected: T[], previous: T[]) => void;
+}
+
+/**
+ * Ordered selection of N elements among the children of a game element
+ *
+ * Clicking an unselected element adds it (dropping the oldest one when the
+ * selection is full), clicking a selected element removes it. Selected
+ * elements get the "selected" active state and, when more than one element
+ * can be selected, a badge showing their position in the selection.
+ *
+ * The selection stores child IDs and looks the elements up in the parent's
+ * registry, so it is kept when elements are re-created.
+ *
+ * Responsibilities:
+ *  - Tracking the selected elements in selection order
+ *  - Enforcing the maximum size and the constraint callback
+ *  - Displaying the selection order badges
+ *  - Enabling or disabling the confirm button
+ */
+export class Selection<T extends GameElement> {
+	// ========== Properties ==========
+
+	/** Element whose children are selected */
+	private readonly root: GameElement;
+
+	/** Name of the selectable children (e.g. "travel", "postcard") */
+	private readonly name: string;
+
+	/** Selection options */
+	private readonly options: SelectionOptions<T>;
+
+	/** Child IDs of the selected elements in selection order */
+	private ids: number[] = [];
+
+	/** Button confirming the selection */
+	private button?: HTMLElement;
+
+	// ========== Constructor ==========
+
+	/**
+	 * Initialize an empty selection
+	 * @param root - Element whose children are selected
+	 * @param name - Name of the selectable children
+	 * @param options - Selection options
+	 */
+	public constructor(root: GameElement, name: string, options: SelectionOptions<T>) {
+		this.root = root;
+		this.name = name;
+		this.options = options;
+	}
+
+	// ========== Public Methods ==========
+
+	/**
+	 * Get the selected elements
+	 *
+	 * Elements no longer in the registry are dropped from the selection.
+	 *
+	 * @returns Selected elements in selection order
+	 */
+	public get(): T[] {
+		const children = this.root.c[this.name] ?? {};
+		this.ids = this.ids.filter((id) => children[id] !== undefined);
+		return this.ids.map((id) => children[id] as T);
+	}
+
+	/**
+	 * Add an element to the selection, or remove it if already selected
+	 * @param element - Clicked element
+	 */
+	public toggle(element: T): void {
+		const previous = this.get();
+
+		if (this.ids.includes(element.child_id)) {
+			this.ids = this.ids.filter((id) => id !== element.child_id);
+			element.setArg("active", true);
+		} else {
+			if (this.options.constraint !== undefined && !this.options.constraint(element, previous)) return;
+
+			this.ids.push(element.child_id);
+			element.setArg("active", "selected");
+
+			while (this.ids.length > this.getMax()) {
+				this.root.c[this.name]?.[this.ids.shift()!]?.setArg("active", true);
+			}
+		}
+
+		this.update(previous);
+	}
+
+	/**
+	 * Replace the selection
+	 * @param elements - Elements to select in selection order
+	 */
+	public set(elements: T[]): void {
+		const previous = this.get();
+
+		for (const e of previous) {
+			e.setArg("active", true);
+		}
+
+		this.ids = elements.map((e) => e.child_id);
+		for (const e of elements) {
+			e.setArg("active", "selected");
+		}
+
+		this.update(previous);
+	}
+
+	/**
+	 * Empty the selection without changing the active state of the elements
+	 */
+	public clear(): void {
+		const previous = this.get();
+		this.ids = [];
+		this.update(previous);
+	}
+
+	/**
+	 * Set the button confirming the selection
+	 * @param button - Button to enable or disable, or undefined to release it
+	 */
+	public setButton(button: HTMLElement | undefined): void {
+		this.button = button;
+		this.refresh();
+	}
+
+	/**
+	 * Whether the selection has enough elements to be confirmed
+	 * @returns True if the selection size is between the minimum and the maximum
+	 */
+	public isComplete(): boolean {
+		const size = this.get().length;
+		return size >= (this.options.min ?? this.getMax()) && size <= this.getMax();
+	}
+
+	/**
+	 * Reapply the selected state, the order badges and the button state to the current elements
+	 */
+	public refresh(): void {
+		const selected = this.get();
+		const children = this.root.c[this.name] ?? {};
+
+		for (const i in children) {
+			const index = selected.indexOf(children[i] as T);
+			let badge = children[i].html.querySelector(':scope > selection_order');
+
+			if (index !== -1 && children[i].args.active !== "selected") {
+				children[i].setArg("active", "selected");
+			}
+
+			if (index === -1 || this.getMax() < 2) {
+				badge?.remove();
+				continue;
+			}
+
+			if (badge === null) {
+				badge = document.createElement('selection_order');
+				badge.setAttribute("overlay", "true");
+				children[i].html.appendChild(badge);
+			}
+			badge.textContent = String(index + 1);
+		}
+
+		this.button?.classList.toggle("disabled", !this.isComplete());
+	}
+
+	// ========== Private Helper Methods ==========
+
+	/**
+	 * Get the current maximum size of the selection
+	 * @returns Maximum number of selected elements
+	 * @private
+	 */
+	private getMax(): number {
+		return typeof this.options.max === 'function' ? this.options.max() : this.options.max;
+	}
+
+	/**
+	 * Refresh the display and notify the change
+	 * @param previous - Selected elements before the change
+	 * @private
+	 */
+	private update(previous: T[]): void {
+		this.refresh();
+		this.options.onChange?.(this.get(), previous);
+	}
+}
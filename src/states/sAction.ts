@@ -6,6 +6,8 @@ import { GiftPlayer } from "../player_area/gift_player/gift_player";
 import { DoubleActions } from "../player_area/hand/double_actions/double_actions";
 import { Hand } from "../player_area/hand/hand";
 import { PostcardPlayer } from "../player_area/postcard_player/postcard_player";
+import { KeyboardShortcuts } from "../keyboard_shortcuts/keyboard_shortcuts";
+import { UndoStep } from "../undo_timeline/undo_timeline";
 
 export interface PossibleActions {
     postcard: boolean;
@@ -40,6 +42,9 @@ interface ActionStateArgs {
 	
 	/** Number of undo steps available */
 	undo: number;
+
+	/** Undoable steps, oldest first */
+	undo_steps: UndoStep[];
 }
 
 /**
@@ -52,6 +57,7 @@ interface ActionStateArgs {
  *  - Setting the dynamic status bar title based on available actions
  *  - Cleaning up UI when leaving the state
  *  - Managing bonus actions, travel cards, postcards, and gifts
+ *  - Registering the keyboard shortcuts of the hand and the action options
  * 
  * Available actions during this phase:
  *  - Play a Travel card (Movement, Postcard, or Camp action)
@@ -59,6 +65,7 @@ interface ActionStateArgs {
  *  - Send a Postcard (if conditions are met)
  *  - Play a Gift card (if available)
  *  - Skip (if 3 or more travel cards have been played)
+ *  - Plan the rest of the turn (if travel cards can still be played)
  */
 export class sAction {
 	// ========== Properties ==========
@@ -91,7 +98,9 @@ export class sAction {
 	 *  - Activates playable Travel cards and Bonus actions
 	 *  - Activates sendable Postcards and playable Gift cards
 	 *  - Adds Skip button if 3 cards have been played
+	 *  - Adds Plan turn button if Travel cards can still be played
 	 *  - Adds undo/reset buttons if available
+	 *  - Registers the keyboard shortcuts
 	 * 
 	 * @param args - State arguments containing possible actions and playable cards
 	 * @param isCurrentPlayerActive - Whether this is the current active player
@@ -138,7 +147,18 @@ export class sAction {
 			this.bga.statusBar.addActionButton(_("Skip"), () => this.bga.actions.performAction("actSkip"));
 		}
 
-		this.game.addUndoButtons(args.undo);
+		// Add Plan turn button if travel cards can still be played
+		if (args.used_travels.length < args.max_travels && !this.game.planner.isExecuting()) {
+			this.bga.statusBar.addActionButton(
+				_("Plan turn"),
+				() => this.game.planner.start(args.used_travels, args.max_travels),
+				{ color: "secondary" }
+			);
+		}
+
+		this.game.addUndoButtons(args.undo, args.undo_steps);
+
+		this.setupKeyboard(hand, bonusActions, postcardPlayer, giftPlayer);
 	}
 
 	/**
@@ -182,6 +202,65 @@ export class sAction {
 
 	// ========== Private Helper Methods ==========
 
+	/**
+	 * Registers the keyboard shortcuts of the Action state
+	 * 
+	 * Bindings:
+	 *  - 1-9: Select the n-th Travel card of the hand
+	 *  - M / P / C / S: Movement, Postcard, Camp or Stamp option of the selected card(s)
+	 *  - Shift + M / P / C / S: Bonus action of the same type
+	 *  - Arrows: Cycle through the hand, the sendable Postcards and the playable Gift cards
+	 * 
+	 * @param hand - Current player's hand
+	 * @param bonusActions - Current player's bonus actions
+	 * @param postcardPlayer - Current player's postcards
+	 * @param giftPlayer - Current player's gift cards
+	 * @private
+	 */
+	private setupKeyboard(hand: Hand, bonusActions: BonusActions, postcardPlayer: PostcardPlayer, giftPlayer: GiftPlayer): void {
+		const keyboard = this.game.keyboard;
+
+		keyboard.addTargets(hand, "travel");
+		keyboard.addTargets(postcardPlayer, "postcard");
+		keyboard.addTargets(giftPlayer, "gift");
+
+		const travels = KeyboardShortcuts.sortByPosition(Object.values(hand.c.travel ?? {}));
+		travels.slice(0, 9).forEach((travel, i) => keyboard.addKey(String(i + 1), () => travel.html.click()));
+
+		const options: Record<string, number[]> = { m: [1], p: [2], c: [3], s: [4, 5, 6, 7, 8] };
+		for (const key in options) {
+			keyboard.addKey(key, () => this.pickTravelOption(hand, options[key]));
+			keyboard.addKey(`shift+${key}`, () => this.pickBonusAction(bonusActions, options[key]));
+		}
+	}
+
+	/**
+	 * Clicks an option of the selected Travel card, or of the double action when two cards are selected
+	 * @param hand - Current player's hand
+	 * @param types - Accepted option types
+	 * @private
+	 */
+	private pickTravelOption(hand: Hand, types: number[]): void {
+		const parent = hand.args.double === true ? hand.c.double_actions?.[0] : hand.selection.get()[0];
+		const option = Object.values(parent?.c.travel_option ?? {}).find(
+			(o) => types.includes(o.args.type as number) && o.args.active !== false
+		);
+		option?.html.click();
+	}
+
+	/**
+	 * Clicks an active bonus action
+	 * @param bonusActions - Current player's bonus actions
+	 * @param types - Accepted option types
+	 * @private
+	 */
+	private pickBonusAction(bonusActions: BonusActions, types: number[]): void {
+		const option = Object.values(bonusActions.c.travel_option ?? {}).find(
+			(o) => types.includes(o.args.type as number) && o.args.active === true
+		);
+		option?.html.click();
+	}
+
 	/**
 	 * Computes and sets the dynamic title shown in the status bar
 	 * 
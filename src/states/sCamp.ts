@@ -11,6 +11,7 @@ import { Game } from "../game";
  *  - Activating available campsites in the player's current region
  *  - Setting the dynamic status bar title
  *  - Adding skip button if this is a bonus camp action
+ *  - Registering the campsites as keyboard targets
  *  - Cleaning up campsite UI on exit
  *  - Managing undo buttons
  */
@@ -57,6 +58,7 @@ export class sCamp {
 
 		// Activate campsites available in the current region
 		board.activateCampsites(args.region, args.campsites);
+		this.game.keyboard.addTargets(board, "campsite");
 
 		// Add Skip button if this is a bonus camp action (gift-related)
 		if (args.gift_bonus) {
@@ -67,7 +69,7 @@ export class sCamp {
 		}
 
 		// Add undo buttons
-		this.game.addUndoButtons(args.undo);
+		this.game.addUndoButtons(args.undo, args.undo_steps);
 	}
 
 	/**
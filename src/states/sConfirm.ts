@@ -6,6 +6,7 @@ import { Game } from "../game";
  * Responsibilities:
  *  - Displaying confirmation UI to the player
  *  - Adding the Confirm action button
+ *  - Binding Enter to Confirm
  *  - Managing undo buttons
  * 
  * The Confirm state is typically used after a player completes an action sequence
@@ -67,7 +68,9 @@ export class sConfirm {
 			);
 		}
 
+		this.game.keyboard.addKey("Enter", () => this.bga.actions.performAction("actConfirm"));
+
 		// Add undo/reset buttons if available
-		this.game.addUndoButtons(args.undo);
+		this.game.addUndoButtons(args.undo, args.undo_steps);
 	}
 }
\ No newline at end of file
@@ -1,5 +1,6 @@
 import { Board } from "../board/board";
 import { Game } from "../game";
+import { UndoStep } from "../undo_timeline/undo_timeline";
 
 /**
  * Arguments passed to the Gift state
@@ -7,6 +8,9 @@ import { Game } from "../game";
 interface GiftStateArgs {
 	/** Number of undo steps available */
 	undo: number;
+
+	/** Undoable steps, oldest first */
+	undo_steps: UndoStep[];
 }
 
 /**
@@ -16,6 +20,7 @@ interface GiftStateArgs {
  * 
  * Responsibilities:
  *  - Activating all available gift cards on the board
+ *  - Registering the gift cards as keyboard targets
  *  - Displaying a warning that this action cannot be undone
  *  - Adding undo buttons if available
  *  - Cleaning up gift UI when exiting the state
@@ -62,6 +67,7 @@ export class sGift {
 
 		// Activate all gift cards for selection
 		board.activateAllGifts();
+		this.game.keyboard.addTargets(board, "gift");
 
 		// Show warning that this action cannot be undone
 		this.game.undo_bar = this.game.createBar(
@@ -69,7 +75,7 @@ export class sGift {
 			_("You won't be able to undo this action!")
 		);
 
-		this.game.addUndoButtons(args.undo);
+		this.game.addUndoButtons(args.undo, args.undo_steps);
 	}
 
 	/**
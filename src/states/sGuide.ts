@@ -1,5 +1,6 @@
 import { Game } from "../game";
 import { PostcardGuide } from "../postcard_guide/postcard_guide";
+import { UndoStep } from "../undo_timeline/undo_timeline";
 
 /**
  * Arguments passed to the Guide state
@@ -7,6 +8,9 @@ import { PostcardGuide } from "../postcard_guide/postcard_guide";
 interface GuideStateArgs {
 	/** Number of undo steps available */
 	undo: number;
+
+	/** Undoable steps, oldest first */
+	undo_steps: UndoStep[];
 }
 
 /**
@@ -19,6 +23,7 @@ interface GuideStateArgs {
  *  - Activating postcard selection UI in the guide display
  *  - Adding the "Take selected Postcards" button with initial disabled state
  *  - Managing button state based on selection count
+ *  - Registering the postcards as keyboard targets and Enter as the take button
  *  - Adding undo buttons if available
  *  - Cleaning up button reference on exit
  */
@@ -64,27 +69,34 @@ export class sGuide {
 
 		// Activate all postcards for selection
 		guide.activatePostcards();
+		this.game.keyboard.addTargets(guide, "postcard");
 
 		// Add the "Take selected Postcards" button with initial disabled state
 		this.game.takeButton = this.bga.statusBar.addActionButton(
 			_("Take selected Postcards"),
 			() => {
+				const [postcard_1, postcard_2] = guide.selection.get();
 				this.bga.actions.performAction("actGuide", {
-					postcard_1: guide.selected_1?.child_id,
-					postcard_2: guide.selected_2?.child_id
+					postcard_1: postcard_1?.child_id,
+					postcard_2: postcard_2?.child_id
 				});
 			},
 			{ classes: "disabled" }
 		);
+		guide.selection.setButton(this.game.takeButton);
+		this.game.keyboard.addKey("Enter", () => {
+			if (!this.game.takeButton?.classList.contains("disabled")) this.game.takeButton?.click();
+		});
 
 		// Add undo buttons
-		this.game.addUndoButtons(args.undo);
+		this.game.addUndoButtons(args.undo, args.undo_steps);
 	}
 
 	/**
 	 * Called when leaving the Guide state
 	 * 
 	 * Cleans up:
+	 *  - Releases the Take button from the postcard selection
 	 *  - Removes reference to the Take button
 	 * 
 	 * @param args - State arguments (unused)
@@ -93,6 +105,7 @@ export class sGuide {
 	public onLeavingState(args: GuideStateArgs, isCurrentPlayerActive: boolean): void {
 		if (!isCurrentPlayerActive) return;
 
+		(this.game.c.postcard_guide?.[0] as PostcardGuide | undefined)?.selection.setButton(undefined);
 		delete this.game.takeButton;
 	}
 }
\ No newline at end of file
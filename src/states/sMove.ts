@@ -1,5 +1,6 @@
 import { Game } from "../game";
 import { Board } from "../board/board";
+import { UndoStep } from "../undo_timeline/undo_timeline";
 
 /**
  * Arguments passed to the Move state
@@ -16,6 +17,9 @@ interface MoveStateArgs {
 	
 	/** Number of undo steps available */
 	undo: number;
+
+	/** Undoable steps, oldest first */
+	undo_steps: UndoStep[];
 }
 
 /**
@@ -29,6 +33,7 @@ interface MoveStateArgs {
  *  - Activating selectable regions for movement
  *  - Adding optional discard postcards button
  *  - Adding undo buttons if available
+ *  - Registering the regions as keyboard targets
  *  - Cleaning up region UI on exit
  */
 export class sMove {
@@ -76,6 +81,7 @@ export class sMove {
 
 		// Activate selectable regions
 		board.activateRegions(args.regions);
+		this.game.keyboard.addTargets(board, "region");
 
 		// Add optional discard button
 		if (args.discard) {
@@ -85,7 +91,7 @@ export class sMove {
 			);
 		}
 
-		this.game.addUndoButtons(args.undo);
+		this.game.addUndoButtons(args.undo, args.undo_steps);
 	}
 
 	/**
@@ -93,6 +99,7 @@ export class sMove {
 	 * 
 	 * Cleans up:
 	 *  - Deactivates all regions on the board
+	 *  - Clears the movement destination preview
 	 * 
 	 * @param args - State arguments (unused)
 	 * @param isCurrentPlayerActive - Whether this is the current active player
@@ -103,5 +110,6 @@ export class sMove {
 		const board: Board = this.game.c.board?.[0] as Board;
 
 		board.inactivateAllRegions();
+		board.clearRegionPreview();
 	}
 }
\ No newline at end of file
@@ -1,5 +1,6 @@
 import { Game } from "../game";
 import { PostcardSupply } from "../postcard_supply/postcard_supply";
+import { UndoStep } from "../undo_timeline/undo_timeline";
 
 /**
  * Arguments passed to the Postcard state
@@ -10,6 +11,9 @@ interface PostcardStateArgs {
 	
 	/** Number of undo steps available */
 	undo: number;
+
+	/** Undoable steps, oldest first */
+	undo_steps: UndoStep[];
 }
 
 /**
@@ -20,6 +24,7 @@ interface PostcardStateArgs {
  * 
  * Responsibilities:
  *  - Activating postcards in the supply for selection
+ *  - Registering the postcards as keyboard targets
  *  - Displaying a warning that this action cannot be undone
  *  - Adding optional discard postcards button
  *  - Setting the dynamic status bar title
@@ -71,6 +76,7 @@ export class sPostcard {
 
 		// Activate all postcards for selection
 		supply.activatePostcards();
+		this.game.keyboard.addTargets(supply, "postcard");
 
 		// Show warning that this action cannot be undone
 		this.game.undo_bar = this.game.createBar(
@@ -86,7 +92,7 @@ export class sPostcard {
 			);
 		}
 
-		this.game.addUndoButtons(args.undo);
+		this.game.addUndoButtons(args.undo, args.undo_steps);
 	}
 
 	/**
@@ -1,5 +1,6 @@
 import { Game } from "../game";
 import { PlayerArea } from "../player_area/player_area";
+import { UndoStep } from "../undo_timeline/undo_timeline";
 
 /**
  * Arguments passed to the Souvenir state
@@ -10,6 +11,9 @@ interface SouvenirStateArgs {
 	
 	/** Number of undo steps available */
 	undo: number;
+
+	/** Undoable steps, oldest first */
+	undo_steps: UndoStep[];
 }
 
 /**
@@ -20,6 +24,7 @@ interface SouvenirStateArgs {
  * 
  * Responsibilities:
  *  - Activating available souvenir placement spaces
+ *  - Registering the souvenir spaces as keyboard targets
  *  - Adding the Skip button for optional souvenir placement
  *  - Adding undo buttons if available
  *  - Cleaning up souvenir UI on exit
@@ -66,6 +71,7 @@ export class sSouvenir {
 		
 		// Activate souvenir spaces available for placement
 		area.activateSouvenirSpaces(args.spaces);
+		this.game.keyboard.addTargets(area, "souvenir_space");
 
 		// Add Skip button (placement is optional)
 		this.bga.statusBar.addActionButton(
@@ -73,7 +79,7 @@ export class sSouvenir {
 			() => this.bga.actions.performAction("actSkip")
 		);
 
-		this.game.addUndoButtons(args.undo);
+		this.game.addUndoButtons(args.undo, args.undo_steps);
 	}
 
 	/**
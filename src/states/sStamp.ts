@@ -1,5 +1,9 @@
 import { Game } from "../game";
 import { PlayerArea } from "../player_area/player_area";
+import { PostcardPlayer } from "../player_area/postcard_player/postcard_player";
+import { Hand } from "../player_area/hand/hand";
+import { Postcard } from "../cards/postcard/postcard";
+import { UndoStep } from "../undo_timeline/undo_timeline";
 
 /**
  * Arguments passed to the Stamp state
@@ -7,9 +11,15 @@ import { PlayerArea } from "../player_area/player_area";
 interface StampStateArgs {
 	/** Object mapping postcard IDs to arrays of available stamp space indices */
 	spaces: { number: number[] };
+
+	/** Colors (1-4) of the available stamp spaces by postcard ID and space location */
+	colors: Record<number, Record<number, number>>;
 	
 	/** Number of undo steps available */
 	undo: number;
+
+	/** Undoable steps, oldest first */
+	undo_steps: UndoStep[];
 }
 
 /**
@@ -19,12 +29,19 @@ interface StampStateArgs {
  * Players must place stamps on available spaces to complete the postcard action.
  * 
  * Responsibilities:
- *  - Activating available stamp placement spaces
+ *  - Activating available stamp placement spaces, ranked by value
+ *  - Placing the stamp automatically when there is only one sensible choice (user preference)
+ *  - Registering the stamp spaces as keyboard targets
  *  - Adding undo buttons if available
  *  - Cleaning up stamp UI on exit
  *  - Deactivating all stamp spaces
  */
 export class sStamp {
+	// ========== Static Properties ==========
+
+	/** User preference ID of the stamp auto-placement (1 Disabled, 2 Enabled) */
+	private static readonly AUTO_PLACE_PREFERENCE: number = 105;
+
 	// ========== Properties ==========
 
 	/** Reference to the main Game instance */
@@ -51,8 +68,10 @@ export class sStamp {
 	 * Called when entering the Stamp state
 	 * 
 	 * Actions:
+	 *  - Keeps the colors of the available stamp spaces
 	 *  - Activates available stamp placement spaces on postcards
 	 *  - Adds undo/reset buttons if available
+	 *  - Places the stamp if auto-placement is enabled and all spaces are equivalent
 	 * 
 	 * @param args - State arguments containing available stamp spaces and undo level
 	 * @param isCurrentPlayerActive - Whether this is the current active player
@@ -62,11 +81,27 @@ export class sStamp {
 
 		const area: PlayerArea = this.game.c.player_area?.[this.bga.gameui.player_id] as PlayerArea;
 
+		// Keep the colors of the available stamp spaces
+		const colors = this.bga.gameui.gamedatas.stamp_colors ??= {};
+		for (const postcard in args.colors) {
+			colors[postcard] = { ...colors[postcard], ...args.colors[postcard] };
+		}
+
 		// Activate stamp spaces available for placement
 		area.activateStampSpaces(args.spaces);
+		this.game.keyboard.addTargets(area, "stamp_space");
 
 		// Add undo buttons for the current action
-		this.game.addUndoButtons(args.undo);
+		this.game.addUndoButtons(args.undo, args.undo_steps);
+
+		// Place the stamp when there is only one sensible choice
+		if (this.bga.userPreferences.get(sStamp.AUTO_PLACE_PREFERENCE) === 2) {
+			const stamp_space = (area.c.postcard_player[0] as PostcardPlayer).getOnlyStampSpace(args.spaces);
+			if (stamp_space !== undefined) {
+				// Wait for a dropped Travel card to place its stamp first
+				setTimeout(() => this.autoPlace(stamp_space.parent as Postcard, stamp_space.args.space as number), 0);
+			}
+		}
 	}
 
 	/**
@@ -86,4 +121,24 @@ export class sStamp {
 		// Deactivate all stamp spaces
 		area.inactivateAllStampSpaces();
 	}
+
+	// ========== Private Helper Methods ==========
+
+	/**
+	 * Place the stamp on the only sensible space
+	 * 
+	 * Skipped if the state changed meanwhile, or a dropped Travel card or the turn plan already placed it.
+	 * 
+	 * @param postcard - Postcard of the space
+	 * @param space - Space location on the postcard
+	 * @private
+	 */
+	private autoPlace(postcard: Postcard, space: number): void {
+		if (this.bga.gameui.gamedatas.gamestate.name !== 'Stamp' || !this.bga.players.isCurrentPlayerActive()) return;
+
+		const hand = this.game.c.player_area?.[this.bga.gameui.player_id]?.c.hand?.[0] as Hand | undefined;
+		if (hand?.travel_drag.hasResumed('Stamp') || this.game.planner.hasResumed('Stamp')) return;
+
+		this.bga.actions.performAction('actStamp', { postcard: postcard.child_id, space });
+	}
 }
\ No newline at end of file
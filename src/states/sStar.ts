@@ -1,4 +1,5 @@
 import { Game } from "../game";
+import { UndoStep } from "../undo_timeline/undo_timeline";
 
 /**
  * Arguments passed to the Star state
@@ -6,6 +7,9 @@ import { Game } from "../game";
 interface StarStateArgs {
 	/** Number of undo steps available */
 	undo: number;
+
+	/** Undoable steps, oldest first */
+	undo_steps: UndoStep[];
 }
 
 /**
@@ -16,6 +20,7 @@ interface StarStateArgs {
  * 
  * Responsibilities:
  *  - Adding three selectable star effect buttons (Movement, Postcard, Stamp)
+ *  - Binding the M, P and S keys to the star effects
  *  - Adding undo buttons if available
  */
 export class sStar {
@@ -73,6 +78,11 @@ export class sStar {
 			() => this.bga.actions.performAction("actStar", { effect: 3 })
 		);
 
-		this.game.addUndoButtons(args.undo);
+		// Bind the effects to their initials
+		this.game.keyboard.addKey("m", () => this.bga.actions.performAction("actStar", { effect: 1 }));
+		this.game.keyboard.addKey("p", () => this.bga.actions.performAction("actStar", { effect: 2 }));
+		this.game.keyboard.addKey("s", () => this.bga.actions.performAction("actStar", { effect: 3 }));
+
+		this.game.addUndoButtons(args.undo, args.undo_steps);
 	}
 }
\ No newline at end of file
@@ -1,5 +1,6 @@
 import { Game } from "../game";
 import { Board } from "../board/board";
+import { UndoStep } from "../undo_timeline/undo_timeline";
 
 /**
  * Arguments passed to the Travel state
@@ -7,6 +8,9 @@ import { Board } from "../board/board";
 interface TravelStateArgs {
 	/** Number of undo steps available */
 	undo: number;
+
+	/** Undoable steps, oldest first */
+	undo_steps: UndoStep[];
 }
 
 /**
@@ -18,6 +22,7 @@ interface TravelStateArgs {
  * Responsibilities:
  *  - Activating the travel deck for card selection
  *  - Activating all travel cards in the supply for selection
+ *  - Registering the travel deck and cards as keyboard targets
  *  - Adding undo buttons if available
  *  - Cleaning up travel UI on exit
  *  - Deactivating travel deck and cards
@@ -64,8 +69,9 @@ export class sTravel {
 		// Activate travel deck and all travel cards
 		board.activateTravelDeck();
 		board.activateAllTravels();
+		this.game.keyboard.addTargets(board, "travel", "travel_deck");
 
-		this.game.addUndoButtons(args.undo);
+		this.game.addUndoButtons(args.undo, args.undo_steps);
 	}
 
 	/**
@@ -0,0 +1,218 @@
+import { Game } from "../game";
+import { GameElement } from "../gameElement";
+
+/**
+ * Touch-friendly interaction mode
+ *
+ * Hover tooltips are hard to reach on touch screens and a tap fires the
+ * action straight away. In touch mode:
+ *  - A long press opens an inspect panel showing the tooltip of the element
+ *  - A tap on an action target (region, campsite, stamp or souvenir space,
+ *    and the irreversible postcard, gift and Travel deck actions) only
+ *    selects it, a second tap on the same element confirms
+ *
+ * The mode follows the "Touch mode" user preference, and turns on
+ * automatically for coarse pointers when the preference is left on automatic.
+ *
+ * Responsibilities:
+ *  - Detecting long presses and showing the inspect panel
+ *  - Arming elements on the first tap of an action
+ */
+export class TouchMode {
+	// ========== Static Properties ==========
+
+	/** User preference ID of the touch mode (1 Automatic, 2 Enabled, 3 Disabled) */
+	public static readonly PREFERENCE: number = 104;
+
+	/** Duration of a long press in milliseconds */
+	private static readonly LONG_PRESS_DURATION: number = 500;
+
+	/** Distance in pixels the pointer can move during a long press */
+	private static readonly LONG_PRESS_TOLERANCE: number = 10;
+
+	// ========== Properties ==========
+
+	/** Reference to the main Game instance */
+	private readonly game: Game;
+
+	/** Element waiting for a second tap */
+	private armed?: GameElement;
+
+	/** Pending long press timer */
+	private timer?: number;
+
+	/** Position where the current press started */
+	private start?: { x: number; y: number };
+
+	/** Whether the click following a long press should be ignored */
+	private ignore_click: boolean = false;
+
+	/** Inspect panel element (while open) */
+	private panel?: HTMLElement;
+
+	// ========== Constructor ==========
+
+	/**
+	 * Initialize touch mode
+	 * @param game - Main game instance
+	 */
+	public constructor(game: Game) {
+		this.game = game;
+	}
+
+	// ========== Public Methods ==========
+
+	/**
+	 * Whether touch mode is currently on
+	 * @returns True if touch mode is enabled by preference or detected automatically
+	 */
+	public isEnabled(): boolean {
+		switch (this.game.bga.userPreferences.get(TouchMode.PREFERENCE)) {
+			case 2:
+				return true;
+			case 3:
+				return false;
+		}
+		return window.matchMedia('(pointer: coarse)').matches;
+	}
+
+	/**
+	 * Start listening to presses on the game area
+	 * @param root - Root element of the game
+	 */
+	public setup(root: HTMLElement): void {
+		root.setAttribute("touch", String(this.isEnabled()));
+
+		root.addEventListener('pointerdown', (e: PointerEvent) => this.onPointerDown(e));
+		root.addEventListener('pointermove', (e: PointerEvent) => this.onPointerMove(e));
+		root.addEventListener('pointerup', () => this.cancelLongPress());
+		root.addEventListener('pointercancel', () => this.cancelLongPress());
+		root.addEventListener('contextmenu', (e: Event) => {
+			if (this.isEnabled()) e.preventDefault();
+		});
+		root.addEventListener('click', (e: Event) => {
+			if (this.ignore_click) {
+				this.ignore_click = false;
+				e.stopPropagation();
+				e.preventDefault();
+			}
+		}, true);
+	}
+
+	/**
+	 * Check whether the action of a tapped element may be performed
+	 *
+	 * Outside of touch mode the action is always allowed. In touch mode the
+	 * first tap arms (selects) the element and the second tap on the same element confirms.
+	 *
+	 * @param element - Element that was tapped
+	 * @returns True if the action should be performed
+	 */
+	public confirm(element: GameElement): boolean {
+		if (!this.isEnabled() || this.armed === element) {
+			this.disarm();
+			return true;
+		}
+
+		this.disarm();
+		this.armed = element;
+		element.setArg("armed", true);
+		return false;
+	}
+
+	/**
+	 * Cancel the pending confirmation
+	 */
+	public disarm(): void {
+		if (this.armed !== undefined) {
+			this.armed.setArg("armed", false);
+			this.armed = undefined;
+		}
+	}
+
+	// ========== Private Helper Methods ==========
+
+	/**
+	 * Handle the start of a press - starts the long press timer
+	 * @param e - Pointer event
+	 * @private
+	 */
+	private onPointerDown(e: PointerEvent): void {
+		this.cancelLongPress();
+		if (!this.isEnabled()) return;
+
+		const id = this.getTooltipId(e.target as HTMLElement);
+		if (id === undefined) return;
+
+		this.start = { x: e.clientX, y: e.clientY };
+		this.timer = window.setTimeout(() => {
+			this.timer = undefined;
+			this.ignore_click = true;
+			const tooltip = this.game.bga.gameui.tooltips[id];
+			if (tooltip !== undefined) this.openPanel(tooltip.label);
+		}, TouchMode.LONG_PRESS_DURATION);
+	}
+
+	/**
+	 * Handle pointer movement - cancels the long press when the pointer moves away
+	 * @param e - Pointer event
+	 * @private
+	 */
+	private onPointerMove(e: PointerEvent): void {
+		if (this.start === undefined) return;
+		if (Math.hypot(e.clientX - this.start.x, e.clientY - this.start.y) > TouchMode.LONG_PRESS_TOLERANCE) {
+			this.cancelLongPress();
+		}
+	}
+
+	/**
+	 * Cancel the pending long press
+	 * @private
+	 */
+	private cancelLongPress(): void {
+		if (this.timer !== undefined) {
+			window.clearTimeout(this.timer);
+			this.timer = undefined;
+		}
+		this.start = undefined;
+	}
+
+	/**
+	 * Find the closest element having a tooltip in the framework registry
+	 * @param element - Pressed element
+	 * @returns ID of the element with a tooltip, or undefined
+	 * @private
+	 */
+	private getTooltipId(element: HTMLElement | null): string | undefined {
+		while (element !== null && element !== this.game.html) {
+			if (element.id && this.game.bga.gameui.tooltips?.[element.id] !== undefined) return element.id;
+			element = element.parentElement;
+		}
+		return undefined;
+	}
+
+	/**
+	 * Open the inspect panel
+	 * @param html - Tooltip content to show
+	 * @private
+	 */
+	private openPanel(html: string): void {
+		this.closePanel();
+
+		this.panel = document.createElement('inspect_panel');
+		this.panel.innerHTML = `<inspect_panel_close role="button" aria-label="${_("Close")}">✕</inspect_panel_close>${html}`;
+		this.panel.addEventListener('click', () => this.closePanel());
+		document.body.appendChild(this.panel);
+	}
+
+	/**
+	 * Close the inspect panel
+	 * @private
+	 */
+	private closePanel(): void {
+		if (this.panel !== undefined) {
+			this.panel.remove();
+			this.panel = undefined;
+		}
+	}
+}
@@ -0,0 +1,168 @@
+import { Game } from "../game";
+import { GameElement } from "../gameElement";
+
+/**
+ * Change made while the current player was not active
+ */
+interface DigestEntry {
+	/** Readable description */
+	text: string;
+
+	/** Element that changed, undefined if it is no longer on the table */
+	element?: GameElement;
+}
+
+/**
+ * Digest of what changed since the current player's last turn
+ *
+ * The notification handlers record the changes they apply while the current
+ * player is not active: new camps, bikers that moved, refilled Travel card,
+ * Gift card and Postcard supply slots, sent Postcards and taken Gift cards.
+ * Changes are keyed by what they affect, so a biker moving twice gives one
+ * entry, and an undone change is forgotten. Undoing a move sends a move back
+ * to the previous region, so a biker back where it started is forgotten too.
+ *
+ * When the current player's turn starts, the changed elements glow briefly
+ * and the changes are listed in a dismissable bar. Clicking a change scrolls
+ * its element into view.
+ *
+ * Only the notifications received while the page is open are known, so the
+ * digest starts empty after a reload.
+ *
+ * Responsibilities:
+ *  - Recording the changes made by the other players
+ *  - Highlighting the changed elements
+ *  - Displaying and dismissing the digest
+ */
+export class TurnDigest {
+	// ========== Properties ==========
+
+	/** Reference to the main Game instance */
+	private readonly game: Game;
+
+	/** Changes since the last turn, oldest first */
+	private readonly entries: Map<string, DigestEntry> = new Map();
+
+	/** Values before the first change, for the changes recorded with recordChange */
+	private readonly origins: Map<string, number> = new Map();
+
+	/** Elements glowing for the shown digest */
+	private glowing: GameElement[] = [];
+
+	/** Bar showing the digest in the page title (while shown) */
+	private bar?: HTMLElement;
+
+	// ========== Constructor ==========
+
+	/**
+	 * Initialize an empty digest
+	 * @param game - Main game instance
+	 */
+	public constructor(game: Game) {
+		this.game = game;
+	}
+
+	// ========== Public Methods ==========
+
+	/**
+	 * Record a change if the current player is waiting for their turn
+	 * @param key - What the change affects, a later change with the same key replaces it
+	 * @param log - Description of the change, with the notification arguments
+	 * @param args - Notification arguments (player_name is added from player_id)
+	 * @param element - Element that changed
+	 */
+	public record(key: string, log: string, args: any, element?: GameElement): void {
+		if (this.game.bga.players.isCurrentPlayerSpectator() || this.game.bga.players.isCurrentPlayerActive()) return;
+
+		const player = this.game.bga.gameui.gamedatas.players[args?.player_id];
+		const text = this.game.bga.gameui.format_string_recursive(log, { ...args, player_name: player?.name ?? "" });
+
+		this.entries.delete(key);
+		this.entries.set(key, { text, element });
+	}
+
+	/**
+	 * Record a change of a value, or forget it when the value is back to the one it had before the first change
+	 * @param key - What the change affects, a later change with the same key replaces it
+	 * @param from - Value before the change
+	 * @param to - Value after the change
+	 * @param log - Description of the change, with the notification arguments
+	 * @param args - Notification arguments (player_name is added from player_id)
+	 * @param element - Element that changed
+	 */
+	public recordChange(key: string, from: number, to: number, log: string, args: any, element?: GameElement): void {
+		if (this.game.bga.players.isCurrentPlayerSpectator() || this.game.bga.players.isCurrentPlayerActive()) return;
+
+		if (!this.origins.has(key)) this.origins.set(key, from);
+		if (this.origins.get(key) === to) {
+			this.origins.delete(key);
+			this.forget(key);
+			return;
+		}
+		this.record(key, log, args, element);
+	}
+
+	/**
+	 * Forget a change that was undone
+	 * @param key - What the change affected
+	 */
+	public forget(key: string): void {
+		this.entries.delete(key);
+	}
+
+	/**
+	 * Show the digest if the current player's turn started and something changed
+	 */
+	public show(): void {
+		if (!this.game.bga.players.isCurrentPlayerActive()) return;
+		this.origins.clear();
+		if (this.entries.size === 0) return;
+
+		this.dismiss();
+		const entries = Array.from(this.entries.values());
+		this.entries.clear();
+
+		this.glowing = entries
+			.map((e) => e.element)
+			.filter((e): e is GameElement => e !== undefined && document.body.contains(e.html));
+		for (const element of this.glowing) {
+			element.setArg("changed", true);
+		}
+
+		this.bar = this.game.createBar("turn_digest", `
+			<turn_digest>
+				<h3>${_("Since your last turn")}</h3>
+				<ul></ul>
+			</turn_digest>
+		`);
+		const list = this.bar.querySelector('ul')!;
+		for (const entry of entries) {
+			const item = document.createElement('li');
+			item.innerHTML = entry.text;
+			if (entry.element !== undefined && this.glowing.includes(entry.element)) {
+				const element = entry.element;
+				item.setAttribute("target", "true");
+				item.addEventListener('click', () => element.html.scrollIntoView({ behavior: "smooth", block: "center" }));
+			}
+			list.appendChild(item);
+		}
+
+		const dismiss = document.createElement('a');
+		dismiss.className = "bgabutton bgabutton_gray";
+		dismiss.innerHTML = _("Dismiss");
+		dismiss.addEventListener('click', () => this.dismiss());
+		this.bar.querySelector('turn_digest')!.appendChild(dismiss);
+	}
+
+	/**
+	 * Remove the digest and the glow of the changed elements
+	 */
+	public dismiss(): void {
+		for (const element of this.glowing) {
+			element.setArg("changed", false);
+		}
+		this.glowing = [];
+		this.bar?.remove();
+		delete this.bar;
+	}
+}
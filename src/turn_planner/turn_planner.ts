@@ -0,0 +1,597 @@
+import { Game } from "../game";
+import { GameElement } from "../gameElement";
+import { Board } from "../board/board";
+import { Region } from "../board/region/region";
+import { RegionGraph } from "../board/region/region_graph";
+import { Campsite } from "../board/campsite/campsite";
+import { Travel } from "../cards/travel/travel";
+import { Postcard } from "../cards/postcard/postcard";
+import { StampSpace } from "../cards/postcard/stamp_selector/stamp_space";
+import { Hand } from "../player_area/hand/hand";
+
+/**
+ * Server call of a turn plan, performed once its state is entered
+ */
+interface PlanCall {
+	/** State in which the action is performed */
+	state: string;
+
+	/** Action to perform */
+	action: string;
+
+	/** Arguments of the action */
+	args: Record<string, number>;
+}
+
+/**
+ * Step of a turn plan: a Travel card played on a target, or a Postcard sent
+ */
+interface PlanStep {
+	/** Played Travel card, undefined when sending a Postcard */
+	travel?: Travel;
+
+	/** Target of the step (Region, StampSpace, Campsite or Postcard to send) */
+	target: GameElement;
+
+	/** Description shown in the plan */
+	label: string;
+}
+
+/**
+ * Lets the current player plan a whole turn locally before sending it to the server
+ *
+ * While planning, clicks on the game area build the plan instead of performing
+ * actions: a Travel card of the hand, then one of its targets, or a Postcard
+ * that would be complete in the Biker's region to send it. The planned result
+ * is shown with ghost Stamps, a ghost Biker and ghost camps.
+ *
+ * Supported steps:
+ *  - Stamp action: Travel card played as color on a matching Stamp space
+ *  - Movement action: Travel card played to move to an adjacent region
+ *  - Camp action: Travel card played to camp on a free campsite of the region
+ *  - Sending a Postcard
+ *
+ * The plan is then executed one server call at a time with the same actions
+ * as the interface. States needing a decision of the player (Souvenir, Star,
+ * Gift) pause the execution, which stops as soon as the state arguments no
+ * longer allow the next call.
+ *
+ * Responsibilities:
+ *  - Building the plan from the clicks on the game area
+ *  - Simulating and displaying the planned Biker position, Stamps, camps and sent Postcards
+ *  - Executing the plan and validating each call against the state arguments
+ */
+export class TurnPlanner {
+	// ========== Static Properties ==========
+
+	/** States the execution waits through for the player's decision */
+	private static readonly PAUSE_STATES: string[] = ['Souvenir', 'Star', 'Gift'];
+
+	// ========== Properties ==========
+
+	/** Reference to the main Game instance */
+	private readonly game: Game;
+
+	/** Whether the player is building a plan */
+	private planning: boolean = false;
+
+	/** Steps of the plan being built */
+	private steps: PlanStep[] = [];
+
+	/** Travel card selected for the next step */
+	private selected?: Travel;
+
+	/** Elements the selected card (or a send) can target */
+	private targets: GameElement[] = [];
+
+	/** Number of Travel cards that can still be played this turn */
+	private remaining_travels: number = 0;
+
+	/** Simulated region of the Biker */
+	private biker: number = 0;
+
+	/** Ghost elements shown on the board and the postcards */
+	private ghosts: HTMLElement[] = [];
+
+	/** Elements marked by the simulation */
+	private marked: GameElement[] = [];
+
+	/** Server calls of the plan being executed */
+	private calls: PlanCall[] = [];
+
+	/** State in which the last call was performed */
+	private resumed?: string;
+
+	/** Bar showing the plan in the page title */
+	private bar?: HTMLElement;
+
+	// ========== Constructor ==========
+
+	/**
+	 * Initialize the turn planner
+	 * @param game - Main game instance
+	 */
+	public constructor(game: Game) {
+		this.game = game;
+	}
+
+	// ========== Public Methods ==========
+
+	/**
+	 * Start listening to clicks on the game area
+	 * @param root - Root element of the game
+	 */
+	public setup(root: HTMLElement): void {
+		root.addEventListener('click', (e: MouseEvent) => {
+			if (!this.planning) return;
+			e.stopPropagation();
+			e.preventDefault();
+			this.onClick(e.target as HTMLElement);
+		}, true);
+	}
+
+	/**
+	 * Whether the player is building a plan
+	 * @returns True while planning
+	 */
+	public isPlanning(): boolean {
+		return this.planning;
+	}
+
+	/**
+	 * Whether a plan is being executed
+	 * @returns True while calls of the plan remain
+	 */
+	public isExecuting(): boolean {
+		return this.calls.length !== 0;
+	}
+
+	/**
+	 * Whether a call of the plan was performed when entering a state
+	 * @param stateName - Name of the state
+	 * @returns True if the last entered state is the given one and a call was performed in it
+	 */
+	public hasResumed(stateName: string): boolean {
+		return this.resumed === stateName;
+	}
+
+	/**
+	 * Start building a plan from the current Action state
+	 * @param used_travels - Travel cards already played this turn
+	 * @param max_travels - Number of Travel cards that can be played this turn
+	 */
+	public start(used_travels: number[], max_travels: number): void {
+		this.planning = true;
+		this.steps = [];
+		this.selected = undefined;
+		this.remaining_travels = max_travels - used_travels.length;
+		(this.game.c.player_area[this.game.bga.gameui.player_id].c.hand[0] as Hand).selection.set([]);
+		this.game.html!.setAttribute("planning", "true");
+		this.update();
+	}
+
+	/**
+	 * Stop building the plan and remove the ghosts
+	 */
+	public cancel(): void {
+		this.planning = false;
+		this.steps = [];
+		this.selected = undefined;
+		this.game.html?.setAttribute("planning", "false");
+		this.clearDisplay();
+	}
+
+	/**
+	 * Perform the next call of the plan if the entered state is the expected one
+	 *
+	 * The execution waits through the states needing the player's decision,
+	 * and stops when any other state is entered or the state arguments do not
+	 * allow the call.
+	 *
+	 * @param stateName - Name of the entered state
+	 * @param args - State arguments
+	 */
+	public resume(stateName: string, args: any): void {
+		delete this.resumed;
+		if (this.calls.length === 0) return;
+
+		const call = this.calls[0];
+		if (TurnPlanner.PAUSE_STATES.includes(stateName) && stateName !== call.state) {
+			this.showExecution(_("The plan continues once you have made your choice."));
+			return;
+		}
+
+		if (!this.game.bga.players.isCurrentPlayerActive() || call.state !== stateName || !this.isAllowed(call, args)) {
+			this.stop(_("The plan was stopped, as it is no longer possible."));
+			return;
+		}
+
+		this.calls.shift();
+		this.resumed = stateName;
+		this.game.bga.actions.performAction(call.action, call.args)
+			.then(() => {
+				if (this.calls.length === 0) this.stop();
+			})
+			.catch(() => this.stop(_("The plan was stopped, as it is no longer possible.")));
+		this.showExecution();
+	}
+
+	// ========== Private Helper Methods ==========
+
+	/**
+	 * Handle a click on the game area while planning
+	 * @param element - Clicked element
+	 * @private
+	 */
+	private onClick(element: HTMLElement): void {
+		const travel = this.getHandTravels().find((t) => t.html.contains(element));
+		if (travel !== undefined) {
+			this.selected = this.selected === travel ? undefined : travel;
+			this.update();
+			return;
+		}
+
+		const target = this.targets.find((t) => t.html.contains(element));
+		if (target === undefined) return;
+
+		if (this.selected !== undefined) {
+			this.steps.push({ travel: this.selected, target, label: this.getStepLabel(this.selected, target) });
+		} else {
+			this.steps.push({
+				target,
+				label: this.game.bga.gameui.format_string(_("Send Postcard of region ${region}"), {
+					region: String((target as Postcard).getRegion()),
+				}),
+			});
+		}
+		this.selected = undefined;
+		this.update();
+	}
+
+	/**
+	 * Simulate the plan and refresh the ghosts, the targets and the bar
+	 * @private
+	 */
+	private update(): void {
+		this.clearDisplay();
+
+		const board = this.game.c.board[0] as Board;
+		const player_id = this.game.bga.gameui.player_id;
+		const real_biker = board.c.biker[player_id];
+		const color = real_biker.args.color as string;
+		this.biker = Number(real_biker.args.location);
+
+		for (const step of this.steps) {
+			if (step.target instanceof Region) {
+				this.biker = step.target.args.type as number;
+			} else if (step.target instanceof StampSpace) {
+				this.addGhost(step.target.parent as Postcard, "stamp", { location: step.target.args.space as number });
+				this.mark(step.target, "stamp");
+			} else if (step.target instanceof Campsite) {
+				this.addGhost(board, "camp", {
+					color,
+					region: Math.floor(step.target.child_id / 10),
+					campsite: step.target.child_id % 10,
+				});
+				this.mark(step.target, "camp");
+			} else if (step.target instanceof Postcard) {
+				this.mark(step.target, "send");
+			}
+			if (step.travel !== undefined) this.mark(step.travel, "used");
+		}
+
+		if (this.biker !== Number(real_biker.args.location)) {
+			this.addGhost(board, "biker", { color, location: this.biker });
+		}
+		if (this.selected !== undefined) this.mark(this.selected, "selected");
+
+		this.targets = this.selected !== undefined ? this.getTravelTargets(this.selected) : this.getSendTargets();
+		for (const t of this.targets) {
+			t.setArg("plan_target", true);
+		}
+
+		this.showPlan();
+	}
+
+	/**
+	 * Remove the ghosts, the marks, the targets and the bar
+	 * @private
+	 */
+	private clearDisplay(): void {
+		for (const g of this.ghosts) {
+			g.remove();
+		}
+		for (const m of this.marked) {
+			m.setArg("plan", false);
+		}
+		for (const t of this.targets) {
+			t.setArg("plan_target", false);
+		}
+		this.ghosts = [];
+		this.marked = [];
+		this.targets = [];
+
+		this.bar?.remove();
+		delete this.bar;
+	}
+
+	/**
+	 * Add a ghost token, positioned by the same rules as the real one
+	 * @param parent - Element to add the ghost to
+	 * @param name - Token name (stamp, camp or biker)
+	 * @param args - Attributes of the token
+	 * @private
+	 */
+	private addGhost(parent: GameElement, name: string, args: Record<string, string | number>): void {
+		const ghost = document.createElement(name);
+		ghost.classList.add(name);
+		for (const a in args) {
+			ghost.setAttribute(a, String(args[a]));
+		}
+		ghost.setAttribute("ghost", "true");
+		ghost.setAttribute("overlay", "true");
+		parent.html.appendChild(ghost);
+		this.ghosts.push(ghost);
+	}
+
+	/**
+	 * Mark an element as part of the plan
+	 * @param element - Element to mark
+	 * @param value - Role of the element in the plan
+	 * @private
+	 */
+	private mark(element: GameElement, value: string): void {
+		element.setArg("plan", value);
+		this.marked.push(element);
+	}
+
+	/**
+	 * Get the Travel cards of the hand that can still be planned
+	 * @returns Unused and unplanned Travel cards, or none if no card can be played anymore
+	 * @private
+	 */
+	private getHandTravels(): Travel[] {
+		const planned = this.steps.filter((s) => s.travel !== undefined);
+		if (planned.length >= this.remaining_travels) return [];
+
+		const hand = this.game.c.player_area[this.game.bga.gameui.player_id].c.hand[0] as Hand;
+		return (Object.values(hand.c.travel ?? {}) as Travel[]).filter(
+			(t) => !this.game.used_travels.includes(t.child_id) && !planned.some((s) => s.travel === t)
+		);
+	}
+
+	/**
+	 * Compute the targets of a Travel card from the simulated state
+	 * @param travel - Selected Travel card
+	 * @returns Matching empty Stamp spaces and the targets of the card action
+	 * @private
+	 */
+	private getTravelTargets(travel: Travel): GameElement[] {
+		const res: GameElement[] = [];
+		const board = this.game.c.board[0] as Board;
+
+		// Empty Stamp spaces of the card color
+		for (const postcard of this.getPostcards()) {
+			for (const s in postcard.c.stamp_space) {
+				const stamp_space = postcard.c.stamp_space[s] as StampSpace;
+				if (!this.hasStamp(postcard, Number(s)) && stamp_space.getColor() === travel.getColorType()) {
+					res.push(stamp_space);
+				}
+			}
+		}
+
+		// Action targets
+		switch (travel.getOptionType()) {
+			case 1:
+				for (const r of RegionGraph.getNeighbours(this.biker)) {
+					res.push(board.c.region[r]);
+				}
+				break;
+			case 3:
+				for (let l = 1; l <= board.campsites[this.biker - 1].length; l++) {
+					const id = this.biker * 10 + l;
+					if (board.c.camp?.[id] === undefined && !this.steps.some((s) => s.target.name === "campsite" && s.target.child_id === id)) {
+						res.push(board.c.campsite[id]);
+					}
+				}
+				break;
+		}
+
+		return res;
+	}
+
+	/**
+	 * Compute the Postcards that could be sent in the simulated state
+	 * @returns Complete Postcards in the region of the simulated Biker
+	 * @private
+	 */
+	private getSendTargets(): GameElement[] {
+		return this.getPostcards().filter((postcard) =>
+			postcard.getRegion() === this.biker &&
+			Object.keys(postcard.c.stamp_space ?? {}).every((s) => this.hasStamp(postcard, Number(s)))
+		);
+	}
+
+	/**
+	 * Get the current player's Postcards that are not planned to be sent
+	 * @returns Postcards of the player
+	 * @private
+	 */
+	private getPostcards(): Postcard[] {
+		const postcards = this.game.c.player_area[this.game.bga.gameui.player_id].c.postcard_player[0].c.postcard ?? {};
+		return (Object.values(postcards) as Postcard[]).filter((p) => !this.steps.some((s) => s.target === p));
+	}
+
+	/**
+	 * Check whether a Stamp space has a real or a planned Stamp
+	 * @param postcard - Postcard of the space
+	 * @param space - Space location
+	 * @returns True if the space is taken
+	 * @private
+	 */
+	private hasStamp(postcard: Postcard, space: number): boolean {
+		return postcard.c.stamp?.[space] !== undefined || this.steps.some((s) => s.target === postcard.c.stamp_space[space]);
+	}
+
+	/**
+	 * Get the description of a Travel card step
+	 * @param travel - Played Travel card
+	 * @param target - Target of the card
+	 * @returns Localized description
+	 * @private
+	 */
+	private getStepLabel(travel: Travel, target: GameElement): string {
+		const card = this.game.bga.gameui.format_string(_("${color} ${action} card"), {
+			color: Travel.getColorName(travel.getColorType()),
+			action: Travel.getActionName(travel.getOptionType()),
+		});
+		if (target instanceof StampSpace) {
+			return this.game.bga.gameui.format_string(_("${card}: Stamp on the Postcard of region ${region}"), {
+				card,
+				region: String((target.parent as Postcard).getRegion()),
+			});
+		} else if (target instanceof Region) {
+			return this.game.bga.gameui.format_string(_("${card}: move to region ${region}"), {
+				card,
+				region: String(target.args.type),
+			});
+		} else {
+			return this.game.bga.gameui.format_string(_("${card}: camp in region ${region}"), {
+				card,
+				region: String(Math.floor(target.child_id / 10)),
+			});
+		}
+	}
+
+	/**
+	 * Turn the plan into server calls and perform the first one
+	 * @private
+	 */
+	private execute(): void {
+		this.calls = [];
+		for (const step of this.steps) {
+			if (step.travel === undefined) {
+				this.calls.push({ state: 'Action', action: 'actSend', args: { postcard: (step.target as Postcard).child_id } });
+			} else if (step.target instanceof StampSpace) {
+				this.calls.push({ state: 'Action', action: 'actActionTravelColor', args: { travel: step.travel.child_id } });
+				this.calls.push({
+					state: 'Stamp',
+					action: 'actStamp',
+					args: { postcard: (step.target.parent as Postcard).child_id, space: step.target.args.space as number },
+				});
+			} else if (step.target instanceof Region) {
+				this.calls.push({ state: 'Action', action: 'actActionTravel', args: { travel: step.travel.child_id } });
+				this.calls.push({ state: 'Move', action: 'actMove', args: { region: step.target.args.type as number } });
+			} else {
+				this.calls.push({ state: 'Action', action: 'actActionTravel', args: { travel: step.travel.child_id } });
+				this.calls.push({ state: 'Camp', action: 'actCamp', args: { campsite: (step.target as Campsite).args.location as number } });
+			}
+		}
+
+		this.cancel();
+		this.resume(this.game.bga.gameui.gamedatas.gamestate.name, this.game.bga.gameui.gamedatas.gamestate.args);
+	}
+
+	/**
+	 * Stop the execution of the plan
+	 * @param message - Message explaining why the plan stopped, if it did not complete
+	 * @private
+	 */
+	private stop(message?: string): void {
+		this.calls = [];
+		this.bar?.remove();
+		delete this.bar;
+		if (message !== undefined) {
+			this.game.bga.dialogs.showMessage(message, 'error');
+		}
+	}
+
+	/**
+	 * Check a call against the state arguments
+	 * @param call - Next call of the plan
+	 * @param args - State arguments
+	 * @returns True if the state allows the call
+	 * @private
+	 */
+	private isAllowed(call: PlanCall, args: any): boolean {
+		switch (call.action) {
+			case 'actActionTravel':
+			case 'actActionTravelColor':
+				return (
+					args?.used_travels !== undefined &&
+					!args.used_travels.map(Number).includes(call.args.travel) &&
+					args.used_travels.length < args.max_travels
+				);
+			case 'actSend':
+				return !!args?.send?.map(Number).includes(call.args.postcard);
+			case 'actMove':
+				return !!args?.regions?.map(Number).includes(call.args.region);
+			case 'actStamp':
+				return !!args?.spaces?.[call.args.postcard]?.map(Number).includes(call.args.space);
+			case 'actCamp':
+				return !!args?.campsites?.map(Number).includes(call.args.campsite);
+		}
+		return false;
+	}
+
+	/**
+	 * Show the plan being built in the page title, with its buttons
+	 * @private
+	 */
+	private showPlan(): void {
+		const steps = this.steps.map((s) => `<li>${s.label}</li>`).join('');
+		const hint = this.selected !== undefined
+			? _("Select a highlighted target for the selected Travel card.")
+			: _("Select a Travel card of your hand, or a highlighted Postcard to send.");
+
+		this.bar = this.game.createBar("turn_plan", `
+			<turn_plan>
+				<h3>${_("Turn plan")}</h3>
+				${steps !== '' ? `<ol>${steps}</ol>` : ''}
+				<p>${hint}</p>
+			</turn_plan>
+		`);
+		this.addBarButton(_("Execute plan"), "blue", () => this.execute(), this.steps.length === 0);
+		this.addBarButton(_("Remove last step"), "gray", () => {
+			this.steps.pop();
+			this.selected = undefined;
+			this.update();
+		}, this.steps.length === 0);
+		this.addBarButton(_("Cancel plan"), "red", () => this.cancel());
+	}
+
+	/**
+	 * Show the progress of the plan being executed in the page title
+	 * @param message - Additional message
+	 * @private
+	 */
+	private showExecution(message?: string): void {
+		this.bar?.remove();
+		this.bar = this.game.createBar("turn_plan", `
+			<turn_plan>
+				${this.game.bga.gameui.format_string(_("Executing plan: ${n} server call(s) remaining"), { n: String(this.calls.length) })}
+				${message !== undefined ? `<p>${message}</p>` : ''}
+			</turn_plan>
+		`);
+		this.addBarButton(_("Stop plan"), "red", () => this.stop());
+	}
+
+	/**
+	 * Add a button to the plan bar
+	 * @param label - Button label
+	 * @param color - BGA button color (blue, gray or red)
+	 * @param callback - Click handler
+	 * @param disabled - Whether the button is disabled
+	 * @private
+	 */
+	private addBarButton(label: string, color: string, callback: () => void, disabled: boolean = false): void {
+		const button = document.createElement('a');
+		button.className = `bgabutton bgabutton_${color}`;
+		button.classList.toggle("disabled", disabled);
+		button.innerHTML = label;
+		button.addEventListener('click', () => {
+			if (!disabled) callback();
+		});
+		this.bar!.querySelector('turn_plan')!.appendChild(button);
+	}
+}
@@ -0,0 +1,196 @@
+import { Game } from "../game";
+
+/**
+ * Log notification of the turn being summarized
+ */
+interface SummaryEvent {
+	/** Notification UID */
+	uid: number;
+
+	/** Notification type */
+	type: string;
+
+	/** Notification arguments */
+	args: any;
+
+	/** ID of the desktop log element */
+	log_id: number;
+
+	/** ID of the docked mobile log element */
+	mobile_log_id: number;
+}
+
+/**
+ * Adds one compact summary entry to the log at the end of each player's turn
+ *
+ * The log notifications of the active player are collected while the turn
+ * goes on, and the ones cancelled by an undo are dropped. When the turn ends
+ * (or when a notification of another player shows up, e.g. while the log
+ * history is placed after a reload), a summary is placed next to the last
+ * entry of the turn in the desktop log and in the docked mobile log. It lists:
+ *  - Travel cards played as action, as stamp color, as double action, and bonus actions
+ *  - Regions moved through
+ *  - Camps, Souvenirs and Stamps placed
+ *  - Postcards sent with their points
+ *  - Gift cards taken and used
+ *
+ * Responsibilities:
+ *  - Collecting the notifications of the current turn
+ *  - Building the summary lines
+ *  - Placing the summary in the logs
+ */
+export class TurnSummary {
+	// ========== Static Properties ==========
+
+	/** Notification types listed in the summary */
+	private static readonly TYPES: string[] = ["actionTravel", "move", "camp", "souvenir", "stamp", "send", "gift", "actionGift"];
+
+	// ========== Properties ==========
+
+	/** Reference to the main Game instance */
+	private readonly game: Game;
+
+	/** Player whose turn is being collected */
+	private player_id?: number;
+
+	/** Collected notifications, oldest first */
+	private events: SummaryEvent[] = [];
+
+	// ========== Constructor ==========
+
+	/**
+	 * Initialize an empty summary
+	 * @param game - Main game instance
+	 */
+	public constructor(game: Game) {
+		this.game = game;
+	}
+
+	// ========== Public Methods ==========
+
+	/**
+	 * Collect a log notification of the current turn
+	 * @param uid - Notification UID
+	 * @param type - Notification type
+	 * @param args - Notification arguments
+	 * @param log_id - ID of the desktop log element
+	 * @param mobile_log_id - ID of the docked mobile log element
+	 */
+	public record(uid: number, type: string, args: any, log_id: number, mobile_log_id: number): void {
+		if (!TurnSummary.TYPES.includes(type) || args?.player_id === undefined) return;
+
+		const player_id = Number(args.player_id);
+		if (this.player_id !== player_id) {
+			this.flush();
+			this.player_id = player_id;
+		}
+		this.events.push({ uid, type, args, log_id, mobile_log_id });
+	}
+
+	/**
+	 * Drop the notifications cancelled by an undo
+	 * @param uids - Cancelled notification UIDs
+	 */
+	public cancel(uids: number[]): void {
+		this.events = this.events.filter((e) => !uids.map(Number).includes(Number(e.uid)));
+	}
+
+	/**
+	 * End the turn being collected and place its summary in the logs
+	 */
+	public flush(): void {
+		const events = this.events;
+		const player_id = this.player_id;
+		this.events = [];
+		delete this.player_id;
+		if (events.length === 0 || player_id === undefined) return;
+
+		const html = this.build(player_id, events);
+		this.place(html, events.map((e) => document.getElementById('log_' + e.log_id)), true);
+		this.place(html, events.map((e) => document.getElementById('dockedlog_' + e.mobile_log_id)), false);
+	}
+
+	// ========== Private Helper Methods ==========
+
+	/**
+	 * Build the summary of a turn
+	 * @param player_id - Player of the turn
+	 * @param events - Notifications of the turn
+	 * @returns Summary HTML
+	 * @private
+	 */
+	private build(player_id: number, events: SummaryEvent[]): string {
+		const gameui = this.game.bga.gameui;
+		const of = (type: string) => events.filter((e) => e.type === type).map((e) => e.args);
+		const lines: string[] = [];
+		const add = (label: string, values: string[]) => {
+			if (values.length > 0) lines.push(`<li><b>${label}</b> ${values.join(", ")}</li>`);
+		};
+
+		add(_("Travel cards:"), of("actionTravel").map((args) => {
+			if (args.color_1 !== undefined) {
+				return gameui.format_string_recursive(_("${color_1}-${action_1} and ${color_2}-${action_2} as a double ${type} action"), args);
+			} else if (args.color === undefined) {
+				return gameui.format_string_recursive(_("${type} bonus action"), args);
+			} else if (args.as_color) {
+				return gameui.format_string_recursive(_("${color}-${action} as stamp color"), args);
+			}
+			return gameui.format_string_recursive(_("${color}-${action} as action"), args);
+		}));
+
+		const regions = of("move").map((args) => String(args.region));
+		if (regions.length > 0) lines.push(`<li><b>${_("Regions:")}</b> ${regions.join(" ➜ ")}</li>`);
+
+		const counts: [string, string][] = [
+			["camp", _("Camps placed:")],
+			["souvenir", _("Souvenirs placed:")],
+			["stamp", _("Stamps added:")],
+		];
+		for (const [type, label] of counts) {
+			const n = of(type).length;
+			if (n > 0) add(label, [String(n)]);
+		}
+
+		add(_("Postcards sent:"), of("send").map((args) => gameui.format_string(_("${point} points"), { point: String(args.point) })));
+		add(_("Gifts taken:"), of("gift").map((args) => gameui.format_string_recursive("${type}", args)));
+		add(_("Gifts used:"), of("actionGift").map((args) => gameui.format_string_recursive("${type}", args)));
+
+		const player = gameui.gamedatas.players[player_id];
+		return `
+			<turn_summary>
+				<h4>${gameui.format_string(_("${player_name}'s turn"), {
+					player_name: `<span style="color: #${player?.color ?? "000000"}">${player?.name ?? ""}</span>`,
+				})}</h4>
+				<ul>${lines.join("")}</ul>
+			</turn_summary>
+		`;
+	}
+
+	/**
+	 * Place a summary next to the last entry of the turn in one log
+	 *
+	 * The desktop log shows the newest entries first, the side of the docked
+	 * log is found from the order of the entries of the turn.
+	 *
+	 * @param html - Summary HTML
+	 * @param entries - Log elements of the turn, oldest first
+	 * @param newest_first - Default order of the log when it cannot be found from the entries
+	 * @private
+	 */
+	private place(html: string, entries: (HTMLElement | null)[], newest_first: boolean): void {
+		const placed = entries.filter((e): e is HTMLElement => e !== null && e.parentElement !== null);
+		if (placed.length === 0) return;
+
+		const first = placed[0];
+		const last = placed[placed.length - 1];
+		if (first !== last) {
+			newest_first = (last.compareDocumentPosition(first) & Node.DOCUMENT_POSITION_FOLLOWING) !== 0;
+		}
+
+		const element = document.createElement('div');
+		element.className = "log turn_summary";
+		element.innerHTML = `<div class="roundedbox">${html}</div>`;
+		if (newest_first) last.before(element);
+		else last.after(element);
+	}
+}
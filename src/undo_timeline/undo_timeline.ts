@@ -0,0 +1,231 @@
+import { Game } from "../game";
+
+/**
+ * Undoable step of the current turn, as logged by the server
+ */
+export interface UndoStep {
+	/** Log type (see LogType on the server) */
+	type: number;
+
+	/** Log arguments */
+	args: Record<string, any> | null;
+}
+
+/**
+ * Lists the undoable steps of the current player's turn and undoes back to any of them
+ *
+ * The steps are the undoable log entries of the server, sent with the state
+ * arguments. Each actUndo call reverts exactly one of them, the last one, so
+ * the timeline shows what each call will revert.
+ *
+ * Selecting a step highlights it and every later step, and the confirm button
+ * undoes them with one actUndo call per step (or actReset for all of them).
+ *
+ * Responsibilities:
+ *  - Displaying the timeline with labels and icons
+ *  - Highlighting the steps that will be reverted
+ *  - Issuing the undo calls, one per entered state
+ */
+export class UndoTimeline {
+	// ========== Static Properties ==========
+
+	/** Icons of the log types */
+	private static readonly ICONS: Record<number, string> = {
+		1: "🂠",
+		2: "🂠",
+		3: "★",
+		4: "🎁",
+		5: "➜",
+		8: "⛺",
+		9: "⛺",
+		10: "◆",
+		11: "◆",
+		12: "✉",
+		13: "📮",
+		15: "»",
+		16: "🂠",
+		17: "★",
+	};
+
+	/** Log types of skipped actions */
+	private static readonly SKIPS: number[] = [9, 11, 15];
+
+	// ========== Properties ==========
+
+	/** Reference to the main Game instance */
+	private readonly game: Game;
+
+	/** Undoable steps of the current state, oldest first */
+	private steps: UndoStep[] = [];
+
+	/** Index of the selected step, undefined if none */
+	private selected?: number;
+
+	/** Undo calls still to issue */
+	private pending: number = 0;
+
+	/** Bar showing the timeline in the page title */
+	private bar?: HTMLElement;
+
+	// ========== Constructor ==========
+
+	/**
+	 * Initialize an empty timeline
+	 * @param game - Main game instance
+	 */
+	public constructor(game: Game) {
+		this.game = game;
+	}
+
+	// ========== Public Methods ==========
+
+	/**
+	 * Show the timeline of the current state
+	 * @param steps - Undoable steps, oldest first
+	 */
+	public show(steps: UndoStep[]): void {
+		this.steps = steps ?? [];
+		delete this.selected;
+		this.render();
+	}
+
+	/**
+	 * Remove the timeline from the page title
+	 */
+	public hide(): void {
+		this.bar?.remove();
+		delete this.bar;
+	}
+
+	/**
+	 * Issue the next undo call of a selected step when a state is entered
+	 * @param args - State arguments
+	 */
+	public resume(args: any): void {
+		if (this.pending === 0) return;
+		if (!this.game.bga.players.isCurrentPlayerActive() || !(args?.undo > 0)) {
+			this.pending = 0;
+			return;
+		}
+
+		this.pending--;
+		this.game.bga.actions.performAction('actUndo').catch(() => (this.pending = 0));
+	}
+
+	// ========== Private Helper Methods ==========
+
+	/**
+	 * Build the timeline bar
+	 * @private
+	 */
+	private render(): void {
+		this.hide();
+		if (this.steps.length === 0) return;
+
+		this.bar = this.game.createBar("undo_timeline", `
+			<undo_timeline>
+				<h3>${_("This turn")}</h3>
+				<ol></ol>
+			</undo_timeline>
+		`);
+		const list = this.bar.querySelector('ol')!;
+
+		this.steps.forEach((step, index) => {
+			const item = document.createElement('undo_timeline_entry');
+			item.setAttribute("skip", String(UndoTimeline.SKIPS.includes(step.type)));
+			item.setAttribute("revert", String(this.selected !== undefined && index >= this.selected));
+			item.setAttribute("role", "button");
+			item.tabIndex = 0;
+			item.innerHTML = `<undo_timeline_icon>${UndoTimeline.ICONS[step.type] ?? "•"}</undo_timeline_icon>`;
+			item.appendChild(document.createTextNode(this.getLabel(step)));
+			item.addEventListener('click', () => this.select(index));
+			item.addEventListener('keydown', (e: KeyboardEvent) => {
+				if (e.key === 'Enter' || e.key === ' ') {
+					e.preventDefault();
+					e.stopPropagation();
+					this.select(index);
+				}
+			});
+
+			const li = document.createElement('li');
+			li.appendChild(item);
+			list.appendChild(li);
+		});
+
+		if (this.selected !== undefined) {
+			const count = this.steps.length - this.selected;
+			const button = document.createElement('a');
+			button.className = "bgabutton bgabutton_red";
+			button.innerHTML = this.game.bga.gameui.format_string(_("Undo ${n} step(s)"), { n: String(count) });
+			button.addEventListener('click', () => this.undoSteps(count));
+			this.bar.querySelector('undo_timeline')!.appendChild(button);
+		}
+	}
+
+	/**
+	 * Select or deselect a step
+	 * @param index - Index of the step
+	 * @private
+	 */
+	private select(index: number): void {
+		this.selected = this.selected === index ? undefined : index;
+		this.render();
+	}
+
+	/**
+	 * Undo the given number of steps
+	 * @param count - Number of steps to undo
+	 * @private
+	 */
+	private undoSteps(count: number): void {
+		if (count >= this.steps.length) {
+			this.pending = 0;
+			this.game.bga.actions.performAction('actReset');
+			return;
+		}
+
+		this.pending = count - 1;
+		this.game.bga.actions.performAction('actUndo').catch(() => (this.pending = 0));
+	}
+
+	/**
+	 * Get the readable description of a step
+	 * @param step - Undoable step
+	 * @returns Localized description
+	 * @private
+	 */
+	private getLabel(step: UndoStep): string {
+		const gameui = this.game.bga.gameui;
+		switch (step.type) {
+			case 1:
+				return _("Played a Travel card");
+			case 2:
+				return _("Played a double action");
+			case 3:
+				return _("Used a bonus action");
+			case 4:
+				return _("Used a Gift card");
+			case 5:
+				return gameui.format_string(_("Moved from region ${region}"), { region: String(step.args?.region ?? "") });
+			case 8:
+				return gameui.format_string(_("Placed a Camp in region ${region}"), { region: String(step.args?.region ?? "") });
+			case 9:
+				return _("Skipped the Camp");
+			case 10:
+				return _("Placed a Souvenir");
+			case 11:
+				return _("Skipped the Souvenir");
+			case 12:
+				return _("Placed a Stamp");
+			case 13:
+				return gameui.format_string(_("Sent a Postcard for ${point} points"), { point: String(step.args?.point ?? 0) });
+			case 15:
+				return _("Skipped the action");
+			case 16:
+				return _("Took a Travel card");
+			case 17:
+				return _("Used a Star effect");
+		}
+		return _("Other action");
+	}
+}
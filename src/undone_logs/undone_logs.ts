@@ -0,0 +1,96 @@
+import { Game } from "../game";
+
+/**
+ * Groups the log entries cancelled by an undo
+ *
+ * The entries cancelled by one undo are collapsed behind a single
+ * "N actions undone" row, in the desktop log as well as in the docked
+ * mobile log. Clicking the row shows or hides the entries of the group.
+ *
+ * The "Undone actions in the log" user preference sets a class on the page
+ * root to show every cancelled entry, or to hide the groups completely.
+ *
+ * Responsibilities:
+ *  - Creating the group rows next to the cancelled entries
+ *  - Expanding and collapsing a group
+ */
+export class UndoneLogs {
+	// ========== Properties ==========
+
+	/** Reference to the main Game instance */
+	private readonly game: Game;
+
+	// ========== Constructor ==========
+
+	/**
+	 * Initialize log grouping
+	 * @param game - Main game instance
+	 */
+	public constructor(game: Game) {
+		this.game = game;
+	}
+
+	// ========== Public Methods ==========
+
+	/**
+	 * Collapse the log entries cancelled by one undo
+	 *
+	 * Entries are grouped by log container, so the same call handles
+	 * desktop and mobile entries. Entries already in a group are skipped.
+	 *
+	 * @param elements - Cancelled log entries
+	 */
+	public group(elements: HTMLElement[]): void {
+		const containers = new Map<HTMLElement, HTMLElement[]>();
+		for (const element of elements) {
+			if (element.hasAttribute("collapsed") || element.parentElement === null) continue;
+			containers.set(element.parentElement, [...(containers.get(element.parentElement) ?? []), element]);
+		}
+
+		containers.forEach((entries) => this.createGroup(entries));
+	}
+
+	// ========== Private Helper Methods ==========
+
+	/**
+	 * Create the row of a group of entries in the same container
+	 * @param entries - Cancelled log entries
+	 * @private
+	 */
+	private createGroup(entries: HTMLElement[]): void {
+		entries.sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+
+		const row = document.createElement('undone_logs');
+		row.setAttribute("role", "button");
+		row.setAttribute("expanded", "false");
+		row.tabIndex = 0;
+		row.innerHTML = `
+			<undone_logs_arrow>▸</undone_logs_arrow>
+			${entries.length === 1
+				? _("1 action undone")
+				: this.game.bga.gameui.format_string(_("${n} actions undone"), { n: String(entries.length) })}
+		`;
+		entries[0].before(row);
+
+		for (const entry of entries) {
+			entry.setAttribute("collapsed", "true");
+		}
+
+		const toggle = () => {
+			const expanded = row.getAttribute("expanded") !== "true";
+			row.setAttribute("expanded", String(expanded));
+			row.querySelector('undone_logs_arrow')!.textContent = expanded ? "▾" : "▸";
+			for (const entry of entries) {
+				entry.setAttribute("collapsed", String(!expanded));
+			}
+		};
+		row.addEventListener('click', toggle);
+		row.addEventListener('keydown', (e: KeyboardEvent) => {
+			if (e.key === 'Enter' || e.key === ' ') {
+				e.preventDefault();
+				e.stopPropagation();
+				toggle();
+			}
+		});
+	}
+}